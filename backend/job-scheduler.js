@@ -0,0 +1,460 @@
+const { getFirestore } = require('../shared/firestore');
+
+const JOB_RUNS_COLLECTION = 'jobRuns';
+const JOB_HISTORY_LIMIT = 20;
+const JOB_WINDOW_CHECK_INTERVAL_MS = 60 * 1000;
+const JOB_FINISHED_REASONS = new Set([null, 'completed_pass']);
+const JOB_WINDOW_TRIGGERS = new Set(['window', 'queue']);
+
+function createPriorityQueue({ maxSize = 0 } = {}) {
+  const entries = new Map();
+  const heap = [];
+  let sequence = 0;
+
+  const compare = (a, b) => b.priority - a.priority || a.sequence - b.sequence;
+
+  const swap = (i, j) => {
+    [heap[i], heap[j]] = [heap[j], heap[i]];
+  };
+
+  const siftUp = index => {
+    let child = index;
+    while (child > 0) {
+      const parent = (child - 1) >> 1;
+      if (compare(heap[child], heap[parent]) >= 0) break;
+      swap(child, parent);
+      child = parent;
+    }
+  };
+
+  const siftDown = index => {
+    let parent = index;
+    for (;;) {
+      const left = parent * 2 + 1;
+      const right = left + 1;
+      let best = parent;
+      if (left < heap.length && compare(heap[left], heap[best]) < 0) best = left;
+      if (right < heap.length && compare(heap[right], heap[best]) < 0) best = right;
+      if (best === parent) break;
+      swap(parent, best);
+      parent = best;
+    }
+  };
+
+  const insert = entry => {
+    heap.push({ entry, priority: entry.priority, sequence: entry.sequence });
+    siftUp(heap.length - 1);
+  };
+
+  // A priority bump leaves the old heap node behind; it is skipped on pop.
+  const isLive = node => entries.get(node.entry.key) === node.entry && node.priority === node.entry.priority;
+
+  return {
+    push(key, item, priority = 0) {
+      const id = String(key);
+      const value = Number.isFinite(Number(priority)) ? Number(priority) : 0;
+      const existing = entries.get(id);
+      if (existing) {
+        existing.item = item;
+        if (value > existing.priority) {
+          existing.priority = value;
+          insert(existing);
+        }
+        return false;
+      }
+      if (maxSize > 0 && entries.size >= maxSize) return false;
+      sequence += 1;
+      const entry = { key: id, item, priority: value, sequence };
+      entries.set(id, entry);
+      insert(entry);
+      return true;
+    },
+    pop() {
+      while (heap.length) {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length) {
+          heap[0] = last;
+          siftDown(0);
+        }
+        if (isLive(top)) {
+          entries.delete(top.entry.key);
+          return top.entry;
+        }
+      }
+      return null;
+    },
+    has(key) {
+      return entries.has(String(key));
+    },
+    clear() {
+      entries.clear();
+      heap.length = 0;
+    },
+    get size() {
+      return entries.size;
+    },
+    peek(limit = 10) {
+      return Array.from(entries.values())
+        .sort(compare)
+        .slice(0, Math.max(0, limit))
+        .map(({ key, priority }) => ({ key, priority }));
+    }
+  };
+}
+
+function parseTimeOfDay(value) {
+  const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+function formatTimeOfDay(minutes) {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function normalizeWindows(raw) {
+  const parts = Array.isArray(raw)
+    ? raw
+    : String(raw || '')
+        .split(/[,;]+/)
+        .map(part => part.trim())
+        .filter(Boolean);
+  const windows = [];
+  parts.forEach(part => {
+    const [startRaw, endRaw] =
+      part && typeof part === 'object' ? [part.start, part.end] : String(part).split('-');
+    const start = parseTimeOfDay(startRaw);
+    const end = parseTimeOfDay(endRaw);
+    if (start == null || end == null || start === end) return;
+    windows.push({ start, end });
+  });
+  return windows;
+}
+
+function isWithinWindows(windows, date = new Date()) {
+  if (!Array.isArray(windows) || !windows.length) return true;
+  const minutes = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return windows.some(({ start, end }) =>
+    start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end
+  );
+}
+
+function parseEligibleAt(value) {
+  if (value == null || value === '') return null;
+  const time =
+    value instanceof Date ? value.getTime() : typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : null;
+}
+
+function createRuntime() {
+  return {
+    running: false,
+    stopRequested: false,
+    stopReason: null,
+    trigger: null,
+    runId: null,
+    startedAt: null,
+    lastFinishedAt: null,
+    options: null,
+    progress: null,
+    counts: {},
+    lastError: null
+  };
+}
+
+function createJobScheduler({
+  getDb = getFirestore,
+  collection = JOB_RUNS_COLLECTION,
+  historyLimit = JOB_HISTORY_LIMIT,
+  now = () => new Date()
+} = {}) {
+  const jobs = new Map();
+  let windowTimer = null;
+
+  const getJob = name => {
+    const job = jobs.get(name);
+    if (!job) throw new Error(`Unknown job: ${name}`);
+    return job;
+  };
+
+  const rememberRun = (job, record) => {
+    job.history.unshift(record);
+    if (job.history.length > historyLimit) {
+      job.history.length = historyLimit;
+    }
+  };
+
+  const persistRun = async record => {
+    const db = getDb();
+    if (!db) return false;
+    try {
+      await db
+        .collection(collection)
+        .doc(record.job)
+        .collection('runs')
+        .doc(record.runId)
+        .set(record);
+      return true;
+    } catch (err) {
+      console.warn('Failed to persist job run', err?.message || err);
+      return false;
+    }
+  };
+
+  function registerJob(
+    name,
+    {
+      run,
+      description = '',
+      windows = [],
+      autoStart = false,
+      startOnEnqueue = false,
+      options = {},
+      queueLimit = 0
+    } = {}
+  ) {
+    if (typeof run !== 'function') {
+      throw new Error(`Job ${name} needs a run function`);
+    }
+    const job = {
+      name,
+      description,
+      run,
+      windows: normalizeWindows(windows),
+      autoStart: Boolean(autoStart),
+      startOnEnqueue: Boolean(startOnEnqueue),
+      options: { ...options },
+      queue: createPriorityQueue({ maxSize: queueLimit }),
+      runtime: createRuntime(),
+      history: [],
+      promise: null,
+      nextEligibleAt: null,
+      finishedInWindow: false
+    };
+    jobs.set(name, job);
+    return job;
+  }
+
+  function isEligible(job, current) {
+    if (!isWithinWindows(job.windows, current)) return false;
+    return job.nextEligibleAt == null || job.nextEligibleAt <= current.getTime();
+  }
+
+  function enqueue(name, key, item, priority = 0) {
+    const job = getJob(name);
+    const added = job.queue.push(key, item, priority);
+    if (job.startOnEnqueue && job.queue.size && !job.runtime.running && isEligible(job, now())) {
+      startJob(name, {}, { trigger: 'queue' });
+    }
+    return added;
+  }
+
+  function startJob(name, options = {}, { trigger = 'manual' } = {}) {
+    const job = getJob(name);
+    const { runtime } = job;
+    if (runtime.running) {
+      return false;
+    }
+
+    const startedAt = now();
+    const runOptions = { ...job.options, ...options };
+    runtime.running = true;
+    runtime.stopRequested = false;
+    runtime.stopReason = null;
+    runtime.trigger = trigger;
+    runtime.runId = `${startedAt.toISOString().replace(/[:.]/g, '-')}-${name}`;
+    runtime.startedAt = startedAt.toISOString();
+    runtime.options = runOptions;
+    runtime.progress = null;
+    runtime.counts = {};
+    runtime.lastError = null;
+
+    const context = {
+      trigger,
+      options: runOptions,
+      queue: job.queue,
+      shouldStop: () => runtime.stopRequested,
+      count(key, amount = 1) {
+        runtime.counts[key] = (runtime.counts[key] || 0) + amount;
+      },
+      setProgress(progress) {
+        runtime.progress = progress;
+      }
+    };
+
+    let status = 'completed';
+    let haltedReason = null;
+    let result = null;
+    let nextEligibleAt = null;
+    job.promise = (async () => {
+      const {
+        haltedReason: reason = null,
+        nextEligibleAt: eligibleAt = null,
+        ...rest
+      } = (await job.run(context)) || {};
+      haltedReason = reason;
+      nextEligibleAt = parseEligibleAt(eligibleAt);
+      result = Object.keys(rest).length ? rest : null;
+    })()
+      .catch(err => {
+        status = 'failed';
+        runtime.lastError = String(err?.message || err);
+        console.error(`Job ${name} failed`, err);
+      })
+      .then(async () => {
+        const finishedAt = now();
+        const record = {
+          runId: runtime.runId,
+          job: name,
+          trigger,
+          status,
+          haltedReason: haltedReason || (runtime.stopRequested ? runtime.stopReason : null),
+          options: runOptions,
+          counts: { ...runtime.counts },
+          result,
+          nextEligibleAt: nextEligibleAt == null ? null : new Date(nextEligibleAt).toISOString(),
+          error: runtime.lastError,
+          startedAt: runtime.startedAt,
+          finishedAt: finishedAt.toISOString(),
+          durationMs: finishedAt.getTime() - startedAt.getTime()
+        };
+        rememberRun(job, record);
+        job.nextEligibleAt = nextEligibleAt;
+        if (trigger !== 'queue') {
+          job.finishedInWindow =
+            job.windows.length > 0 &&
+            status === 'completed' &&
+            JOB_FINISHED_REASONS.has(record.haltedReason) &&
+            isWithinWindows(job.windows, finishedAt);
+        }
+        runtime.running = false;
+        runtime.stopRequested = false;
+        runtime.lastFinishedAt = record.finishedAt;
+        await persistRun(record);
+        return record;
+      })
+      .finally(() => {
+        job.promise = null;
+      });
+
+    return true;
+  }
+
+  function stopJob(name, reason = 'stop_requested') {
+    const { runtime } = getJob(name);
+    if (!runtime.running) return false;
+    runtime.stopRequested = true;
+    runtime.stopReason = reason;
+    return true;
+  }
+
+  function waitForJob(name) {
+    return getJob(name).promise || Promise.resolve(null);
+  }
+
+  function getJobStatus(name) {
+    const job = getJob(name);
+    const { runtime } = job;
+    return {
+      name: job.name,
+      description: job.description,
+      autoStart: job.autoStart,
+      windows: job.windows.map(
+        ({ start, end }) => `${formatTimeOfDay(start)}-${formatTimeOfDay(end)}`
+      ),
+      withinWindow: isWithinWindows(job.windows, now()),
+      nextEligibleAt: job.nextEligibleAt == null ? null : new Date(job.nextEligibleAt).toISOString(),
+      finishedInWindow: job.finishedInWindow,
+      queued: job.queue.size,
+      runtime: { ...runtime, counts: { ...runtime.counts } },
+      lastRun: job.history[0] || null
+    };
+  }
+
+  function listJobs() {
+    return Array.from(jobs.keys()).map(getJobStatus);
+  }
+
+  async function getJobHistory(name, limit = historyLimit) {
+    const job = getJob(name);
+    const size = Math.max(1, Math.min(historyLimit, Math.floor(Number(limit)) || historyLimit));
+    const db = getDb();
+    if (db) {
+      try {
+        const snap = await db
+          .collection(collection)
+          .doc(name)
+          .collection('runs')
+          .orderBy('startedAt', 'desc')
+          .limit(size)
+          .get();
+        return snap.docs.map(doc => doc.data());
+      } catch (err) {
+        console.warn('Failed to read job history', err?.message || err);
+      }
+    }
+    return job.history.slice(0, size);
+  }
+
+  function checkWindows() {
+    const current = now();
+    jobs.forEach(job => {
+      if (!job.windows.length) return;
+      if (!isWithinWindows(job.windows, current)) {
+        job.finishedInWindow = false;
+        if (job.runtime.running && JOB_WINDOW_TRIGGERS.has(job.runtime.trigger)) {
+          stopJob(job.name, 'window_closed');
+        }
+        return;
+      }
+      if (!job.autoStart || job.runtime.running || job.finishedInWindow) return;
+      if (!isEligible(job, current)) return;
+      startJob(job.name, {}, { trigger: 'window' });
+    });
+  }
+
+  function start() {
+    if (windowTimer) return;
+    windowTimer = setInterval(checkWindows, JOB_WINDOW_CHECK_INTERVAL_MS);
+    if (typeof windowTimer.unref === 'function') {
+      windowTimer.unref();
+    }
+  }
+
+  function stop() {
+    if (windowTimer) {
+      clearInterval(windowTimer);
+      windowTimer = null;
+    }
+    jobs.forEach(job => {
+      if (job.runtime.running) stopJob(job.name);
+    });
+  }
+
+  return {
+    registerJob,
+    enqueue,
+    startJob,
+    stopJob,
+    waitForJob,
+    getJobStatus,
+    listJobs,
+    getJobHistory,
+    checkWindows,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  JOB_RUNS_COLLECTION,
+  createPriorityQueue,
+  normalizeWindows,
+  isWithinWindows,
+  createJobScheduler
+};
@@ -65,12 +65,42 @@ const MAX_DISCOVER_PAGES = Math.max(
   1,
   Number(process.env.MOVIE_CATALOG_MAX_PAGES) || 10
 );
+const SEARCH_MAX_EDIT_DISTANCE = 2;
+const SEARCH_MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.85,
+  partial: 0.7,
+  fuzzy: 0.55
+};
+const SEARCH_MATCH_PENALTY = 4;
+const SEARCH_CURSOR_VERSION = 1;
+const SEARCH_SORT_MODES = new Set([
+  'relevance',
+  'rating',
+  'votes',
+  'popularity',
+  'newest',
+  'oldest',
+  'title'
+]);
+
+const SIMILAR_WEIGHTS = {
+  genres: 4,
+  director: 3,
+  cast: 1,
+  era: 1.5,
+  rating: 1
+};
+const SIMILAR_ERA_SPAN_YEARS = 20;
 
 let state = {
   movies: [],
   updatedAt: 0,
   metadata: { source: 'empty', total: 0, updatedAt: null },
-  byId: new Map()
+  byId: new Map(),
+  searchIndex: { tokens: new Map(), trigrams: new Map() },
+  hasGenreData: false,
+  hasKeywordData: false
 };
 
 let hydratePromise = null;
@@ -107,15 +137,99 @@ function wait(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
-function computeRanking(score, voteCount, releaseDate, popularity) {
+const DEFAULT_RANKING_PROFILE = 'balanced';
+const BASE_RANKING_PROFILES = {
+  balanced: {
+    score: 5,
+    votes: 0.75,
+    popularity: 0.5,
+    recency: 0.75,
+    recencyWindowYears: 5,
+    age: 0,
+    ageWindowYears: 50
+  },
+  hiddenGems: {
+    score: 7,
+    votes: -0.6,
+    popularity: -0.3,
+    recency: 0.25,
+    recencyWindowYears: 10,
+    age: 0,
+    ageWindowYears: 50
+  },
+  classics: {
+    score: 5,
+    votes: 1,
+    popularity: 0.25,
+    recency: 0,
+    recencyWindowYears: 5,
+    age: 2,
+    ageWindowYears: 50
+  },
+  whatsNew: {
+    score: 3,
+    votes: 0.4,
+    popularity: 0.75,
+    recency: 3,
+    recencyWindowYears: 1,
+    age: 0,
+    ageWindowYears: 50
+  }
+};
+const BASE_RANKING_PROFILE_LABELS = {
+  balanced: 'Balanced',
+  hiddenGems: 'Hidden gems',
+  classics: 'Classics',
+  whatsNew: "What's new"
+};
+const RANKING_PROFILE_LABELS = {};
+const RANKING_PROFILES = (() => {
+  let overrides = {};
+  if (process.env.MOVIE_RANKING_PROFILES) {
+    try {
+      const parsed = JSON.parse(process.env.MOVIE_RANKING_PROFILES);
+      if (parsed && typeof parsed === 'object') overrides = parsed;
+    } catch (err) {
+      console.error('Ignoring invalid MOVIE_RANKING_PROFILES', err);
+    }
+  }
+  const profiles = {};
+  const names = new Set([...Object.keys(BASE_RANKING_PROFILES), ...Object.keys(overrides)]);
+  names.forEach(name => {
+    const base = BASE_RANKING_PROFILES[name] || BASE_RANKING_PROFILES[DEFAULT_RANKING_PROFILE];
+    const override = overrides[name] && typeof overrides[name] === 'object' ? overrides[name] : {};
+    const profile = {};
+    Object.keys(base).forEach(key => {
+      const value = Number(override[key]);
+      profile[key] = Number.isFinite(value) ? value : base[key];
+    });
+    profiles[name] = Object.freeze(profile);
+    RANKING_PROFILE_LABELS[name] =
+      typeof override.label === 'string' && override.label.trim()
+        ? override.label.trim()
+        : BASE_RANKING_PROFILE_LABELS[name] || name;
+  });
+  return Object.freeze(profiles);
+})();
+
+function resolveRankingProfileName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return Object.prototype.hasOwnProperty.call(RANKING_PROFILES, trimmed)
+    ? trimmed
+    : DEFAULT_RANKING_PROFILE;
+}
+
+function computeRanking(score, voteCount, releaseDate, popularity, profileName = DEFAULT_RANKING_PROFILE) {
+  const profile = RANKING_PROFILES[resolveRankingProfileName(profileName)];
   const normalizedScore = Math.max(0, Math.min(Number(score) || 0, 10)) / 10;
   const voteWeight = Math.log10(Math.max(1, Number(voteCount) || 0) + 1);
   const popWeight = Math.log10(Math.max(1, Number(popularity) || 0) + 1);
   let recencyWeight = 0.25;
+  let ageWeight = 0;
   const releaseMs = parseDate(releaseDate);
   if (Number.isFinite(releaseMs)) {
     const diffDays = (Date.now() - releaseMs) / (1000 * 60 * 60 * 24);
-    const windowDays = 365 * 5;
+    const windowDays = 365 * profile.recencyWindowYears;
     if (diffDays <= 0) {
       recencyWeight = 1;
     } else if (diffDays >= windowDays) {
@@ -123,8 +237,23 @@ function computeRanking(score, voteCount, releaseDate, popularity) {
     } else {
       recencyWeight = 1 - diffDays / windowDays;
     }
+    ageWeight = Math.max(0, Math.min(1, diffDays / (365 * profile.ageWindowYears)));
   }
-  return normalizedScore * 5 + voteWeight * 0.75 + popWeight * 0.5 + recencyWeight * 0.75;
+  return (
+    normalizedScore * profile.score +
+    voteWeight * profile.votes +
+    popWeight * profile.popularity +
+    recencyWeight * profile.recency +
+    ageWeight * profile.age
+  );
+}
+
+function getRankingProfiles() {
+  return Object.keys(RANKING_PROFILES).map(name => ({
+    name,
+    label: RANKING_PROFILE_LABELS[name],
+    weights: { ...RANKING_PROFILES[name] }
+  }));
 }
 
 function normalizeGenreIds(movie) {
@@ -150,6 +279,25 @@ function normalizeGenreIds(movie) {
   return ids.size ? Array.from(ids).sort((a, b) => a - b) : [];
 }
 
+function normalizeNameList(value) {
+  const entries = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : [];
+  const names = [];
+  entries.forEach(entry => {
+    const name = typeof entry === 'string' ? entry.trim() : typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (name && !names.includes(name)) names.push(name);
+  });
+  return names;
+}
+
+function normalizeKeywordList(value) {
+  const entries = Array.isArray(value?.keywords) ? value.keywords : value;
+  return normalizeNameList(entries).reduce((keywords, name) => {
+    const keyword = name.toLowerCase();
+    if (!keywords.includes(keyword)) keywords.push(keyword);
+    return keywords;
+  }, []);
+}
+
 function normalizeMovie(movie, { allowLowScore = false } = {}) {
   if (!movie) return null;
   const title = typeof movie.title === 'string' ? movie.title.trim() : '';
@@ -189,7 +337,11 @@ function normalizeMovie(movie, { allowLowScore = false } = {}) {
     movie.vote_count ?? movie.voteCount ?? (Array.isArray(movie.ratings) ? movie.ratings.length : 0) ?? 0
   );
   const popularity = Number(movie.popularity ?? movie.popularityScore ?? 0);
-  const searchTitle = title.toLowerCase();
+  const directors = normalizeNameList(movie.directors);
+  const topCast = normalizeNameList(movie.topCast ?? movie.cast);
+  const keywords = normalizeKeywordList(movie.keywords);
+  const searchTitle = foldSearchText(title);
+  const searchTokens = searchTitle ? searchTitle.split(' ') : [];
   const ranking = computeRanking(score, voteCount, releaseDate, popularity);
   return {
     id,
@@ -201,7 +353,11 @@ function normalizeMovie(movie, { allowLowScore = false } = {}) {
     genre_ids,
     voteCount,
     popularity,
+    directors,
+    topCast,
+    keywords,
     searchTitle,
+    searchTokens,
     ranking
   };
 }
@@ -209,6 +365,9 @@ function normalizeMovie(movie, { allowLowScore = false } = {}) {
 function formatMovieForResponse(movie, source = 'catalog') {
   if (!movie) return null;
   const roundedScore = Math.round(movie.score * 10) / 10;
+  const credits = {};
+  if (Array.isArray(movie.directors) && movie.directors.length) credits.directors = movie.directors;
+  if (Array.isArray(movie.topCast) && movie.topCast.length) credits.topCast = movie.topCast;
   return {
     id: movie.id,
     title: movie.title,
@@ -219,6 +378,8 @@ function formatMovieForResponse(movie, source = 'catalog') {
     genre_ids: Array.isArray(movie.genre_ids) ? movie.genre_ids : [],
     voteCount: Number.isFinite(movie.voteCount) ? movie.voteCount : null,
     popularity: Number.isFinite(movie.popularity) ? movie.popularity : null,
+    ...credits,
+    ...(Array.isArray(movie.keywords) && movie.keywords.length ? { keywords: movie.keywords } : {}),
     source
   };
 }
@@ -246,6 +407,9 @@ function stripDerivedMovieFields(movie) {
   const genre_ids = normalizeGenreIds(movie);
   const voteCount = Number.isFinite(Number(movie.voteCount)) ? Number(movie.voteCount) : null;
   const popularity = Number.isFinite(Number(movie.popularity)) ? Number(movie.popularity) : null;
+  const directors = normalizeNameList(movie.directors);
+  const topCast = normalizeNameList(movie.topCast);
+  const keywords = normalizeKeywordList(movie.keywords);
   return {
     id,
     title,
@@ -255,7 +419,10 @@ function stripDerivedMovieFields(movie) {
     releaseDate,
     genre_ids,
     voteCount,
-    popularity
+    popularity,
+    ...(directors.length ? { directors } : {}),
+    ...(topCast.length ? { topCast } : {}),
+    ...(keywords.length ? { keywords } : {})
   };
 }
 
@@ -285,7 +452,10 @@ function applyState(movies, metadata = {}) {
       total: prepared.length,
       updatedAt: new Date(updatedAtMs).toISOString()
     },
-    byId: new Map(prepared.map(movie => [movie.id, movie]))
+    byId: new Map(prepared.map(movie => [movie.id, movie])),
+    searchIndex: buildSearchIndex(prepared),
+    hasGenreData: prepared.some(movie => movie.genre_ids.length > 0),
+    hasKeywordData: prepared.some(movie => movie.keywords.length > 0)
   };
   return state;
 }
@@ -997,6 +1167,8 @@ async function backfillMissingPosters(options = {}) {
   const limit = Number.isFinite(limitValue) && limitValue > 0 ? Math.floor(limitValue) : 0;
   const delayValue = Number(options.delayMs);
   const delayMs = Number.isFinite(delayValue) && delayValue >= 0 ? Math.floor(delayValue) : 200;
+  const shouldStop = typeof options.shouldStop === 'function' ? options.shouldStop : () => false;
+  const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
   const targets = (Array.isArray(state.movies) ? state.movies : []).filter(
     movie => !hasImagePath(movie?.poster_path)
   );
@@ -1013,6 +1185,7 @@ async function backfillMissingPosters(options = {}) {
     unchanged: 0,
     skipped: 0,
     failed: 0,
+    stopped: false,
     updatedIds: []
   };
 
@@ -1025,6 +1198,10 @@ async function backfillMissingPosters(options = {}) {
 
   const updatesById = new Map();
   for (const movie of selectedTargets) {
+    if (shouldStop()) {
+      summary.stopped = true;
+      break;
+    }
     summary.processed += 1;
     const movieId = String(movie.id == null ? '' : movie.id).trim();
     if (!/^\d+$/.test(movieId)) {
@@ -1071,6 +1248,14 @@ async function backfillMissingPosters(options = {}) {
       summary.failed += 1;
       console.warn(`Poster backfill failed for movie ${movieId}`, err?.message || err);
     }
+    if (onProgress) {
+      onProgress({
+        attempted: summary.attempted,
+        processed: summary.processed,
+        updated: summary.updated,
+        failed: summary.failed
+      });
+    }
 
     if (delayMs > 0 && summary.processed < selectedTargets.length) {
       // Avoid hammering TMDB while backfilling missing posters.
@@ -1099,69 +1284,607 @@ async function backfillMissingPosters(options = {}) {
   return summary;
 }
 
-function buildSearchMatches(query, { limit, minScore, excludeIds } = {}) {
-  const normalizedQuery = String(query || '').trim().toLowerCase();
+async function backfillMissingKeywords(options = {}) {
+  await init();
+  const credentials = getTmdbCredentials();
+  const limitValue = Number(options.limit);
+  const limit = Number.isFinite(limitValue) && limitValue > 0 ? Math.floor(limitValue) : 0;
+  const delayValue = Number(options.delayMs);
+  const delayMs = Number.isFinite(delayValue) && delayValue >= 0 ? Math.floor(delayValue) : 200;
+  const targets = (Array.isArray(state.movies) ? state.movies : []).filter(
+    movie => !(Array.isArray(movie?.keywords) && movie.keywords.length)
+  );
+  const selectedTargets = limit > 0 ? targets.slice(0, limit) : targets.slice();
+
+  const summary = {
+    credentialsAvailable: Boolean(credentials),
+    catalogTotal: state.movies.length,
+    missingKeywordsBefore: targets.length,
+    attempted: selectedTargets.length,
+    processed: 0,
+    updated: 0,
+    unchanged: 0,
+    skipped: 0,
+    failed: 0,
+    updatedIds: []
+  };
+
+  if (!credentials || !selectedTargets.length) {
+    summary.missingKeywordsAfter = targets.length;
+    return summary;
+  }
+
+  const updatesById = new Map();
+  for (const movie of selectedTargets) {
+    summary.processed += 1;
+    const movieId = String(movie.id == null ? '' : movie.id).trim();
+    if (!/^\d+$/.test(movieId)) {
+      summary.skipped += 1;
+      continue;
+    }
+
+    try {
+      const data = await tmdbRequest(`movie/${movieId}/keywords`, new URLSearchParams(), credentials);
+      const keywords = normalizeKeywordList(data);
+      if (!keywords.length) {
+        summary.unchanged += 1;
+      } else {
+        updatesById.set(String(movie.id), { ...movie, keywords });
+        summary.updated += 1;
+        if (summary.updatedIds.length < 200) {
+          summary.updatedIds.push(String(movie.id));
+        }
+      }
+    } catch (err) {
+      summary.failed += 1;
+      console.warn(`Keyword backfill failed for movie ${movieId}`, err?.message || err);
+    }
+
+    if (delayMs > 0 && summary.processed < selectedTargets.length) {
+      // eslint-disable-next-line no-await-in-loop
+      await wait(delayMs);
+    }
+  }
+
+  if (updatesById.size) {
+    const mergedMovies = state.movies.map(movie => updatesById.get(String(movie?.id)) || movie);
+    applyState(mergedMovies, {
+      ...state.metadata,
+      updatedAt: new Date().toISOString(),
+      keywordBackfillAt: new Date().toISOString(),
+      keywordBackfillUpdated: updatesById.size
+    });
+    await persistCatalog();
+  }
+
+  summary.missingKeywordsAfter = state.movies.filter(movie => !movie.keywords.length).length;
+  return summary;
+}
+
+function foldSearchText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['\u2019]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function buildTrigrams(token) {
+  const padded = `  ${token} `;
+  const grams = new Set();
+  for (let i = 0; i <= padded.length - 3; i += 1) {
+    grams.add(padded.slice(i, i + 3));
+  }
+  return grams;
+}
+
+function editDistance(a, b, maxDistance) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function allowedEditDistance(token) {
+  if (token.length < 4) return 0;
+  if (token.length < 8) return 1;
+  return SEARCH_MAX_EDIT_DISTANCE;
+}
+
+function buildSearchIndex(movies) {
+  const tokens = new Map();
+  const trigrams = new Map();
+  for (const movie of movies) {
+    const titleTokens = Array.isArray(movie.searchTokens) ? movie.searchTokens : [];
+    const indexed = new Set(titleTokens);
+    for (let i = 0; i < titleTokens.length - 1; i += 1) {
+      indexed.add(`${titleTokens[i]}${titleTokens[i + 1]}`);
+    }
+    indexed.forEach(token => {
+      if (!tokens.has(token)) {
+        tokens.set(token, new Set());
+        buildTrigrams(token).forEach(gram => {
+          if (!trigrams.has(gram)) trigrams.set(gram, new Set());
+          trigrams.get(gram).add(token);
+        });
+      }
+      tokens.get(token).add(movie);
+    });
+  }
+  return { tokens, trigrams };
+}
+
+function matchSearchToken(index, queryToken) {
+  const matches = new Map();
+  const record = (token, quality) => {
+    const weight = SEARCH_MATCH_WEIGHTS[quality];
+    const movies = index.tokens.get(token);
+    if (!movies) return;
+    movies.forEach(movie => {
+      const existing = matches.get(movie);
+      if (!existing || existing.weight < weight) {
+        matches.set(movie, { quality, weight });
+      }
+    });
+  };
+  if (index.tokens.has(queryToken)) {
+    record(queryToken, 'exact');
+  }
+  const queryGrams = buildTrigrams(queryToken);
+  const sharedCounts = new Map();
+  queryGrams.forEach(gram => {
+    const tokens = index.trigrams.get(gram);
+    if (!tokens) return;
+    tokens.forEach(token => sharedCounts.set(token, (sharedCounts.get(token) || 0) + 1));
+  });
+  const maxDistance = allowedEditDistance(queryToken);
+  const minSharedForFuzzy = Math.max(1, queryGrams.size - 3 * maxDistance);
+  sharedCounts.forEach((shared, token) => {
+    if (token === queryToken) return;
+    if (token.startsWith(queryToken)) {
+      record(token, 'prefix');
+    } else if (queryToken.length >= 3 && token.includes(queryToken)) {
+      record(token, 'partial');
+    } else if (
+      maxDistance > 0 &&
+      shared >= minSharedForFuzzy &&
+      editDistance(queryToken, token, maxDistance) <= maxDistance
+    ) {
+      record(token, 'fuzzy');
+    }
+  });
+  return matches;
+}
+
+function worstMatchQuality(a, b) {
+  if (!a) return b;
+  return SEARCH_MATCH_WEIGHTS[a] <= SEARCH_MATCH_WEIGHTS[b] ? a : b;
+}
+
+function findIndexedMatches(tokens) {
+  const index = state.searchIndex;
+  let combined = null;
+  for (const token of tokens) {
+    const tokenMatches = matchSearchToken(index, token);
+    const next = new Map();
+    if (!combined) {
+      tokenMatches.forEach((match, movie) => {
+        next.set(movie, { quality: match.quality, weightSum: match.weight });
+      });
+    } else {
+      combined.forEach((entry, movie) => {
+        const match = tokenMatches.get(movie);
+        if (!match) return;
+        next.set(movie, {
+          quality: worstMatchQuality(entry.quality, match.quality),
+          weightSum: entry.weightSum + match.weight
+        });
+      });
+    }
+    combined = next;
+    if (!combined.size) break;
+  }
+  const results = new Map();
+  (combined || new Map()).forEach((entry, movie) => {
+    results.set(movie, { quality: entry.quality, weight: entry.weightSum / tokens.length });
+  });
+  if (tokens.length > 1) {
+    matchSearchToken(index, tokens.join('')).forEach((match, movie) => {
+      const existing = results.get(movie);
+      if (!existing || existing.weight < match.weight) {
+        results.set(movie, match);
+      }
+    });
+  }
+  return results;
+}
+
+function normalizeFilterInt(value, min = -Infinity, max = Infinity) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number.parseInt(String(value).trim(), 10);
+  if (!Number.isFinite(number)) return null;
+  return Math.min(max, Math.max(min, number));
+}
+
+function normalizeGenreFilter(value) {
+  const ids = new Set();
+  const values = value instanceof Set ? Array.from(value) : Array.isArray(value) ? value : [value];
+  values.forEach(entry => {
+    if (entry === undefined || entry === null) return;
+    String(entry)
+      .split(/[,|\s]+/)
+      .forEach(part => {
+        const numeric = Number.parseInt(part, 10);
+        if (Number.isFinite(numeric)) ids.add(numeric);
+      });
+  });
+  return ids;
+}
+
+function normalizeKeywordFilter(value) {
+  const keywords = new Set();
+  const values = value instanceof Set ? Array.from(value) : Array.isArray(value) ? value : [value];
+  values.forEach(entry => {
+    if (entry === undefined || entry === null) return;
+    String(entry)
+      .split(/[,|]+/)
+      .forEach(part => {
+        const keyword = part.trim().toLowerCase();
+        if (keyword) keywords.add(keyword);
+      });
+  });
+  return keywords;
+}
+
+function normalizeCatalogFilters(options = {}) {
+  const minVotes = normalizeFilterInt(options.minVotes, 0);
+  let startYear = normalizeFilterInt(options.startYear, 1800, 3000);
+  let endYear = normalizeFilterInt(options.endYear, 1800, 3000);
+  if (startYear != null && endYear != null && endYear < startYear) {
+    const temp = startYear;
+    startYear = endYear;
+    endYear = temp;
+  }
+  const sortRaw = typeof options.sort === 'string' ? options.sort.trim().toLowerCase() : '';
+  return {
+    minVotes,
+    startYear,
+    endYear,
+    withGenres: normalizeGenreFilter(options.withGenres),
+    withoutGenres: normalizeGenreFilter(options.withoutGenres),
+    withKeywords: normalizeKeywordFilter(options.withKeywords),
+    withoutKeywords: normalizeKeywordFilter(options.withoutKeywords),
+    sort: SEARCH_SORT_MODES.has(sortRaw) ? sortRaw : 'relevance'
+  };
+}
+
+function getReleaseYear(movie) {
+  if (typeof movie?.releaseDate !== 'string') return null;
+  const year = Number.parseInt(movie.releaseDate.slice(0, 4), 10);
+  return Number.isFinite(year) ? year : null;
+}
+
+function matchesCatalogFilters(movie, filters) {
+  if (filters.minVotes != null) {
+    if (!Number.isFinite(movie.voteCount) || movie.voteCount < filters.minVotes) {
+      return false;
+    }
+  }
+  if (filters.startYear != null || filters.endYear != null) {
+    const year = getReleaseYear(movie);
+    if (filters.startYear != null && (year == null || year < filters.startYear)) {
+      return false;
+    }
+    if (filters.endYear != null && (year == null || year > filters.endYear)) {
+      return false;
+    }
+  }
+  if (state.hasGenreData && (filters.withGenres.size || filters.withoutGenres.size)) {
+    const ids = movie.genre_ids;
+    if (filters.withGenres.size && !ids.some(id => filters.withGenres.has(id))) {
+      return false;
+    }
+    if (filters.withoutGenres.size && ids.some(id => filters.withoutGenres.has(id))) {
+      return false;
+    }
+  }
+  if (state.hasKeywordData && (filters.withKeywords.size || filters.withoutKeywords.size)) {
+    const keywords = movie.keywords;
+    if (filters.withKeywords.size && !keywords.some(keyword => filters.withKeywords.has(keyword))) {
+      return false;
+    }
+    if (filters.withoutKeywords.size && keywords.some(keyword => filters.withoutKeywords.has(keyword))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function buildSearchSortKey(entry, sort) {
+  const { movie } = entry;
+  const releaseMs = parseDate(movie.releaseDate);
+  const missingRelease = Number.MAX_SAFE_INTEGER;
+  let primary = [];
+  if (sort === 'rating') {
+    primary = [-movie.score, -(movie.voteCount || 0)];
+  } else if (sort === 'votes') {
+    primary = [-(movie.voteCount || 0)];
+  } else if (sort === 'popularity') {
+    primary = [-(movie.popularity || 0)];
+  } else if (sort === 'newest') {
+    primary = [releaseMs == null ? missingRelease : -releaseMs];
+  } else if (sort === 'oldest') {
+    primary = [releaseMs == null ? missingRelease : releaseMs];
+  } else if (sort === 'title') {
+    primary = [movie.title];
+  }
+  return [...primary, -entry.score, String(movie.id ?? '')];
+}
+
+function compareSortKeys(a, b) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    const left = a[i];
+    const right = b[i];
+    if (left === right) continue;
+    if (typeof left === 'string' || typeof right === 'string') {
+      const diff = String(left ?? '').localeCompare(String(right ?? ''));
+      if (diff) return diff;
+      continue;
+    }
+    const diff = (Number(left) || 0) - (Number(right) || 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+function encodeSearchCursor(payload) {
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+function decodeSearchCursor(cursor, { query, sort, rank }) {
+  const invalid = () => {
+    const error = new Error('invalid_cursor');
+    error.status = 400;
+    return error;
+  };
+  let parsed = null;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw invalid();
+  }
+  if (
+    !parsed ||
+    parsed.v !== SEARCH_CURSOR_VERSION ||
+    !Array.isArray(parsed.key) ||
+    parsed.q !== query ||
+    parsed.sort !== sort ||
+    parsed.rank !== rank
+  ) {
+    throw invalid();
+  }
+  return parsed.key;
+}
+
+function buildSearchMatches(
+  query,
+  { limit, minScore, excludeIds, cursor, rank, ...filterOptions } = {}
+) {
+  const filters = normalizeCatalogFilters(filterOptions);
+  const rankProfile = resolveRankingProfileName(rank);
+  const normalizedQuery = foldSearchText(query);
+  const cursorKey = cursor
+    ? decodeSearchCursor(cursor, { query: normalizedQuery, sort: filters.sort, rank: rankProfile })
+    : null;
+  const rankMovie = movie =>
+    rankProfile === DEFAULT_RANKING_PROFILE
+      ? movie.ranking
+      : computeRanking(movie.score, movie.voteCount, movie.releaseDate, movie.popularity, rankProfile);
   const targetMinScore = Number.isFinite(minScore) ? Number(minScore) : MIN_SCORE;
   const matches = [];
   const isEmptyQuery = !normalizedQuery.length;
-  const tokens = normalizedQuery.split(/\s+/).filter(Boolean);
+  const tokens = normalizedQuery.split(' ').filter(Boolean);
   const excludeSet = excludeIds instanceof Set
     ? excludeIds
     : new Set(Array.isArray(excludeIds) ? excludeIds.map(id => String(id)) : []);
-  for (const movie of state.movies) {
+  const isEligible = movie => {
     if (excludeSet.size && movie?.id != null && excludeSet.has(String(movie.id))) {
-      continue;
+      return false;
     }
-    if (movie.score < targetMinScore) continue;
-    if (isEmptyQuery) {
-      matches.push({ movie, score: movie.ranking });
-    } else {
-      let matched = true;
-      let earliestIndex = Infinity;
-      for (const token of tokens) {
-        const idx = movie.searchTitle.indexOf(token);
-        if (idx === -1) {
-          matched = false;
-          break;
-        }
-        earliestIndex = Math.min(earliestIndex, idx);
-      }
-      if (!matched) continue;
-      let score = movie.ranking;
+    if (movie.score < targetMinScore) return false;
+    return matchesCatalogFilters(movie, filters);
+  };
+  if (isEmptyQuery) {
+    for (const movie of state.movies) {
+      if (!isEligible(movie)) continue;
+      matches.push({ movie, score: rankMovie(movie), sortKey: null });
+    }
+  } else {
+    findIndexedMatches(tokens).forEach((match, movie) => {
+      if (!isEligible(movie)) return;
+      let score = rankMovie(movie) - (1 - match.weight) * SEARCH_MATCH_PENALTY;
+      const earliestIndex = movie.searchTitle.indexOf(tokens[0]);
       if (movie.searchTitle === normalizedQuery) {
         score += 5;
       } else if (earliestIndex === 0) {
         score += 1.5;
-      } else if (Number.isFinite(earliestIndex)) {
+      } else if (earliestIndex > 0) {
         score += Math.max(0, 1 - earliestIndex / 50);
       }
-      matches.push({ movie, score });
+      matches.push({ movie, score, quality: match.quality, sortKey: null });
+    });
+  }
+  matches.forEach(entry => {
+    entry.sortKey = buildSearchSortKey(entry, filters.sort);
+  });
+  matches.sort((a, b) => compareSortKeys(a.sortKey, b.sortKey));
+  const startIndex = cursorKey
+    ? (() => {
+        const index = matches.findIndex(entry => compareSortKeys(entry.sortKey, cursorKey) > 0);
+        return index === -1 ? matches.length : index;
+      })()
+    : 0;
+  const limited = matches.slice(startIndex, startIndex + limit);
+  const lastEntry = limited[limited.length - 1];
+  const nextCursor =
+    lastEntry && startIndex + limited.length < matches.length
+      ? encodeSearchCursor({
+          v: SEARCH_CURSOR_VERSION,
+          q: normalizedQuery,
+          sort: filters.sort,
+          rank: rankProfile,
+          key: lastEntry.sortKey
+        })
+      : null;
+  let matchQuality = null;
+  if (!isEmptyQuery) {
+    matchQuality = {
+      query: normalizedQuery,
+      tokens,
+      best: null,
+      exact: 0,
+      prefix: 0,
+      partial: 0,
+      fuzzy: 0
+    };
+    for (const entry of matches) {
+      matchQuality[entry.quality] += 1;
+      if (!matchQuality.best || SEARCH_MATCH_WEIGHTS[entry.quality] > SEARCH_MATCH_WEIGHTS[matchQuality.best]) {
+        matchQuality.best = entry.quality;
+      }
     }
   }
-  matches.sort((a, b) => b.score - a.score);
-  const limited = matches.slice(0, limit);
   return {
     totalMatches: matches.length,
-    results: limited.map(entry => formatMovieForResponse(entry.movie, 'catalog'))
+    results: limited.map(entry => formatMovieForResponse(entry.movie, 'catalog')),
+    nextCursor,
+    matchQuality,
+    filters: {
+      minVotes: filters.minVotes,
+      startYear: filters.startYear,
+      endYear: filters.endYear,
+      withGenres: Array.from(filters.withGenres).sort((a, b) => a - b),
+      withoutGenres: Array.from(filters.withoutGenres).sort((a, b) => a - b),
+      withKeywords: Array.from(filters.withKeywords).sort(),
+      withoutKeywords: Array.from(filters.withoutKeywords).sort(),
+      sort: filters.sort,
+      rank: rankProfile
+    }
   };
 }
 
 function searchCatalog(query, options = {}) {
   if (!state.movies.length) return [];
   const limit = Math.max(1, Number(options.limit) || DEFAULT_LIMIT);
-  const minScore = options.minScore;
-  const excludeIds = options.excludeIds;
-  return buildSearchMatches(query, { limit, minScore, excludeIds }).results;
+  return buildSearchMatches(query, { ...options, limit }).results;
 }
 
 function searchCatalogWithStats(query, options = {}) {
   if (!state.movies.length) {
-    return { results: [], totalMatches: 0 };
+    return { results: [], totalMatches: 0, nextCursor: null, matchQuality: null, filters: null };
   }
   const limit = Math.max(1, Number(options.limit) || DEFAULT_LIMIT);
-  const minScore = options.minScore;
-  const excludeIds = options.excludeIds;
-  return buildSearchMatches(query, { limit, minScore, excludeIds });
+  return buildSearchMatches(query, { ...options, limit });
+}
+
+function countSharedNames(a, b) {
+  if (!a.length || !b.length) return 0;
+  const lookup = new Set(a.map(name => name.toLowerCase()));
+  return b.filter(name => lookup.has(name.toLowerCase())).length;
+}
+
+function scoreSimilarity(source, candidate) {
+  const reasons = [];
+  let similarity = 0;
+  const sourceGenres = new Set(source.genre_ids);
+  const sharedGenres = candidate.genre_ids.filter(id => sourceGenres.has(id)).length;
+  if (sharedGenres) {
+    const union = new Set([...source.genre_ids, ...candidate.genre_ids]).size;
+    similarity += (sharedGenres / union) * SIMILAR_WEIGHTS.genres;
+    reasons.push('genres');
+  }
+  const sharedDirectors = countSharedNames(source.directors, candidate.directors);
+  if (sharedDirectors) {
+    similarity += SIMILAR_WEIGHTS.director;
+    reasons.push('director');
+  }
+  const sharedCast = countSharedNames(source.topCast, candidate.topCast);
+  if (sharedCast) {
+    similarity += Math.min(3, sharedCast) * SIMILAR_WEIGHTS.cast;
+    reasons.push('cast');
+  }
+  if (!reasons.length) return null;
+  const sourceYear = getReleaseYear(source);
+  const candidateYear = getReleaseYear(candidate);
+  if (sourceYear != null && candidateYear != null) {
+    const eraScore = Math.max(0, 1 - Math.abs(sourceYear - candidateYear) / SIMILAR_ERA_SPAN_YEARS);
+    if (eraScore > 0) {
+      similarity += eraScore * SIMILAR_WEIGHTS.era;
+      reasons.push('era');
+    }
+  }
+  const ratingScore = Math.max(0, 1 - Math.abs(source.score - candidate.score) / 3);
+  if (ratingScore > 0) {
+    similarity += ratingScore * SIMILAR_WEIGHTS.rating;
+    reasons.push('rating');
+  }
+  return { similarity: similarity + (candidate.ranking || 0) * 0.05, reasons };
+}
+
+function findSimilarMovies(id, { limit, excludeIds, hints = {} } = {}) {
+  const key = id == null ? '' : String(id);
+  const known = state.byId.get(key);
+  const source = known || normalizeMovie(
+    { ...hints, id: key, title: hints.title || key, score: hints.score ?? 0 },
+    { allowLowScore: true }
+  );
+  if (!source) return null;
+  if (!known && !source.genre_ids.length && !source.directors.length && !source.topCast.length) {
+    return null;
+  }
+  const hintedDirectors = normalizeNameList(hints.directors);
+  const hintedCast = normalizeNameList(hints.topCast);
+  const reference = {
+    ...source,
+    directors: source.directors.length ? source.directors : hintedDirectors,
+    topCast: source.topCast.length ? source.topCast : hintedCast
+  };
+  const sanitizedLimit = Math.max(1, Number(limit) || DEFAULT_LIMIT);
+  const excludeSet = excludeIds instanceof Set
+    ? excludeIds
+    : new Set(Array.isArray(excludeIds) ? excludeIds.map(value => String(value)) : []);
+  const matches = [];
+  for (const movie of state.movies) {
+    if (movie.id === key || excludeSet.has(movie.id)) continue;
+    const scored = scoreSimilarity(reference, movie);
+    if (!scored) continue;
+    matches.push({ movie, ...scored });
+  }
+  matches.sort((a, b) => b.similarity - a.similarity);
+  return {
+    source: formatMovieForResponse(reference, known ? 'catalog' : 'request'),
+    totalMatches: matches.length,
+    results: matches.slice(0, sanitizedLimit).map(entry => ({
+      ...formatMovieForResponse(entry.movie, 'catalog'),
+      similarity: Math.round(entry.similarity * 1000) / 1000,
+      reasons: entry.reasons
+    }))
+  };
 }
 
 function recentThresholdDate() {
@@ -1370,13 +2093,21 @@ function stop() {
 
 module.exports = {
   MIN_SCORE,
+  DEFAULT_RANKING_PROFILE,
+  getRankingProfiles,
   init,
   stop,
   ensureCatalog,
   getMissingImageStats,
   backfillMissingPosters,
+  backfillMissingKeywords,
   searchCatalog,
   searchCatalogWithStats,
+  findSimilarMovies,
   fetchNewReleases,
-  hasTmdbCredentials
+  hasTmdbCredentials,
+  computeRanking,
+  foldSearchText,
+  normalizeGenreIds,
+  tmdbRequest
 };
@@ -0,0 +1,451 @@
+const fs = require('fs');
+const { readCachedResponse, writeCachedResponse } = require('../shared/cache');
+
+const RATINGS_MERGE_POLICIES = new Set(['fill', 'override']);
+const CRITIC_RATING_FIELDS = ['rottenTomatoes', 'metacritic', 'imdb'];
+const RATINGS_DEFAULT_CACHE_TTL_MS = 1000 * 60 * 60 * 24; // 24 hours
+const RATINGS_DEFAULT_BACKOFF_MS = 15 * 60 * 1000;
+const TRAKT_BASE_URL = 'https://api.trakt.tv';
+
+function cleanString(value) {
+  if (value == null) return '';
+  return String(value).trim();
+}
+
+function normalizeLookup(raw = {}) {
+  const tmdbId = cleanString(raw.tmdbId);
+  return {
+    imdbId: cleanString(raw.imdbId || raw.imdbID),
+    tmdbId: /^\d+$/.test(tmdbId) ? tmdbId : '',
+    title: cleanString(raw.title),
+    year: cleanString(raw.year),
+    type: cleanString(raw.type).toLowerCase()
+  };
+}
+
+function buildRatingsCacheKeyParts(name, lookup) {
+  const parts = [name, `type:${lookup.type || 'any'}`];
+  if (lookup.imdbId) {
+    parts.push(`imdb:${lookup.imdbId.toLowerCase()}`);
+  } else if (lookup.tmdbId) {
+    parts.push(`tmdb:${lookup.tmdbId}`);
+  } else {
+    parts.push(`title:${lookup.title.toLowerCase()}`);
+  }
+  parts.push(`year:${lookup.year}`);
+  return parts;
+}
+
+function normalizeRatings(raw) {
+  const ratings = {};
+  Object.entries(raw && typeof raw === 'object' ? raw : {}).forEach(([field, value]) => {
+    if (value == null || value === '') return;
+    const number = Number(value);
+    if (Number.isFinite(number)) ratings[field] = number;
+  });
+  return ratings;
+}
+
+function normalizeProviderPayload(name, raw, lookup) {
+  if (!raw || typeof raw !== 'object' || !raw.ratings || typeof raw.ratings !== 'object') return null;
+  const ratings = normalizeRatings(raw.ratings);
+  return {
+    source: name,
+    ratings,
+    imdbId: cleanString(raw.imdbId) || lookup.imdbId || null,
+    title: cleanString(raw.title) || lookup.title || null,
+    year: cleanString(raw.year) || lookup.year || null,
+    type: cleanString(raw.type) || lookup.type || null,
+    fetchedAt: cleanString(raw.fetchedAt) || new Date().toISOString()
+  };
+}
+
+function createRatingsProvider(definition, deps = {}) {
+  const {
+    name,
+    fetchRatings,
+    isEnabled = () => true,
+    supports = () => true,
+    merge = 'fill',
+    cacheCollection = null,
+    cacheTtlMs = RATINGS_DEFAULT_CACHE_TTL_MS,
+    minIntervalMs = 0,
+    rateLimitBackoffMs = RATINGS_DEFAULT_BACKOFF_MS
+  } = definition || {};
+  if (!name || typeof fetchRatings !== 'function') {
+    throw new Error('Ratings providers need a name and a fetchRatings function');
+  }
+  if (!RATINGS_MERGE_POLICIES.has(merge)) {
+    throw new Error(`Unknown merge policy for ${name}: ${merge}`);
+  }
+  const readCache = deps.readCache || readCachedResponse;
+  const writeCache = deps.writeCache || writeCachedResponse;
+  const now = deps.now || Date.now;
+
+  let nextSlotAt = 0;
+  let blockedUntil = 0;
+
+  const readFromCache = async lookup => {
+    if (!cacheCollection) return null;
+    try {
+      const cached = await readCache(
+        cacheCollection,
+        buildRatingsCacheKeyParts(name, lookup),
+        cacheTtlMs
+      );
+      if (!cached || typeof cached.body !== 'string' || !cached.body.length) return null;
+      const body = JSON.parse(cached.body);
+      if (body?.notFound) return { notFound: true };
+      const payload = normalizeProviderPayload(name, body, lookup);
+      return payload ? { payload } : null;
+    } catch (err) {
+      console.warn(`Ratings cache read failed for ${name}`, err?.message || err);
+      return null;
+    }
+  };
+
+  const writeToCache = async (lookup, payload) => {
+    if (!cacheCollection) return;
+    try {
+      await writeCache(cacheCollection, buildRatingsCacheKeyParts(name, lookup), {
+        body: JSON.stringify(payload || { notFound: true }),
+        metadata: {
+          provider: name,
+          imdbId: payload?.imdbId || lookup.imdbId || null,
+          title: payload?.title || lookup.title || null
+        }
+      });
+    } catch (err) {
+      console.warn(`Ratings cache write failed for ${name}`, err?.message || err);
+    }
+  };
+
+  const takeSlot = () => {
+    if (minIntervalMs <= 0) return true;
+    const current = now();
+    if (current < nextSlotAt) return false;
+    nextSlotAt = current + minIntervalMs;
+    return true;
+  };
+
+  async function lookup(rawLookup, options = {}) {
+    const request = normalizeLookup(rawLookup);
+    const result = { provider: name, outcome: null, payload: null, message: null };
+    if (!isEnabled(options)) {
+      return { ...result, outcome: 'disabled' };
+    }
+    if (!supports(request)) {
+      return { ...result, outcome: 'unsupported' };
+    }
+    if (!options.forceRefresh) {
+      const cached = await readFromCache(request);
+      if (cached?.notFound) {
+        return { ...result, outcome: 'not_found' };
+      }
+      if (cached) {
+        return { ...result, outcome: 'cache_hit', payload: cached.payload };
+      }
+    }
+    if (options.cacheOnly) {
+      return { ...result, outcome: 'skipped' };
+    }
+    if (now() < blockedUntil) {
+      return {
+        ...result,
+        outcome: 'rate_limited',
+        message: `${name} is backing off until ${new Date(blockedUntil).toISOString()}`
+      };
+    }
+    if (!takeSlot()) {
+      return {
+        ...result,
+        outcome: 'rate_limited',
+        message: `${name} has no free request slot right now`
+      };
+    }
+
+    let response;
+    try {
+      response = (await fetchRatings(request, options)) || {};
+    } catch (err) {
+      return { ...result, outcome: 'request_failed', message: String(err?.message || err) };
+    }
+    if (response.outcome === 'rate_limited') {
+      blockedUntil = now() + rateLimitBackoffMs;
+    }
+    const payload = normalizeProviderPayload(name, response.payload, request);
+    if (!payload) {
+      if (response.outcome === 'not_found') {
+        await writeToCache(request, null);
+      }
+      const outcome =
+        !response.outcome || ['fetched', 'cache_hit'].includes(response.outcome)
+          ? 'not_found'
+          : response.outcome;
+      return { ...result, outcome, message: response.message || null };
+    }
+    if (response.outcome !== 'cache_hit') {
+      await writeToCache(request, payload);
+    }
+    return {
+      ...result,
+      outcome: response.outcome === 'cache_hit' ? 'cache_hit' : 'fetched',
+      payload
+    };
+  }
+
+  return {
+    name,
+    merge,
+    cacheCollection,
+    minIntervalMs,
+    lookup,
+    describe(options = {}) {
+      return {
+        name,
+        enabled: Boolean(isEnabled(options)),
+        merge,
+        cacheCollection,
+        cacheTtlMs: cacheCollection ? cacheTtlMs : null,
+        minIntervalMs,
+        blockedUntil: now() < blockedUntil ? new Date(blockedUntil).toISOString() : null
+      };
+    }
+  };
+}
+
+function mergeRatingsResults(results, providers = []) {
+  const policies = new Map(providers.map(provider => [provider.name, provider.merge]));
+  const merged = {
+    source: null,
+    ratings: Object.fromEntries(CRITIC_RATING_FIELDS.map(field => [field, null])),
+    sources: {},
+    imdbId: null,
+    title: null,
+    year: null,
+    type: null,
+    fetchedAt: null
+  };
+  (Array.isArray(results) ? results : []).forEach(result => {
+    const payload = result?.payload;
+    if (!payload || !payload.ratings) return;
+    const override = policies.get(result.provider) === 'override';
+    let contributed = false;
+    Object.entries(payload.ratings).forEach(([field, value]) => {
+      if (!Number.isFinite(value)) return;
+      if (!override && Number.isFinite(merged.ratings[field])) return;
+      merged.ratings[field] = value;
+      merged.sources[field] = result.provider;
+      contributed = true;
+    });
+    if (!contributed) return;
+    if (!merged.source) merged.source = result.provider;
+    ['imdbId', 'title', 'year', 'type'].forEach(field => {
+      if (!merged[field] && payload[field]) merged[field] = payload[field];
+    });
+    if (!merged.fetchedAt || String(payload.fetchedAt) > merged.fetchedAt) {
+      merged.fetchedAt = payload.fetchedAt || null;
+    }
+  });
+  if (!merged.source) {
+    const found = (Array.isArray(results) ? results : []).find(result => result?.payload);
+    if (!found) return null;
+    merged.source = found.provider;
+    ['imdbId', 'title', 'year', 'type', 'fetchedAt'].forEach(field => {
+      merged[field] = found.payload[field] || null;
+    });
+  }
+  return merged;
+}
+
+function createRatingsRegistry(providers = []) {
+  const registered = [];
+
+  function register(provider) {
+    if (registered.some(existing => existing.name === provider.name)) {
+      throw new Error(`Ratings provider already registered: ${provider.name}`);
+    }
+    registered.push(provider);
+    return provider;
+  }
+
+  async function lookupAll(lookup, options = {}) {
+    const [primary, ...rest] = registered;
+    if (!primary) {
+      return { payload: null, results: [], outcomes: {} };
+    }
+    const first = await primary.lookup(lookup, options);
+    const answered =
+      Boolean(first.payload) &&
+      CRITIC_RATING_FIELDS.every(field => Number.isFinite(first.payload.ratings?.[field]));
+    const results = [
+      first,
+      ...(await Promise.all(
+        rest.map(provider =>
+          provider.lookup(
+            lookup,
+            answered && provider.merge === 'fill' ? { ...options, cacheOnly: true } : options
+          )
+        )
+      ))
+    ];
+    const outcomes = {};
+    results.forEach(result => {
+      outcomes[result.provider] = result.outcome;
+    });
+    return { payload: mergeRatingsResults(results, registered), results, outcomes };
+  }
+
+  providers.forEach(register);
+
+  return {
+    register,
+    lookupAll,
+    get: name => registered.find(provider => provider.name === name) || null,
+    list: (options = {}) => registered.map(provider => provider.describe(options))
+  };
+}
+
+function classifyHttpStatus(status) {
+  if (status === 429) return 'rate_limited';
+  if (status === 401 || status === 403) return 'invalid_key';
+  if (status === 404) return 'not_found';
+  return 'request_failed';
+}
+
+function createTmdbRatingsProvider({ hasCredentials, request, deps, ...options } = {}) {
+  return createRatingsProvider(
+    {
+      name: 'tmdb',
+      cacheCollection: 'tmdbRatingsCache',
+      minIntervalMs: 250,
+      ...options,
+      isEnabled: () => Boolean(hasCredentials && hasCredentials()),
+      supports: lookup => Boolean(lookup.tmdbId || lookup.imdbId),
+      fetchRatings: async lookup => {
+        let movie;
+        try {
+          if (lookup.tmdbId) {
+            movie = await request(`movie/${lookup.tmdbId}`, new URLSearchParams());
+          } else {
+            const found = await request(
+              `find/${encodeURIComponent(lookup.imdbId)}`,
+              new URLSearchParams({ external_source: 'imdb_id' })
+            );
+            movie = Array.isArray(found?.movie_results) ? found.movie_results[0] : null;
+          }
+        } catch (err) {
+          const status = Number(String(err?.message || '').match(/failed: (\d{3})/)?.[1]);
+          return { outcome: classifyHttpStatus(status), message: String(err?.message || err) };
+        }
+        if (!movie || !(Number(movie.vote_count) > 0)) {
+          return { outcome: 'not_found' };
+        }
+        return {
+          outcome: 'fetched',
+          payload: {
+            ratings: { tmdb: Math.round(Number(movie.vote_average) * 10) / 10 },
+            imdbId: movie.imdb_id || lookup.imdbId,
+            title: movie.title,
+            year: String(movie.release_date || '').slice(0, 4)
+          }
+        };
+      }
+    },
+    deps
+  );
+}
+
+function createTraktRatingsProvider({ clientId, fetchImpl = fetch, deps, ...options } = {}) {
+  return createRatingsProvider(
+    {
+      name: 'trakt',
+      cacheCollection: 'traktRatingsCache',
+      minIntervalMs: 1000,
+      ...options,
+      isEnabled: () => Boolean(clientId),
+      supports: lookup => Boolean(lookup.imdbId),
+      fetchRatings: async lookup => {
+        const response = await fetchImpl(
+          `${TRAKT_BASE_URL}/movies/${encodeURIComponent(lookup.imdbId)}/ratings`,
+          {
+            headers: {
+              'Content-Type': 'application/json',
+              'trakt-api-version': '2',
+              'trakt-api-key': clientId
+            }
+          }
+        );
+        if (!response.ok) {
+          return {
+            outcome: classifyHttpStatus(response.status),
+            message: `Trakt request failed with status ${response.status}`
+          };
+        }
+        const data = await response.json();
+        if (!data || !(Number(data.votes) > 0)) {
+          return { outcome: 'not_found' };
+        }
+        return {
+          outcome: 'fetched',
+          payload: { ratings: { trakt: Math.round(Number(data.rating) * 10) / 10 } }
+        };
+      }
+    },
+    deps
+  );
+}
+
+function buildLocalRatingsIndex(entries) {
+  const index = new Map();
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    if (!entry || typeof entry !== 'object' || !entry.ratings) return;
+    const lookup = normalizeLookup(entry);
+    if (lookup.imdbId) index.set(`imdb:${lookup.imdbId.toLowerCase()}`, entry);
+    if (lookup.tmdbId) index.set(`tmdb:${lookup.tmdbId}`, entry);
+    if (lookup.title) index.set(`title:${lookup.title.toLowerCase()}|${lookup.year}`, entry);
+  });
+  return index;
+}
+
+function readLocalRatingsFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : Array.isArray(parsed?.movies) ? parsed.movies : [];
+  } catch (err) {
+    console.warn(`Failed to read local ratings dataset ${filePath}`, err?.message || err);
+    return [];
+  }
+}
+
+function createLocalRatingsProvider({ name = 'local', entries, filePath, deps, ...options } = {}) {
+  const index = buildLocalRatingsIndex(entries || readLocalRatingsFile(filePath));
+  return createRatingsProvider(
+    {
+      name,
+      ...options,
+      isEnabled: () => index.size > 0,
+      fetchRatings: async lookup => {
+        const entry =
+          (lookup.imdbId && index.get(`imdb:${lookup.imdbId.toLowerCase()}`)) ||
+          (lookup.tmdbId && index.get(`tmdb:${lookup.tmdbId}`)) ||
+          (lookup.title && index.get(`title:${lookup.title.toLowerCase()}|${lookup.year}`));
+        if (!entry) return { outcome: 'not_found' };
+        return { outcome: 'fetched', payload: entry };
+      }
+    },
+    deps
+  );
+}
+
+module.exports = {
+  RATINGS_MERGE_POLICIES,
+  normalizeLookup,
+  createRatingsProvider,
+  mergeRatingsResults,
+  createRatingsRegistry,
+  createTmdbRatingsProvider,
+  createTraktRatingsProvider,
+  createLocalRatingsProvider
+};
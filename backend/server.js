@@ -21,6 +21,15 @@ const {
 } = require('../shared/cache');
 const { getFirestore, serverTimestamp } = require('../shared/firestore');
 const movieCatalog = require('./movie-catalog');
+const { createJobScheduler } = require('./job-scheduler');
+const {
+  createRatingsProvider,
+  createRatingsRegistry,
+  createTmdbRatingsProvider,
+  createTraktRatingsProvider,
+  createLocalRatingsProvider
+} = require('./ratings-providers');
+const showCatalog = require('./show-catalog');
 let nodemailer;
 try {
   nodemailer = require('nodemailer');
@@ -56,6 +65,8 @@ const OMDB_API_KEY =
 const OMDB_CACHE_COLLECTION = 'omdbRatings';
 const OMDB_CACHE_TTL_MS = 1000 * 60 * 60 * 12; // 12 hours
 const OMDB_SCORES_COLLECTION = 'movieCriticScores';
+const OMDB_BATCH_MAX_ITEMS = 50;
+const OMDB_ALLOWED_TYPES = new Set(['movie', 'series', 'episode']);
 const OMDB_PREFETCH_STATE_COLLECTION = 'omdbRatingsPrefetch';
 const OMDB_PREFETCH_STATE_KEY = ['state', 'v1'];
 const OMDB_PREFETCH_DEFAULT_DELAY_MS = Math.max(
@@ -78,6 +89,24 @@ const OMDB_PREFETCH_DEFAULT_RETRY_AFTER_MS = Math.max(
   5 * 60 * 1000,
   Number(process.env.OMDB_PREFETCH_RETRY_AFTER_MS) || 60 * 60 * 1000
 );
+const OMDB_PREFETCH_JOB = 'omdbPrefetch';
+const OMDB_PREFETCH_WINDOWS = process.env.OMDB_PREFETCH_WINDOWS || '';
+const OMDB_PREFETCH_QUEUE_LIMIT = Math.max(
+  100,
+  Number(process.env.OMDB_PREFETCH_QUEUE_LIMIT) || 5000
+);
+const OMDB_PREFETCH_PRIORITIES = { saved: 2, feed: 1 };
+const POSTER_BACKFILL_JOB = 'moviePosterBackfill';
+const POSTER_BACKFILL_WINDOWS = process.env.POSTER_BACKFILL_WINDOWS || '';
+const TRAKT_CLIENT_ID = process.env.TRAKT_CLIENT_ID || process.env.TRAKT_API_KEY || '';
+const RATINGS_LOCAL_DATASET_PATH = process.env.RATINGS_LOCAL_DATASET_PATH || '';
+const RATINGS_LOCAL_MERGE = process.env.RATINGS_LOCAL_MERGE === 'override' ? 'override' : 'fill';
+const RATINGS_PROVIDERS_ENABLED = new Set(
+  String(process.env.RATINGS_PROVIDERS || 'omdb,tmdb,trakt,local')
+    .split(/[,|\s]+/)
+    .map(part => part.trim().toLowerCase())
+    .filter(Boolean)
+);
 const YOUTUBE_SEARCH_BASE_URL = 'https://www.googleapis.com/youtube/v3/search';
 const YOUTUBE_API_KEY =
   process.env.YOUTUBE_API_KEY ||
@@ -86,6 +115,8 @@ const YOUTUBE_API_KEY =
   '';
 const YOUTUBE_SEARCH_CACHE_COLLECTION = 'youtubeSearchCache';
 const YOUTUBE_SEARCH_CACHE_TTL_MS = 1000 * 60 * 60 * 6; // 6 hours
+const YOUTUBE_SEARCH_DEFAULT_LIMIT = 5;
+const YOUTUBE_SEARCH_MAX_LIMIT = 10;
 
 const DEFAULT_REMOTE_API_BASE = 'https://narrow-down.web.app/api';
 const DEFAULT_REMOTE_TMDB_PROXY_URL = `${DEFAULT_REMOTE_API_BASE}/tmdbProxy`;
@@ -96,6 +127,26 @@ const TMDB_IMAGE_CACHE_TTL_MS = Math.max(
   24 * 60 * 60 * 1000,
   Number(process.env.TMDB_IMAGE_CACHE_TTL_MS) || 30 * 24 * 60 * 60 * 1000
 );
+const TMDB_PROXY_CACHE_COLLECTION = 'tmdbProxyCache';
+const TMDB_PROXY_CACHE_TTL_MS = Math.max(
+  60 * 60 * 1000,
+  Number(process.env.TMDB_PROXY_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000
+);
+const TMDB_PROXY_CACHEABLE_ENDPOINTS = new Set([
+  'credits',
+  'keywords',
+  'movie_details',
+  'movie_videos',
+  'person_details',
+  'tv_credits',
+  'tv_details',
+  'watch_providers',
+  'watch_provider_list'
+]);
+const TMDB_PROXY_CACHE_TTL_OVERRIDES_MS = {
+  watch_providers: 24 * 60 * 60 * 1000,
+  watch_provider_list: 24 * 60 * 60 * 1000
+};
 const TMDB_IMAGE_ALLOWED_SIZES = new Set([
   'w92',
   'w154',
@@ -108,15 +159,8 @@ const TMDB_IMAGE_ALLOWED_SIZES = new Set([
   'w780',
   'original'
 ]);
-const omdbPrefetchRuntime = {
-  running: false,
-  stopRequested: false,
-  startedAt: null,
-  lastFinishedAt: null,
-  options: null,
-  progress: null,
-  lastError: null
-};
+const omdbInFlightLookups = new Set();
+const jobScheduler = createJobScheduler();
 
 async function safeReadCachedResponse(collection, keyParts, ttlMs) {
   try {
@@ -217,6 +261,40 @@ const TMDB_ALLOWED_ENDPOINTS = {
     },
     omitParams: ['movie_id', 'movieId', 'id']
   },
+  watch_providers: {
+    path: query => {
+      const rawId = query?.movie_id ?? query?.id ?? query?.movieId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/movie/${encodeURIComponent(trimmed)}/watch/providers`;
+    },
+    omitParams: ['movie_id', 'movieId', 'id']
+  },
+  watch_provider_list: { path: '/3/watch/providers/movie' },
+  keywords: {
+    path: query => {
+      const rawId = query?.movie_id ?? query?.id ?? query?.movieId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/movie/${encodeURIComponent(trimmed)}/keywords`;
+    },
+    omitParams: ['movie_id', 'movieId', 'id']
+  },
+  movie_videos: {
+    path: query => {
+      const rawId = query?.movie_id ?? query?.id ?? query?.movieId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/movie/${encodeURIComponent(trimmed)}/videos`;
+    },
+    omitParams: ['movie_id', 'movieId', 'id']
+  },
   person_details: {
     path: query => {
       const rawId = query?.person_id ?? query?.id;
@@ -228,8 +306,33 @@ const TMDB_ALLOWED_ENDPOINTS = {
     },
     omitParams: ['person_id', 'id']
   },
+  discover_tv: { path: '/3/discover/tv' },
+  tv_genres: { path: '/3/genre/tv/list' },
+  tv_credits: {
+    path: query => {
+      const rawId = query?.tv_id ?? query?.id ?? query?.tvId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/tv/${encodeURIComponent(trimmed)}/aggregate_credits`;
+    },
+    omitParams: ['tv_id', 'tvId', 'id']
+  },
+  tv_details: {
+    path: query => {
+      const rawId = query?.tv_id ?? query?.id ?? query?.tvId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/tv/${encodeURIComponent(trimmed)}`;
+    },
+    omitParams: ['tv_id', 'tvId', 'id']
+  },
   search_multi: { path: '/3/search/multi' },
   search_movie: { path: '/3/search/movie' },
+  search_person: { path: '/3/search/person' },
   trending_all: { path: '/3/trending/all/day' },
   trending_movies: { path: '/3/trending/movie/day' },
   popular_movies: { path: '/3/movie/popular' },
@@ -379,16 +482,50 @@ const mailer = (() => {
 
 app.use(express.json());
 
+function tmdbProxyCacheKey(endpointKey, query) {
+  const entries = Object.entries(query)
+    .filter(([key, value]) => key !== 'api_key' && value !== undefined && value !== null)
+    .map(([key, value]) => [key, Array.isArray(value) ? value.map(String).join(',') : String(value)])
+    .sort(([a], [b]) => a.localeCompare(b));
+  return ['proxy', endpointKey, entries.map(([key, value]) => `${key}=${value}`).join('&')];
+}
+
 async function handleTmdbProxyRequest(req, res) {
   const endpointKey = String(req.query.endpoint || 'discover');
   const query = { ...req.query };
   delete query.endpoint;
 
+  const cacheable = TMDB_PROXY_CACHEABLE_ENDPOINTS.has(endpointKey);
+  const cacheKey = cacheable ? tmdbProxyCacheKey(endpointKey, query) : null;
+  if (cacheable) {
+    const cached = await safeReadCachedResponse(
+      TMDB_PROXY_CACHE_COLLECTION,
+      cacheKey,
+      TMDB_PROXY_CACHE_TTL_OVERRIDES_MS[endpointKey] || TMDB_PROXY_CACHE_TTL_MS
+    );
+    if (cached && typeof cached.body === 'string' && cached.body.length) {
+      res.set('X-Cache', 'hit');
+      res.status(cached.status || 200).type(cached.contentType || 'application/json').send(cached.body);
+      return;
+    }
+  }
+  const rememberResponse = async (status, contentType, body) => {
+    if (!cacheable || status >= 400 || typeof body !== 'string' || !body.length) return;
+    await safeWriteCachedResponse(TMDB_PROXY_CACHE_COLLECTION, cacheKey, {
+      status,
+      contentType: contentType || 'application/json',
+      body,
+      metadata: { endpoint: endpointKey, fetchedAt: new Date().toISOString() }
+    });
+  };
+
   const apiKey = resolveTmdbApiKey();
   if (apiKey) {
     try {
       const data = await fetchTmdbDirect(endpointKey, query, apiKey);
-      res.type('application/json').send(JSON.stringify(data));
+      const body = JSON.stringify(data);
+      await rememberResponse(200, 'application/json', body);
+      res.type('application/json').send(body);
       return;
     } catch (err) {
       console.warn('Direct TMDB request failed, attempting upstream proxy', err);
@@ -397,6 +534,7 @@ async function handleTmdbProxyRequest(req, res) {
 
   try {
     const forwarded = await forwardTmdbProxy(endpointKey, query);
+    await rememberResponse(forwarded.status, forwarded.contentType, forwarded.body);
     res.status(forwarded.status);
     if (forwarded.contentType) {
       res.set('content-type', forwarded.contentType);
@@ -592,9 +730,28 @@ function normalizeYouTubeThumbnails(thumbnails) {
   return Object.keys(normalized).length ? normalized : undefined;
 }
 
-function youtubeSearchCacheKey(query) {
+function youtubeSearchCacheKey(query, limit) {
   const normalized = normalizeYouTubeQuery(query).toLowerCase();
-  return ['youtubeSearch', normalized];
+  return ['youtubeSearch', normalized, `limit:${limit}`];
+}
+
+function normalizeYouTubeVideo(item) {
+  const videoId = typeof item?.id?.videoId === 'string' ? item.id.videoId.trim() : '';
+  if (!videoId) return null;
+  const snippet = item.snippet && typeof item.snippet === 'object' ? item.snippet : {};
+  return {
+    id: videoId,
+    title: typeof snippet.title === 'string' ? snippet.title : '',
+    description: typeof snippet.description === 'string' ? snippet.description : '',
+    channel: {
+      id: typeof snippet.channelId === 'string' ? snippet.channelId : '',
+      title: typeof snippet.channelTitle === 'string' ? snippet.channelTitle : ''
+    },
+    publishedAt: typeof snippet.publishedAt === 'string' ? snippet.publishedAt : '',
+    thumbnails: normalizeYouTubeThumbnails(snippet.thumbnails),
+    url: `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`,
+    embedUrl: `https://www.youtube.com/embed/${encodeURIComponent(videoId)}`
+  };
 }
 
 function parseOmdbPercent(value) {
@@ -633,6 +790,24 @@ function parseIdSet(raw) {
   return set;
 }
 
+function parseKeywordSet(raw) {
+  const set = new Set();
+  const addParts = value => {
+    if (typeof value !== 'string') return;
+    value
+      .split(/[,|]+/)
+      .map(part => part.trim().toLowerCase())
+      .filter(Boolean)
+      .forEach(part => set.add(part));
+  };
+  if (Array.isArray(raw)) {
+    raw.forEach(addParts);
+  } else {
+    addParts(raw);
+  }
+  return set;
+}
+
 function parseOmdbScore(value) {
   if (value === undefined || value === null) return null;
   const raw = String(value).trim();
@@ -960,8 +1135,9 @@ async function lookupAndCacheOmdbRatings({
       OMDB_CACHE_TTL_MS
     );
     if (cached && typeof cached.body === 'string' && cached.body.length) {
+      let cachedPayload = null;
       try {
-        const cachedPayload = normalizePersistedOmdbPayload(JSON.parse(cached.body));
+        cachedPayload = normalizePersistedOmdbPayload(JSON.parse(cached.body));
         if (cachedPayload) {
           await writeOmdbPayloadToDb(cachedPayload, { imdbId, title, year, type });
         }
@@ -971,6 +1147,7 @@ async function lookupAndCacheOmdbRatings({
       return {
         outcome: 'cache_hit',
         cacheParts,
+        payload: cachedPayload,
         madeNetworkRequest: false
       };
     }
@@ -988,6 +1165,8 @@ async function lookupAndCacheOmdbRatings({
   params.set('plot', 'short');
   params.set('r', 'json');
 
+  const inFlightKey = buildOmdbScoreDocId({ imdbId, title, year, type });
+  omdbInFlightLookups.add(inFlightKey);
   try {
     const response = await fetch(`${OMDB_BASE_URL}?${params.toString()}`);
     if (!response.ok) {
@@ -1064,204 +1243,312 @@ async function lookupAndCacheOmdbRatings({
       message: String(err?.message || err),
       madeNetworkRequest: true
     };
+  } finally {
+    omdbInFlightLookups.delete(inFlightKey);
   }
 }
 
+async function fetchOmdbRatings(lookup, { forceRefresh = false, apiKey } = {}) {
+  const { imdbId, title, year } = lookup;
+  const type = OMDB_ALLOWED_TYPES.has(lookup.type) ? lookup.type : '';
+  if (!forceRefresh) {
+    const persisted = await readOmdbPayloadFromDb({ imdbId, title, year, type });
+    if (persisted) {
+      return { outcome: 'cache_hit', payload: persisted };
+    }
+  }
+  const result = await lookupAndCacheOmdbRatings({ imdbId, title, year, type, forceRefresh, apiKey });
+  if (result.outcome === 'cache_hit' && !result.payload) {
+    return lookupAndCacheOmdbRatings({ imdbId, title, year, type, forceRefresh: true, apiKey });
+  }
+  return result;
+}
+
+function buildRatingsProviders() {
+  const providers = [
+    createRatingsProvider({
+      name: 'omdb',
+      isEnabled: ({ apiKey } = {}) => Boolean(apiKey || OMDB_API_KEY),
+      supports: lookup => Boolean(lookup.imdbId || lookup.title),
+      fetchRatings: fetchOmdbRatings
+    }),
+    createTmdbRatingsProvider({
+      hasCredentials: movieCatalog.hasTmdbCredentials,
+      request: (pathname, params) => movieCatalog.tmdbRequest(pathname, params)
+    }),
+    createTraktRatingsProvider({ clientId: TRAKT_CLIENT_ID }),
+    createLocalRatingsProvider({
+      filePath: RATINGS_LOCAL_DATASET_PATH,
+      merge: RATINGS_LOCAL_MERGE
+    })
+  ];
+  return createRatingsRegistry(
+    providers.filter(provider => RATINGS_PROVIDERS_ENABLED.has(provider.name))
+  );
+}
+
+const ratingsProviders = buildRatingsProviders();
+
 async function getOmdbPrefetchStatus() {
   const persisted = await loadOmdbPrefetchState();
+  const { runtime, queued, windows, withinWindow, lastRun } =
+    jobScheduler.getJobStatus(OMDB_PREFETCH_JOB);
   return {
     persisted,
     runtime: {
-      running: Boolean(omdbPrefetchRuntime.running),
-      stopRequested: Boolean(omdbPrefetchRuntime.stopRequested),
-      startedAt: omdbPrefetchRuntime.startedAt,
-      lastFinishedAt: omdbPrefetchRuntime.lastFinishedAt,
-      options: omdbPrefetchRuntime.options,
-      progress: omdbPrefetchRuntime.progress,
-      lastError: omdbPrefetchRuntime.lastError
-    }
+      running: Boolean(runtime.running),
+      stopRequested: Boolean(runtime.stopRequested),
+      trigger: runtime.trigger,
+      startedAt: runtime.startedAt,
+      lastFinishedAt: runtime.lastFinishedAt,
+      options: runtime.options,
+      progress: runtime.progress,
+      counts: runtime.counts,
+      lastError: runtime.lastError
+    },
+    queued,
+    windows,
+    withinWindow,
+    lastRun
   };
 }
 
-function scheduleOmdbPrefetch(options = {}) {
-  if (omdbPrefetchRuntime.running) {
-    return false;
-  }
+function isOmdbPrefetchRunning() {
+  return jobScheduler.getJobStatus(OMDB_PREFETCH_JOB).runtime.running;
+}
 
-  omdbPrefetchRuntime.running = true;
-  omdbPrefetchRuntime.stopRequested = false;
-  omdbPrefetchRuntime.startedAt = new Date().toISOString();
-  omdbPrefetchRuntime.options = { ...options };
-  omdbPrefetchRuntime.progress = null;
-  omdbPrefetchRuntime.lastError = null;
+function enqueueOmdbPrefetch(lookup, priority) {
+  if (!lookup || (!lookup.imdbId && !lookup.title)) return false;
+  const item = { ...lookup, type: lookup.type || 'movie' };
+  return jobScheduler.enqueue(
+    OMDB_PREFETCH_JOB,
+    buildOmdbScoreDocId(item),
+    item,
+    OMDB_PREFETCH_PRIORITIES[priority] || OMDB_PREFETCH_PRIORITIES.feed
+  );
+}
 
-  (async () => {
-    const persisted = await loadOmdbPrefetchState();
-    const catalogState = await movieCatalog.ensureCatalog({
-      allowStale: true,
-      cacheOnly: true
-    });
-    const movies = Array.isArray(catalogState?.movies) ? catalogState.movies : [];
-    const totalMovies = movies.length;
-    const restarted = Boolean(options.restart);
-    let cursor = restarted
-      ? 0
-      : Math.max(0, Math.min(Number(persisted.cursor) || 0, totalMovies));
-    let completedPasses = Number(persisted.completedPasses) || 0;
-
-    const counters = {
-      processed: 0,
-      fetched: 0,
-      cacheHits: 0,
-      notFound: 0,
-      skipped: 0,
-      failed: 0,
-      rateLimited: 0,
-      networkRequests: 0
-    };
+async function runOmdbPrefetch(job) {
+  const { options, queue } = job;
+  const persisted = await loadOmdbPrefetchState();
+  if (job.trigger !== 'manual' && Date.parse(persisted.nextEligibleAt || '') > Date.now()) {
+    return { haltedReason: 'not_eligible', nextEligibleAt: persisted.nextEligibleAt };
+  }
+  const catalogState = await movieCatalog.ensureCatalog({
+    allowStale: true,
+    cacheOnly: true
+  });
+  const movies = Array.isArray(catalogState?.movies) ? catalogState.movies : [];
+  const totalMovies = movies.length;
+  const queueOnly = job.trigger === 'queue';
+  const restarted = Boolean(options.restart);
+  let cursor = restarted
+    ? 0
+    : Math.max(0, Math.min(Number(persisted.cursor) || 0, totalMovies));
+  let completedPasses = Number(persisted.completedPasses) || 0;
+
+  const counters = {
+    processed: 0,
+    prioritized: 0,
+    fetched: 0,
+    cacheHits: 0,
+    notFound: 0,
+    skipped: 0,
+    failed: 0,
+    rateLimited: 0,
+    networkRequests: 0
+  };
+  const bump = key => {
+    counters[key] += 1;
+    job.count(key);
+  };
 
-    const checkpointEvery = Math.max(
-      1,
-      Number(options.checkpointEvery) || OMDB_PREFETCH_DEFAULT_CHECKPOINT_EVERY
-    );
-    const maxFetches = Math.max(
-      0,
-      Number(options.maxFetches) || OMDB_PREFETCH_DEFAULT_MAX_FETCHES_PER_RUN
-    );
-    const delayMs = Math.max(
-      600,
-      Number(options.delayMs) || OMDB_PREFETCH_DEFAULT_DELAY_MS
-    );
-    const jitterMs = Math.max(
-      0,
-      Number(options.jitterMs) || OMDB_PREFETCH_DEFAULT_JITTER_MS
-    );
-    const retryAfterMs = Math.max(
-      5 * 60 * 1000,
-      Number(options.retryAfterMs) || OMDB_PREFETCH_DEFAULT_RETRY_AFTER_MS
-    );
-    const forceRefresh = Boolean(options.forceRefresh);
-
-    let haltedReason = null;
-    let checkpointCounter = 0;
-
-    const persistProgress = async () => {
-      const nextState = {
-        cursor,
-        completedPasses,
-        totalMovies,
-        processed: counters.processed,
-        fetched: counters.fetched,
-        cacheHits: counters.cacheHits,
-        notFound: counters.notFound,
-        skipped: counters.skipped,
-        failed: counters.failed,
-        rateLimited: counters.rateLimited,
-        haltedReason,
-        nextEligibleAt:
-          haltedReason === 'rate_limited'
-            ? new Date(Date.now() + retryAfterMs).toISOString()
-            : null,
-        updatedAt: new Date().toISOString()
-      };
-      omdbPrefetchRuntime.progress = {
-        ...nextState,
-        networkRequests: counters.networkRequests
-      };
-      await saveOmdbPrefetchState(nextState);
+  const checkpointEvery = Math.max(
+    1,
+    Number(options.checkpointEvery) || OMDB_PREFETCH_DEFAULT_CHECKPOINT_EVERY
+  );
+  const maxFetches = Math.max(
+    0,
+    Number(options.maxFetches) || OMDB_PREFETCH_DEFAULT_MAX_FETCHES_PER_RUN
+  );
+  const delayMs = Math.max(
+    600,
+    Number(options.delayMs) || OMDB_PREFETCH_DEFAULT_DELAY_MS
+  );
+  const jitterMs = Math.max(
+    0,
+    Number(options.jitterMs) || OMDB_PREFETCH_DEFAULT_JITTER_MS
+  );
+  const retryAfterMs = Math.max(
+    5 * 60 * 1000,
+    Number(options.retryAfterMs) || OMDB_PREFETCH_DEFAULT_RETRY_AFTER_MS
+  );
+  const forceRefresh = Boolean(options.forceRefresh);
+
+  let haltedReason = null;
+  let nextEligibleAt = null;
+  let checkpointCounter = 0;
+
+  const persistProgress = async () => {
+    nextEligibleAt =
+      haltedReason === 'rate_limited' || haltedReason === 'max_fetches_reached'
+        ? new Date(Date.now() + retryAfterMs).toISOString()
+        : null;
+    const nextState = {
+      cursor,
+      completedPasses,
+      totalMovies,
+      processed: counters.processed,
+      fetched: counters.fetched,
+      cacheHits: counters.cacheHits,
+      notFound: counters.notFound,
+      skipped: counters.skipped,
+      failed: counters.failed,
+      rateLimited: counters.rateLimited,
+      haltedReason,
+      nextEligibleAt,
+      updatedAt: new Date().toISOString()
     };
+    job.setProgress({
+      ...nextState,
+      prioritized: counters.prioritized,
+      networkRequests: counters.networkRequests,
+      queued: queue.size
+    });
+    await saveOmdbPrefetchState(nextState);
+  };
 
-    if (!OMDB_API_KEY) {
-      haltedReason = 'missing_omdb_key';
-      await persistProgress();
-      return;
-    }
+  if (!OMDB_API_KEY) {
+    haltedReason = 'missing_omdb_key';
+    await persistProgress();
+    return { haltedReason };
+  }
 
-    if (!totalMovies) {
-      haltedReason = 'empty_catalog';
-      await persistProgress();
-      return;
-    }
+  if (!totalMovies && !queue.size) {
+    haltedReason = 'empty_catalog';
+    await persistProgress();
+    return { haltedReason };
+  }
 
-    while (cursor < totalMovies) {
-      if (omdbPrefetchRuntime.stopRequested) {
-        haltedReason = 'stop_requested';
-        break;
-      }
-      if (maxFetches > 0 && counters.networkRequests >= maxFetches) {
-        haltedReason = 'max_fetches_reached';
-        break;
-      }
+  while (queue.size || (!queueOnly && cursor < totalMovies)) {
+    if (job.shouldStop()) {
+      haltedReason = 'stop_requested';
+      break;
+    }
+    if (maxFetches > 0 && counters.networkRequests >= maxFetches) {
+      haltedReason = 'max_fetches_reached';
+      break;
+    }
 
-      const movie = movies[cursor];
+    let lookup;
+    const prioritized = queue.pop();
+    if (prioritized) {
+      lookup = prioritized.item;
+      bump('prioritized');
+    } else {
+      lookup = getOmdbLookupFromMovie(movies[cursor]);
       cursor += 1;
-      counters.processed += 1;
-      checkpointCounter += 1;
+      bump('processed');
+    }
+    checkpointCounter += 1;
 
-      const lookup = getOmdbLookupFromMovie(movie);
-      if (!lookup) {
-        counters.skipped += 1;
+    if (!lookup) {
+      bump('skipped');
+    } else {
+      const result = await lookupAndCacheOmdbRatings({
+        ...lookup,
+        apiKey: OMDB_API_KEY,
+        forceRefresh
+      });
+      if (result.madeNetworkRequest) {
+        bump('networkRequests');
+      }
+      if (result.outcome === 'cache_hit') {
+        bump('cacheHits');
+        job.count('hits');
+      } else if (result.outcome === 'fetched') {
+        bump('fetched');
+        job.count('hits');
+      } else if (result.outcome === 'not_found') {
+        bump('notFound');
+        job.count('misses');
+      } else if (result.outcome === 'rate_limited') {
+        bump('rateLimited');
+        haltedReason = 'rate_limited';
+      } else if (result.outcome === 'invalid_key') {
+        haltedReason = 'invalid_omdb_key';
       } else {
-        const result = await lookupAndCacheOmdbRatings({
-          ...lookup,
-          apiKey: OMDB_API_KEY,
-          forceRefresh
-        });
-        if (result.madeNetworkRequest) {
-          counters.networkRequests += 1;
-        }
-        if (result.outcome === 'cache_hit') {
-          counters.cacheHits += 1;
-        } else if (result.outcome === 'fetched') {
-          counters.fetched += 1;
-        } else if (result.outcome === 'not_found') {
-          counters.notFound += 1;
-        } else if (result.outcome === 'rate_limited') {
-          counters.rateLimited += 1;
-          haltedReason = 'rate_limited';
-        } else if (result.outcome === 'invalid_key') {
-          haltedReason = 'invalid_omdb_key';
-        } else {
-          counters.failed += 1;
-        }
-
-        if (result.madeNetworkRequest && !haltedReason) {
-          const jitter = jitterMs > 0 ? Math.floor(Math.random() * (jitterMs + 1)) : 0;
-          await wait(delayMs + jitter);
-        }
+        bump('failed');
       }
 
-      if (haltedReason) {
-        break;
+      if (result.madeNetworkRequest && !haltedReason) {
+        const jitter = jitterMs > 0 ? Math.floor(Math.random() * (jitterMs + 1)) : 0;
+        await wait(delayMs + jitter);
       }
+    }
 
-      if (checkpointCounter >= checkpointEvery) {
-        checkpointCounter = 0;
-        await persistProgress();
-      }
+    if (haltedReason) {
+      break;
     }
 
-    if (!haltedReason && cursor >= totalMovies) {
-      haltedReason = 'completed_pass';
-      completedPasses += 1;
-      cursor = 0;
+    if (checkpointCounter >= checkpointEvery) {
+      checkpointCounter = 0;
+      await persistProgress();
     }
+  }
 
-    await persistProgress();
-  })()
-    .catch(err => {
-      omdbPrefetchRuntime.lastError = String(err?.message || err);
-      console.error('OMDb ratings prefetch failed', err);
-    })
-    .finally(() => {
-      omdbPrefetchRuntime.running = false;
-      omdbPrefetchRuntime.stopRequested = false;
-      omdbPrefetchRuntime.lastFinishedAt = new Date().toISOString();
-    });
+  if (!haltedReason && !queueOnly && totalMovies && cursor >= totalMovies) {
+    haltedReason = 'completed_pass';
+    completedPasses += 1;
+    cursor = 0;
+  }
 
-  return true;
+  await persistProgress();
+  return { haltedReason, nextEligibleAt };
+}
+
+async function runPosterBackfill(job) {
+  const { limit = 0, delayMs = 200 } = job.options;
+  await movieCatalog.ensureCatalog({ allowStale: true, cacheOnly: true });
+  const summary = await movieCatalog.backfillMissingPosters({
+    limit,
+    delayMs,
+    shouldStop: job.shouldStop,
+    onProgress: job.setProgress
+  });
+  ['processed', 'updated', 'unchanged', 'skipped', 'failed'].forEach(key => {
+    job.count(key, summary[key] || 0);
+  });
+  return {
+    haltedReason: summary.stopped
+      ? 'stop_requested'
+      : summary.credentialsAvailable
+        ? null
+        : 'missing_tmdb_credentials',
+    summary
+  };
+}
+
+function scheduleOmdbPrefetch(options = {}) {
+  return jobScheduler.startJob(OMDB_PREFETCH_JOB, options);
 }
 
+jobScheduler.registerJob(OMDB_PREFETCH_JOB, {
+  description: 'Prefetch OMDb critic scores, saved and feed titles first, then the catalog',
+  run: runOmdbPrefetch,
+  windows: OMDB_PREFETCH_WINDOWS,
+  autoStart: Boolean(OMDB_PREFETCH_WINDOWS),
+  startOnEnqueue: Boolean(OMDB_API_KEY),
+  queueLimit: OMDB_PREFETCH_QUEUE_LIMIT
+});
+
+jobScheduler.registerJob(POSTER_BACKFILL_JOB, {
+  description: 'Fill in missing catalog posters from TMDB',
+  run: runPosterBackfill,
+  windows: POSTER_BACKFILL_WINDOWS,
+  autoStart: Boolean(POSTER_BACKFILL_WINDOWS)
+});
+
 const plaidClient = (() => {
   const clientID = process.env.PLAID_CLIENT_ID;
   const secret = process.env.PLAID_SECRET;
@@ -1423,7 +1710,13 @@ app.get('/api/youtube/search', async (req, res) => {
     return res.status(501).json({ error: 'youtube_api_key_missing' });
   }
 
-  const cacheKey = youtubeSearchCacheKey(query);
+  const limit =
+    normalizePositiveInteger(req.query.limit ?? req.query.maxResults, {
+      min: 1,
+      max: YOUTUBE_SEARCH_MAX_LIMIT
+    }) || YOUTUBE_SEARCH_DEFAULT_LIMIT;
+
+  const cacheKey = youtubeSearchCacheKey(query, limit);
   const cached = await safeReadCachedResponse(
     YOUTUBE_SEARCH_CACHE_COLLECTION,
     cacheKey,
@@ -1437,7 +1730,7 @@ app.get('/api/youtube/search', async (req, res) => {
     key: YOUTUBE_API_KEY,
     part: 'snippet',
     type: 'video',
-    maxResults: '1',
+    maxResults: String(limit),
     videoEmbeddable: 'true',
     videoSyndicated: 'true',
     safeSearch: 'moderate',
@@ -1475,28 +1768,13 @@ app.get('/api/youtube/search', async (req, res) => {
   }
 
   const items = Array.isArray(data?.items) ? data.items : [];
-  const bestItem = items.find(item => item?.id?.videoId);
-
-  const snippet = bestItem?.snippet && typeof bestItem.snippet === 'object' ? bestItem.snippet : {};
-  const videoId = typeof bestItem?.id?.videoId === 'string' ? bestItem.id.videoId.trim() : '';
+  const videos = items.map(normalizeYouTubeVideo).filter(Boolean).slice(0, limit);
 
   const payload = {
     query,
-    video: videoId
-      ? {
-          id: videoId,
-          title: typeof snippet.title === 'string' ? snippet.title : '',
-          description: typeof snippet.description === 'string' ? snippet.description : '',
-          channel: {
-            id: typeof snippet.channelId === 'string' ? snippet.channelId : '',
-            title: typeof snippet.channelTitle === 'string' ? snippet.channelTitle : ''
-          },
-          publishedAt: typeof snippet.publishedAt === 'string' ? snippet.publishedAt : '',
-          thumbnails: normalizeYouTubeThumbnails(snippet.thumbnails),
-          url: `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`,
-          embedUrl: `https://www.youtube.com/embed/${encodeURIComponent(videoId)}`
-        }
-      : null
+    limit,
+    video: videos[0] || null,
+    videos
   };
 
   const body = JSON.stringify(payload);
@@ -1505,7 +1783,7 @@ app.get('/api/youtube/search', async (req, res) => {
     status: 200,
     contentType: 'application/json',
     body,
-    metadata: { query, fetchedAt: new Date().toISOString() }
+    metadata: { query, limit, fetchedAt: new Date().toISOString() }
   });
 
   res.set('Cache-Control', 'public, max-age=1800');
@@ -1657,6 +1935,19 @@ app.get('/api/movies', async (req, res) => {
     const limit = parseNumberQuery(req.query.limit) ?? DEFAULT_MOVIE_LIMIT;
     const freshLimit = parseNumberQuery(req.query.freshLimit);
     const minScore = parseNumberQuery(req.query.minScore);
+    const minVotes = parseNumberQuery(req.query.minVotes);
+    const startYear = parseNumberQuery(req.query.startYear);
+    const endYear = parseNumberQuery(req.query.endYear);
+    const withGenres = parseIdSet(req.query.withGenres ?? req.query.with_genres);
+    const withoutGenres = parseIdSet(req.query.withoutGenres ?? req.query.without_genres);
+    const withKeywords = parseKeywordSet(req.query.withKeywords ?? req.query.with_keywords);
+    const withoutKeywords = parseKeywordSet(req.query.withoutKeywords ?? req.query.without_keywords);
+    const sort = typeof req.query.sort === 'string' ? req.query.sort : undefined;
+    const rank = typeof req.query.rank === 'string' ? req.query.rank : undefined;
+    const cursor =
+      typeof req.query.cursor === 'string' && req.query.cursor.trim()
+        ? req.query.cursor.trim()
+        : undefined;
     const excludeRaw = req.query.excludeIds;
     const excludeSet = new Set();
 
@@ -1699,7 +1990,17 @@ app.get('/api/movies', async (req, res) => {
     const curatedSearch = movieCatalog.searchCatalogWithStats(query, {
       limit: curatedLimit,
       minScore: minScore == null ? undefined : minScore,
-      excludeIds: excludeSet
+      excludeIds: excludeSet,
+      minVotes,
+      startYear,
+      endYear,
+      withGenres,
+      withoutGenres,
+      withKeywords,
+      withoutKeywords,
+      sort,
+      rank,
+      cursor
     });
     const curatedResults = freshOnly ? [] : curatedSearch.results;
     const curatedTotalMatches = Math.max(
@@ -1749,6 +2050,7 @@ app.get('/api/movies', async (req, res) => {
       results: freshOnly ? freshResults : curatedResults,
       curated: curatedResults,
       fresh: freshResults,
+      nextCursor: freshOnly ? null : curatedSearch?.nextCursor || null,
       metadata: {
         query: query || null,
         curatedCount: curatedTotalMatches,
@@ -1766,6 +2068,10 @@ app.get('/api/movies', async (req, res) => {
         freshOnly: Boolean(freshOnly),
         cacheOnly: Boolean(cacheOnly),
         curatedLimit,
+        matchQuality: curatedSearch?.matchQuality || null,
+        filters: curatedSearch?.filters || null,
+        rankingProfiles: movieCatalog.getRankingProfiles(),
+        cursor: cursor || null,
         source: catalogState?.metadata?.source || null,
         freshRequested: Boolean(shouldFetchFresh)
       }
@@ -1782,6 +2088,12 @@ app.get('/api/movies', async (req, res) => {
 
     res.json(response);
   } catch (err) {
+    if (err && err.message === 'invalid_cursor') {
+      return res.status(400).json({
+        error: 'invalid_cursor',
+        message: 'The cursor is malformed or does not match this query.'
+      });
+    }
     console.error('Failed to fetch movies', err);
     res.status(500).json({ error: 'Failed to fetch movies' });
   }
@@ -1921,7 +2233,17 @@ app.post('/api/admin/backfill-movie-images', async (req, res) => {
     });
   }
 
-  const backfill = await movieCatalog.backfillMissingPosters({ limit, delayMs });
+  if (!jobScheduler.startJob(POSTER_BACKFILL_JOB, { limit, delayMs })) {
+    return res.status(409).json({
+      error: 'poster_backfill_in_progress',
+      job: jobScheduler.getJobStatus(POSTER_BACKFILL_JOB)
+    });
+  }
+  const run = await jobScheduler.waitForJob(POSTER_BACKFILL_JOB);
+  if (!run || run.status === 'failed') {
+    return res.status(500).json({ error: 'poster_backfill_failed', run });
+  }
+  const backfill = run.result?.summary || null;
   const refreshedState = await movieCatalog.ensureCatalog({ allowStale: true, cacheOnly: true });
   const after = movieCatalog.getMissingImageStats({ sampleSize });
   return res.json({
@@ -1938,6 +2260,76 @@ app.post('/api/admin/backfill-movie-images', async (req, res) => {
   });
 });
 
+app.post('/api/admin/backfill-movie-keywords', async (req, res) => {
+  if (!ADMIN_REFRESH_TOKEN) {
+    return res.status(503).json({ error: 'admin_refresh_unconfigured' });
+  }
+  const token = readAdminToken(req);
+  if (!token || token !== ADMIN_REFRESH_TOKEN) {
+    return res.status(401).json({ error: 'admin_refresh_unauthorized' });
+  }
+
+  const payload = req.body && typeof req.body === 'object' ? req.body : {};
+  const rawLimit = parseNumberQuery(payload.limit ?? req.query.limit);
+  const limit =
+    Number.isFinite(rawLimit) && rawLimit > 0 ? Math.max(1, Math.floor(rawLimit)) : 0;
+  const rawDelayMs = parseNumberQuery(payload.delayMs ?? req.query.delayMs);
+  const delayMs =
+    Number.isFinite(rawDelayMs) && rawDelayMs >= 0
+      ? Math.min(10000, Math.floor(rawDelayMs))
+      : 200;
+
+  await movieCatalog.ensureCatalog({ allowStale: true, cacheOnly: true });
+  const backfill = await movieCatalog.backfillMissingKeywords({ limit, delayMs });
+  return res.json({ ok: true, backfill });
+});
+
+app.get('/api/admin/jobs', async (req, res) => {
+  if (!ADMIN_REFRESH_TOKEN) {
+    return res.status(503).json({ error: 'admin_refresh_unconfigured' });
+  }
+  const token = readAdminToken(req);
+  if (!token || token !== ADMIN_REFRESH_TOKEN) {
+    return res.status(401).json({ error: 'admin_refresh_unauthorized' });
+  }
+
+  const historyLimit =
+    normalizePositiveInteger(req.query.historyLimit ?? req.query.limit, { min: 1, max: 20 }) || 5;
+  const jobs = await Promise.all(
+    jobScheduler.listJobs().map(async job => ({
+      ...job,
+      history: await jobScheduler.getJobHistory(job.name, historyLimit)
+    }))
+  );
+  res.json({ ok: true, jobs });
+});
+
+app.post('/api/admin/jobs/:name', async (req, res) => {
+  if (!ADMIN_REFRESH_TOKEN) {
+    return res.status(503).json({ error: 'admin_refresh_unconfigured' });
+  }
+  const token = readAdminToken(req);
+  if (!token || token !== ADMIN_REFRESH_TOKEN) {
+    return res.status(401).json({ error: 'admin_refresh_unauthorized' });
+  }
+
+  const name = req.params.name;
+  if (!jobScheduler.listJobs().some(job => job.name === name)) {
+    return res.status(404).json({ error: 'unknown_job' });
+  }
+  const payload = req.body && typeof req.body === 'object' ? req.body : {};
+  if (parseBooleanQuery(payload.stop ?? req.query.stop)) {
+    const stopping = jobScheduler.stopJob(name);
+    return res.json({ ok: true, started: false, stopping, job: jobScheduler.getJobStatus(name) });
+  }
+  const started = jobScheduler.startJob(name);
+  return res.status(started ? 202 : 409).json({
+    ok: started,
+    started,
+    job: jobScheduler.getJobStatus(name)
+  });
+});
+
 app.get('/api/admin/prefetch-movie-ratings', async (req, res) => {
   if (!ADMIN_REFRESH_TOKEN) {
     return res.status(503).json({ error: 'admin_refresh_unconfigured' });
@@ -1966,19 +2358,17 @@ app.post('/api/admin/prefetch-movie-ratings', async (req, res) => {
   const payload = req.body && typeof req.body === 'object' ? req.body : {};
   const stop = parseBooleanQuery(payload.stop ?? req.query.stop);
   if (stop) {
-    if (omdbPrefetchRuntime.running) {
-      omdbPrefetchRuntime.stopRequested = true;
-    }
+    const stopping = jobScheduler.stopJob(OMDB_PREFETCH_JOB);
     const status = await getOmdbPrefetchStatus();
     return res.json({
       ok: true,
       started: false,
-      stopping: Boolean(omdbPrefetchRuntime.running),
+      stopping,
       ...status
     });
   }
 
-  if (omdbPrefetchRuntime.running) {
+  if (isOmdbPrefetchRunning()) {
     const status = await getOmdbPrefetchStatus();
     return res.status(409).json({
       error: 'omdb_prefetch_in_progress',
@@ -2093,21 +2483,122 @@ app.get('/api/movies/stats', async (req, res) => {
   }
 });
 
+app.get('/api/movies/:id/similar', async (req, res) => {
+  const movieId = typeof req.params.id === 'string' ? req.params.id.trim() : '';
+  if (!movieId) {
+    return res.status(400).json({ error: 'missing_movie_id' });
+  }
+  try {
+    await movieCatalog.ensureCatalog({ allowStale: true });
+    const limit = normalizePositiveInteger(req.query.limit, { min: 1, max: 50 }) ?? 10;
+    const genres = Array.from(parseIdSet(req.query.genres ?? req.query.genre_ids));
+    const similar = movieCatalog.findSimilarMovies(movieId, {
+      limit,
+      excludeIds: parseIdSet(req.query.excludeIds),
+      hints: {
+        title: typeof req.query.title === 'string' ? req.query.title : undefined,
+        releaseDate: typeof req.query.releaseDate === 'string' ? req.query.releaseDate : undefined,
+        score: parseNumberQuery(req.query.score) ?? undefined,
+        genre_ids: genres,
+        directors: typeof req.query.directors === 'string' ? req.query.directors.split('|') : [],
+        topCast: typeof req.query.cast === 'string' ? req.query.cast.split('|') : []
+      }
+    });
+    if (!similar) {
+      return res.status(404).json({
+        error: 'movie_not_found',
+        message: 'The movie is not in the catalog and no genre or credit hints were provided.'
+      });
+    }
+    res.json({
+      movie: similar.source,
+      results: similar.results,
+      metadata: {
+        movieId,
+        totalMatches: similar.totalMatches,
+        returnedCount: similar.results.length,
+        limit
+      }
+    });
+  } catch (err) {
+    console.error('Failed to find similar movies', err);
+    res.status(500).json({ error: 'failed_to_find_similar_movies' });
+  }
+});
+
+app.get('/api/shows', async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string'
+      ? req.query.q.trim()
+      : typeof req.query.query === 'string'
+      ? req.query.query.trim()
+      : '';
+    const limit = normalizePositiveInteger(req.query.limit, { min: 1, max: 200 }) ?? 20;
+    const minScore = parseNumberQuery(req.query.minScore);
+    const catalogState = await showCatalog.ensureShowCatalog({
+      allowStale: true,
+      forceRefresh: parseBooleanQuery(req.query.refresh)
+    });
+    const search = showCatalog.searchShows(query, {
+      limit,
+      minScore: minScore == null ? undefined : minScore,
+      excludeIds: parseIdSet(req.query.excludeIds)
+    });
+    res.json({
+      results: search.results,
+      metadata: {
+        query: query || null,
+        totalMatches: search.totalMatches,
+        returnedCount: search.results.length,
+        limit,
+        minScore: minScore == null ? showCatalog.MIN_SCORE : minScore,
+        totalCatalogSize: catalogState?.metadata?.total ?? catalogState?.shows?.length ?? 0,
+        catalogUpdatedAt: catalogState?.metadata?.updatedAt || null,
+        source: catalogState?.metadata?.source || null
+      }
+    });
+  } catch (err) {
+    console.error('Failed to fetch shows', err);
+    res.status(500).json({ error: 'failed_to_fetch_shows' });
+  }
+});
+
+app.get('/api/shows/:id/seasons', async (req, res) => {
+  const showId = typeof req.params.id === 'string' ? req.params.id.trim() : '';
+  if (!showId) {
+    return res.status(400).json({ error: 'missing_show_id' });
+  }
+  try {
+    await showCatalog.ensureShowCatalog({ allowStale: true });
+    const seasons = await showCatalog.getShowSeasons(showId);
+    if (!seasons) {
+      return res.status(404).json({
+        error: 'show_not_found',
+        message: 'No season information is available for this show.'
+      });
+    }
+    res.json(seasons);
+  } catch (err) {
+    console.error('Failed to load show seasons', err);
+    res.status(500).json({ error: 'failed_to_load_show_seasons' });
+  }
+});
+
 app.get('/api/movie-ratings', async (req, res) => {
   const imdbId = sanitizeOmdbString(req.query.imdbId || req.query.imdbID);
+  const tmdbId = sanitizeOmdbString(req.query.tmdbId);
   const title = sanitizeOmdbString(req.query.title);
   const year = sanitizeOmdbString(req.query.year);
   const typeParam = sanitizeOmdbString(req.query.type).toLowerCase();
-  const allowedTypes = new Set(['movie', 'series', 'episode']);
-  const type = allowedTypes.has(typeParam) ? typeParam : '';
+  const type = OMDB_ALLOWED_TYPES.has(typeParam) ? typeParam : '';
   const forceRefresh = parseBooleanQuery(req.query.refresh);
   const queryApiKey = sanitizeOmdbString(req.query.apiKey);
   const apiKey = queryApiKey || OMDB_API_KEY;
 
-  if (!apiKey) {
+  if (!ratingsProviders.list({ apiKey }).some(provider => provider.enabled)) {
     return res.status(400).json({
       error: 'omdb_key_missing',
-      message: 'OMDb API key is not configured on the server.'
+      message: 'No ratings provider is configured on the server.'
     });
   }
 
@@ -2118,110 +2609,32 @@ app.get('/api/movie-ratings', async (req, res) => {
     });
   }
 
-  const cacheParts = buildOmdbCacheKeyParts({
-    imdbId,
-    title,
-    year,
-    type: type || 'any'
-  });
-
-  if (!forceRefresh) {
-    const persisted = await readOmdbPayloadFromDb({ imdbId, title, year, type });
-    if (persisted) {
-      const body = JSON.stringify(persisted);
-      await safeWriteCachedResponse(OMDB_CACHE_COLLECTION, cacheParts, {
-        body,
-        metadata: {
-          imdbId: persisted.imdbId || imdbId || null,
-          title: persisted.title || title || null,
-          year: persisted.year || year || null,
-          type: persisted.type || type || null
-        }
-      });
-      return res.json(persisted);
+  try {
+    const { payload, results, outcomes } = await ratingsProviders.lookupAll(
+      { imdbId, tmdbId, title, year, type },
+      { forceRefresh, apiKey }
+    );
+    if (payload) {
+      return res.json({ ...payload, providers: outcomes });
     }
 
-    const cached = await safeReadCachedResponse(
-      OMDB_CACHE_COLLECTION,
-      cacheParts,
-      OMDB_CACHE_TTL_MS
+    const primary = results.find(
+      result => result.outcome !== 'disabled' && result.outcome !== 'unsupported'
     );
-    if (cached && typeof cached.body === 'string' && cached.body.length) {
-      try {
-        const cachedPayload = normalizePersistedOmdbPayload(JSON.parse(cached.body));
-        if (cachedPayload) {
-          await writeOmdbPayloadToDb(cachedPayload, { imdbId, title, year, type });
-          return res.json(cachedPayload);
-        }
-      } catch (_) {
-        // fall through to raw cached response
-      }
-      if (sendCachedResponse(res, cached)) {
-        return;
-      }
+    const message =
+      primary?.message || 'No ratings provider returned critic scores for this title.';
+    if (primary?.outcome === 'invalid_key') {
+      return res.status(401).json({ error: 'omdb_invalid_key', message, providers: outcomes });
     }
-  }
-
-  const params = new URLSearchParams();
-  params.set('apikey', apiKey);
-  if (imdbId) {
-    params.set('i', imdbId);
-  } else if (title) {
-    params.set('t', title);
-  }
-  if (year) params.set('y', year);
-  if (type) params.set('type', type);
-  params.set('plot', 'short');
-  params.set('r', 'json');
-
-  try {
-    const response = await fetch(`${OMDB_BASE_URL}?${params.toString()}`);
-    if (!response.ok) {
-      const status = response.status || 502;
-      return res.status(status).json({
-        error: 'omdb_request_failed',
-        message: `OMDb request failed with status ${status}`
-      });
+    if (primary?.outcome === 'rate_limited') {
+      return res.status(429).json({ error: 'ratings_rate_limited', message, providers: outcomes });
     }
-
-    const data = await response.json();
-    if (!data || data.Response === 'False') {
-      const message = typeof data?.Error === 'string' ? data.Error : 'OMDb returned no results';
-      const normalized = message.toLowerCase();
-      if (normalized.includes('api key')) {
-        return res.status(401).json({ error: 'omdb_invalid_key', message });
-      }
-      return res.status(404).json({ error: 'omdb_not_found', message });
+    if (!primary || primary.outcome === 'not_found') {
+      return res.status(404).json({ error: 'omdb_not_found', message, providers: outcomes });
     }
-
-    const payload = normalizeOmdbPayload(data, {
-      type: type || null,
-      requestedTitle: title,
-      requestedYear: year
-    });
-
-    if (!payload) {
-      return res.status(404).json({
-        error: 'omdb_not_found',
-        message: 'OMDb did not return critic scores for this title.'
-      });
-    }
-
-    const body = JSON.stringify(payload);
-    await safeWriteCachedResponse(OMDB_CACHE_COLLECTION, cacheParts, {
-      body,
-      metadata: {
-        imdbId: payload.imdbId || imdbId || null,
-        title: payload.title || title || null,
-        year: payload.year || year || null,
-        type: payload.type || type || null
-      }
-    });
-    await writeOmdbPayloadToDb(payload, { imdbId, title, year, type });
-
-    res.json(payload);
+    return res.status(502).json({ error: 'omdb_request_failed', message, providers: outcomes });
   } catch (err) {
-    console.error('Failed to fetch critic scores from OMDb', err);
+    console.error('Failed to fetch critic scores', err);
     res.status(500).json({
       error: 'omdb_request_failed',
       message: 'Failed to fetch critic scores.'
@@ -2229,6 +2642,56 @@ app.get('/api/movie-ratings', async (req, res) => {
   }
 });
 
+app.get('/api/movie-ratings/providers', (req, res) => {
+  res.json({ providers: ratingsProviders.list() });
+});
+
+app.post('/api/movie-ratings/batch', async (req, res) => {
+  const payload = req.body && typeof req.body === 'object' ? req.body : {};
+  const items = Array.isArray(payload.items) ? payload.items : null;
+  if (!items || !items.length) {
+    return res.status(400).json({
+      error: 'missing_items',
+      message: 'Provide an items array of imdbId or title/year lookups.'
+    });
+  }
+  if (items.length > OMDB_BATCH_MAX_ITEMS) {
+    return res.status(400).json({
+      error: 'too_many_items',
+      message: `Batch lookups are limited to ${OMDB_BATCH_MAX_ITEMS} items.`
+    });
+  }
+
+  const results = await Promise.all(
+    items.map(async (item, index) => {
+      const key = typeof item?.key === 'string' && item.key ? item.key : String(index);
+      const imdbId = sanitizeOmdbString(item?.imdbId || item?.imdbID);
+      const title = sanitizeOmdbString(item?.title);
+      const year = sanitizeOmdbString(item?.year == null ? '' : String(item.year));
+      const typeParam = sanitizeOmdbString(item?.type).toLowerCase();
+      const type = OMDB_ALLOWED_TYPES.has(typeParam) ? typeParam : '';
+      if (!imdbId && !title) {
+        return { key, status: 'invalid' };
+      }
+      const persisted = await readOmdbPayloadFromDb({ imdbId, title, year, type });
+      if (persisted) {
+        return { key, status: 'hit', payload: persisted };
+      }
+      const pending = omdbInFlightLookups.has(buildOmdbScoreDocId({ imdbId, title, year, type }));
+      if (!pending) {
+        enqueueOmdbPrefetch({ imdbId, title, year, type }, item?.priority);
+      }
+      return { key, status: pending ? 'pending' : 'miss' };
+    })
+  );
+
+  const counts = { hit: 0, miss: 0, pending: 0, invalid: 0 };
+  results.forEach(result => {
+    counts[result.status] += 1;
+  });
+  res.json({ results, counts });
+});
+
 app.get('/api/transactions', async (req, res) => {
   if (!plaidClient || !process.env.PLAID_ACCESS_TOKEN) {
     res.status(500).json({ error: 'Plaid not configured' });
@@ -2262,6 +2725,7 @@ if (require.main === module) {
       console.error('Failed to start server', err);
       process.exit(1);
     });
+  jobScheduler.start();
   module.exports = server;
   module.exports.app = app;
 } else {
@@ -0,0 +1,519 @@
+const fs = require('fs');
+const path = require('path');
+const { readCachedResponse, writeCachedResponse } = require('../shared/cache');
+const {
+  hasTmdbCredentials,
+  computeRanking,
+  foldSearchText,
+  normalizeGenreIds,
+  tmdbRequest
+} = require('./movie-catalog');
+
+const MIN_SCORE = 6;
+const DEFAULT_LIMIT = 20;
+const SHOW_CACHE_COLLECTION = 'showCatalog';
+const SHOW_CACHE_KEY = ['curated', 'v1'];
+const SHOW_RANGE_CACHE_COLLECTION = 'showCatalogRanges';
+const SHOW_RANGE_CACHE_VERSION = 'v1';
+const SHOW_RANGE_SPAN_YEARS = Math.max(
+  1,
+  Number(process.env.SHOW_CATALOG_RANGE_SPAN_YEARS) || 10
+);
+const SHOW_RANGE_MIN_YEAR = (() => {
+  const configured = Number(process.env.SHOW_CATALOG_MIN_YEAR);
+  if (Number.isFinite(configured)) {
+    return Math.max(1940, Math.floor(configured));
+  }
+  return 1970;
+})();
+const SHOW_RANGE_CACHE_TTL_MS = Math.max(
+  24 * 60 * 60 * 1000,
+  Number(process.env.SHOW_CATALOG_RANGE_TTL_MS) || 30 * 24 * 60 * 60 * 1000
+);
+const SHOW_SEASON_CACHE_COLLECTION = 'showSeasons';
+const SHOW_SEASON_CACHE_TTL_MS = Math.max(
+  60 * 60 * 1000,
+  Number(process.env.SHOW_SEASON_CACHE_TTL_MS) || 7 * 24 * 60 * 60 * 1000
+);
+const STALE_AFTER_MS = Math.max(
+  5 * 60_000,
+  Number(process.env.SHOW_CATALOG_STALE_MS) || 24 * 60 * 60 * 1000
+);
+const MAX_DISCOVER_PAGES = Math.max(
+  1,
+  Number(process.env.SHOW_CATALOG_MAX_PAGES) || 5
+);
+const LOCAL_SHOW_DATA_PATH = path.join(__dirname, 'data', 'legacy-shows.json');
+
+let state = {
+  shows: [],
+  updatedAt: 0,
+  metadata: { source: 'empty', total: 0, updatedAt: null },
+  byId: new Map()
+};
+
+let hydratePromise = null;
+let refreshPromise = null;
+
+function parseDate(dateStr) {
+  if (!dateStr) return null;
+  const ms = Date.parse(dateStr);
+  if (!Number.isFinite(ms)) return null;
+  return ms;
+}
+
+function normalizeShow(show, { allowLowScore = false } = {}) {
+  if (!show) return null;
+  const rawName = show.name ?? show.title ?? show.original_name ?? '';
+  const name = typeof rawName === 'string' ? rawName.trim() : '';
+  if (!name) return null;
+  const score = Number(show.score ?? show.vote_average ?? show.voteAverage ?? null);
+  if (!Number.isFinite(score)) return null;
+  if (!allowLowScore && score < MIN_SCORE) return null;
+  const id = show.id == null ? null : String(show.id);
+  if (!id) return null;
+  const poster_path =
+    typeof show.poster_path === 'string'
+      ? show.poster_path
+      : typeof show.posterPath === 'string'
+      ? show.posterPath
+      : null;
+  const backdrop_path =
+    typeof show.backdrop_path === 'string'
+      ? show.backdrop_path
+      : typeof show.backdropPath === 'string'
+      ? show.backdropPath
+      : null;
+  const firstAirDate =
+    typeof show.firstAirDate === 'string'
+      ? show.firstAirDate
+      : typeof show.first_air_date === 'string' && show.first_air_date
+      ? show.first_air_date
+      : null;
+  const voteCount = Number(show.vote_count ?? show.voteCount ?? 0) || 0;
+  const popularity = Number(show.popularity ?? 0) || 0;
+  const rawSeasonCount = Number(show.seasonCount ?? show.number_of_seasons);
+  const seasonCount =
+    Number.isFinite(rawSeasonCount) && rawSeasonCount > 0 ? Math.floor(rawSeasonCount) : null;
+  const originCountry = Array.isArray(show.origin_country ?? show.originCountry)
+    ? (show.origin_country ?? show.originCountry).filter(code => typeof code === 'string')
+    : [];
+  return {
+    id,
+    name,
+    score,
+    poster_path,
+    backdrop_path,
+    firstAirDate,
+    genre_ids: normalizeGenreIds(show),
+    voteCount,
+    popularity,
+    seasonCount,
+    originCountry,
+    overview: typeof show.overview === 'string' ? show.overview : '',
+    searchTitle: foldSearchText(name),
+    ranking: computeRanking(score, voteCount, firstAirDate, popularity)
+  };
+}
+
+function formatShowForResponse(show) {
+  if (!show) return null;
+  const roundedScore = Math.round(show.score * 10) / 10;
+  return {
+    id: show.id,
+    name: show.name,
+    score: Number.isFinite(roundedScore) ? roundedScore : show.score,
+    poster_path: show.poster_path || null,
+    backdrop_path: show.backdrop_path || null,
+    firstAirDate: show.firstAirDate || null,
+    genre_ids: Array.isArray(show.genre_ids) ? show.genre_ids : [],
+    voteCount: Number.isFinite(show.voteCount) ? show.voteCount : null,
+    popularity: Number.isFinite(show.popularity) ? show.popularity : null,
+    seasonCount: show.seasonCount ?? null,
+    originCountry: Array.isArray(show.originCountry) ? show.originCountry : [],
+    overview: show.overview || ''
+  };
+}
+
+function stripDerivedShowFields(show) {
+  const formatted = formatShowForResponse(show);
+  if (!formatted || !formatted.id || !formatted.name) return null;
+  return formatted;
+}
+
+function applyState(shows, metadata = {}) {
+  const prepared = Array.isArray(shows)
+    ? shows
+        .map(show => normalizeShow(show, { allowLowScore: Boolean(metadata.allowLowScore) }))
+        .filter(Boolean)
+        .sort((a, b) => (b.ranking ?? 0) - (a.ranking ?? 0))
+    : [];
+  const updatedAtMs = (() => {
+    const parsed = parseDate(metadata.updatedAt);
+    return Number.isFinite(parsed) ? parsed : Date.now();
+  })();
+  state = {
+    shows: prepared,
+    updatedAt: updatedAtMs,
+    metadata: {
+      ...metadata,
+      total: prepared.length,
+      updatedAt: new Date(updatedAtMs).toISOString()
+    },
+    byId: new Map(prepared.map(show => [show.id, show]))
+  };
+  return state;
+}
+
+function buildAirDateRanges() {
+  const ranges = [];
+  const maxYear = Math.max(SHOW_RANGE_MIN_YEAR, new Date().getFullYear());
+  for (let endYear = maxYear; endYear >= SHOW_RANGE_MIN_YEAR; endYear -= SHOW_RANGE_SPAN_YEARS) {
+    const startYear = Math.max(SHOW_RANGE_MIN_YEAR, endYear - SHOW_RANGE_SPAN_YEARS + 1);
+    ranges.push({
+      startYear,
+      endYear,
+      startDate: `${startYear}-01-01`,
+      endDate: `${endYear}-12-31`,
+      label: `${startYear}-${endYear}`
+    });
+  }
+  return ranges;
+}
+
+function rangeCacheParts(range) {
+  return ['range', SHOW_RANGE_CACHE_VERSION, range.startDate, range.endDate];
+}
+
+async function loadRangeFromCache(range) {
+  const cached = await readCachedResponse(
+    SHOW_RANGE_CACHE_COLLECTION,
+    rangeCacheParts(range),
+    SHOW_RANGE_CACHE_TTL_MS
+  );
+  if (!cached || typeof cached.body !== 'string' || !cached.body.length) {
+    return null;
+  }
+  try {
+    const parsed = JSON.parse(cached.body);
+    const shows = (Array.isArray(parsed?.shows) ? parsed.shows : [])
+      .map(show => normalizeShow(show))
+      .filter(Boolean);
+    return shows.length ? shows : null;
+  } catch (err) {
+    console.error(`Failed to parse cached TMDB show range ${range.label}`, err);
+    return null;
+  }
+}
+
+async function cacheRangeShows(range, shows) {
+  const sanitized = shows.map(stripDerivedShowFields).filter(Boolean);
+  if (!sanitized.length) return;
+  try {
+    await writeCachedResponse(SHOW_RANGE_CACHE_COLLECTION, rangeCacheParts(range), {
+      status: 200,
+      contentType: 'application/json',
+      body: JSON.stringify({ range, shows: sanitized }),
+      metadata: {
+        label: range.label,
+        total: sanitized.length,
+        fetchedAt: new Date().toISOString(),
+        version: SHOW_RANGE_CACHE_VERSION
+      }
+    });
+  } catch (err) {
+    console.error(`Failed to cache TMDB show range ${range.label}`, err);
+  }
+}
+
+async function fetchRangeShows(range) {
+  const params = new URLSearchParams({
+    sort_by: 'vote_average.desc',
+    'vote_average.gte': String(MIN_SCORE),
+    'vote_count.gte': '100',
+    include_adult: 'false',
+    language: 'en-US',
+    'first_air_date.gte': range.startDate,
+    'first_air_date.lte': range.endDate
+  });
+  const seen = new Map();
+  let totalPages = Infinity;
+  for (let page = 1; page <= MAX_DISCOVER_PAGES && page <= totalPages; page += 1) {
+    params.set('page', String(page));
+    // eslint-disable-next-line no-await-in-loop
+    const data = await tmdbRequest('discover/tv', params);
+    const results = Array.isArray(data?.results) ? data.results : [];
+    results.forEach(item => {
+      const show = normalizeShow(item);
+      if (show && !seen.has(show.id)) seen.set(show.id, show);
+    });
+    const reportedTotal = Number(data?.total_pages);
+    if (Number.isFinite(reportedTotal) && reportedTotal > 0) {
+      totalPages = reportedTotal;
+    }
+    if (!results.length) break;
+  }
+  return Array.from(seen.values());
+}
+
+async function loadLocalShowCatalog() {
+  try {
+    const contents = await fs.promises.readFile(LOCAL_SHOW_DATA_PATH, 'utf8');
+    const parsed = JSON.parse(contents);
+    const shows = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.shows) ? parsed.shows : [];
+    if (!shows.length) return null;
+    return {
+      shows,
+      metadata: { source: 'local', totalCollected: shows.length, path: LOCAL_SHOW_DATA_PATH }
+    };
+  } catch (err) {
+    if (err && err.code !== 'ENOENT') {
+      console.error('Failed to load local show dataset', err);
+    }
+    return null;
+  }
+}
+
+async function fetchShowCatalog() {
+  const isTestEnvironment =
+    process.env.VITEST === 'true' ||
+    process.env.NODE_ENV === 'test' ||
+    process.env.JEST_WORKER_ID !== undefined;
+  if (isTestEnvironment || !hasTmdbCredentials()) {
+    return (await loadLocalShowCatalog()) || { shows: [], metadata: { source: 'empty' } };
+  }
+
+  const ranges = buildAirDateRanges();
+  const merged = new Map();
+  let fetchedRanges = 0;
+  let cachedRanges = 0;
+  for (const range of ranges) {
+    // eslint-disable-next-line no-await-in-loop
+    let shows = await loadRangeFromCache(range);
+    if (shows) {
+      cachedRanges += 1;
+    } else {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        shows = await fetchRangeShows(range);
+        fetchedRanges += 1;
+        // eslint-disable-next-line no-await-in-loop
+        await cacheRangeShows(range, shows);
+      } catch (err) {
+        console.error(`TMDB show range fetch failed for ${range.label}`, err);
+        shows = [];
+      }
+    }
+    shows.forEach(show => {
+      if (!merged.has(show.id)) merged.set(show.id, show);
+    });
+  }
+
+  if (!merged.size) {
+    return (await loadLocalShowCatalog()) || { shows: [], metadata: { source: 'empty' } };
+  }
+  return {
+    shows: Array.from(merged.values()),
+    metadata: {
+      source: 'tmdb-range-cache',
+      configuredRanges: ranges.length,
+      fetchedRanges,
+      cachedRanges,
+      totalCollected: merged.size
+    }
+  };
+}
+
+async function loadCatalogFromCache() {
+  const cached = await readCachedResponse(SHOW_CACHE_COLLECTION, SHOW_CACHE_KEY, 0);
+  if (!cached || typeof cached.body !== 'string' || !cached.body.length) {
+    return null;
+  }
+  try {
+    return JSON.parse(cached.body);
+  } catch (err) {
+    console.error('Failed to parse cached show catalog', err);
+    return null;
+  }
+}
+
+async function persistCatalog() {
+  if (!state.shows.length) return;
+  const payload = {
+    updatedAt: new Date(state.updatedAt).toISOString(),
+    metadata: { ...state.metadata, total: state.shows.length },
+    shows: state.shows.map(stripDerivedShowFields).filter(Boolean)
+  };
+  await writeCachedResponse(SHOW_CACHE_COLLECTION, SHOW_CACHE_KEY, {
+    status: 200,
+    contentType: 'application/json',
+    body: JSON.stringify(payload),
+    metadata: { source: state.metadata?.source || null, total: state.shows.length }
+  });
+}
+
+function shouldRefresh() {
+  if (!state.shows.length) return true;
+  return Date.now() - state.updatedAt > STALE_AFTER_MS;
+}
+
+async function refreshShowCatalog({ force = false } = {}) {
+  if (!force && !shouldRefresh()) {
+    return state;
+  }
+  if (refreshPromise) {
+    return refreshPromise;
+  }
+  refreshPromise = (async () => {
+    const catalog = await fetchShowCatalog();
+    applyState(catalog.shows, { ...catalog.metadata, updatedAt: new Date().toISOString() });
+    await persistCatalog();
+    return state;
+  })()
+    .catch(err => {
+      console.error('Show catalog refresh failed', err);
+      return state;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+  return refreshPromise;
+}
+
+async function ensureShowCatalog(options = {}) {
+  if (!hydratePromise) {
+    hydratePromise = (async () => {
+      const cached = await loadCatalogFromCache();
+      if (cached && Array.isArray(cached.shows) && cached.shows.length) {
+        applyState(cached.shows, {
+          ...cached.metadata,
+          updatedAt: cached.updatedAt,
+          loadedFrom: 'firestore'
+        });
+      }
+      return state;
+    })();
+  }
+  await hydratePromise;
+  if (options.cacheOnly) return state;
+  if (options.forceRefresh) {
+    await refreshShowCatalog({ force: true });
+  } else if (shouldRefresh()) {
+    if (options.allowStale && state.shows.length) {
+      refreshShowCatalog().catch(err => {
+        console.error('Show catalog background refresh failed', err);
+      });
+    } else {
+      await refreshShowCatalog();
+    }
+  }
+  return state;
+}
+
+function searchShows(query, { limit = DEFAULT_LIMIT, minScore = MIN_SCORE, excludeIds } = {}) {
+  const tokens = foldSearchText(query).split(' ').filter(Boolean);
+  const exclude = new Set(Array.from(excludeIds || [], id => String(id)));
+  const threshold = Number.isFinite(Number(minScore)) ? Number(minScore) : MIN_SCORE;
+  const matches = state.shows.filter(show => {
+    if (exclude.has(show.id)) return false;
+    if (show.score < threshold) return false;
+    if (!tokens.length) return true;
+    const titleTokens = show.searchTitle.split(' ');
+    return tokens.every(token => titleTokens.some(titleToken => titleToken.startsWith(token)));
+  });
+  const sanitizedLimit = Math.max(1, Number(limit) || DEFAULT_LIMIT);
+  return {
+    totalMatches: matches.length,
+    results: matches.slice(0, sanitizedLimit).map(formatShowForResponse)
+  };
+}
+
+function normalizeSeasons(rawSeasons) {
+  return (Array.isArray(rawSeasons) ? rawSeasons : [])
+    .map(season => {
+      const seasonNumber = Number(season?.season_number ?? season?.seasonNumber);
+      if (!Number.isInteger(seasonNumber) || seasonNumber < 1) return null;
+      const episodeCount = Number(season?.episode_count ?? season?.episodeCount);
+      return {
+        seasonNumber,
+        name: typeof season?.name === 'string' && season.name ? season.name : `Season ${seasonNumber}`,
+        episodeCount: Number.isFinite(episodeCount) && episodeCount > 0 ? episodeCount : null,
+        airDate: season?.air_date || season?.airDate || null
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.seasonNumber - b.seasonNumber);
+}
+
+function buildSeasonsFromCount(count) {
+  return Array.from({ length: count }, (_, index) => ({
+    seasonNumber: index + 1,
+    name: `Season ${index + 1}`,
+    episodeCount: null,
+    airDate: null
+  }));
+}
+
+async function getShowSeasons(id) {
+  const showId = id == null ? '' : String(id).trim();
+  if (!showId) return null;
+  const known = state.byId.get(showId) || null;
+
+  const cached = await readCachedResponse(
+    SHOW_SEASON_CACHE_COLLECTION,
+    ['seasons', showId],
+    SHOW_SEASON_CACHE_TTL_MS
+  );
+  if (cached && typeof cached.body === 'string' && cached.body.length) {
+    try {
+      const parsed = JSON.parse(cached.body);
+      if (Array.isArray(parsed?.seasons) && parsed.seasons.length) {
+        return { ...parsed, source: 'cache' };
+      }
+    } catch (err) {
+      console.error(`Failed to parse cached seasons for show ${showId}`, err);
+    }
+  }
+
+  if (hasTmdbCredentials() && /^\d+$/.test(showId)) {
+    try {
+      const details = await tmdbRequest(`tv/${encodeURIComponent(showId)}`, new URLSearchParams({
+        language: 'en-US'
+      }));
+      const seasons = normalizeSeasons(details?.seasons);
+      if (seasons.length) {
+        const payload = {
+          showId,
+          name: details?.name || known?.name || null,
+          seasons
+        };
+        await writeCachedResponse(SHOW_SEASON_CACHE_COLLECTION, ['seasons', showId], {
+          status: 200,
+          contentType: 'application/json',
+          body: JSON.stringify(payload),
+          metadata: { showId, total: seasons.length }
+        });
+        return { ...payload, source: 'tmdb' };
+      }
+    } catch (err) {
+      console.error(`TMDB season lookup failed for show ${showId}`, err);
+    }
+  }
+
+  if (known?.seasonCount) {
+    return {
+      showId,
+      name: known.name,
+      seasons: buildSeasonsFromCount(known.seasonCount),
+      source: 'catalog'
+    };
+  }
+  return null;
+}
+
+module.exports = {
+  MIN_SCORE,
+  ensureShowCatalog,
+  searchShows,
+  getShowSeasons
+};
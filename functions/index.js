@@ -78,6 +78,40 @@ const ALLOWED_ENDPOINTS = {
     },
     omitParams: ['movie_id', 'movieId', 'id']
   },
+  watch_providers: {
+    path: query => {
+      const rawId = query?.movie_id ?? query?.id ?? query?.movieId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/movie/${encodeURIComponent(trimmed)}/watch/providers`;
+    },
+    omitParams: ['movie_id', 'movieId', 'id']
+  },
+  watch_provider_list: { path: '/3/watch/providers/movie' },
+  keywords: {
+    path: query => {
+      const rawId = query?.movie_id ?? query?.id ?? query?.movieId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/movie/${encodeURIComponent(trimmed)}/keywords`;
+    },
+    omitParams: ['movie_id', 'movieId', 'id']
+  },
+  movie_videos: {
+    path: query => {
+      const rawId = query?.movie_id ?? query?.id ?? query?.movieId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/movie/${encodeURIComponent(trimmed)}/videos`;
+    },
+    omitParams: ['movie_id', 'movieId', 'id']
+  },
   person_details: {
     path: query => {
       const rawId = query?.person_id ?? query?.id;
@@ -89,8 +123,33 @@ const ALLOWED_ENDPOINTS = {
     },
     omitParams: ['person_id', 'id']
   },
+  discover_tv: { path: '/3/discover/tv' },
+  tv_genres: { path: '/3/genre/tv/list' },
+  tv_credits: {
+    path: query => {
+      const rawId = query?.tv_id ?? query?.id ?? query?.tvId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/tv/${encodeURIComponent(trimmed)}/aggregate_credits`;
+    },
+    omitParams: ['tv_id', 'tvId', 'id']
+  },
+  tv_details: {
+    path: query => {
+      const rawId = query?.tv_id ?? query?.id ?? query?.tvId;
+      const value = Array.isArray(rawId) ? rawId[0] : rawId;
+      if (!value && value !== 0) return null;
+      const trimmed = String(value).trim();
+      if (!trimmed) return null;
+      return `/3/tv/${encodeURIComponent(trimmed)}`;
+    },
+    omitParams: ['tv_id', 'tvId', 'id']
+  },
   search_multi: { path: '/3/search/multi' },
   search_movie: { path: '/3/search/movie' },
+  search_person: { path: '/3/search/person' },
   trending_all: { path: '/3/trending/all/day' },
   trending_movies: { path: '/3/trending/movie/day' },
   popular_movies: { path: '/3/movie/popular' },
@@ -2,6 +2,7 @@ import { loadDecisions, flushPendingDecisions, clearDecisionsCache, pickDate } f
 import { initAuth, db, currentUser } from './auth.js';
 import { initButtonStyles } from './buttonStyles.js';
 import { loadHiddenTabs, applyHiddenTabs, saveHiddenTabs } from './settings.js';
+import { initTabs } from './tabs.js';
 
 let hiddenTabsTimer = null;
 let renderQueue = Promise.resolve();
@@ -85,12 +86,8 @@ window.addEventListener('DOMContentLoaded', () => {
     }
     moviesPanelInitPromise = (async () => {
       try {
-        const initializer =
-          (typeof window !== 'undefined' && window.initMoviesPanel) ||
-          (await import('./movies.js')).initMoviesPanel;
-        if (typeof initializer === 'function') {
-          await initializer();
-        }
+        const { initMoviesPanel } = await import('./movies.js');
+        await initMoviesPanel();
         moviesPanelInitialized = true;
       } catch (err) {
         console.error('Failed to initialize movies panel', err);
@@ -101,11 +98,42 @@ window.addEventListener('DOMContentLoaded', () => {
     await moviesPanelInitPromise;
   }
 
+  let seriesPanelInitialized = false;
+  let seriesPanelInitPromise = null;
+  async function ensureSeriesPanelInitialized() {
+    if (seriesPanelInitialized) return;
+    if (seriesPanelInitPromise) {
+      await seriesPanelInitPromise;
+      return;
+    }
+    seriesPanelInitPromise = (async () => {
+      try {
+        const { initSeriesPanel } = await import('./shows.js');
+        await initSeriesPanel();
+        seriesPanelInitialized = true;
+      } catch (err) {
+        console.error('Failed to initialize series panel', err);
+      } finally {
+        seriesPanelInitPromise = null;
+      }
+    })();
+    await seriesPanelInitPromise;
+  }
+
   if (moviesPanel) {
     moviesPanel.style.display = 'flex';
     ensureMoviesPanelInitialized();
   }
 
+  if (document.getElementById('seriesPanel')) {
+    initTabs(currentUser, db, {
+      moviesPanel: ensureMoviesPanelInitialized,
+      seriesPanel: ensureSeriesPanelInitialized
+    }).catch(err => {
+      console.warn('Failed to initialize tabs', err);
+    });
+  }
+
   uiRefs.signupBtn?.addEventListener('click', () => uiRefs.loginBtn?.click());
   uiRefs.calendarAddProjectBtn?.addEventListener('click', () => addCalendarGoal());
   uiRefs.bottomAddBtn?.addEventListener('click', handleBottomAdd);
@@ -313,7 +341,7 @@ window.addEventListener('DOMContentLoaded', () => {
 
 
 
-  const SIGNED_OUT_TABS = ['moviesPanel'];
+  const SIGNED_OUT_TABS = ['moviesPanel', 'seriesPanel'];
 
   function showOnlySignedOutTabs() {
     const allowed = new Set(SIGNED_OUT_TABS);
@@ -354,12 +382,20 @@ window.addEventListener('DOMContentLoaded', () => {
           const moviesModule = await import('./movies.js');
           if (typeof moviesModule.refreshMoviesPanelForAuthChange === 'function') {
             await moviesModule.refreshMoviesPanelForAuthChange(user || null);
-          } else if (typeof window !== 'undefined' && typeof window.initMoviesPanel === 'function') {
-            await window.initMoviesPanel();
+          } else {
+            await ensureMoviesPanelInitialized();
           }
         } catch (err) {
           console.warn('Failed to refresh movies after auth change', err);
         }
+        if (seriesPanelInitialized) {
+          try {
+            const showsModule = await import('./shows.js');
+            await showsModule.refreshSeriesPanelForAuthChange(user || null);
+          } catch (err) {
+            console.warn('Failed to refresh shows after auth change', err);
+          }
+        }
         lastAuthMoviesUserId = nextMoviesUserId;
       }
 
@@ -0,0 +1,55 @@
+export const DIVERGENCE_THRESHOLD = 25;
+
+export const DIVERGENCE_SIGNAL_LABELS = Object.freeze({
+  audience: 'TMDB audience',
+  critics: 'Critics',
+  you: 'You'
+});
+
+function toHundredScale(value, scaleMax) {
+  const number = Number(value);
+  if (value == null || value === '' || !Number.isFinite(number)) return null;
+  return Math.max(0, Math.min(100, (number / scaleMax) * 100));
+}
+
+export function getDivergenceSignals(movie, { criticBlend = null, userRating = null } = {}) {
+  const average = Number(movie?.vote_average);
+  return {
+    audience: Number.isFinite(average) && average > 0 ? toHundredScale(average, 10) : null,
+    critics: toHundredScale(criticBlend, 100),
+    you: toHundredScale(userRating, 10)
+  };
+}
+
+export function measureDivergence(signals) {
+  const known = Object.entries(signals || {}).filter(([, value]) => Number.isFinite(value));
+  if (known.length < 2) return null;
+  const sorted = known.slice().sort((a, b) => b[1] - a[1]);
+  const [high, highValue] = sorted[0];
+  const [low, lowValue] = sorted[sorted.length - 1];
+  return { high, low, spread: highValue - lowValue };
+}
+
+export function rankDivergentMovies(
+  entries,
+  { getCriticBlend, threshold = DIVERGENCE_THRESHOLD, requireUserRating = false } = {}
+) {
+  const ranked = [];
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    if (!entry?.movie) return;
+    const blend = typeof getCriticBlend === 'function' ? getCriticBlend(entry.movie) : null;
+    const signals = getDivergenceSignals(entry.movie, {
+      criticBlend: Number.isFinite(blend?.value) ? blend.value : null,
+      userRating: entry.userRating
+    });
+    if (requireUserRating && signals.you == null) return;
+    const divergence = measureDivergence(signals);
+    if (!divergence || divergence.spread < threshold) return;
+    ranked.push({ ...entry, signals, ...divergence });
+  });
+  return ranked.sort(
+    (a, b) =>
+      b.spread - a.spread ||
+      String(a.movie.title || '').localeCompare(String(b.movie.title || ''))
+  );
+}
@@ -0,0 +1,141 @@
+export const MOVIE_BACKUP_FORMAT = 'movie-stream-backup';
+export const MOVIE_BACKUP_VERSION = 1;
+
+const BACKUP_STATUSES = new Set(['interested', 'watched', 'notInterested']);
+const LIST_STATUSES = new Set(['interested', 'watched']);
+
+function escapeCsvField(value) {
+  const text = value == null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows) {
+  return `${rows.map(row => row.map(escapeCsvField).join(',')).join('\n')}\n`;
+}
+
+function getYear(movie) {
+  const match = String(movie?.release_date || '').match(/^(\d{4})/);
+  return match ? match[1] : '';
+}
+
+function sortedViewings(pref) {
+  return (Array.isArray(pref?.viewings) ? pref.viewings : [])
+    .filter(viewing => viewing && typeof viewing.date === 'string' && viewing.date)
+    .slice()
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function listEntries(prefs) {
+  return Object.entries(prefs || {})
+    .filter(([, pref]) => pref && LIST_STATUSES.has(pref.status) && pref.movie)
+    .sort(
+      ([, a], [, b]) =>
+        String(a.movie.title || '').localeCompare(String(b.movie.title || '')) ||
+        getYear(a.movie).localeCompare(getYear(b.movie))
+    );
+}
+
+function toLetterboxdRating(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number <= 0) return '';
+  return Math.min(5, Math.max(0.5, Math.round(number) / 2));
+}
+
+export function buildLetterboxdCsv(prefs) {
+  const rows = [['tmdbID', 'Title', 'Year', 'Rating', 'WatchedDate', 'Rewatch', 'Review']];
+  listEntries(prefs)
+    .filter(([, pref]) => pref.status === 'watched')
+    .forEach(([id, pref]) => {
+      const title = pref.movie.title || '';
+      const year = getYear(pref.movie);
+      const viewings = sortedViewings(pref);
+      if (!viewings.length) {
+        rows.push([id, title, year, toLetterboxdRating(pref.userRating), '', '', '']);
+        return;
+      }
+      viewings.forEach((viewing, index) => {
+        rows.push([
+          id,
+          title,
+          year,
+          toLetterboxdRating(viewing.rating ?? pref.userRating),
+          viewing.date,
+          index > 0 ? 'Yes' : '',
+          viewing.review || ''
+        ]);
+      });
+    });
+  return toCsv(rows);
+}
+
+function formatTimestamp(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? new Date(number).toISOString() : '';
+}
+
+export function buildPlainCsv(prefs) {
+  const rows = [
+    ['tmdb_id', 'title', 'year', 'status', 'interest', 'user_rating', 'times_viewed', 'last_watched', 'updated_at']
+  ];
+  listEntries(prefs).forEach(([id, pref]) => {
+    const viewings = sortedViewings(pref);
+    rows.push([
+      id,
+      pref.movie.title || '',
+      getYear(pref.movie),
+      pref.status,
+      pref.status === 'interested' ? pref.interest ?? '' : '',
+      pref.userRating ?? '',
+      viewings.length || '',
+      viewings.length ? viewings[viewings.length - 1].date : '',
+      formatTimestamp(pref.updatedAt)
+    ]);
+  });
+  return toCsv(rows);
+}
+
+export function buildMovieBackup(prefs, { summarizeMovie, exportedAt = Date.now() } = {}) {
+  const movies = {};
+  Object.entries(prefs || {}).forEach(([id, pref]) => {
+    if (!pref || !BACKUP_STATUSES.has(pref.status)) return;
+    const entry = { status: pref.status };
+    if (pref.interest != null) entry.interest = pref.interest;
+    if (pref.userRating != null) entry.userRating = pref.userRating;
+    if (pref.reason) entry.reason = pref.reason;
+    if (pref.updatedAt != null) entry.updatedAt = pref.updatedAt;
+    if (Array.isArray(pref.viewings) && pref.viewings.length) entry.viewings = pref.viewings;
+    if (pref.movie) {
+      entry.movie = typeof summarizeMovie === 'function' ? summarizeMovie(pref.movie) : pref.movie;
+    }
+    movies[id] = entry;
+  });
+  return {
+    format: MOVIE_BACKUP_FORMAT,
+    version: MOVIE_BACKUP_VERSION,
+    exportedAt: new Date(exportedAt).toISOString(),
+    movies
+  };
+}
+
+export function parseMovieBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text || '').replace(/^\uFEFF/, ''));
+  } catch (err) {
+    return null;
+  }
+  if (!data || data.format !== MOVIE_BACKUP_FORMAT) return null;
+  if (!Number.isInteger(data.version) || data.version < 1) return null;
+  if (data.version > MOVIE_BACKUP_VERSION) {
+    throw new Error(`Backup version ${data.version} is newer than this app supports`);
+  }
+  const movies = {};
+  Object.entries(data.movies && typeof data.movies === 'object' ? data.movies : {}).forEach(
+    ([id, entry]) => {
+      if (!entry || !BACKUP_STATUSES.has(entry.status)) return;
+      if (entry.status !== 'notInterested' && (!entry.movie || entry.movie.id == null)) return;
+      movies[id] = entry;
+    }
+  );
+  return { version: data.version, exportedAt: data.exportedAt || '', movies };
+}
@@ -0,0 +1,136 @@
+import { parseMovieBackup } from './movieExport.js';
+
+const IMDB_MOVIE_TITLE_TYPES = new Set(['movie', 'tv movie', 'video', 'short']);
+
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function toRecords(rows) {
+  const [header = [], ...body] = rows;
+  const keys = header.map(key => key.trim());
+  return body.map(cells => {
+    const record = {};
+    keys.forEach((key, index) => {
+      record[key] = (cells[index] ?? '').trim();
+    });
+    return record;
+  });
+}
+
+export function detectImportFormat(headers, fileName = '') {
+  const keys = new Set((headers || []).map(key => String(key).trim()));
+  if (keys.has('Const') && keys.has('Your Rating')) return 'imdbRatings';
+  if (!keys.has('Name') || !keys.has('Letterboxd URI')) return null;
+  const name = String(fileName).toLowerCase();
+  if (keys.has('Watched Date') || name.includes('diary')) return 'letterboxdDiary';
+  if (keys.has('Rating') || name.includes('ratings')) return 'letterboxdRatings';
+  return /(^|[\\/])watchlist\.csv$/.test(name) ? 'letterboxdWatchlist' : 'letterboxdWatched';
+}
+
+function parseYear(value) {
+  const year = Number.parseInt(String(value || '').slice(0, 4), 10);
+  return Number.isFinite(year) && year > 1800 ? year : null;
+}
+
+function parseDate(value) {
+  const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})/);
+  return match ? match[1] : '';
+}
+
+export function rescaleRating(value, scaleMax) {
+  const number = Number.parseFloat(value);
+  if (!Number.isFinite(number) || number <= 0 || !scaleMax) return null;
+  return (number / scaleMax) * 10;
+}
+
+function fromLetterboxd(record, format) {
+  const title = record.Name || '';
+  if (!title) return null;
+  const row = {
+    source: format,
+    title,
+    year: parseYear(record.Year),
+    status: format === 'letterboxdWatchlist' ? 'interested' : 'watched',
+    rating: format === 'letterboxdWatchlist' ? null : rescaleRating(record.Rating, 5),
+    watchedDate: '',
+    review: record.Review || ''
+  };
+  if (format === 'letterboxdDiary') {
+    row.watchedDate = parseDate(record['Watched Date'] || record.Date);
+    row.rewatch = /^yes$/i.test(record.Rewatch || '');
+  }
+  return row;
+}
+
+function fromImdb(record) {
+  const type = String(record['Title Type'] || 'movie').trim().toLowerCase();
+  if (type && !IMDB_MOVIE_TITLE_TYPES.has(type)) return null;
+  const title = record.Title || record['Original Title'] || '';
+  if (!title) return null;
+  return {
+    source: 'imdbRatings',
+    title,
+    year: parseYear(record.Year || record['Release Date']),
+    imdbId: record.Const || '',
+    status: 'watched',
+    rating: rescaleRating(record['Your Rating'], 10),
+    watchedDate: '',
+    review: ''
+  };
+}
+
+export function parseImportFile(text, fileName = '') {
+  if (/\.json$/i.test(fileName) || /^\uFEFF?\s*\{/.test(String(text || ''))) {
+    const backup = parseMovieBackup(text);
+    return backup ? { format: 'movieBackup', rows: [], backup } : { format: null, rows: [] };
+  }
+  const rows = parseCsv(text);
+  const format = detectImportFormat(rows[0], fileName);
+  if (!format) {
+    return { format: null, rows: [] };
+  }
+  const records = toRecords(rows);
+  const parsed = records
+    .map(record => (format === 'imdbRatings' ? fromImdb(record) : fromLetterboxd(record, format)))
+    .filter(Boolean);
+  return { format, rows: parsed };
+}
@@ -0,0 +1,108 @@
+const DEFAULT_INTEREST = 3;
+const INTEREST_WEIGHT = 0.6;
+const CRITIC_WEIGHT = 0.4;
+const NEUTRAL_CRITIC_SCORE = 0.5;
+const MOVIE_NIGHT_PICK_LIMIT = 100;
+
+function readInterest(value) {
+  const interest = Number(value && typeof value === 'object' ? value.interest : value);
+  return Number.isFinite(interest) ? interest : DEFAULT_INTEREST;
+}
+
+export function buildMovieNightSnapshot(prefs, { limit = MOVIE_NIGHT_PICK_LIMIT } = {}) {
+  const picks = Object.entries(prefs || {})
+    .filter(([, pref]) => pref?.status === 'interested')
+    .map(([id, pref]) => ({ id, interest: readInterest(pref), updatedAt: Number(pref.updatedAt) || 0 }))
+    .sort((a, b) => b.interest - a.interest || b.updatedAt - a.updatedAt)
+    .slice(0, Math.max(0, limit));
+  const interested = {};
+  picks.forEach(pick => {
+    interested[pick.id] = pick.interest;
+  });
+  return { interested };
+}
+
+function getCriticPart(movie, getCriticBlend) {
+  const blend = typeof getCriticBlend === 'function' ? getCriticBlend(movie) : null;
+  if (Number.isFinite(blend?.value)) {
+    return { value: blend.value, part: blend.value / 100 };
+  }
+  const average = Number(movie?.vote_average);
+  if (Number.isFinite(average) && average > 0) {
+    return { value: null, part: average / 10 };
+  }
+  return { value: null, part: NEUTRAL_CRITIC_SCORE };
+}
+
+export function rankMovieNightCandidates(members, { getCriticBlend, getMovie } = {}) {
+  const snapshots = Array.isArray(members) ? members : [];
+  if (snapshots.length < 2 || snapshots.some(member => !member)) return [];
+
+  const [first, ...rest] = snapshots;
+  const candidates = [];
+  Object.keys(first.interested || {}).forEach(id => {
+    if (!rest.every(member => member.interested?.[id] != null)) return;
+    const movie =
+      (typeof getMovie === 'function' ? getMovie(id) : null) ||
+      snapshots.map(member => member.interested[id]?.movie).find(Boolean);
+    if (!movie) return;
+    const interests = snapshots.map(member => readInterest(member.interested[id]));
+    const averageInterest = interests.reduce((sum, value) => sum + value, 0) / interests.length;
+    const critic = getCriticPart(movie, getCriticBlend);
+    candidates.push({
+      id,
+      movie,
+      interests,
+      combinedInterest: interests.reduce((sum, value) => sum + value, 0),
+      averageInterest,
+      criticBlend: critic.value,
+      score: (averageInterest / 5) * INTEREST_WEIGHT + critic.part * CRITIC_WEIGHT
+    });
+  });
+
+  return candidates.sort(
+    (a, b) =>
+      b.score - a.score ||
+      b.combinedInterest - a.combinedInterest ||
+      String(a.movie.title || '').localeCompare(String(b.movie.title || ''))
+  );
+}
+
+export function createMovieNightSession(candidates, memberUids = []) {
+  return {
+    memberUids: [...memberUids],
+    round: 1,
+    candidates: Array.isArray(candidates) ? [...candidates] : [],
+    eliminated: []
+  };
+}
+
+export function eliminateMovieNightCandidate(session, id) {
+  if (!session || session.candidates.length <= 1) return session;
+  const target = session.candidates.find(candidate => candidate.id === String(id));
+  if (!target) return session;
+  return {
+    ...session,
+    candidates: session.candidates.filter(candidate => candidate !== target),
+    eliminated: [...session.eliminated, { ...target, round: session.round }]
+  };
+}
+
+export function advanceMovieNightRound(session) {
+  if (!session || session.candidates.length <= 1) return session;
+  const keep = Math.max(1, Math.ceil(session.candidates.length / 2));
+  const dropped = session.candidates.slice(keep).map(candidate => ({
+    ...candidate,
+    round: session.round
+  }));
+  return {
+    ...session,
+    round: session.round + 1,
+    candidates: session.candidates.slice(0, keep),
+    eliminated: [...session.eliminated, ...dropped]
+  };
+}
+
+export function getMovieNightWinner(session) {
+  return session && session.candidates.length === 1 ? session.candidates[0] : null;
+}
@@ -1,6 +1,27 @@
 import { getCurrentUser, awaitAuthUser, db } from './auth.js';
 import { API_BASE_URL, DEFAULT_REMOTE_API_BASE } from './config.js';
 import { ensureTmdbCredentialsLoaded } from './tmdbCredentials.js';
+import { loadLists, saveLists, pickDate } from './helpers.js';
+import {
+  initSharedListsPanel,
+  startSharedListSync,
+  getSharedLists,
+  addMovieToSharedList,
+  onSharedListsChange,
+  publishMovieNightPicks,
+  getSharedListMemberName
+} from './sharedLists.js';
+import { parseImportFile } from './movieImport.js';
+import { buildLetterboxdCsv, buildPlainCsv, buildMovieBackup } from './movieExport.js';
+import { DIVERGENCE_SIGNAL_LABELS, rankDivergentMovies } from './movieDivergence.js';
+import {
+  buildMovieNightSnapshot,
+  rankMovieNightCandidates,
+  createMovieNightSession,
+  eliminateMovieNightCandidate,
+  advanceMovieNightRound,
+  getMovieNightWinner
+} from './movieNight.js';
 
 const MOVIE_PREFS_KEY = 'moviePreferences';
 const API_KEY_STORAGE = 'moviesApiKey';
@@ -14,8 +35,74 @@ const PREF_COLLECTION = 'moviePreferences';
 const MIN_VOTE_AVERAGE = 7;
 const MIN_VOTE_COUNT = 50;
 const MIN_PRIORITY_RESULTS = 12;
-const CACHE_QUERY_LIMIT_ALL = 20000;
+const CATALOG_PAGE_SIZE = 120;
 const NEW_MOVIE_FETCH_LIMIT = 80;
+const FEED_PAGE_SIZE = 40;
+const MAX_CATALOG_CURSOR_PAGES = 5;
+const SIMILAR_MOVIES_LIMIT = 10;
+const DEFAULT_WATCH_REGION = 'US';
+const WATCH_PROVIDER_STREAM_TYPES = Object.freeze(['flatrate', 'free', 'ads']);
+const WATCH_PROVIDER_FETCH_CONCURRENCY = 4;
+const WATCH_PROVIDER_FETCH_LIMIT = 40;
+const WATCH_PROVIDER_OPTION_LIMIT = 24;
+const LOOKUP_RETRY_DELAY_MS = 60 * 1000;
+const KEYWORD_FETCH_CONCURRENCY = 4;
+const KEYWORD_FETCH_LIMIT = 40;
+const KEYWORD_SUGGESTION_LIMIT = 200;
+const CREDIT_FETCH_CONCURRENCY = 4;
+const CREDIT_FETCH_LIMIT = 40;
+const KEYWORD_MOODS = Object.freeze({
+  mindBending: { label: 'Mind-bending', keywords: ['time travel', 'alternate reality', 'dream', 'time loop'] },
+  edgeOfSeat: { label: 'Edge of my seat', keywords: ['heist', 'suspense', 'hostage', 'chase'] },
+  feelGood: { label: 'Feel-good', keywords: ['friendship', 'feel-good', 'underdog', 'road trip'] },
+  spooky: { label: 'Spooky', keywords: ['haunted house', 'supernatural', 'ghost', 'slasher'] },
+  bookish: { label: 'From the page', keywords: ['based on novel or book', 'based on true story', 'biography'] }
+});
+const MOVIE_DETAIL_HASH_PATTERN = /^#movie\/([^/?#]+)$/;
+const MOVIE_DETAIL_CAST_LIMIT = 20;
+const IMPORT_MATCH_CONCURRENCY = 4;
+const IMPORT_CANDIDATE_LIMIT = 5;
+const VIEWING_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MOVIE_LIST_TYPE = 'movies';
+const MOVIE_LIST_NEW_OPTION = '__new__';
+const MOVIE_LIST_SHARED_PREFIX = 'shared:';
+const MOVIE_LIST_NAME_MAX_LENGTH = 80;
+const MOVIE_LIST_NOTE_MAX_LENGTH = 500;
+const MOVIE_LIST_SORT_MODES = Object.freeze(['custom', 'recent', 'title', 'rating', 'critics']);
+const TRAILER_VIDEO_TYPES = Object.freeze(['Trailer', 'Teaser']);
+const TRAILER_SEARCH_LIMIT = 5;
+const DISMISS_REASONS = Object.freeze([
+  { value: 'seenElsewhere', label: 'Seen it elsewhere', signals: { genre: 0, director: 0, cast: 0 } },
+  { value: 'notMyGenre', label: 'Not my genre', signals: { genre: -1, director: 0, cast: 0 } },
+  { value: 'tooViolent', label: 'Too violent', signals: { genre: -0.75, director: -0.5, cast: -0.25 } }
+]);
+const DEFAULT_DISMISS_SIGNAL = -0.5;
+const PEOPLE_PREFS_FIELD = 'people';
+const PEOPLE_PREFS_STORAGE_KEY = 'moviePeoplePreferences';
+const CRITIC_WEIGHTS_FIELD = 'criticWeights';
+const CRITIC_WEIGHTS_STORAGE_KEY = 'movieCriticWeights';
+const PERSON_MODES = Object.freeze(['follow', 'block']);
+const PERSON_FOLLOW_BOOST = 0.2;
+const PERSON_FOLLOW_BOOST_MAX = 0.5;
+const PERSON_FILMOGRAPHY_LIMIT = 60;
+const MOVIE_UNDO_LIMIT = 20;
+const UNDO_TOAST_DURATION_MS = 8000;
+const UNDO_RATING_COALESCE_MS = 5000;
+const UNDO_STATUS_LABELS = Object.freeze({
+  interested: 'Saved',
+  watched: 'Marked watched',
+  notInterested: 'Marked not interested'
+});
+const MOVIE_DETAIL_CREW_JOBS = Object.freeze([
+  'Director',
+  'Screenplay',
+  'Writer',
+  'Novel',
+  'Producer',
+  'Original Music Composer',
+  'Director of Photography',
+  'Editor'
+]);
 const GENRE_SELECTION_ALL = '__all__';
 const GENRE_SELECTION_NONE = '__none__';
 const GENRE_MAP_STORAGE_KEY = 'movieGenreMap';
@@ -58,14 +145,98 @@ let loggedProxyCreditsUnsupported = false;
 
 const SUPPRESSED_STATUSES = new Set(['watched', 'notInterested', 'interested']);
 
+const TASTE_FEATURE_WEIGHTS = Object.freeze({ genre: 1, director: 2.5, cast: 1.25 });
+const TASTE_RANK_WEIGHT = 0.35;
+const TASTE_MIN_REASON_SCORE = 1.5;
+
+const DEFAULT_RANK_PROFILE = 'balanced';
+const DEFAULT_RANK_PROFILE_OPTIONS = Object.freeze([
+  { name: 'balanced', label: 'Balanced' },
+  { name: 'hiddenGems', label: 'Hidden gems' },
+  { name: 'classics', label: 'Classics' },
+  { name: 'whatsNew', label: "What's new" }
+]);
+const FALLBACK_RANK_WEIGHTS = Object.freeze({
+  score: 5,
+  votes: 0.75,
+  popularity: 0.5,
+  recency: 0.75,
+  recencyWindowYears: 5,
+  age: 0,
+  ageWindowYears: 50
+});
+const RANK_PROFILE_THRESHOLDS = Object.freeze({
+  hiddenGems: [
+    { minAverage: 7.5, minVotes: 25, maxVotes: 2500 },
+    { minAverage: 7, minVotes: 10, maxVotes: 5000 }
+  ],
+  classics: [
+    { minAverage: 7.5, minVotes: 1000, minAgeYears: 25 },
+    { minAverage: 7, minVotes: 250, minAgeYears: 20 }
+  ],
+  whatsNew: [
+    { minAverage: 6.5, minVotes: 20, maxAgeYears: 2 },
+    { minAverage: 6, minVotes: 5, maxAgeYears: 3 }
+  ]
+});
+
+function buildRankingProfiles(entries) {
+  const profiles = {};
+  (Array.isArray(entries) ? entries : []).forEach(entry => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name) return;
+    const weights = entry.weights && typeof entry.weights === 'object' ? { ...entry.weights } : null;
+    profiles[name] = {
+      label: typeof entry.label === 'string' && entry.label.trim() ? entry.label.trim() : name,
+      weights,
+      thresholds: RANK_PROFILE_THRESHOLDS[name] || []
+    };
+  });
+  if (!profiles[DEFAULT_RANK_PROFILE]) {
+    profiles[DEFAULT_RANK_PROFILE] = { label: 'Balanced', weights: null, thresholds: [] };
+  }
+  return profiles;
+}
+
+let rankingProfiles = buildRankingProfiles(DEFAULT_RANK_PROFILE_OPTIONS);
+let rankingProfilesLoaded = false;
+
 const FEED_FILTERS_KEY = 'movieFeedFilters';
 const DEFAULT_FEED_FILTER_STATE = Object.freeze({
   minRating: '',
   minVotes: '',
   startYear: '',
   endYear: '',
-  selectedGenres: GENRE_SELECTION_ALL
+  selectedGenres: GENRE_SELECTION_ALL,
+  rankProfile: DEFAULT_RANK_PROFILE,
+  region: DEFAULT_WATCH_REGION,
+  myServices: '',
+  myServicesOnly: '',
+  includeKeywords: '',
+  excludeKeywords: '',
+  minRottenTomatoes: '',
+  minMetacritic: '',
+  minImdb: '',
+  sort: ''
 });
+const FEED_SORT_MODES = new Set(['criticBlend']);
+const CATALOG_SORT_MODES = new Set([
+  'relevance',
+  'rating',
+  'votes',
+  'popularity',
+  'newest',
+  'oldest',
+  'title'
+]);
+const CATALOG_QUERY_FILTERS = new Set([
+  'minRating',
+  'minVotes',
+  'startYear',
+  'endYear',
+  'selectedGenres',
+  'sort'
+]);
 
 let feedFilterState = { ...DEFAULT_FEED_FILTER_STATE };
 
@@ -96,52 +267,138 @@ const domRefs = {
   interestedSection: null,
   watchedSection: null,
   watchedSort: null,
+  watchedView: null,
+  importFile: null,
+  importStatus: null,
+  importReview: null,
   feedControls: null,
   feedStatus: null,
   feedStatusBottom: null,
   unclassifiedCount: null,
   feedMinRating: null,
   feedMinVotes: null,
+  feedMinRottenTomatoes: null,
+  feedMinMetacritic: null,
+  feedMinImdb: null,
+  feedSort: null,
   feedStartYear: null,
   feedEndYear: null,
-  feedGenre: null
+  feedGenre: null,
+  feedRankProfile: null,
+  feedRegion: null,
+  feedServices: null,
+  feedMyServicesOnly: null,
+  feedKeywordInput: null,
+  feedKeywordOptions: null,
+  feedKeywordInclude: null,
+  feedKeywordExclude: null,
+  feedKeywords: null,
+  feedMood: null,
+  movieListsSection: null,
+  movieListCreateForm: null,
+  movieListNameInput: null,
+  movieListSelect: null,
+  movieListSort: null,
+  movieListRename: null,
+  movieListDelete: null,
+  movieListNotes: null,
+  movieListFilters: null,
+  movieListItems: null,
+  sharedListsSection: null,
+  movieNightSection: null,
+  movieNightContent: null,
+  hiddenSection: null,
+  hiddenSearch: null,
+  hiddenReason: null,
+  hiddenList: null,
+  peopleSection: null,
+  peopleList: null,
+  criticWeightInputs: null,
+  criticWeightsReset: null,
+  divergenceSection: null,
+  divergenceMode: null,
+  divergenceList: null
 };
 
 let currentMovies = [];
 let currentPrefs = {};
 let genreMap = {};
 let lastCatalogMetadata = null;
+let catalogNextCursor = null;
+let lastCatalogQuerySignature = null;
+let catalogPageInProgress = false;
+const tasteReasonsById = new Map();
+const movieDetailsCache = new Map();
+const movieTrailerCache = new Map();
+const watchProvidersById = new Map();
+const pendingWatchProviderIds = new Set();
+const watchProviderRetryAt = new Map();
+const keywordsById = new Map();
+const pendingKeywordIds = new Set();
+const keywordRetryAt = new Map();
+const creditsCheckedIds = new Set();
+const pendingCreditIds = new Set();
+let watchProviderOptions = [];
+let watchProviderOptionsRegion = null;
 let serverMovieStats = null;
 let pendingMovieStatsPromise = null;
 let lastFetchedMovieStatsSignature = null;
 let activeApiKey = '';
 let prefsLoadedFor = null;
+let peoplePrefs = {};
+const personIdCache = new Map();
+const personDetailsCache = new Map();
 let loadingPrefsPromise = null;
 let activeUserId = null;
 const activeInterestedGenres = new Set();
 let lastRenderedFilterSignature = '';
 let lastRenderedMovieIds = [];
+let feedPageLimit = FEED_PAGE_SIZE;
+let feedPageSignature = '';
+let feedUncheckedCount = 0;
 let watchedSortMode = 'recent';
+let watchedViewMode = 'list';
+let importEntries = [];
+const movieUndoStack = [];
+let undoToastTimer = null;
+let movieLists = [];
+let otherStoredLists = [];
+let movieListsLoadedFor = null;
+let movieListsLoadFailed = false;
+let activeMovieListId = null;
+let movieListSortMode = 'custom';
+const activeMovieListGenres = new Set();
+let movieNightListId = null;
+let movieNightSession = null;
+let movieNightMessage = '';
+const movieNightSelectedUids = new Set();
 let activeInterestedGenre = null;
+const selectedHiddenMovieIds = new Set();
 let findNewInProgress = false;
 const handlers = {
   handleKeydown: null,
   handleChange: null,
-  handleFindNewClick: null
+  handleFindNewClick: null,
+  handleHashChange: null,
+  handleUndoKeydown: null,
+  unsubscribeSharedLists: null
 };
 
 const criticScoreStateById = new Map();
 const restoredMoviesById = new Map();
 const CRITIC_SCORE_TYPE = 'movie';
-const SAVED_CRITIC_SORT_WEIGHTS = Object.freeze({
+const DEFAULT_CRITIC_BLEND_WEIGHTS = Object.freeze({
   rottenTomatoes: 0.5,
   metacritic: 0.3,
   imdb: 0.2
 });
+let criticBlendWeights = { ...DEFAULT_CRITIC_BLEND_WEIGHTS };
 const attemptedPosterRecoveryIds = new Set();
 const pendingPosterRecoveryById = new Map();
 const AUTO_CRITIC_FETCH_CONCURRENCY = 4;
 const AUTO_CRITIC_FETCH_BATCH_LIMIT = 60;
+const AUTO_CRITIC_LOOKUP_BATCH_SIZE = 50;
+const AUTO_CRITIC_PENDING_RETRY_MS = 5000;
 const autoCriticFetchQueue = [];
 const autoCriticQueuedKeys = new Set();
 const autoCriticInFlightKeys = new Set();
@@ -463,8 +720,10 @@ function buildCriticLookup(movie) {
   if (!imdbId && !titleSource) {
     return null;
   }
+  const tmdbId = /^\d+$/.test(String(movie.id ?? '')) ? String(movie.id) : null;
   return {
     imdbId: imdbId || null,
+    tmdbId,
     title: titleSource || null,
     year: year || null,
     type: CRITIC_SCORE_TYPE
@@ -586,23 +845,100 @@ function pumpAutoCriticFetchQueue() {
   }
 }
 
+function queueAutoCriticFetch(movie) {
+  const key = getMovieCacheKey(movie);
+  if (!key || autoCriticQueuedKeys.has(key)) return;
+  autoCriticQueuedKeys.add(key);
+  autoCriticFetchQueue.push(movie);
+}
+
+async function lookupCriticScoresBatch(movies) {
+  const byKey = new Map(movies.map(movie => [getMovieCacheKey(movie), movie]));
+  byKey.forEach((_, key) => autoCriticInFlightKeys.add(key));
+  const misses = [];
+  const pending = [];
+  let hits = 0;
+  try {
+    const items = Array.from(byKey.entries()).map(([key, movie]) => {
+      const status = movie.id != null ? currentPrefs[String(movie.id)]?.status : null;
+      return {
+        key,
+        ...buildCriticLookup(movie),
+        priority: status === 'interested' || status === 'watched' ? 'saved' : 'feed'
+      };
+    });
+    const response = await fetch(buildMoviesApiUrl('/api/movie-ratings/batch'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ items })
+    });
+    if (!response.ok) {
+      throw new Error(`Request failed with status ${response.status}`);
+    }
+    const data = await response.json();
+    const results = Array.isArray(data?.results) ? data.results : [];
+    const answered = new Set();
+    results.forEach(result => {
+      const movie = byKey.get(result?.key);
+      if (!movie) return;
+      answered.add(result.key);
+      const normalized = result.status === 'hit' ? normalizeCriticScoresResponse(result.payload) : null;
+      if (normalized) {
+        setCriticScoreState(movie, { status: 'loaded', data: normalized });
+        hits += 1;
+      } else if (result.status === 'pending') {
+        pending.push(movie);
+      } else if (result.status !== 'invalid') {
+        misses.push(movie);
+      }
+    });
+    byKey.forEach((movie, key) => {
+      if (!answered.has(key)) misses.push(movie);
+    });
+  } catch (err) {
+    console.warn('Batch critic score lookup failed', err);
+    misses.push(...byKey.values());
+  } finally {
+    byKey.forEach((movie, key) => {
+      if (!pending.includes(movie)) autoCriticInFlightKeys.delete(key);
+    });
+  }
+
+  misses.forEach(queueAutoCriticFetch);
+  if (pending.length) {
+    setTimeout(() => {
+      pending.forEach(movie => autoCriticInFlightKeys.delete(getMovieCacheKey(movie)));
+      refreshUI();
+    }, AUTO_CRITIC_PENDING_RETRY_MS);
+  }
+  if (hits) refreshUI();
+  pumpAutoCriticFetchQueue();
+}
+
 function enqueueAutoCriticScores(movies) {
   if (!isAutoCriticFetchEnabled()) return;
+  lookupCriticScores(movies);
+}
+
+function lookupCriticScores(movies) {
   if (!Array.isArray(movies) || !movies.length) return;
   const targetMovies = movies.slice(0, AUTO_CRITIC_FETCH_BATCH_LIMIT);
 
+  const lookups = new Map();
   targetMovies.forEach(movie => {
     if (!movie || !canRequestCriticScores(movie)) return;
     const key = getMovieCacheKey(movie);
-    if (!key) return;
+    if (!key || lookups.has(key)) return;
     if (autoCriticQueuedKeys.has(key) || autoCriticInFlightKeys.has(key)) return;
     const state = getCriticScoreState(movie);
     if (state.status !== 'idle') return;
-    autoCriticQueuedKeys.add(key);
-    autoCriticFetchQueue.push(movie);
+    lookups.set(key, movie);
   });
 
-  pumpAutoCriticFetchQueue();
+  const pendingLookups = Array.from(lookups.values());
+  for (let i = 0; i < pendingLookups.length; i += AUTO_CRITIC_LOOKUP_BATCH_SIZE) {
+    lookupCriticScoresBatch(pendingLookups.slice(i, i + AUTO_CRITIC_LOOKUP_BATCH_SIZE));
+  }
 }
 
 async function requestCriticScores(
@@ -637,6 +973,7 @@ async function requestCriticScores(
   try {
     const params = new URLSearchParams();
     if (lookup.imdbId) params.set('imdbId', lookup.imdbId);
+    if (lookup.tmdbId) params.set('tmdbId', lookup.tmdbId);
     if (lookup.title) params.set('title', lookup.title);
     if (lookup.year) params.set('year', lookup.year);
     if (lookup.type) params.set('type', lookup.type);
@@ -725,19 +1062,19 @@ function computeWeightedCriticBlend(movie) {
   if (Number.isFinite(scores.rottenTomatoes)) {
     signals.push({
       value: scores.rottenTomatoes,
-      weight: SAVED_CRITIC_SORT_WEIGHTS.rottenTomatoes
+      weight: criticBlendWeights.rottenTomatoes
     });
   }
   if (Number.isFinite(scores.metacritic)) {
     signals.push({
       value: scores.metacritic,
-      weight: SAVED_CRITIC_SORT_WEIGHTS.metacritic
+      weight: criticBlendWeights.metacritic
     });
   }
   if (Number.isFinite(scores.imdb)) {
     signals.push({
       value: scores.imdb * 10,
-      weight: SAVED_CRITIC_SORT_WEIGHTS.imdb
+      weight: criticBlendWeights.imdb
     });
   }
 
@@ -748,6 +1085,7 @@ function computeWeightedCriticBlend(movie) {
   let weightedTotal = 0;
   let totalWeight = 0;
   signals.forEach(signal => {
+    if (!(signal.weight > 0)) return;
     weightedTotal += signal.value * signal.weight;
     totalWeight += signal.weight;
   });
@@ -944,6 +1282,74 @@ function saveLocalPrefs(prefs) {
   }
 }
 
+function loadLocalPeoplePrefs() {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    const raw = localStorage.getItem(PEOPLE_PREFS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (_) {
+    return [];
+  }
+}
+
+function saveLocalPeoplePrefs(list) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(PEOPLE_PREFS_STORAGE_KEY, JSON.stringify(list));
+  } catch (_) {
+    /* ignore */
+  }
+}
+
+function sanitizeCriticWeights(raw) {
+  const weights = {};
+  Object.entries(DEFAULT_CRITIC_BLEND_WEIGHTS).forEach(([source, fallback]) => {
+    const value = Number(raw?.[source]);
+    weights[source] = raw?.[source] != null && Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : fallback;
+  });
+  return Object.values(weights).some(value => value > 0) ? weights : { ...DEFAULT_CRITIC_BLEND_WEIGHTS };
+}
+
+function loadLocalCriticWeights() {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    const raw = localStorage.getItem(CRITIC_WEIGHTS_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function saveLocalCriticWeights(weights) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(CRITIC_WEIGHTS_STORAGE_KEY, JSON.stringify(weights));
+  } catch (_) {
+    /* ignore */
+  }
+}
+
+function normalizePersonKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+function hydratePeoplePrefs(list) {
+  const next = {};
+  (Array.isArray(list) ? list : []).forEach(entry => {
+    const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+    if (!name || !PERSON_MODES.includes(entry.mode)) return;
+    const id = Number.parseInt(entry.id, 10);
+    next[normalizePersonKey(name)] = {
+      name,
+      id: Number.isFinite(id) ? id : null,
+      mode: entry.mode,
+      updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : Date.now()
+    };
+  });
+  return next;
+}
+
 function loadLocalDiscoverState() {
   if (typeof localStorage === 'undefined') return null;
   try {
@@ -1020,9 +1426,54 @@ function sanitizeFeedFilterValue(name, rawValue) {
     return uniqueSorted.map(entry => entry.toString()).join(',');
   }
 
+  if (name === 'rankProfile') {
+    if (!rankingProfilesLoaded) {
+      return /^[\w-]+$/.test(value) ? value : DEFAULT_RANK_PROFILE;
+    }
+    return Object.prototype.hasOwnProperty.call(rankingProfiles, value)
+      ? value
+      : DEFAULT_RANK_PROFILE;
+  }
+
+  if (name === 'region') {
+    return /^[a-z]{2}$/i.test(value) ? value.toUpperCase() : DEFAULT_WATCH_REGION;
+  }
+
+  if (name === 'myServices') {
+    const ids = value
+      .split(',')
+      .map(entry => Number.parseInt(entry.trim(), 10))
+      .filter(Number.isFinite);
+    return Array.from(new Set(ids))
+      .sort((a, b) => a - b)
+      .join(',');
+  }
+
+  if (name === 'myServicesOnly') {
+    return value === 'true' || value === '1' ? 'true' : '';
+  }
+
+  if (name === 'includeKeywords' || name === 'excludeKeywords') {
+    const keywords = value
+      .split(',')
+      .map(entry => entry.trim().toLowerCase())
+      .filter(Boolean);
+    return Array.from(new Set(keywords)).sort().join(',');
+  }
+
+  if (name === 'sort') {
+    return FEED_SORT_MODES.has(value) ? value : '';
+  }
+
   if (!value) return '';
 
-  if (name === 'minRating') {
+  if (name === 'minRottenTomatoes' || name === 'minMetacritic') {
+    const number = Number.parseFloat(value.replace(',', '.'));
+    if (!Number.isFinite(number)) return '';
+    return Math.round(Math.max(0, Math.min(100, number))).toString();
+  }
+
+  if (name === 'minRating' || name === 'minImdb') {
     const number = Number.parseFloat(value.replace(',', '.'));
     if (!Number.isFinite(number)) return '';
     const clamped = Math.max(0, Math.min(10, number));
@@ -1056,7 +1507,17 @@ function sanitizeFeedFiltersState(state) {
     minVotes: sanitizeFeedFilterValue('minVotes', state.minVotes),
     startYear: sanitizeFeedFilterValue('startYear', state.startYear),
     endYear: sanitizeFeedFilterValue('endYear', state.endYear),
-    selectedGenres: sanitizeFeedFilterValue('selectedGenres', state.selectedGenres)
+    selectedGenres: sanitizeFeedFilterValue('selectedGenres', state.selectedGenres),
+    rankProfile: sanitizeFeedFilterValue('rankProfile', state.rankProfile),
+    region: sanitizeFeedFilterValue('region', state.region),
+    myServices: sanitizeFeedFilterValue('myServices', state.myServices),
+    myServicesOnly: sanitizeFeedFilterValue('myServicesOnly', state.myServicesOnly),
+    includeKeywords: sanitizeFeedFilterValue('includeKeywords', state.includeKeywords),
+    excludeKeywords: sanitizeFeedFilterValue('excludeKeywords', state.excludeKeywords),
+    minRottenTomatoes: sanitizeFeedFilterValue('minRottenTomatoes', state.minRottenTomatoes),
+    minMetacritic: sanitizeFeedFilterValue('minMetacritic', state.minMetacritic),
+    minImdb: sanitizeFeedFilterValue('minImdb', state.minImdb),
+    sort: sanitizeFeedFilterValue('sort', state.sort)
   };
 }
 
@@ -1234,6 +1695,39 @@ function getGenreSelectionSummaryText() {
   return `${names.length} genres selected`;
 }
 
+function getActiveRankProfileName() {
+  return sanitizeFeedFilterValue('rankProfile', feedFilterState.rankProfile);
+}
+
+function getActiveRankProfile() {
+  return rankingProfiles[getActiveRankProfileName()] || rankingProfiles[DEFAULT_RANK_PROFILE];
+}
+
+function updateRankingProfiles(entries) {
+  if (!Array.isArray(entries) || !entries.length) return;
+  rankingProfiles = buildRankingProfiles(entries);
+  rankingProfilesLoaded = true;
+  const rankProfile = getActiveRankProfileName();
+  if (rankProfile !== feedFilterState.rankProfile) {
+    feedFilterState = { ...feedFilterState, rankProfile };
+    saveFeedFilters(feedFilterState);
+  }
+  populateRankProfileOptions();
+}
+
+function populateRankProfileOptions() {
+  const select = domRefs.feedRankProfile;
+  if (!select) return;
+  select.innerHTML = '';
+  Object.entries(rankingProfiles).forEach(([name, profile]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = profile.label;
+    select.appendChild(option);
+  });
+  select.value = getActiveRankProfileName();
+}
+
 function getFeedFilterSignature() {
   const normalized = [
     feedFilterState.minRating ?? '',
@@ -1243,7 +1737,17 @@ function getFeedFilterSignature() {
     getGenreSelectionMode(),
     Array.from(getSelectedGenreIdSet())
       .sort((a, b) => a - b)
-      .join(',')
+      .join(','),
+    getActiveRankProfileName(),
+    getWatchRegion(),
+    feedFilterState.myServices ?? '',
+    feedFilterState.myServicesOnly ?? '',
+    feedFilterState.includeKeywords ?? '',
+    feedFilterState.excludeKeywords ?? '',
+    feedFilterState.minRottenTomatoes ?? '',
+    feedFilterState.minMetacritic ?? '',
+    feedFilterState.minImdb ?? '',
+    feedFilterState.sort ?? ''
   ];
   return normalized.join('|');
 }
@@ -1537,12 +2041,15 @@ function updateUnclassifiedCount() {
 }
 
 function hasActiveFeedFilters() {
-  const { minRating, minVotes, startYear, endYear } = feedFilterState;
+  const { minRating, minVotes, startYear, endYear, includeKeywords, excludeKeywords } = feedFilterState;
   if (
     String(minRating ?? '').trim() ||
     String(minVotes ?? '').trim() ||
     String(startYear ?? '').trim() ||
-    String(endYear ?? '').trim()
+    String(endYear ?? '').trim() ||
+    String(includeKeywords ?? '').trim() ||
+    String(excludeKeywords ?? '').trim() ||
+    hasCriticScoreFilters()
   ) {
     return true;
   }
@@ -1586,12 +2093,35 @@ function updateFeedFilterInputsFromState() {
   if (domRefs.feedMinVotes) {
     domRefs.feedMinVotes.value = feedFilterState.minVotes ?? '';
   }
+  if (domRefs.feedMinRottenTomatoes) {
+    domRefs.feedMinRottenTomatoes.value = feedFilterState.minRottenTomatoes ?? '';
+  }
+  if (domRefs.feedMinMetacritic) {
+    domRefs.feedMinMetacritic.value = feedFilterState.minMetacritic ?? '';
+  }
+  if (domRefs.feedMinImdb) {
+    domRefs.feedMinImdb.value = feedFilterState.minImdb ?? '';
+  }
+  if (domRefs.feedSort) {
+    domRefs.feedSort.value = sanitizeFeedFilterValue('sort', feedFilterState.sort);
+  }
   if (domRefs.feedStartYear) {
     domRefs.feedStartYear.value = feedFilterState.startYear ?? '';
   }
   if (domRefs.feedEndYear) {
     domRefs.feedEndYear.value = feedFilterState.endYear ?? '';
   }
+  if (domRefs.feedRankProfile) {
+    domRefs.feedRankProfile.value = getActiveRankProfileName();
+  }
+  if (domRefs.feedRegion) {
+    domRefs.feedRegion.value = getWatchRegion();
+  }
+  if (domRefs.feedMyServicesOnly) {
+    domRefs.feedMyServicesOnly.checked = feedFilterState.myServicesOnly === 'true';
+  }
+  updateWatchProviderOptionsUI();
+  updateKeywordFilterUI();
   updateFeedGenreUI();
 }
 
@@ -1616,9 +2146,27 @@ function setFeedFilter(name, rawValue, { sanitize = false, persist = true } = {}
     saveFeedFilters(feedFilterState);
   }
 
+  if ((name === 'rankProfile' || name === 'includeKeywords' || name === 'excludeKeywords') && hasChanged) {
+    loadMovies();
+    return;
+  }
+
+  if (name === 'region' && hasChanged) {
+    loadWatchProviderOptions();
+  }
+
   if (hasChanged || sanitize) {
     renderFeed();
   }
+
+  if (
+    persist &&
+    CATALOG_QUERY_FILTERS.has(name) &&
+    lastCatalogQuerySignature != null &&
+    buildCatalogQuerySignature() !== lastCatalogQuerySignature
+  ) {
+    loadMovies({ keepList: true });
+  }
 }
 
 function populateFeedGenreOptions() {
@@ -1786,6 +2334,8 @@ async function loadPreferences() {
       if (prefsLoadedFor === key) return currentPrefs;
       let prefs = {};
       let discoverState = null;
+      let peopleList = [];
+      let criticWeights = null;
       let loadedFromRemote = false;
       let permissionDenied = false;
 
@@ -1796,6 +2346,8 @@ async function loadPreferences() {
           const storedPrefs = data?.prefs;
           prefs = (storedPrefs && typeof storedPrefs === 'object') ? storedPrefs : {};
           discoverState = data?.[TMDB_DISCOVER_STATE_FIELD] || null;
+          peopleList = data?.[PEOPLE_PREFS_FIELD] || [];
+          criticWeights = data?.[CRITIC_WEIGHTS_FIELD] || null;
           loadedFromRemote = true;
         } catch (err) {
           permissionDenied = err && err.code === 'permission-denied';
@@ -1810,10 +2362,17 @@ async function loadPreferences() {
       if (!loadedFromRemote) {
         prefs = loadLocalPrefs();
         discoverState = loadLocalDiscoverState();
+        peopleList = loadLocalPeoplePrefs();
+        criticWeights = loadLocalCriticWeights();
       }
       hydrateTmdbDiscoverState(discoverState);
+      peoplePrefs = hydratePeoplePrefs(peopleList);
+      criticBlendWeights = sanitizeCriticWeights(criticWeights);
 
       prefsLoadedFor = key;
+      if (movieUndoStack.some(entry => entry.owner !== key)) {
+        clearMovieUndoStack();
+      }
       currentPrefs = prefs || {};
       activeUserId = loadedFromRemote && !permissionDenied ? user?.uid || null : null;
       return currentPrefs;
@@ -1848,6 +2407,123 @@ async function savePreferences(prefs) {
   }
 }
 
+async function savePeoplePreferences(next) {
+  peoplePrefs = next;
+  const list = Object.values(next);
+  const authed = await awaitAuthUser().catch(() => null);
+  const user = getCurrentUser() || authed;
+  if (!user) {
+    saveLocalPeoplePrefs(list);
+    return;
+  }
+  try {
+    await db.collection(PREF_COLLECTION).doc(user.uid).set({ [PEOPLE_PREFS_FIELD]: list }, { merge: true });
+  } catch (err) {
+    if (err && err.code === 'permission-denied') {
+      console.warn('Firestore permission denied when saving followed people; caching locally.');
+      saveLocalPeoplePrefs(list);
+      return;
+    }
+    console.error('Failed to save followed people', err);
+  }
+}
+
+async function saveCriticWeights(next) {
+  criticBlendWeights = sanitizeCriticWeights(next);
+  const authed = await awaitAuthUser().catch(() => null);
+  const user = getCurrentUser() || authed;
+  if (!user) {
+    saveLocalCriticWeights(criticBlendWeights);
+    return;
+  }
+  try {
+    await db
+      .collection(PREF_COLLECTION)
+      .doc(user.uid)
+      .set({ [CRITIC_WEIGHTS_FIELD]: criticBlendWeights }, { merge: true });
+  } catch (err) {
+    if (err && err.code === 'permission-denied') {
+      console.warn('Firestore permission denied when saving critic weights; caching locally.');
+      saveLocalCriticWeights(criticBlendWeights);
+      return;
+    }
+    console.error('Failed to save critic weights', err);
+  }
+}
+
+function updateCriticWeightInputs() {
+  Object.entries(domRefs.criticWeightInputs || {}).forEach(([source, input]) => {
+    if (input) input.value = String(Math.round(criticBlendWeights[source] * 100));
+  });
+}
+
+async function setCriticWeights(next) {
+  await loadPreferences();
+  await saveCriticWeights(next);
+  updateCriticWeightInputs();
+  lastRenderedFilterSignature = '';
+  refreshUI();
+}
+
+function getPersonMode(name) {
+  return peoplePrefs[normalizePersonKey(name)]?.mode || null;
+}
+
+async function setPersonMode(person, mode) {
+  const name = String(person?.name || '').trim();
+  if (!name) return;
+  await loadPreferences();
+  const key = normalizePersonKey(name);
+  const next = { ...peoplePrefs };
+  if (PERSON_MODES.includes(mode)) {
+    const id = Number.parseInt(person.id ?? next[key]?.id, 10);
+    next[key] = { name, id: Number.isFinite(id) ? id : null, mode, updatedAt: Date.now() };
+  } else {
+    delete next[key];
+  }
+  await savePeoplePreferences(next);
+  refreshUI();
+}
+
+function getMoviePeople(movie) {
+  return Array.from(new Set([...getNameList(movie?.directors), ...getNameList(movie?.topCast)]));
+}
+
+function getMoviePeopleIds(movie) {
+  return new Set(
+    (Array.isArray(movie?.peopleIds) ? movie.peopleIds : [])
+      .map(id => Number.parseInt(id, 10))
+      .filter(Number.isFinite)
+  );
+}
+
+function getMoviePeopleWithMode(movie, mode) {
+  const ids = getMoviePeopleIds(movie);
+  const names = new Set(getMoviePeople(movie).map(normalizePersonKey));
+  return Object.values(peoplePrefs)
+    .filter(person => person.mode === mode)
+    .filter(person =>
+      person.id != null && ids.size ? ids.has(person.id) : names.has(normalizePersonKey(person.name))
+    )
+    .map(person => person.name);
+}
+
+function isMovieBlockedByPeople(movie) {
+  return getMoviePeopleWithMode(movie, 'block').length > 0;
+}
+
+function getFollowedPeopleInMovie(movie) {
+  return getMoviePeopleWithMode(movie, 'follow');
+}
+
+function hasBlockedPeople() {
+  return Object.values(peoplePrefs).some(person => person.mode === 'block');
+}
+
+function hasCheckedMovieCredits(movie) {
+  return movie?.id == null || hasEnrichedCredits(movie) || creditsCheckedIds.has(String(movie.id));
+}
+
 function persistApiKey(key) {
   if (!key) return;
   activeApiKey = key;
@@ -2281,7 +2957,25 @@ function renderInterestedFilters(genres) {
 function appendPeopleMeta(list, label, names) {
   const values = getNameList(names);
   if (!values.length) return;
-  appendMeta(list, label, values.join(', '));
+  const item = document.createElement('li');
+  const strong = document.createElement('strong');
+  strong.textContent = `${label}:`;
+  item.append(strong, ' ');
+  values.forEach((name, index) => {
+    if (index) item.append(', ');
+    const link = document.createElement('a');
+    link.href = '#';
+    link.className = 'movie-person-link';
+    const mode = getPersonMode(name);
+    if (mode) link.classList.add(`movie-person-link--${mode}`);
+    link.textContent = name;
+    link.addEventListener('click', event => {
+      event.preventDefault();
+      openPersonPage({ name });
+    });
+    item.appendChild(link);
+  });
+  list.appendChild(item);
 }
 
 function getVoteAverageValue(movie) {
@@ -2539,7 +3233,7 @@ async function recoverPosterForMovie(movie) {
   return promise;
 }
 
-function buildImageUrl(path) {
+function buildImageUrl(path, size = 'w200') {
   const normalizedInput = normalizeImageCandidatePath(path);
   if (!normalizedInput) return '';
   const imageProxyBase = buildMoviesApiUrl('/api/movie-image');
@@ -2569,7 +3263,7 @@ function buildImageUrl(path) {
   }
 
   const normalizedPath = normalizedInput.startsWith('/') ? normalizedInput : `/${normalizedInput}`;
-  return buildProxyUrl(normalizedPath, 'w200');
+  return buildProxyUrl(normalizedPath, size);
 }
 
 function setPosterImageSource(img, posterPaths, options = {}) {
@@ -2714,64 +3408,535 @@ function buildActiveFilterCriteriaDescription() {
   return parts.join(', ');
 }
 
-function applyFeedFilters(movies) {
-  if (!Array.isArray(movies) || !movies.length) return [];
+function getWatchRegion() {
+  return sanitizeFeedFilterValue('region', feedFilterState.region);
+}
 
-  const minRating = getFilterFloat(feedFilterState.minRating, 0, 10);
-  const minVotes = getFilterInt(feedFilterState.minVotes, 0);
-  let startYear = getFilterInt(feedFilterState.startYear, 1800, 3000);
-  let endYear = getFilterInt(feedFilterState.endYear, 1800, 3000);
+function getMyServiceIdSet() {
+  const raw = sanitizeFeedFilterValue('myServices', feedFilterState.myServices);
+  return new Set(raw ? raw.split(',').map(Number) : []);
+}
 
-  if (startYear != null && endYear != null && endYear < startYear) {
-    const temp = startYear;
-    startYear = endYear;
-    endYear = temp;
+async function requestWatchProviders(movieId) {
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('watch_providers')) {
+    return callTmdbProxy('watch_providers', { movie_id: movieId });
   }
+  const apiKey = resolveApiKey();
+  if (!apiKey) return null;
+  const url = new URL(`https://api.themoviedb.org/3/movie/${encodeURIComponent(movieId)}/watch/providers`);
+  url.searchParams.set('api_key', apiKey);
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Watch provider request failed (${res.status})`);
+  }
+  return res.json();
+}
 
-  const genreMode = getGenreSelectionMode();
-  const selectedGenres = getSelectedGenreIdSet();
-  const disallowedGenres = getDisallowedGenreIdSet();
-  const genreDataAvailable = movies.some(movie => getMovieGenreIdSet(movie).size > 0);
-  const filterByGenres = genreDataAvailable && genreMode === 'custom' && selectedGenres.size > 0;
-  const blockAllGenres = false;
-  const enforceDisallowed = genreDataAvailable && disallowedGenres.size > 0;
-
-  return movies.filter(movie => {
-    if (blockAllGenres) {
-      return false;
-    }
-
-    if (minRating != null) {
-      const rating = getVoteAverageValue(movie);
-      if (rating == null || rating < minRating) {
-        return false;
+function getStreamingProviders(movie, region = getWatchRegion()) {
+  if (movie?.id == null) return null;
+  const key = String(movie.id);
+  if (!watchProvidersById.has(key)) return null;
+  const regionEntry = watchProvidersById.get(key)?.[region];
+  const providers = [];
+  const seen = new Set();
+  WATCH_PROVIDER_STREAM_TYPES.forEach(type => {
+    const list = Array.isArray(regionEntry?.[type]) ? regionEntry[type] : [];
+    list.forEach(provider => {
+      const id = Number(provider?.provider_id);
+      if (!Number.isFinite(id) || seen.has(id)) return;
+      seen.add(id);
+      providers.push({ id, name: provider.provider_name || `Provider ${id}` });
+    });
+  });
+  return providers;
+}
+
+function isAvailableOnServices(movie, serviceIds) {
+  const providers = getStreamingProviders(movie);
+  if (providers == null) return null;
+  return providers.some(provider => serviceIds.has(provider.id));
+}
+
+function queueWatchProviderLookups(movies) {
+  const queue = movies
+    .filter(movie => movie?.id != null)
+    .map(movie => String(movie.id))
+    .filter(
+      id =>
+        !watchProvidersById.has(id) &&
+        !pendingWatchProviderIds.has(id) &&
+        !((watchProviderRetryAt.get(id) || 0) > Date.now())
+    )
+    .slice(0, WATCH_PROVIDER_FETCH_LIMIT);
+  if (!queue.length) return;
+  queue.forEach(id => pendingWatchProviderIds.add(id));
+  updateFeedStatus('Checking streaming availability...', { tone: 'info', showSpinner: true });
+
+  const worker = async () => {
+    while (queue.length) {
+      const id = queue.shift();
+      try {
+        const data = await requestWatchProviders(id);
+        watchProvidersById.set(id, data?.results && typeof data.results === 'object' ? data.results : {});
+        watchProviderRetryAt.delete(id);
+      } catch (err) {
+        console.warn('Failed to load watch providers', id, err);
+        watchProviderRetryAt.set(id, Date.now() + LOOKUP_RETRY_DELAY_MS);
+      } finally {
+        pendingWatchProviderIds.delete(id);
       }
     }
+  };
+  const workers = Array.from(
+    { length: Math.min(WATCH_PROVIDER_FETCH_CONCURRENCY, queue.length) },
+    () => worker()
+  );
+  Promise.all(workers).then(() => {
+    lastRenderedFilterSignature = '';
+    renderFeed();
+  });
+}
 
-    if (minVotes != null) {
-      const votes = getVoteCountValue(movie);
-      if (votes == null || votes < minVotes) {
-        return false;
-      }
+async function loadWatchProviderOptions() {
+  const region = getWatchRegion();
+  if (watchProviderOptionsRegion === region && watchProviderOptions.length) {
+    updateWatchProviderOptionsUI();
+    return;
+  }
+  let data = null;
+  try {
+    if (getTmdbProxyEndpoint() && isProxyEndpointSupported('watch_provider_list')) {
+      data = await callTmdbProxy('watch_provider_list', { watch_region: region });
+    } else if (resolveApiKey()) {
+      const url = new URL('https://api.themoviedb.org/3/watch/providers/movie');
+      url.searchParams.set('api_key', resolveApiKey());
+      url.searchParams.set('watch_region', region);
+      const res = await fetch(url.toString());
+      data = res.ok ? await res.json() : null;
     }
-
-    if (startYear != null || endYear != null) {
-      const year = getMovieReleaseYear(movie);
-      if (startYear != null && (year == null || year < startYear)) {
-        return false;
-      }
-      if (endYear != null && (year == null || year > endYear)) {
-        return false;
-      }
+  } catch (err) {
+    console.warn('Failed to load streaming services for region', region, err);
+  }
+  const results = Array.isArray(data?.results) ? data.results : [];
+  watchProviderOptions = results
+    .map(entry => ({
+      id: Number(entry?.provider_id),
+      name: entry?.provider_name || '',
+      priority: Number(entry?.display_priorities?.[region] ?? entry?.display_priority ?? Infinity)
+    }))
+    .filter(entry => Number.isFinite(entry.id) && entry.name)
+    .sort((a, b) => a.priority - b.priority || a.name.localeCompare(b.name))
+    .slice(0, WATCH_PROVIDER_OPTION_LIMIT);
+  watchProviderOptionsRegion = region;
+  updateWatchProviderOptionsUI();
+}
+
+function updateWatchProviderOptionsUI() {
+  const container = domRefs.feedServices;
+  if (!container || !getDocument()) return;
+  const selected = getMyServiceIdSet();
+  const options = watchProviderOptions.slice();
+  selected.forEach(id => {
+    if (!options.some(option => option.id === id)) {
+      options.push({ id, name: `Provider ${id}` });
     }
-
-    if (filterByGenres || enforceDisallowed) {
-      const ids = getMovieGenreIdSet(movie);
-
-      if (filterByGenres) {
-        if (!ids.size) {
-          return false;
-        }
+  });
+  container.innerHTML = '';
+  if (!options.length) {
+    const empty = document.createElement('div');
+    empty.className = 'genre-facet-empty';
+    empty.textContent = 'No streaming services available.';
+    container.appendChild(empty);
+    return;
+  }
+  options.forEach(option => {
+    const label = document.createElement('label');
+    label.className = 'genre-facet-option';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(option.id);
+    checkbox.checked = selected.has(option.id);
+    checkbox.addEventListener('change', () => {
+      const ids = Array.from(container.querySelectorAll('input[type="checkbox"]:checked')).map(
+        input => input.value
+      );
+      setFeedFilter('myServices', ids.join(','), { sanitize: true, persist: true });
+    });
+    const text = document.createElement('span');
+    text.className = 'genre-facet-label';
+    text.textContent = option.name;
+    label.append(checkbox, text);
+    container.appendChild(label);
+  });
+}
+
+function appendWatchProvidersMeta(list, movie) {
+  const providers = getStreamingProviders(movie);
+  if (!providers || !providers.length) return;
+  appendMeta(list, `Streaming (${getWatchRegion()})`, providers.map(provider => provider.name).join(', '));
+}
+
+function getKeywordFilterSet(name) {
+  const raw = sanitizeFeedFilterValue(name, feedFilterState[name]);
+  return new Set(raw ? raw.split(',') : []);
+}
+
+function normalizeKeywordNames(value) {
+  const entries = Array.isArray(value?.keywords) ? value.keywords : Array.isArray(value) ? value : [];
+  const names = entries
+    .map(entry => (typeof entry === 'string' ? entry : entry?.name))
+    .filter(name => typeof name === 'string' && name.trim())
+    .map(name => name.trim().toLowerCase());
+  return Array.from(new Set(names));
+}
+
+function getMovieKeywordSet(movie) {
+  const own = normalizeKeywordNames(movie?.keywords);
+  if (own.length) return new Set(own);
+  if (movie?.id == null || !keywordsById.has(String(movie.id))) return null;
+  return new Set(keywordsById.get(String(movie.id)));
+}
+
+async function requestMovieKeywords(movieId) {
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('keywords')) {
+    return callTmdbProxy('keywords', { movie_id: movieId });
+  }
+  const apiKey = resolveApiKey();
+  if (!apiKey) return null;
+  const url = new URL(`https://api.themoviedb.org/3/movie/${encodeURIComponent(movieId)}/keywords`);
+  url.searchParams.set('api_key', apiKey);
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Keyword request failed (${res.status})`);
+  }
+  return res.json();
+}
+
+function queueKeywordLookups(movies) {
+  const queue = movies
+    .filter(movie => movie?.id != null)
+    .map(movie => String(movie.id))
+    .filter(
+      id =>
+        !keywordsById.has(id) &&
+        !pendingKeywordIds.has(id) &&
+        !((keywordRetryAt.get(id) || 0) > Date.now())
+    )
+    .slice(0, KEYWORD_FETCH_LIMIT);
+  if (!queue.length) return;
+  queue.forEach(id => pendingKeywordIds.add(id));
+  updateFeedStatus('Checking movie keywords...', { tone: 'info', showSpinner: true });
+
+  const worker = async () => {
+    while (queue.length) {
+      const id = queue.shift();
+      try {
+        keywordsById.set(id, normalizeKeywordNames(await requestMovieKeywords(id)));
+        keywordRetryAt.delete(id);
+      } catch (err) {
+        console.warn('Failed to load keywords', id, err);
+        keywordRetryAt.set(id, Date.now() + LOOKUP_RETRY_DELAY_MS);
+      } finally {
+        pendingKeywordIds.delete(id);
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.min(KEYWORD_FETCH_CONCURRENCY, queue.length) }, () =>
+    worker()
+  );
+  Promise.all(workers).then(() => {
+    updateKeywordSuggestions();
+    lastRenderedFilterSignature = '';
+    renderFeed();
+  });
+}
+
+function updateKeywordSuggestions() {
+  const datalist = domRefs.feedKeywordOptions;
+  if (!datalist || !getDocument()) return;
+  const counts = new Map();
+  const addKeywords = keywords => {
+    keywords.forEach(keyword => counts.set(keyword, (counts.get(keyword) || 0) + 1));
+  };
+  currentMovies.forEach(movie => addKeywords(normalizeKeywordNames(movie?.keywords)));
+  keywordsById.forEach(addKeywords);
+  Object.values(KEYWORD_MOODS).forEach(mood => addKeywords(mood.keywords));
+  datalist.innerHTML = '';
+  Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, KEYWORD_SUGGESTION_LIMIT)
+    .forEach(([keyword]) => {
+      const option = document.createElement('option');
+      option.value = keyword;
+      datalist.appendChild(option);
+    });
+}
+
+function setKeywordFilters(include, exclude) {
+  const includeKeywords = sanitizeFeedFilterValue('includeKeywords', Array.from(include).join(','));
+  const excludeKeywords = sanitizeFeedFilterValue('excludeKeywords', Array.from(exclude).join(','));
+  if (
+    includeKeywords === feedFilterState.includeKeywords &&
+    excludeKeywords === feedFilterState.excludeKeywords
+  ) {
+    return;
+  }
+  feedFilterState = { ...feedFilterState, includeKeywords, excludeKeywords };
+  saveFeedFilters(feedFilterState);
+  updateKeywordFilterUI();
+  loadMovies();
+}
+
+function addKeywordFilters(name, keywords) {
+  const include = getKeywordFilterSet('includeKeywords');
+  const exclude = getKeywordFilterSet('excludeKeywords');
+  const target = name === 'excludeKeywords' ? exclude : include;
+  const other = name === 'excludeKeywords' ? include : exclude;
+  keywords
+    .map(keyword => String(keyword).trim().toLowerCase())
+    .filter(Boolean)
+    .forEach(keyword => {
+      target.add(keyword);
+      other.delete(keyword);
+    });
+  setKeywordFilters(include, exclude);
+}
+
+function removeKeywordFilter(keyword) {
+  const include = getKeywordFilterSet('includeKeywords');
+  const exclude = getKeywordFilterSet('excludeKeywords');
+  include.delete(keyword);
+  exclude.delete(keyword);
+  setKeywordFilters(include, exclude);
+}
+
+function updateKeywordFilterUI() {
+  const container = domRefs.feedKeywords;
+  if (!container || !getDocument()) return;
+  container.innerHTML = '';
+  [
+    ['includeKeywords', 'include'],
+    ['excludeKeywords', 'exclude']
+  ].forEach(([name, mode]) => {
+    getKeywordFilterSet(name).forEach(keyword => {
+      const chip = document.createElement('span');
+      chip.className = `movie-keyword-chip movie-keyword-chip--${mode}`;
+      chip.dataset.keyword = keyword;
+      chip.textContent = mode === 'exclude' ? `not ${keyword}` : keyword;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'movie-keyword-chip__remove';
+      remove.textContent = '×';
+      remove.setAttribute('aria-label', `Remove ${keyword}`);
+      remove.addEventListener('click', () => removeKeywordFilter(keyword));
+      chip.appendChild(remove);
+      container.appendChild(chip);
+    });
+  });
+}
+
+function populateMoodOptions() {
+  const select = domRefs.feedMood;
+  if (!select) return;
+  select.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Pick a mood...';
+  select.appendChild(placeholder);
+  Object.entries(KEYWORD_MOODS).forEach(([name, mood]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = mood.label;
+    select.appendChild(option);
+  });
+}
+
+function attachKeywordFilterControls() {
+  const input = domRefs.feedKeywordInput;
+  const bind = (element, key, event, handler) => {
+    if (!element) return;
+    if (element[key]) element.removeEventListener(event, element[key]);
+    element[key] = handler;
+    element.addEventListener(event, handler);
+  };
+  const addFromInput = name => {
+    if (!input) return;
+    const keywords = input.value.split(',');
+    input.value = '';
+    addKeywordFilters(name, keywords);
+  };
+  bind(domRefs.feedKeywordInclude, '_keywordFilterHandler', 'click', () =>
+    addFromInput('includeKeywords')
+  );
+  bind(domRefs.feedKeywordExclude, '_keywordFilterHandler', 'click', () =>
+    addFromInput('excludeKeywords')
+  );
+  bind(input, '_keywordFilterHandler', 'keydown', event => {
+    if (event.key !== 'Enter') return;
+    event.preventDefault();
+    addFromInput('includeKeywords');
+  });
+  bind(domRefs.feedMood, '_keywordFilterHandler', 'change', event => {
+    const mood = KEYWORD_MOODS[event.target.value];
+    event.target.value = '';
+    if (mood) addKeywordFilters('includeKeywords', mood.keywords);
+  });
+}
+
+function applyKeywordQueryParams(params) {
+  const include = sanitizeFeedFilterValue('includeKeywords', feedFilterState.includeKeywords);
+  const exclude = sanitizeFeedFilterValue('excludeKeywords', feedFilterState.excludeKeywords);
+  if (include) params.set('withKeywords', include);
+  if (exclude) params.set('withoutKeywords', exclude);
+}
+
+function applyCatalogQueryParams(params) {
+  const minRating = getFilterFloat(feedFilterState.minRating, 0, 10);
+  const minVotes = getFilterInt(feedFilterState.minVotes, 0);
+  const startYear = getFilterInt(feedFilterState.startYear, 1800, 3000);
+  const endYear = getFilterInt(feedFilterState.endYear, 1800, 3000);
+  if (minRating != null) params.set('minScore', String(minRating));
+  if (minVotes != null) params.set('minVotes', String(minVotes));
+  if (startYear != null) params.set('startYear', String(startYear));
+  if (endYear != null) params.set('endYear', String(endYear));
+  if (getGenreSelectionMode() === 'custom') {
+    const selected = Array.from(getSelectedGenreIdSet()).sort((a, b) => a - b);
+    const disallowed = Array.from(getDisallowedGenreIdSet()).sort((a, b) => a - b);
+    if (selected.length) params.set('withGenres', selected.join(','));
+    if (disallowed.length) params.set('withoutGenres', disallowed.join(','));
+  }
+  const sort = sanitizeFeedFilterValue('sort', feedFilterState.sort);
+  if (CATALOG_SORT_MODES.has(sort)) params.set('sort', sort);
+  const rankProfile = getActiveRankProfileName();
+  if (rankProfile !== DEFAULT_RANK_PROFILE) {
+    params.set('rank', rankProfile);
+  }
+  applyKeywordQueryParams(params);
+}
+
+function buildCatalogQuerySignature() {
+  const params = new URLSearchParams();
+  applyCatalogQueryParams(params);
+  return params.toString();
+}
+
+function getCriticScoreMinimums() {
+  return {
+    rottenTomatoes: getFilterFloat(feedFilterState.minRottenTomatoes, 0, 100),
+    metacritic: getFilterFloat(feedFilterState.minMetacritic, 0, 100),
+    imdb: getFilterFloat(feedFilterState.minImdb, 0, 10)
+  };
+}
+
+function hasCriticScoreFilters() {
+  return Object.values(getCriticScoreMinimums()).some(value => value != null);
+}
+
+function matchesCriticScoreFilters(movie, minimums) {
+  const state = getCriticScoreState(movie);
+  if (state.status !== 'loaded' && state.status !== 'error') return null;
+  const scores = normalizeCriticScoresObject(state.data) || {};
+  return Object.entries(minimums).every(
+    ([source, minimum]) => minimum == null || (Number.isFinite(scores[source]) && scores[source] >= minimum)
+  );
+}
+
+function sortByCriticBlend(items, getMovie = item => item) {
+  const blends = new Map(items.map(item => [item, computeWeightedCriticBlend(getMovie(item)).value]));
+  return items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => {
+      const aBlend = blends.get(a.item);
+      const bBlend = blends.get(b.item);
+      const aKnown = Number.isFinite(aBlend);
+      const bKnown = Number.isFinite(bBlend);
+      if (aKnown && bKnown && aBlend !== bBlend) return bBlend - aBlend;
+      if (aKnown !== bKnown) return aKnown ? -1 : 1;
+      return a.index - b.index;
+    })
+    .map(entry => entry.item);
+}
+
+function rankUnscoredLast(movies) {
+  const minimums = getCriticScoreMinimums();
+  const scored = [];
+  const unscored = [];
+  movies.forEach(movie => {
+    (matchesCriticScoreFilters(movie, minimums) == null ? unscored : scored).push(movie);
+  });
+  return scored.concat(unscored);
+}
+
+function applyFeedFilters(movies, { pending = null } = {}) {
+  if (!Array.isArray(movies) || !movies.length) return [];
+
+  const minRating = getFilterFloat(feedFilterState.minRating, 0, 10);
+  const minVotes = getFilterInt(feedFilterState.minVotes, 0);
+  let startYear = getFilterInt(feedFilterState.startYear, 1800, 3000);
+  let endYear = getFilterInt(feedFilterState.endYear, 1800, 3000);
+
+  if (startYear != null && endYear != null && endYear < startYear) {
+    const temp = startYear;
+    startYear = endYear;
+    endYear = temp;
+  }
+
+  const genreMode = getGenreSelectionMode();
+  const selectedGenres = getSelectedGenreIdSet();
+  const disallowedGenres = getDisallowedGenreIdSet();
+  const genreDataAvailable = movies.some(movie => getMovieGenreIdSet(movie).size > 0);
+  const filterByGenres = genreDataAvailable && genreMode === 'custom' && selectedGenres.size > 0;
+  const blockAllGenres = false;
+  const enforceDisallowed = genreDataAvailable && disallowedGenres.size > 0;
+  const myServiceIds = getMyServiceIdSet();
+  const filterByServices = feedFilterState.myServicesOnly === 'true' && myServiceIds.size > 0;
+  const includeKeywords = getKeywordFilterSet('includeKeywords');
+  const excludeKeywords = getKeywordFilterSet('excludeKeywords');
+  const criticMinimums = getCriticScoreMinimums();
+  const filterByCritics = hasCriticScoreFilters();
+  const checkCredits = hasBlockedPeople() && canFetchFromTmdb();
+
+  const filtered = movies.filter(movie => {
+    if (blockAllGenres) {
+      return false;
+    }
+
+    if (checkCredits && !hasCheckedMovieCredits(movie)) {
+      pending?.push(movie);
+      return false;
+    }
+
+    if (minRating != null) {
+      const rating = getVoteAverageValue(movie);
+      if (rating == null || rating < minRating) {
+        return false;
+      }
+    }
+
+    if (minVotes != null) {
+      const votes = getVoteCountValue(movie);
+      if (votes == null || votes < minVotes) {
+        return false;
+      }
+    }
+
+    if (startYear != null || endYear != null) {
+      const year = getMovieReleaseYear(movie);
+      if (startYear != null && (year == null || year < startYear)) {
+        return false;
+      }
+      if (endYear != null && (year == null || year > endYear)) {
+        return false;
+      }
+    }
+
+    if (filterByGenres || enforceDisallowed) {
+      const ids = getMovieGenreIdSet(movie);
+
+      if (filterByGenres) {
+        if (!ids.size) {
+          return false;
+        }
         let matches = false;
         for (const selectedId of selectedGenres) {
           if (ids.has(selectedId)) {
@@ -2793,8 +3958,115 @@ function applyFeedFilters(movies) {
       }
     }
 
+    if (filterByServices) {
+      const available = isAvailableOnServices(movie, myServiceIds);
+      if (available == null) {
+        pending?.push(movie);
+        return false;
+      }
+      if (!available) {
+        return false;
+      }
+    }
+
+    if (includeKeywords.size || excludeKeywords.size) {
+      const keywords = getMovieKeywordSet(movie);
+      if (keywords == null) {
+        if (includeKeywords.size) {
+          pending?.push(movie);
+          return false;
+        }
+      } else {
+        if (includeKeywords.size && !Array.from(includeKeywords).some(keyword => keywords.has(keyword))) {
+          return false;
+        }
+        if (Array.from(excludeKeywords).some(keyword => keywords.has(keyword))) {
+          return false;
+        }
+      }
+    }
+
+    if (filterByCritics && matchesCriticScoreFilters(movie, criticMinimums) === false) {
+      return false;
+    }
+
     return true;
   });
+
+  return filtered;
+}
+
+function orderFeedMovies(movies) {
+  let ordered = applyTasteRanking(movies);
+  if (sanitizeFeedFilterValue('sort', feedFilterState.sort) === 'criticBlend') {
+    ordered = sortByCriticBlend(ordered);
+  }
+  if (hasCriticScoreFilters()) {
+    ordered = rankUnscoredLast(ordered);
+  }
+  return ordered;
+}
+
+function queueFeedPageLookups(movies) {
+  const myServiceIds = getMyServiceIdSet();
+  const filterByServices = feedFilterState.myServicesOnly === 'true' && myServiceIds.size > 0;
+  const filterByKeywords =
+    getKeywordFilterSet('includeKeywords').size > 0 || getKeywordFilterSet('excludeKeywords').size > 0;
+  const checkCredits = hasBlockedPeople() && canFetchFromTmdb();
+  const unknownCredits = [];
+  const unknownAvailability = [];
+  const unknownKeywords = [];
+  movies.forEach(movie => {
+    if (checkCredits && !hasCheckedMovieCredits(movie)) {
+      unknownCredits.push(movie);
+    } else if (filterByServices && isAvailableOnServices(movie, myServiceIds) == null) {
+      unknownAvailability.push(movie);
+    } else if (filterByKeywords && getMovieKeywordSet(movie) == null) {
+      unknownKeywords.push(movie);
+    }
+  });
+  if (unknownCredits.length) {
+    queueCreditLookups(unknownCredits);
+  }
+  if (unknownAvailability.length) {
+    queueWatchProviderLookups(unknownAvailability);
+  }
+  if (unknownKeywords.length) {
+    queueKeywordLookups(unknownKeywords);
+  }
+}
+
+function queueCreditLookups(movies) {
+  const queue = movies
+    .filter(movie => movie?.id != null && !pendingCreditIds.has(String(movie.id)))
+    .slice(0, CREDIT_FETCH_LIMIT);
+  if (!queue.length) return;
+  queue.forEach(movie => pendingCreditIds.add(String(movie.id)));
+  updateFeedStatus('Checking cast and crew...', { tone: 'info', showSpinner: true });
+  const usingProxy = Boolean(getTmdbProxyEndpoint());
+  const apiKey = resolveApiKey();
+
+  const worker = async () => {
+    while (queue.length) {
+      const movie = queue.shift();
+      const id = String(movie.id);
+      try {
+        applyCreditsToMovie(movie, await fetchCreditsForMovie(movie.id, { usingProxy, apiKey }));
+      } catch (err) {
+        console.warn('Failed to load credits', id, err);
+      } finally {
+        creditsCheckedIds.add(id);
+        pendingCreditIds.delete(id);
+      }
+    }
+  };
+  const workers = Array.from({ length: Math.min(CREDIT_FETCH_CONCURRENCY, queue.length) }, () =>
+    worker()
+  );
+  Promise.all(workers).then(() => {
+    lastRenderedFilterSignature = '';
+    renderFeed();
+  });
 }
 
 function createRatingElement(movie) {
@@ -2871,19 +4143,21 @@ function createUserRatingElement(pref) {
 
 function applyCreditsToMovie(movie, credits) {
   if (!movie || !credits) return;
+  if (movie.id != null) creditsCheckedIds.add(String(movie.id));
   const cast = Array.isArray(credits.cast) ? credits.cast : [];
   const crew = Array.isArray(credits.crew) ? credits.crew : [];
 
-  const topCast = cast
+  const castMembers = cast
     .filter(person => person && typeof person.name === 'string')
-    .slice(0, 5)
-    .map(person => person.name.trim())
-    .filter(Boolean);
-
-  const directors = crew
-    .filter(person => person && person.job === 'Director' && typeof person.name === 'string')
-    .map(person => person.name.trim())
-    .filter(Boolean);
+    .slice(0, 5);
+  const directorMembers = crew.filter(
+    person => person && person.job === 'Director' && typeof person.name === 'string'
+  );
+  const topCast = castMembers.map(person => person.name.trim()).filter(Boolean);
+  const directors = directorMembers.map(person => person.name.trim()).filter(Boolean);
+  const peopleIds = [...castMembers, ...directorMembers]
+    .map(person => Number.parseInt(person.id, 10))
+    .filter(Number.isFinite);
 
   if (topCast.length) {
     movie.topCast = Array.from(new Set(topCast));
@@ -2891,6 +4165,9 @@ function applyCreditsToMovie(movie, credits) {
   if (directors.length) {
     movie.directors = Array.from(new Set(directors));
   }
+  if (peopleIds.length) {
+    movie.peopleIds = Array.from(new Set(peopleIds));
+  }
 }
 
 function hasEnrichedCredits(movie) {
@@ -3103,12 +4380,14 @@ async function setStatus(movie, status, options = {}) {
   }
   await loadPreferences();
   const id = String(movie.id);
+  const undoEntry = captureUndoEntry(id, 'status', `${UNDO_STATUS_LABELS[status] || 'Updated'} "${getUndoTitle(movie)}"`);
   const next = { ...currentPrefs };
   const snapshot = summarizeMovie(movie);
   const entry = next[id] ? { ...next[id] } : {};
   const skipRatingPrompt = Boolean(options.skipRatingPrompt);
   entry.status = status;
   entry.updatedAt = Date.now();
+  delete entry.reason;
   if (status === 'interested') {
     entry.interest = options.interest ?? entry.interest ?? DEFAULT_INTEREST;
     entry.movie = snapshot;
@@ -3117,7 +4396,8 @@ async function setStatus(movie, status, options = {}) {
     entry.movie = snapshot;
     delete entry.interest;
   } else if (status === 'notInterested') {
-    delete entry.movie;
+    entry.movie = snapshot;
+    if (getDismissReason(options.reason)) entry.reason = options.reason;
     delete entry.interest;
     delete entry.userRating;
   }
@@ -3126,6 +4406,7 @@ async function setStatus(movie, status, options = {}) {
     ? animateFeedRemoval(id)
     : Promise.resolve(false);
   await savePreferences(next);
+  pushUndoEntry(undoEntry);
   await removalPromise;
   pruneSuppressedMovies();
   refreshUI();
@@ -3160,10 +4441,10 @@ async function promptForUserRating(movie) {
   const value = Number.parseFloat(trimmed);
   if (Number.isNaN(value)) return;
 
-  await setUserRating(movie.id, value);
+  await setUserRating(movie.id, value, { undoable: false });
 }
 
-async function setUserRating(movieId, rating) {
+async function setUserRating(movieId, rating, options = {}) {
   const id = String(movieId);
   if (!currentPrefs[id]) {
     await loadPreferences();
@@ -3171,6 +4452,10 @@ async function setUserRating(movieId, rating) {
   const pref = currentPrefs[id];
   if (!pref || pref.status !== 'watched') return;
 
+  if (options.undoable !== false) {
+    const label = rating == null ? 'Cleared rating for' : 'Rated';
+    pushUndoEntry(captureUndoEntry(id, 'rating', `${label} "${getUndoTitle(pref.movie)}"`));
+  }
   const next = { ...currentPrefs };
   const entry = { ...pref };
 
@@ -3193,66 +4478,413 @@ async function clearStatus(movieId) {
   const id = String(movieId);
   const next = { ...currentPrefs };
   const removed = next[id];
+  const undoEntry = removed ? captureUndoEntry(id, 'clear', `Removed "${getUndoTitle(removed.movie)}"`) : null;
   delete next[id];
   await savePreferences(next);
-  if (removed && removed.movie) {
-    const restored = captureRestoredMovie(removed.movie);
-    if (restored && restored.id != null) {
-      restoredMoviesById.set(String(restored.id), restored);
-      const exists = Array.isArray(currentMovies)
-        ? currentMovies.some(movie => String(movie?.id) === String(restored.id))
-        : false;
-      if (!exists) {
-        currentMovies = [restored, ...(Array.isArray(currentMovies) ? currentMovies : [])];
-        currentMovies = applyPriorityOrdering(currentMovies);
-      }
-    }
-  }
+  pushUndoEntry(undoEntry);
+  returnMovieToFeed(removed?.movie);
   pruneSuppressedMovies();
   refreshUI();
 }
 
-function getFeedMovies(movies) {
-  if (!Array.isArray(movies) || !movies.length) return [];
+function returnMovieToFeed(movie) {
+  if (!movie) return;
+  const restored = captureRestoredMovie(movie);
+  if (!restored || restored.id == null) return;
+  restoredMoviesById.set(String(restored.id), restored);
+  const exists = Array.isArray(currentMovies)
+    ? currentMovies.some(item => String(item?.id) === String(restored.id))
+    : false;
+  if (!exists) {
+    currentMovies = [restored, ...(Array.isArray(currentMovies) ? currentMovies : [])];
+    currentMovies = applyPriorityOrdering(currentMovies);
+  }
+}
 
-  return movies.filter(movie => !isMovieSuppressed(movie?.id));
+function getDismissReason(value) {
+  return DISMISS_REASONS.find(reason => reason.value === value) || null;
 }
 
-function isMovieSuppressed(movieId) {
-  if (movieId == null) return false;
-  const pref = currentPrefs[String(movieId)];
-  return Boolean(pref && SUPPRESSED_STATUSES.has(pref.status));
+function toggleDismissReasons(card, movie) {
+  const existing = card.querySelector('.movie-dismiss-reasons');
+  if (existing) {
+    existing.remove();
+    return;
+  }
+  const panel = document.createElement('div');
+  panel.className = 'movie-dismiss-reasons button-row';
+  const label = document.createElement('span');
+  label.textContent = 'Why hide it?';
+  panel.appendChild(label);
+  DISMISS_REASONS.forEach(reason => {
+    panel.appendChild(
+      makeActionButton(reason.label, () => setStatus(movie, 'notInterested', { reason: reason.value }))
+    );
+  });
+  panel.append(
+    makeActionButton('Just hide it', () => setStatus(movie, 'notInterested')),
+    makeActionButton('Cancel', () => panel.remove())
+  );
+  const buttons = card.querySelector('.button-row');
+  if (buttons) {
+    buttons.after(panel);
+  } else {
+    card.appendChild(panel);
+  }
 }
 
-function pruneSuppressedMovies() {
-  if (!Array.isArray(currentMovies) || !currentMovies.length) return;
-  currentMovies = currentMovies.filter(movie => !isMovieSuppressed(movie?.id));
+function getHiddenMovieEntries() {
+  return Object.entries(currentPrefs || {})
+    .filter(([, pref]) => pref?.status === 'notInterested')
+    .map(([id, pref]) => {
+      const title = String(pref.movie?.title || pref.movie?.name || '').trim() || `Movie #${id}`;
+      const year = String(pref.movie?.release_date || '').split('-')[0];
+      const people = [...getNameList(pref.movie?.directors), ...getNameList(pref.movie?.topCast)];
+      return {
+        id,
+        pref,
+        label: `${title}${year ? ` (${year})` : ''}`,
+        searchText: [title, ...people].join(' ').toLowerCase()
+      };
+    })
+    .sort((a, b) => (b.pref.updatedAt ?? 0) - (a.pref.updatedAt ?? 0));
 }
 
-function escapeCssValue(value) {
-  if (typeof value !== 'string') return '';
-  if (typeof CSS !== 'undefined' && CSS && typeof CSS.escape === 'function') {
-    return CSS.escape(value);
-  }
-  return value.replace(/["\\]/g, '\\$&');
+async function restoreHiddenMovies(ids) {
+  const targets = Array.from(new Set((ids || []).map(String)));
+  if (!targets.length) return 0;
+  await loadPreferences();
+  const next = { ...currentPrefs };
+  const restoredMovies = [];
+  targets.forEach(id => {
+    if (next[id]?.status !== 'notInterested') return;
+    restoredMovies.push(next[id].movie);
+    delete next[id];
+  });
+  if (!restoredMovies.length) return 0;
+  await savePreferences(next);
+  restoredMovies.forEach(movie => returnMovieToFeed(movie));
+  targets.forEach(id => selectedHiddenMovieIds.delete(id));
+  pruneSuppressedMovies();
+  refreshUI();
+  return restoredMovies.length;
 }
 
-function animateFeedRemoval(movieId) {
-  if (movieId == null) return Promise.resolve(false);
-  const listEl = domRefs.list;
-  if (!listEl) return Promise.resolve(false);
-  const selector = `li.movie-card[data-movie-id="${escapeCssValue(String(movieId))}"]`;
-  const card = listEl.querySelector(selector);
-  if (!card || card.classList.contains('movie-card--removing')) {
-    return Promise.resolve(Boolean(card));
-  }
-  const canAnimate = typeof requestAnimationFrame === 'function';
-  if (!canAnimate) {
-    if (card.parentElement) {
-      card.parentElement.removeChild(card);
-    }
-    return Promise.resolve(true);
-  }
+function renderHiddenList() {
+  if (!getDocument()) return;
+  const listEl = domRefs.hiddenList;
+  if (!listEl) return;
+  const entries = getHiddenMovieEntries();
+  const hiddenIds = new Set(entries.map(entry => entry.id));
+  Array.from(selectedHiddenMovieIds).forEach(id => {
+    if (!hiddenIds.has(id)) selectedHiddenMovieIds.delete(id);
+  });
+
+  listEl.innerHTML = '';
+  if (!entries.length) {
+    listEl.innerHTML = '<em>No hidden movies.</em>';
+    return;
+  }
+
+  const query = String(domRefs.hiddenSearch?.value || '').trim().toLowerCase();
+  const reasonFilter = domRefs.hiddenReason?.value || '';
+  const visible = entries.filter(entry => {
+    if (query && !entry.searchText.includes(query)) return false;
+    if (reasonFilter === 'none') return !getDismissReason(entry.pref.reason);
+    if (reasonFilter) return entry.pref.reason === reasonFilter;
+    return true;
+  });
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'movie-hidden-toolbar';
+  const selectAllLabel = document.createElement('label');
+  selectAllLabel.className = 'movie-filter-checkbox';
+  const selectAll = document.createElement('input');
+  selectAll.type = 'checkbox';
+  selectAll.checked = visible.length > 0 && visible.every(entry => selectedHiddenMovieIds.has(entry.id));
+  selectAll.disabled = !visible.length;
+  selectAll.addEventListener('change', () => {
+    visible.forEach(entry => {
+      if (selectAll.checked) selectedHiddenMovieIds.add(entry.id);
+      else selectedHiddenMovieIds.delete(entry.id);
+    });
+    renderHiddenList();
+  });
+  selectAllLabel.append(selectAll, ' Select all shown');
+  const count = document.createElement('span');
+  count.className = 'movie-hidden-count';
+  count.textContent = `${visible.length} of ${entries.length} hidden`;
+  const restoreSelected = makeActionButton(
+    `Restore selected (${selectedHiddenMovieIds.size})`,
+    () => restoreHiddenMovies(Array.from(selectedHiddenMovieIds)),
+    { pendingLabel: 'Restoring...' }
+  );
+  restoreSelected.disabled = !selectedHiddenMovieIds.size;
+  toolbar.append(selectAllLabel, restoreSelected, count);
+  listEl.appendChild(toolbar);
+
+  if (!visible.length) {
+    const empty = document.createElement('em');
+    empty.textContent = 'No hidden movies match your search.';
+    listEl.appendChild(empty);
+    return;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'movie-hidden-list';
+  visible.forEach(entry => {
+    const li = document.createElement('li');
+    li.className = 'movie-hidden-item';
+    li.dataset.movieId = entry.id;
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = selectedHiddenMovieIds.has(entry.id);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) selectedHiddenMovieIds.add(entry.id);
+      else selectedHiddenMovieIds.delete(entry.id);
+      renderHiddenList();
+    });
+    label.append(checkbox, ` ${entry.label}`);
+    li.appendChild(label);
+
+    const details = [];
+    const reason = getDismissReason(entry.pref.reason);
+    if (reason) details.push(reason.label);
+    if (Number.isFinite(entry.pref.updatedAt) && entry.pref.updatedAt > 1) {
+      details.push(`Hidden ${new Date(entry.pref.updatedAt).toLocaleDateString()}`);
+    }
+    if (details.length) {
+      const meta = document.createElement('span');
+      meta.className = 'movie-hidden-meta';
+      meta.textContent = details.join(' · ');
+      li.appendChild(meta);
+    }
+    li.appendChild(makeActionButton('Restore', () => clearStatus(entry.id)));
+    list.appendChild(li);
+  });
+  listEl.appendChild(list);
+}
+
+function getDivergenceEntries() {
+  const entries = new Map();
+  Object.entries(currentPrefs || {}).forEach(([id, pref]) => {
+    if (!pref?.movie || (pref.status !== 'watched' && pref.status !== 'interested')) return;
+    entries.set(id, { id, movie: pref.movie, userRating: pref.userRating ?? null });
+  });
+  (Array.isArray(currentMovies) ? currentMovies : []).forEach(movie => {
+    const id = movie?.id == null ? '' : String(movie.id);
+    if (id && !entries.has(id)) entries.set(id, { id, movie, userRating: null });
+  });
+  return Array.from(entries.values());
+}
+
+function formatDivergenceSignals(signals) {
+  return Object.entries(DIVERGENCE_SIGNAL_LABELS)
+    .filter(([key]) => Number.isFinite(signals[key]))
+    .map(([key, label]) => `${label} ${Math.round(signals[key])}`)
+    .join(' · ');
+}
+
+function renderDivergenceList() {
+  if (!getDocument()) return;
+  const listEl = domRefs.divergenceList;
+  if (!listEl || !isElementVisibleForAutoFetch(domRefs.divergenceSection)) return;
+  const entries = getDivergenceEntries();
+  const mine = domRefs.divergenceMode?.value === 'mine';
+  const ranked = rankDivergentMovies(entries, {
+    getCriticBlend: computeWeightedCriticBlend,
+    requireUserRating: mine
+  });
+
+  listEl.innerHTML = '';
+  if (!ranked.length) {
+    listEl.innerHTML = mine
+      ? '<em>None of your ratings differ sharply from critics or audiences yet.</em>'
+      : '<em>No titles with sharply different audience, critic or personal scores yet.</em>';
+  } else {
+    const list = document.createElement('ul');
+    list.className = 'movie-divergence-list';
+    ranked.forEach(entry => {
+      const li = document.createElement('li');
+      li.className = 'movie-divergence-item';
+      li.dataset.movieId = entry.id;
+      const title = document.createElement('h3');
+      const year = String(entry.movie.release_date || '').split('-')[0];
+      title.textContent = `${entry.movie.title || entry.movie.name || `Movie #${entry.id}`}${year ? ` (${year})` : ''}`;
+      const scores = document.createElement('p');
+      scores.className = 'movie-divergence-scores';
+      scores.textContent = formatDivergenceSignals(entry.signals);
+      const gap = document.createElement('p');
+      gap.className = 'movie-divergence-gap';
+      gap.textContent = `${DIVERGENCE_SIGNAL_LABELS[entry.high]} ${Math.round(entry.spread)} points above ${DIVERGENCE_SIGNAL_LABELS[entry.low].toLowerCase()}`;
+      li.append(title, scores, gap);
+      list.appendChild(li);
+    });
+    listEl.appendChild(list);
+  }
+  enqueueAutoCriticScores(entries.map(entry => entry.movie));
+}
+
+function getUndoTitle(movie) {
+  return String(movie?.title || movie?.name || '').trim() || 'movie';
+}
+
+function captureUndoEntry(movieId, kind, label) {
+  const id = String(movieId);
+  const feedIndex = Array.isArray(currentMovies)
+    ? currentMovies.findIndex(movie => String(movie?.id) === id)
+    : -1;
+  return {
+    id,
+    kind,
+    label,
+    previous: currentPrefs[id] ? JSON.parse(JSON.stringify(currentPrefs[id])) : null,
+    feedIndex,
+    feedMovie: feedIndex >= 0 ? currentMovies[feedIndex] : null,
+    owner: prefsLoadedFor,
+    recordedAt: Date.now()
+  };
+}
+
+function pushUndoEntry(entry) {
+  if (!entry) return;
+  const top = movieUndoStack[movieUndoStack.length - 1];
+  if (
+    entry.kind === 'rating' &&
+    top?.kind === 'rating' &&
+    top.id === entry.id &&
+    entry.recordedAt - top.recordedAt < UNDO_RATING_COALESCE_MS
+  ) {
+    top.recordedAt = entry.recordedAt;
+    top.label = entry.label;
+  } else {
+    movieUndoStack.push(entry);
+    if (movieUndoStack.length > MOVIE_UNDO_LIMIT) {
+      movieUndoStack.shift();
+    }
+  }
+  showUndoToast(entry.label);
+}
+
+function clearMovieUndoStack() {
+  movieUndoStack.length = 0;
+  hideUndoToast();
+}
+
+function hideUndoToast() {
+  if (undoToastTimer) {
+    clearTimeout(undoToastTimer);
+    undoToastTimer = null;
+  }
+  const toast = getDocument()?.getElementById('movieUndoToast');
+  if (toast) toast.remove();
+}
+
+function showUndoToast(message, { undoable = true } = {}) {
+  const doc = getDocument();
+  if (!doc?.body) return;
+  let toast = doc.getElementById('movieUndoToast');
+  if (!toast) {
+    toast = doc.createElement('div');
+    toast.id = 'movieUndoToast';
+    toast.className = 'movie-undo-toast';
+    toast.setAttribute('role', 'status');
+    doc.body.appendChild(toast);
+  }
+  toast.innerHTML = '';
+  const text = doc.createElement('span');
+  text.textContent = message;
+  toast.appendChild(text);
+  if (undoable && movieUndoStack.length) {
+    const button = doc.createElement('button');
+    button.type = 'button';
+    button.textContent = 'Undo';
+    button.addEventListener('click', () => runUndo());
+    toast.appendChild(button);
+  }
+  if (undoToastTimer) clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION_MS);
+}
+
+async function undoLastMovieChange() {
+  const entry = movieUndoStack.pop();
+  if (!entry) return false;
+  await loadPreferences();
+  if (entry.owner !== prefsLoadedFor) return false;
+  const next = { ...currentPrefs };
+  if (entry.previous) {
+    next[entry.id] = entry.previous;
+  } else {
+    delete next[entry.id];
+  }
+  await savePreferences(next);
+  if (entry.feedMovie) {
+    const movies = (Array.isArray(currentMovies) ? currentMovies : []).filter(
+      movie => String(movie?.id) !== entry.id
+    );
+    movies.splice(Math.min(entry.feedIndex, movies.length), 0, entry.feedMovie);
+    currentMovies = movies;
+  }
+  pruneSuppressedMovies();
+  refreshUI();
+  showUndoToast(`Undid: ${entry.label}`, { undoable: false });
+  return true;
+}
+
+function runUndo() {
+  return undoLastMovieChange().catch(err => {
+    console.error('Failed to undo movie change', err);
+  });
+}
+
+function isEditableTarget(target) {
+  if (!target) return false;
+  const tag = String(target.tagName || '').toUpperCase();
+  return tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT' || Boolean(target.isContentEditable);
+}
+
+function getFeedMovies(movies) {
+  if (!Array.isArray(movies) || !movies.length) return [];
+
+  return movies.filter(movie => !isMovieSuppressed(movie?.id) && !isMovieBlockedByPeople(movie));
+}
+
+function isMovieSuppressed(movieId) {
+  if (movieId == null) return false;
+  const pref = currentPrefs[String(movieId)];
+  return Boolean(pref && SUPPRESSED_STATUSES.has(pref.status));
+}
+
+function pruneSuppressedMovies() {
+  if (!Array.isArray(currentMovies) || !currentMovies.length) return;
+  currentMovies = currentMovies.filter(movie => !isMovieSuppressed(movie?.id));
+}
+
+function escapeCssValue(value) {
+  if (typeof value !== 'string') return '';
+  if (typeof CSS !== 'undefined' && CSS && typeof CSS.escape === 'function') {
+    return CSS.escape(value);
+  }
+  return value.replace(/["\\]/g, '\\$&');
+}
+
+function animateFeedRemoval(movieId) {
+  if (movieId == null) return Promise.resolve(false);
+  const listEl = domRefs.list;
+  if (!listEl) return Promise.resolve(false);
+  const selector = `li.movie-card[data-movie-id="${escapeCssValue(String(movieId))}"]`;
+  const card = listEl.querySelector(selector);
+  if (!card || card.classList.contains('movie-card--removing')) {
+    return Promise.resolve(Boolean(card));
+  }
+  const canAnimate = typeof requestAnimationFrame === 'function';
+  if (!canAnimate) {
+    if (card.parentElement) {
+      card.parentElement.removeChild(card);
+    }
+    return Promise.resolve(true);
+  }
 
   const height = card.getBoundingClientRect().height;
   card.style.maxHeight = `${height}px`;
@@ -3282,233 +4914,2011 @@ function animateFeedRemoval(movieId) {
   });
 }
 
-function createMovieCardElement(movie) {
-  const li = document.createElement('li');
-  li.className = 'movie-card';
-  if (movie?.id != null) {
-    li.dataset.movieId = String(movie.id);
+async function fetchSimilarMovies(movie) {
+  const params = new URLSearchParams();
+  params.set('limit', String(SIMILAR_MOVIES_LIMIT));
+  const title = String(movie?.title || movie?.name || '').trim();
+  if (title) params.set('title', title);
+  if (movie?.release_date) params.set('releaseDate', movie.release_date);
+  const average = getVoteAverageValue(movie);
+  if (average != null) params.set('score', String(average));
+  const genres = Array.from(getMovieGenreIdSet(movie));
+  if (genres.length) params.set('genres', genres.join(','));
+  const directors = getNameList(movie?.directors);
+  if (directors.length) params.set('directors', directors.join('|'));
+  const cast = getNameList(movie?.topCast);
+  if (cast.length) params.set('cast', cast.join('|'));
+
+  const path = `/api/movies/${encodeURIComponent(String(movie.id))}/similar`;
+  const res = await fetch(`${buildMoviesApiUrl(path)}?${params.toString()}`);
+  if (!res.ok) {
+    throw new Error(`Similar movies request failed (${res.status})`);
   }
-
-  appendMovieCardPoster(li, movie);
-
-  const info = document.createElement('div');
-  info.className = 'movie-info';
-
-  const titleText = ((movie?.title || movie?.name || '') + '').trim();
-  const year = (String(movie?.release_date || '').split('-')[0] || 'Unknown');
-  const titleEl = document.createElement('h3');
-  titleEl.textContent = `${titleText} (${year})`;
-  info.appendChild(titleEl);
-
-  const btnRow = document.createElement('div');
-  btnRow.className = 'button-row';
-  btnRow.append(
-    makeActionButton('Watched Already', () => setStatus(movie, 'watched')),
-    makeActionButton('Not Interested', () => setStatus(movie, 'notInterested')),
-    makeActionButton('Interested', async () => {
-      const existing = currentPrefs?.[String(movie?.id)];
-      const initialInterest =
-        Number.isFinite(existing?.interest) && existing?.interest >= 1 && existing?.interest <= 5
-          ? Math.round(existing.interest)
-          : DEFAULT_INTEREST;
-      const interest = promptForInterest(initialInterest);
-      if (interest == null) return;
-      await setStatus(movie, 'interested', { interest });
+  const data = await res.json();
+  return (Array.isArray(data?.results) ? data.results : [])
+    .map(entry => {
+      const normalized = normalizeCachedMovie(entry);
+      if (!normalized) return null;
+      normalized.similarReasons = Array.isArray(entry.reasons) ? entry.reasons : [];
+      return normalized;
     })
-  );
-  info.appendChild(btnRow);
+    .filter(Boolean);
+}
 
-  const metaList = document.createElement('ul');
-  metaList.className = 'movie-meta';
+function createSimilarMovieItem(movie) {
+  const item = document.createElement('li');
+  item.className = 'movie-similar-item';
+  if (movie.id != null) {
+    item.dataset.movieId = String(movie.id);
+  }
 
-  appendGenresMeta(metaList, movie);
-  appendMeta(metaList, 'Average Score', movie?.vote_average ?? 'N/A');
-  appendMeta(metaList, 'Votes', movie?.vote_count ?? 'N/A');
-  appendMeta(metaList, 'Release Date', movie?.release_date || 'Unknown');
-  appendPeopleMeta(metaList, 'Director', movie?.directors);
-  appendPeopleMeta(metaList, 'Cast', movie?.topCast);
-  appendCriticScoresMeta(metaList, movie);
+  const year = String(movie.release_date || '').split('-')[0];
+  const titleEl = document.createElement('strong');
+  titleEl.textContent = year ? `${movie.title} (${year})` : movie.title;
+  item.appendChild(titleEl);
 
-  if (metaList.childNodes.length) {
-    info.appendChild(metaList);
+  const details = [];
+  const average = getVoteAverageValue(movie);
+  if (average != null) {
+    details.push(`Score ${average.toFixed(1)}`);
   }
-
-  if (movie?.overview) {
-    const overview = document.createElement('p');
-    overview.textContent = movie.overview;
-    info.appendChild(overview);
+  const reasons = movie.similarReasons.filter(Boolean);
+  if (reasons.length) {
+    details.push(`Shared ${reasons.join(', ')}`);
   }
-
-  const rtLink = createRottenTomatoesLink(titleText);
-  if (rtLink) {
-    info.appendChild(rtLink);
+  const pref = currentPrefs[String(movie.id)];
+  if (pref?.status === 'watched') {
+    details.push('Watched');
+  } else if (pref?.status === 'interested') {
+    details.push('Saved');
+  } else if (pref?.status === 'notInterested') {
+    details.push('Not interested');
   }
-
-  li.appendChild(info);
-  return li;
+  if (details.length) {
+    const meta = document.createElement('span');
+    meta.className = 'movie-similar-meta';
+    meta.textContent = ` ${details.join(' · ')}`;
+    item.appendChild(meta);
+  }
+  return item;
 }
 
-function renderFeed() {
-  if (!getDocument()) return;
-  const listEl = domRefs.list;
-  updateMovieStats();
-  if (!listEl) return;
-
-  if (Array.isArray(currentMovies) && currentMovies.length > 1) {
-    currentMovies = dedupeMoviesById(currentMovies);
+async function toggleSimilarMoviesPanel(card, movie) {
+  if (!card || movie?.id == null) return;
+  const existing = card.querySelector('.movie-similar-panel');
+  if (existing) {
+    existing.remove();
+    return;
   }
 
-  const filterSignature = getFeedFilterSignature();
-  lastRenderedFilterSignature = filterSignature;
-
-  if (!currentMovies.length) {
-    listEl.innerHTML = hasActiveFeedFilters()
-      ? '<em>No saved movies match the current filters.</em>'
-      : '<em>No saved movies found.</em>';
-    updateFeedStatus(
-      hasActiveFeedFilters()
-        ? 'No saved movies match your filters.'
-        : 'No saved movies found.',
-      { tone: 'warning', location: 'top' }
-    );
-    updateFeedStatus('', { location: 'bottom' });
-    lastRenderedMovieIds = [];
+  const panel = document.createElement('section');
+  panel.className = 'movie-similar-panel';
+  const header = document.createElement('div');
+  header.className = 'movie-similar-header';
+  const heading = document.createElement('h4');
+  heading.textContent = 'More like this';
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'movie-similar-close';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', () => panel.remove());
+  header.append(heading, closeBtn);
+  const body = document.createElement('div');
+  body.className = 'movie-similar-body';
+  body.innerHTML = '<em>Loading similar movies...</em>';
+  panel.append(header, body);
+  (card.querySelector('.movie-info') || card).appendChild(panel);
+
+  let movies = [];
+  try {
+    movies = await fetchSimilarMovies(movie);
+  } catch (err) {
+    console.warn('Failed to load similar movies', err);
+    body.textContent = `Could not load similar movies (${summarizeError(err)}).`;
     return;
   }
-
-  const availableMovies = getFeedMovies(currentMovies);
-
-  if (!availableMovies.length) {
-    listEl.innerHTML = '<em>All saved movies are hidden by saved statuses.</em>';
-    updateFeedStatus(
-      'All saved movies are hidden by saved statuses.',
-      { tone: 'warning', location: 'top' }
-    );
-    updateFeedStatus('', { location: 'bottom' });
-    lastRenderedMovieIds = [];
+  if (!movies.length) {
+    body.innerHTML = '<em>No similar movies found.</em>';
     return;
   }
+  const list = document.createElement('ul');
+  list.className = 'movie-similar-list';
+  movies.forEach(entry => list.appendChild(createSimilarMovieItem(entry)));
+  body.innerHTML = '';
+  body.appendChild(list);
+}
 
-  let filteredMovies = applyFeedFilters(availableMovies);
-  const hasFilters = hasActiveFeedFilters();
-  if (!filteredMovies.length && !hasFilters && availableMovies.length) {
-    filteredMovies = availableMovies.slice();
+async function requestMovieVideos(movieId) {
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('movie_videos')) {
+    return callTmdbProxy('movie_videos', { movie_id: movieId });
   }
+  const apiKey = resolveApiKey();
+  if (!apiKey) return null;
+  const url = new URL(`https://api.themoviedb.org/3/movie/${encodeURIComponent(movieId)}/videos`);
+  url.searchParams.set('api_key', apiKey);
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Movie videos request failed (${res.status})`);
+  }
+  return res.json();
+}
+
+function pickTmdbTrailers(data) {
+  const videos = Array.isArray(data?.results) ? data.results : [];
+  return videos
+    .filter(
+      video =>
+        video?.site === 'YouTube' &&
+        typeof video.key === 'string' &&
+        video.key.trim() &&
+        TRAILER_VIDEO_TYPES.includes(video.type)
+    )
+    .sort((a, b) => {
+      const typeDiff = TRAILER_VIDEO_TYPES.indexOf(a.type) - TRAILER_VIDEO_TYPES.indexOf(b.type);
+      if (typeDiff) return typeDiff;
+      if (Boolean(a.official) !== Boolean(b.official)) return a.official ? -1 : 1;
+      return String(b.published_at || '').localeCompare(String(a.published_at || ''));
+    })
+    .map(video => ({ id: video.key.trim(), title: video.name || video.type, source: 'tmdb' }));
+}
 
-  if (!filteredMovies.length) {
-    listEl.innerHTML = hasFilters
-      ? '<em>No movies match the current filters.</em>'
-      : '<em>No saved movies are available to display.</em>';
-    updateFeedStatus(
-      buildCatalogLoadStatusMessage(availableMovies.length, 0),
-      { tone: 'warning', location: 'top' }
-    );
-    updateFeedStatus('', { location: 'bottom' });
-    lastRenderedMovieIds = [];
-    return;
+async function searchYouTubeTrailers(movie) {
+  const title = String(movie?.title || movie?.name || '').trim();
+  if (!title) return [];
+  const year = String(movie?.release_date || '').split('-')[0];
+  const params = new URLSearchParams();
+  params.set('q', [title, year, 'trailer'].filter(Boolean).join(' '));
+  params.set('limit', String(TRAILER_SEARCH_LIMIT));
+  const res = await fetch(`${buildMoviesApiUrl('/api/youtube/search')}?${params.toString()}`);
+  if (!res.ok) {
+    throw new Error(`Trailer search failed (${res.status})`);
   }
+  const data = await res.json();
+  const videos = Array.isArray(data?.videos) ? data.videos : data?.video ? [data.video] : [];
+  return videos
+    .filter(video => typeof video?.id === 'string' && video.id)
+    .map(video => ({ id: video.id, title: video.title || title, source: 'youtube' }));
+}
 
-  const filteredMovieIds = filteredMovies
-    .map(movie => (movie && movie.id != null ? String(movie.id) : ''))
-    .filter(Boolean);
-  listEl.innerHTML = '';
-  const ul = document.createElement('ul');
-  filteredMovies.forEach(movie => {
-    ul.appendChild(createMovieCardElement(movie));
-  });
-  listEl.appendChild(ul);
-  lastRenderedMovieIds = filteredMovieIds;
-  updateFeedStatus(
-    buildCatalogLoadStatusMessage(availableMovies.length, filteredMovies.length),
-    { tone: 'success', location: 'top' }
-  );
-  if (isElementVisibleForAutoFetch(domRefs.streamSection)) {
-    enqueueAutoCriticScores(filteredMovies);
+async function requestMovieTrailers(movie) {
+  try {
+    const trailers = pickTmdbTrailers(await requestMovieVideos(movie.id));
+    if (trailers.length) return trailers;
+  } catch (err) {
+    console.warn('Failed to load TMDB videos', movie.id, err);
   }
+  return searchYouTubeTrailers(movie);
+}
 
-  updateFeedStatus('', { tone: 'success', location: 'bottom' });
+function fetchMovieTrailers(movie) {
+  const key = String(movie.id);
+  if (!movieTrailerCache.has(key)) {
+    const pending = requestMovieTrailers(movie).catch(err => {
+      movieTrailerCache.delete(key);
+      throw err;
+    });
+    movieTrailerCache.set(key, pending);
+  }
+  return movieTrailerCache.get(key);
 }
 
-function renderInterestedList() {
-  if (!getDocument()) return;
-  const listEl = domRefs.interestedList;
+function buildTrailerEmbedUrl(videoId) {
+  return `https://www.youtube.com/embed/${encodeURIComponent(videoId)}?autoplay=1&rel=0`;
+}
+
+function closeTrailerPlayer() {
+  const doc = getDocument();
+  if (!doc) return;
+  const modal = doc.getElementById('movieTrailerModal');
+  if (!modal) return;
+  if (modal._trailerKeyHandler) {
+    doc.removeEventListener('keydown', modal._trailerKeyHandler);
+  }
+  modal.remove();
+}
+
+function renderTrailerPlayer(body, trailers) {
+  body.innerHTML = '';
+  const frame = document.createElement('iframe');
+  frame.className = 'movie-trailer-frame';
+  frame.src = buildTrailerEmbedUrl(trailers[0].id);
+  frame.title = trailers[0].title;
+  frame.allow = 'autoplay; encrypted-media; picture-in-picture';
+  frame.setAttribute('allowfullscreen', '');
+  body.appendChild(frame);
+
+  if (trailers.length < 2) return;
+  const list = document.createElement('ul');
+  list.className = 'movie-trailer-options';
+  trailers.forEach((trailer, index) => {
+    const item = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'movie-trailer-option';
+    btn.textContent = trailer.title;
+    if (index === 0) btn.classList.add('active');
+    btn.addEventListener('click', () => {
+      frame.src = buildTrailerEmbedUrl(trailer.id);
+      frame.title = trailer.title;
+      list.querySelectorAll('.movie-trailer-option').forEach(el => el.classList.remove('active'));
+      btn.classList.add('active');
+    });
+    item.appendChild(btn);
+    list.appendChild(item);
+  });
+  body.appendChild(list);
+}
+
+async function openTrailerPlayer(movie) {
+  const doc = getDocument();
+  if (!doc || movie?.id == null) return;
+  closeTrailerPlayer();
+
+  const modal = doc.createElement('div');
+  modal.id = 'movieTrailerModal';
+  modal.className = 'modal movie-trailer-modal';
+  modal.dataset.movieId = String(movie.id);
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+
+  const content = doc.createElement('div');
+  content.className = 'modal-content movie-trailer-content';
+  const header = doc.createElement('div');
+  header.className = 'movie-detail-header';
+  const heading = doc.createElement('h3');
+  const year = String(movie.release_date || '').split('-')[0];
+  const title = movie.title || movie.name || 'Movie';
+  heading.textContent = `${title}${year ? ` (${year})` : ''} trailer`;
+  const closeBtn = doc.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'movie-detail-close';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', () => closeTrailerPlayer());
+  header.append(heading, closeBtn);
+  const body = doc.createElement('div');
+  body.className = 'movie-trailer-body';
+  body.innerHTML = '<em>Finding trailer...</em>';
+  content.append(header, body);
+  modal.appendChild(content);
+
+  modal.addEventListener('click', event => {
+    if (event.target === modal) closeTrailerPlayer();
+  });
+  const keyHandler = event => {
+    if (event.key === 'Escape') closeTrailerPlayer();
+  };
+  modal._trailerKeyHandler = keyHandler;
+  doc.addEventListener('keydown', keyHandler);
+  doc.body.appendChild(modal);
+
+  let trailers;
+  try {
+    trailers = await fetchMovieTrailers(movie);
+  } catch (err) {
+    console.warn('Failed to load trailer', movie.id, err);
+    if (modal.isConnected) {
+      body.textContent = `Could not load a trailer (${summarizeError(err)}).`;
+    }
+    return;
+  }
+  if (!modal.isConnected) return;
+  if (!trailers.length) {
+    body.innerHTML = '<em>No trailer found.</em>';
+    return;
+  }
+  renderTrailerPlayer(body, trailers);
+}
+
+async function requestMovieDetails(movieId) {
+  const params = { movie_id: movieId, append_to_response: 'credits' };
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('movie_details')) {
+    return callTmdbProxy('movie_details', params);
+  }
+  const apiKey = resolveApiKey();
+  if (!apiKey) {
+    throw new Error('TMDB credentials unavailable');
+  }
+  const url = new URL(`https://api.themoviedb.org/3/movie/${encodeURIComponent(movieId)}`);
+  url.searchParams.set('api_key', apiKey);
+  url.searchParams.set('append_to_response', 'credits');
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Movie details request failed (${res.status})`);
+  }
+  return res.json();
+}
+
+function fetchMovieDetails(movieId) {
+  const key = String(movieId);
+  if (!movieDetailsCache.has(key)) {
+    const pending = requestMovieDetails(key)
+      .then(normalizeMovieDetails)
+      .catch(err => {
+        movieDetailsCache.delete(key);
+        throw err;
+      });
+    movieDetailsCache.set(key, pending);
+  }
+  return movieDetailsCache.get(key);
+}
+
+function normalizeMovieDetails(details) {
+  if (!details || typeof details !== 'object') {
+    throw new Error('Movie details response was empty');
+  }
+  const toNames = list =>
+    (Array.isArray(list) ? list : [])
+      .map(entry => (typeof entry?.name === 'string' ? entry.name.trim() : ''))
+      .filter(Boolean);
+  const cast = (Array.isArray(details.credits?.cast) ? details.credits.cast : [])
+    .slice()
+    .sort((a, b) => (a?.order ?? Infinity) - (b?.order ?? Infinity))
+    .slice(0, MOVIE_DETAIL_CAST_LIMIT)
+    .map(member => ({
+      name: typeof member?.name === 'string' ? member.name : '',
+      character: typeof member?.character === 'string' ? member.character : ''
+    }))
+    .filter(member => member.name);
+  const crewByJob = new Map();
+  (Array.isArray(details.credits?.crew) ? details.credits.crew : []).forEach(member => {
+    const job = typeof member?.job === 'string' ? member.job : '';
+    const name = typeof member?.name === 'string' ? member.name : '';
+    if (!job || !name || !MOVIE_DETAIL_CREW_JOBS.includes(job)) return;
+    const names = crewByJob.get(job) || [];
+    if (!names.includes(name)) names.push(name);
+    crewByJob.set(job, names);
+  });
+  const crew = MOVIE_DETAIL_CREW_JOBS.filter(job => crewByJob.has(job)).map(job => ({
+    job,
+    names: crewByJob.get(job)
+  }));
+  const positiveNumber = value => {
+    const num = Number(value);
+    return Number.isFinite(num) && num > 0 ? num : null;
+  };
+  return {
+    id: details.id != null ? String(details.id) : null,
+    title: details.title || details.original_title || '',
+    tagline: typeof details.tagline === 'string' ? details.tagline.trim() : '',
+    overview: typeof details.overview === 'string' ? details.overview : '',
+    releaseDate: details.release_date || '',
+    runtime: positiveNumber(details.runtime),
+    genres: toNames(details.genres),
+    countries: toNames(details.production_countries),
+    budget: positiveNumber(details.budget),
+    revenue: positiveNumber(details.revenue),
+    collection:
+      details.belongs_to_collection && typeof details.belongs_to_collection.name === 'string'
+        ? details.belongs_to_collection.name
+        : '',
+    backdrop_path: details.backdrop_path || null,
+    poster_path: details.poster_path || null,
+    voteAverage: Number.isFinite(Number(details.vote_average)) ? Number(details.vote_average) : null,
+    voteCount: Number.isFinite(Number(details.vote_count)) ? Number(details.vote_count) : null,
+    cast,
+    crew
+  };
+}
+
+function formatRuntime(minutes) {
+  if (!Number.isFinite(minutes) || minutes <= 0) return '';
+  const hours = Math.floor(minutes / 60);
+  const mins = Math.round(minutes % 60);
+  if (!hours) return `${mins}m`;
+  return mins ? `${hours}h ${mins}m` : `${hours}h`;
+}
+
+function formatCurrency(value) {
+  if (!Number.isFinite(value) || value <= 0) return '';
+  return `$${Math.round(value).toLocaleString('en-US')}`;
+}
+
+function findKnownMovie(movieId) {
+  const key = String(movieId);
+  const fromFeed = currentMovies.find(movie => String(movie?.id) === key);
+  if (fromFeed) return fromFeed;
+  return currentPrefs[key]?.movie || null;
+}
+
+function closeMovieDetail({ updateHash = true } = {}) {
+  const doc = getDocument();
+  if (!doc) return;
+  const modal = doc.getElementById('movieDetailModal');
+  if (modal) {
+    if (modal._detailKeyHandler) {
+      doc.removeEventListener('keydown', modal._detailKeyHandler);
+    }
+    modal.remove();
+  }
+  if (
+    updateHash &&
+    typeof window !== 'undefined' &&
+    MOVIE_DETAIL_HASH_PATTERN.test(window.location.hash) &&
+    window.history?.replaceState
+  ) {
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
+  }
+}
+
+function renderMovieDetailBody(body, details) {
+  body.innerHTML = '';
+  const backdropUrl = buildImageUrl(details.backdrop_path, 'w780');
+  if (backdropUrl) {
+    const backdrop = document.createElement('img');
+    backdrop.className = 'movie-detail-backdrop';
+    backdrop.src = backdropUrl;
+    backdrop.alt = `${details.title || 'Movie'} backdrop`;
+    body.appendChild(backdrop);
+  }
+
+  if (details.tagline) {
+    const tagline = document.createElement('p');
+    tagline.className = 'movie-detail-tagline';
+    tagline.textContent = details.tagline;
+    body.appendChild(tagline);
+  }
+
+  if (details.overview) {
+    const overview = document.createElement('p');
+    overview.textContent = details.overview;
+    body.appendChild(overview);
+  }
+
+  const facts = document.createElement('ul');
+  facts.className = 'movie-meta';
+  appendMeta(facts, 'Release Date', details.releaseDate);
+  appendMeta(facts, 'Runtime', formatRuntime(details.runtime));
+  appendMeta(facts, 'Genres', details.genres.join(', '));
+  appendMeta(facts, 'Average Score', details.voteAverage != null ? details.voteAverage.toFixed(1) : '');
+  appendMeta(facts, 'Production Countries', details.countries.join(', '));
+  appendMeta(facts, 'Budget', formatCurrency(details.budget));
+  appendMeta(facts, 'Revenue', formatCurrency(details.revenue));
+  appendMeta(facts, 'Collection', details.collection);
+  if (facts.childNodes.length) {
+    body.appendChild(facts);
+  }
+
+  if (details.crew.length) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Crew';
+    const crewList = document.createElement('ul');
+    crewList.className = 'movie-meta movie-detail-crew';
+    details.crew.forEach(entry => appendMeta(crewList, entry.job, entry.names.join(', ')));
+    body.append(heading, crewList);
+  }
+
+  if (details.cast.length) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Cast';
+    const castList = document.createElement('ul');
+    castList.className = 'movie-detail-cast';
+    details.cast.forEach(member => {
+      const item = document.createElement('li');
+      item.textContent = member.character ? `${member.name} as ${member.character}` : member.name;
+      castList.appendChild(item);
+    });
+    body.append(heading, castList);
+  }
+}
+
+async function openMovieDetail(movieId) {
+  const doc = getDocument();
+  if (!doc || movieId == null || movieId === '') return;
+  closeMovieDetail({ updateHash: false });
+
+  const known = findKnownMovie(movieId);
+  const modal = doc.createElement('div');
+  modal.id = 'movieDetailModal';
+  modal.className = 'modal movie-detail-modal';
+  modal.dataset.movieId = String(movieId);
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+
+  const content = doc.createElement('div');
+  content.className = 'modal-content movie-detail-content';
+  const header = doc.createElement('div');
+  header.className = 'movie-detail-header';
+  const heading = doc.createElement('h3');
+  const knownYear = String(known?.release_date || '').split('-')[0];
+  heading.textContent = known?.title
+    ? `${known.title}${knownYear ? ` (${knownYear})` : ''}`
+    : 'Movie details';
+  const closeBtn = doc.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'movie-detail-close';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', () => closeMovieDetail());
+  header.append(heading, closeBtn);
+  const body = doc.createElement('div');
+  body.className = 'movie-detail-body';
+  body.innerHTML = '<em>Loading movie details...</em>';
+  content.append(header, body);
+  modal.appendChild(content);
+
+  modal.addEventListener('click', event => {
+    if (event.target === modal) closeMovieDetail();
+  });
+  const keyHandler = event => {
+    if (event.key === 'Escape') closeMovieDetail();
+  };
+  modal._detailKeyHandler = keyHandler;
+  doc.addEventListener('keydown', keyHandler);
+  doc.body.appendChild(modal);
+
+  let details;
+  try {
+    details = await fetchMovieDetails(movieId);
+  } catch (err) {
+    console.warn('Failed to load movie details', movieId, err);
+    if (modal.isConnected) {
+      body.textContent = `Could not load movie details (${summarizeError(err)}).`;
+    }
+    return;
+  }
+  if (!modal.isConnected) return;
+  const year = String(details.releaseDate || '').split('-')[0];
+  if (details.title) {
+    heading.textContent = year ? `${details.title} (${year})` : details.title;
+  }
+  renderMovieDetailBody(body, details);
+}
+
+function syncMovieDetailWithHash() {
+  if (typeof window === 'undefined') return;
+  const match = window.location.hash.match(MOVIE_DETAIL_HASH_PATTERN);
+  if (match) {
+    openMovieDetail(decodeURIComponent(match[1]));
+  } else {
+    closeMovieDetail({ updateHash: false });
+  }
+}
+
+async function searchTmdbPerson(name) {
+  const params = { query: name };
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('search_person')) {
+    return callTmdbProxy('search_person', params);
+  }
+  const apiKey = resolveApiKey();
+  if (!apiKey) {
+    throw new Error('TMDB credentials unavailable');
+  }
+  const url = new URL('https://api.themoviedb.org/3/search/person');
+  url.searchParams.set('api_key', apiKey);
+  url.searchParams.set('query', name);
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Person search failed (${res.status})`);
+  }
+  return res.json();
+}
+
+async function resolvePersonId(person) {
+  const known = Number.parseInt(person?.id ?? peoplePrefs[normalizePersonKey(person?.name)]?.id, 10);
+  if (Number.isFinite(known)) return known;
+  const key = normalizePersonKey(person?.name);
+  if (!key) return null;
+  if (!personIdCache.has(key)) {
+    const pending = searchTmdbPerson(person.name)
+      .then(data => {
+        const results = Array.isArray(data?.results) ? data.results : [];
+        const match = results.find(result => normalizePersonKey(result?.name) === key) || results[0];
+        return match?.id != null ? Number(match.id) : null;
+      })
+      .catch(err => {
+        personIdCache.delete(key);
+        throw err;
+      });
+    personIdCache.set(key, pending);
+  }
+  return personIdCache.get(key);
+}
+
+async function requestPersonDetails(personId) {
+  const params = { person_id: personId, append_to_response: 'movie_credits' };
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('person_details')) {
+    return callTmdbProxy('person_details', params);
+  }
+  const apiKey = resolveApiKey();
+  if (!apiKey) {
+    throw new Error('TMDB credentials unavailable');
+  }
+  const url = new URL(`https://api.themoviedb.org/3/person/${encodeURIComponent(personId)}`);
+  url.searchParams.set('api_key', apiKey);
+  url.searchParams.set('append_to_response', 'movie_credits');
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Person details request failed (${res.status})`);
+  }
+  return res.json();
+}
+
+function buildPersonFilmography(credits) {
+  const byId = new Map();
+  const add = (movie, role) => {
+    if (!movie || movie.id == null) return;
+    const id = String(movie.id);
+    const existing = byId.get(id);
+    if (existing) {
+      if (role && !existing.roles.includes(role)) existing.roles.push(role);
+      return;
+    }
+    byId.set(id, { movie, roles: role ? [role] : [] });
+  };
+  (Array.isArray(credits?.crew) ? credits.crew : [])
+    .filter(member => member?.job === 'Director')
+    .forEach(member => add(member, 'Director'));
+  (Array.isArray(credits?.cast) ? credits.cast : []).forEach(member => {
+    add(member, member.character ? `as ${member.character}` : 'Cast');
+  });
+  return Array.from(byId.values())
+    .sort(
+      (a, b) =>
+        String(b.movie.release_date || '').localeCompare(String(a.movie.release_date || '')) ||
+        (Number(b.movie.popularity) || 0) - (Number(a.movie.popularity) || 0)
+    )
+    .slice(0, PERSON_FILMOGRAPHY_LIMIT);
+}
+
+function describePrefStatus(pref) {
+  if (pref?.status === 'watched') {
+    const rating = clampUserRating(Number(pref.userRating ?? NaN));
+    return rating == null ? 'Watched' : `Watched · Rated ${rating}`;
+  }
+  if (pref?.status === 'interested') return 'Saved';
+  if (pref?.status === 'notInterested') return 'Not interested';
+  return '';
+}
+
+function closePersonPage() {
+  const modal = getDocument()?.getElementById('moviePersonModal');
+  if (!modal) return;
+  if (modal._personKeyHandler) {
+    getDocument().removeEventListener('keydown', modal._personKeyHandler);
+  }
+  modal.remove();
+}
+
+function renderPersonActions(container, person) {
+  container.innerHTML = '';
+  const mode = getPersonMode(person.name);
+  const follow = makeActionButton(mode === 'follow' ? 'Unfollow' : 'Follow', async () => {
+    await setPersonMode(person, mode === 'follow' ? null : 'follow');
+    renderPersonActions(container, person);
+  });
+  const block = makeActionButton(mode === 'block' ? 'Unblock' : 'Block', async () => {
+    await setPersonMode(person, mode === 'block' ? null : 'block');
+    renderPersonActions(container, person);
+  });
+  container.append(follow, block);
+}
+
+function renderPersonBody(body, details, person) {
+  body.innerHTML = '';
+  const actions = document.createElement('div');
+  actions.className = 'button-row';
+  renderPersonActions(actions, person);
+  body.appendChild(actions);
+
+  const facts = document.createElement('ul');
+  facts.className = 'movie-meta';
+  appendMeta(facts, 'Known For', details.known_for_department || '');
+  appendMeta(facts, 'Born', [details.birthday, details.place_of_birth].filter(Boolean).join(' · '));
+  if (details.deathday) appendMeta(facts, 'Died', details.deathday);
+  if (facts.childNodes.length) body.appendChild(facts);
+
+  if (details.biography) {
+    const bio = document.createElement('p');
+    bio.className = 'movie-person-bio';
+    bio.textContent = details.biography;
+    body.appendChild(bio);
+  }
+
+  const filmography = buildPersonFilmography(details.movie_credits);
+  const heading = document.createElement('h4');
+  heading.textContent = 'Filmography';
+  body.appendChild(heading);
+  if (!filmography.length) {
+    const empty = document.createElement('em');
+    empty.textContent = 'No movie credits found.';
+    body.appendChild(empty);
+    return;
+  }
+  const list = document.createElement('ul');
+  list.className = 'movie-person-filmography';
+  filmography.forEach(({ movie, roles }) => {
+    const item = document.createElement('li');
+    item.dataset.movieId = String(movie.id);
+    const year = String(movie.release_date || '').split('-')[0];
+    const link = document.createElement('a');
+    link.href = `#movie/${encodeURIComponent(movie.id)}`;
+    link.textContent = `${movie.title || movie.original_title || 'Untitled'}${year ? ` (${year})` : ''}`;
+    link.addEventListener('click', () => closePersonPage());
+    item.appendChild(link);
+    if (roles.length) item.append(` – ${roles.join(', ')}`);
+    const status = describePrefStatus(currentPrefs[String(movie.id)]);
+    if (status) {
+      const marker = document.createElement('span');
+      marker.className = 'movie-person-status';
+      marker.textContent = status;
+      item.appendChild(marker);
+    }
+    list.appendChild(item);
+  });
+  body.appendChild(list);
+}
+
+async function openPersonPage(person) {
+  const doc = getDocument();
+  const name = String(person?.name || '').trim();
+  if (!doc || !name) return;
+  closePersonPage();
+
+  const modal = doc.createElement('div');
+  modal.id = 'moviePersonModal';
+  modal.className = 'modal movie-detail-modal movie-person-modal';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  const content = doc.createElement('div');
+  content.className = 'modal-content movie-detail-content';
+  const header = doc.createElement('div');
+  header.className = 'movie-detail-header';
+  const heading = doc.createElement('h3');
+  heading.textContent = name;
+  const closeBtn = doc.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'movie-detail-close';
+  closeBtn.textContent = 'Close';
+  closeBtn.addEventListener('click', () => closePersonPage());
+  header.append(heading, closeBtn);
+  const body = doc.createElement('div');
+  body.className = 'movie-detail-body';
+  body.innerHTML = '<em>Loading filmography...</em>';
+  content.append(header, body);
+  modal.appendChild(content);
+
+  modal.addEventListener('click', event => {
+    if (event.target === modal) closePersonPage();
+  });
+  const keyHandler = event => {
+    if (event.key === 'Escape') closePersonPage();
+  };
+  modal._personKeyHandler = keyHandler;
+  doc.addEventListener('keydown', keyHandler);
+  doc.body.appendChild(modal);
+
+  let details;
+  try {
+    await loadPreferences();
+    const personId = await resolvePersonId(person);
+    if (personId == null) {
+      throw new Error('person not found on TMDB');
+    }
+    const key = String(personId);
+    if (!personDetailsCache.has(key)) {
+      personDetailsCache.set(
+        key,
+        requestPersonDetails(key).catch(err => {
+          personDetailsCache.delete(key);
+          throw err;
+        })
+      );
+    }
+    details = { ...(await personDetailsCache.get(key)), id: personId };
+  } catch (err) {
+    console.warn('Failed to load person details', name, err);
+    if (modal.isConnected) {
+      body.textContent = `Could not load ${name} (${summarizeError(err)}).`;
+    }
+    return;
+  }
+  if (!modal.isConnected) return;
+  renderPersonBody(body, details, { name, id: details.id });
+}
+
+function renderPeopleList() {
+  if (!getDocument()) return;
+  const listEl = domRefs.peopleList;
+  if (!listEl) return;
+  listEl.innerHTML = '';
+  const people = Object.values(peoplePrefs).sort((a, b) => a.name.localeCompare(b.name));
+  if (!people.length) {
+    listEl.innerHTML = '<em>Follow or block directors and actors from any movie card.</em>';
+    return;
+  }
+  [
+    ['follow', 'Following'],
+    ['block', 'Blocked']
+  ].forEach(([mode, title]) => {
+    const group = people.filter(person => person.mode === mode);
+    if (!group.length) return;
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${group.length})`;
+    const list = document.createElement('ul');
+    list.className = `movie-people-list movie-people-list--${mode}`;
+    group.forEach(person => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      link.href = '#';
+      link.className = 'movie-person-link';
+      link.textContent = person.name;
+      link.addEventListener('click', event => {
+        event.preventDefault();
+        openPersonPage(person);
+      });
+      item.append(
+        link,
+        makeActionButton(mode === 'follow' ? 'Unfollow' : 'Unblock', () => setPersonMode(person, null))
+      );
+      list.appendChild(item);
+    });
+    listEl.append(heading, list);
+  });
+}
+
+function createMovieTitleElement(movie, text) {
+  const titleEl = document.createElement('h3');
+  if (movie?.id == null) {
+    titleEl.textContent = text;
+    return titleEl;
+  }
+  const link = document.createElement('a');
+  link.className = 'movie-detail-link';
+  link.href = `#movie/${encodeURIComponent(String(movie.id))}`;
+  link.textContent = text;
+  titleEl.appendChild(link);
+  return titleEl;
+}
+
+function createMovieCardElement(movie) {
+  const li = document.createElement('li');
+  li.className = 'movie-card';
+  if (movie?.id != null) {
+    li.dataset.movieId = String(movie.id);
+  }
+
+  appendMovieCardPoster(li, movie);
+
+  const info = document.createElement('div');
+  info.className = 'movie-info';
+
+  const titleText = ((movie?.title || movie?.name || '') + '').trim();
+  const year = (String(movie?.release_date || '').split('-')[0] || 'Unknown');
+  info.appendChild(createMovieTitleElement(movie, `${titleText} (${year})`));
+
+  const tasteReason = movie?.id != null ? tasteReasonsById.get(String(movie.id)) : null;
+  if (tasteReason) {
+    const reasonEl = document.createElement('p');
+    reasonEl.className = 'movie-recommendation-reason';
+    reasonEl.textContent = `Because you liked ${tasteReason}`;
+    info.appendChild(reasonEl);
+  }
+
+  const followed = getFollowedPeopleInMovie(movie);
+  if (followed.length) {
+    const followedEl = document.createElement('p');
+    followedEl.className = 'movie-recommendation-reason movie-followed-people';
+    followedEl.textContent = `You follow ${followed.join(', ')}`;
+    info.appendChild(followedEl);
+  }
+
+  const btnRow = document.createElement('div');
+  btnRow.className = 'button-row';
+  btnRow.append(
+    makeActionButton('Watched Already', () => setStatus(movie, 'watched')),
+    makeActionButton('Not Interested', () => toggleDismissReasons(li, movie)),
+    makeActionButton('Interested', async () => {
+      const existing = currentPrefs?.[String(movie?.id)];
+      const initialInterest =
+        Number.isFinite(existing?.interest) && existing?.interest >= 1 && existing?.interest <= 5
+          ? Math.round(existing.interest)
+          : DEFAULT_INTEREST;
+      const interest = promptForInterest(initialInterest);
+      if (interest == null) return;
+      await setStatus(movie, 'interested', { interest });
+    }),
+    makeActionButton('More like this', () => toggleSimilarMoviesPanel(li, movie), {
+      pendingLabel: 'Loading...'
+    }),
+    makeActionButton('Watch trailer', () => openTrailerPlayer(movie), {
+      pendingLabel: 'Loading...'
+    }),
+    createMovieListPicker(movie)
+  );
+  info.appendChild(btnRow);
+
+  const metaList = document.createElement('ul');
+  metaList.className = 'movie-meta';
+
+  appendGenresMeta(metaList, movie);
+  appendMeta(metaList, 'Average Score', movie?.vote_average ?? 'N/A');
+  appendMeta(metaList, 'Votes', movie?.vote_count ?? 'N/A');
+  appendMeta(metaList, 'Release Date', movie?.release_date || 'Unknown');
+  appendPeopleMeta(metaList, 'Director', movie?.directors);
+  appendPeopleMeta(metaList, 'Cast', movie?.topCast);
+  appendWatchProvidersMeta(metaList, movie);
+  appendCriticScoresMeta(metaList, movie);
+
+  if (metaList.childNodes.length) {
+    info.appendChild(metaList);
+  }
+
+  if (movie?.overview) {
+    const overview = document.createElement('p');
+    overview.textContent = movie.overview;
+    info.appendChild(overview);
+  }
+
+  const rtLink = createRottenTomatoesLink(titleText);
+  if (rtLink) {
+    info.appendChild(rtLink);
+  }
+
+  li.appendChild(info);
+  return li;
+}
+
+function createFeedMoreButton() {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'movie-feed-more-btn';
+  btn.textContent = 'Show more movies';
+  btn.addEventListener('click', () => {
+    feedPageLimit += FEED_PAGE_SIZE;
+    renderFeed();
+    if (lastRenderedMovieIds.length < feedPageLimit && catalogNextCursor) {
+      loadNextCatalogPage();
+    }
+  });
+  return btn;
+}
+
+async function loadNextCatalogPage() {
+  if (catalogPageInProgress) return;
+  catalogPageInProgress = true;
+  const skipIds = new Set(
+    currentMovies.map(movie => (movie && movie.id != null ? String(movie.id) : '')).filter(Boolean)
+  );
+  Object.entries(currentPrefs).forEach(([id, pref]) => {
+    if (pref && SUPPRESSED_STATUSES.has(pref.status)) {
+      skipIds.add(id);
+    }
+  });
+  updateFeedStatus('Loading more movies from the catalog...', {
+    tone: 'info',
+    showSpinner: true,
+    location: 'bottom'
+  });
+  try {
+    const movies = await fetchCatalogPagesAfterCursor({ skipIds, limit: CATALOG_PAGE_SIZE });
+    if (movies.length) {
+      currentMovies = mergeRestoredMovies([...currentMovies, ...movies]);
+      pruneSuppressedMovies();
+    }
+  } catch (err) {
+    console.warn('Failed to page through the movie catalog', err);
+  } finally {
+    catalogPageInProgress = false;
+    updateFeedStatus('', { location: 'bottom' });
+    renderFeed();
+  }
+}
+
+function renderFeed() {
+  if (!getDocument()) return;
+  const listEl = domRefs.list;
+  updateMovieStats();
+  if (!listEl) return;
+
+  if (Array.isArray(currentMovies) && currentMovies.length > 1) {
+    currentMovies = dedupeMoviesById(currentMovies);
+  }
+
+  const filterSignature = getFeedFilterSignature();
+  lastRenderedFilterSignature = filterSignature;
+  if (filterSignature !== feedPageSignature) {
+    feedPageSignature = filterSignature;
+    feedPageLimit = FEED_PAGE_SIZE;
+  }
+
+  if (!currentMovies.length) {
+    listEl.innerHTML = hasActiveFeedFilters()
+      ? '<em>No saved movies match the current filters.</em>'
+      : '<em>No saved movies found.</em>';
+    updateFeedStatus(
+      hasActiveFeedFilters()
+        ? 'No saved movies match your filters.'
+        : 'No saved movies found.',
+      { tone: 'warning', location: 'top' }
+    );
+    updateFeedStatus('', { location: 'bottom' });
+    lastRenderedMovieIds = [];
+    return;
+  }
+
+  const availableMovies = getFeedMovies(currentMovies);
+
+  if (!availableMovies.length) {
+    listEl.innerHTML = '<em>All saved movies are hidden by saved statuses.</em>';
+    updateFeedStatus(
+      'All saved movies are hidden by saved statuses.',
+      { tone: 'warning', location: 'top' }
+    );
+    updateFeedStatus('', { location: 'bottom' });
+    lastRenderedMovieIds = [];
+    return;
+  }
+
+  const pendingMovies = [];
+  let filteredMovies = applyFeedFilters(availableMovies, { pending: pendingMovies });
+  const hasFilters = hasActiveFeedFilters();
+  if (!filteredMovies.length && !pendingMovies.length && !hasFilters && availableMovies.length) {
+    filteredMovies = availableMovies.slice();
+  }
+
+  const orderedMovies = orderFeedMovies(filteredMovies.concat(pendingMovies));
+  const pageWindow = orderedMovies.slice(0, feedPageLimit);
+  const pendingSet = new Set(pendingMovies);
+  feedUncheckedCount = pendingMovies.length - pageWindow.filter(movie => pendingSet.has(movie)).length;
+  queueFeedPageLookups(pageWindow);
+  filteredMovies = orderedMovies.filter(movie => !pendingSet.has(movie));
+
+  if (!filteredMovies.length) {
+    listEl.innerHTML = hasFilters
+      ? '<em>No movies match the current filters.</em>'
+      : '<em>No saved movies are available to display.</em>';
+    if (feedUncheckedCount > 0 || catalogNextCursor) {
+      listEl.appendChild(createFeedMoreButton());
+    }
+    updateFeedStatus(
+      buildCatalogLoadStatusMessage(availableMovies.length, 0),
+      { tone: 'warning', location: 'top' }
+    );
+    updateFeedStatus('', { location: 'bottom' });
+    lastRenderedMovieIds = [];
+    return;
+  }
+
+  const pageMovies = filteredMovies.slice(0, feedPageLimit);
+  const filteredMovieIds = pageMovies
+    .map(movie => (movie && movie.id != null ? String(movie.id) : ''))
+    .filter(Boolean);
+  listEl.innerHTML = '';
+  const ul = document.createElement('ul');
+  pageMovies.forEach(movie => {
+    ul.appendChild(createMovieCardElement(movie));
+  });
+  listEl.appendChild(ul);
+  if (filteredMovies.length > pageMovies.length || feedUncheckedCount > 0 || catalogNextCursor) {
+    listEl.appendChild(createFeedMoreButton());
+  }
+  lastRenderedMovieIds = filteredMovieIds;
+  updateFeedStatus(
+    buildCatalogLoadStatusMessage(availableMovies.length, filteredMovies.length),
+    { tone: 'success', location: 'top' }
+  );
+  if (isElementVisibleForAutoFetch(domRefs.streamSection)) {
+    enqueueAutoCriticScores(pageMovies);
+  }
+
+  updateFeedStatus('', { tone: 'success', location: 'bottom' });
+}
+
+function renderInterestedList() {
+  if (!getDocument()) return;
+  const listEl = domRefs.interestedList;
   if (!listEl) return;
 
-  const interestedEntries = Object.values(currentPrefs).filter(
-    pref => pref.status === 'interested' && pref.movie
+  const interestedEntries = Object.values(currentPrefs).filter(
+    pref => pref.status === 'interested' && pref.movie
+  );
+  const blendCache = new Map();
+  const getBlend = pref => {
+    const key = String(pref?.movie?.id ?? `${pref?.movie?.title || ''}|${pref?.updatedAt || ''}`);
+    if (blendCache.has(key)) {
+      return blendCache.get(key);
+    }
+    const blend = computeWeightedCriticBlend(pref?.movie);
+    blendCache.set(key, blend);
+    return blend;
+  };
+  const allEntries = interestedEntries.sort((a, b) => {
+    const aBlend = getBlend(a);
+    const bBlend = getBlend(b);
+    const aHasBlend = Number.isFinite(aBlend.value);
+    const bHasBlend = Number.isFinite(bBlend.value);
+    if (aHasBlend && bHasBlend && bBlend.value !== aBlend.value) {
+      return bBlend.value - aBlend.value;
+    }
+    if (aHasBlend !== bHasBlend) {
+      return aHasBlend ? -1 : 1;
+    }
+    if (bBlend.signalCount !== aBlend.signalCount) {
+      return bBlend.signalCount - aBlend.signalCount;
+    }
+    if (bBlend.weightUsed !== aBlend.weightUsed) {
+      return bBlend.weightUsed - aBlend.weightUsed;
+    }
+    return (b.interest ?? 0) - (a.interest ?? 0) || (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
+  });
+
+  const genres = [];
+  allEntries.forEach(pref => {
+    const names = getGenreNames(pref.movie);
+    if (names.length) {
+      genres.push(...names);
+    }
+  });
+
+  let removed = false;
+  Array.from(activeInterestedGenres).forEach(name => {
+    if (!genres.includes(name)) {
+      activeInterestedGenres.delete(name);
+      removed = true;
+    }
+  });
+
+  if (removed && !genres.length) {
+    activeInterestedGenres.clear();
+  }
+
+  renderInterestedFilters(genres);
+
+  if (!allEntries.length) {
+    listEl.innerHTML = '<em>No interested movies yet.</em>';
+    return;
+  }
+
+  const selectedGenres = Array.from(activeInterestedGenres);
+  const entries = selectedGenres.length
+    ? allEntries.filter(pref => {
+        const names = getGenreNames(pref.movie);
+        return names.some(name => activeInterestedGenres.has(name));
+      })
+    : allEntries;
+
+  if (!entries.length) {
+    listEl.innerHTML = '<em>No interested movies for the selected genre.</em>';
+    return;
+  }
+
+  const ul = document.createElement('ul');
+  entries.forEach(pref => {
+    const movie = pref.movie;
+    const li = document.createElement('li');
+    li.className = 'movie-card';
+
+    appendMovieCardPoster(li, movie);
+
+    const info = document.createElement('div');
+    info.className = 'movie-info';
+
+    const year = (movie.release_date || '').split('-')[0] || 'Unknown';
+    info.appendChild(createMovieTitleElement(movie, `${movie.title || 'Untitled'} (${year})`));
+
+    const interestRow = document.createElement('div');
+    interestRow.className = 'interest-row';
+    const label = document.createElement('span');
+    label.textContent = `Interest: ${pref.interest ?? DEFAULT_INTEREST}`;
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '1';
+    slider.max = '5';
+    slider.value = String(pref.interest ?? DEFAULT_INTEREST);
+    slider.addEventListener('input', () => {
+      label.textContent = `Interest: ${slider.value}`;
+    });
+    slider.addEventListener('change', async () => {
+      const updated = { ...currentPrefs };
+      const entry = updated[String(movie.id)];
+      if (entry) {
+        entry.interest = Number(slider.value);
+        entry.updatedAt = Date.now();
+        await savePreferences(updated);
+        renderInterestedList();
+      }
+    });
+
+    interestRow.append(label, slider);
+    info.appendChild(interestRow);
+
+    if (movie.overview) {
+      const overview = document.createElement('p');
+      overview.textContent = movie.overview;
+      info.appendChild(overview);
+    }
+
+    const rtLink = createRottenTomatoesLink(movie.title || '');
+    if (rtLink) {
+      info.appendChild(rtLink);
+    }
+
+    const metaList = document.createElement('ul');
+    metaList.className = 'movie-meta';
+    appendGenresMeta(metaList, movie);
+    appendPeopleMeta(metaList, 'Director', movie.directors);
+    appendPeopleMeta(metaList, 'Cast', movie.topCast);
+    appendCriticScoresMeta(metaList, movie);
+    if (metaList.childNodes.length) {
+      info.appendChild(metaList);
+    }
+
+    const controls = document.createElement('div');
+    controls.className = 'button-row';
+    controls.append(
+      makeActionButton('Mark Watched', () => setStatus(movie, 'watched')),
+      makeActionButton('Watch trailer', () => openTrailerPlayer(movie), {
+        pendingLabel: 'Loading...'
+      }),
+      makeActionButton('Remove', () => clearStatus(movie.id)),
+      createMovieListPicker(movie)
+    );
+    info.appendChild(controls);
+
+    li.appendChild(info);
+    ul.appendChild(li);
+  });
+
+  listEl.innerHTML = '';
+  listEl.appendChild(ul);
+  if (isElementVisibleForAutoFetch(domRefs.interestedSection)) {
+    enqueueAutoCriticScores(entries.map(pref => pref.movie).filter(Boolean));
+  }
+}
+
+function getTodayIsoDate() {
+  const now = new Date();
+  const pad = value => String(value).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+function createViewingId() {
+  return `v-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function sanitizeViewing(raw, index = 0) {
+  if (!raw || typeof raw !== 'object') return null;
+  const date = typeof raw.date === 'string' && VIEWING_DATE_PATTERN.test(raw.date) ? raw.date : '';
+  if (!date) return null;
+  const rating =
+    raw.rating == null || raw.rating === '' ? null : clampUserRating(Number(raw.rating));
+  const companions = (Array.isArray(raw.companions) ? raw.companions : String(raw.companions || '').split(','))
+    .map(name => String(name).trim())
+    .filter(Boolean);
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : `v-${date}-${index}`,
+    date,
+    location: typeof raw.location === 'string' ? raw.location.trim() : '',
+    companions,
+    rating,
+    review: typeof raw.review === 'string' ? raw.review.trim() : '',
+    loggedAt: Number.isFinite(raw.loggedAt) ? raw.loggedAt : 0
+  };
+}
+
+function getViewings(pref) {
+  return (Array.isArray(pref?.viewings) ? pref.viewings : [])
+    .map((viewing, index) => sanitizeViewing(viewing, index))
+    .filter(Boolean)
+    .sort((a, b) => b.date.localeCompare(a.date) || b.loggedAt - a.loggedAt);
+}
+
+function formatViewingMonth(date) {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleDateString(undefined, {
+    month: 'long',
+    year: 'numeric',
+    timeZone: 'UTC'
+  });
+}
+
+function describeViewing(viewing) {
+  const parts = [viewing.date];
+  if (viewing.location) parts.push(viewing.location);
+  if (viewing.companions.length) parts.push(`with ${viewing.companions.join(', ')}`);
+  if (viewing.rating != null) parts.push(`Rated ${viewing.rating}`);
+  return parts.join(' · ');
+}
+
+async function logViewing(movie, details) {
+  if (!movie || movie.id == null) return;
+  const viewing = sanitizeViewing({ ...details, id: createViewingId(), loggedAt: Date.now() });
+  if (!viewing) return;
+  await loadPreferences();
+  const id = String(movie.id);
+  const next = { ...currentPrefs };
+  const entry = next[id] ? { ...next[id] } : {};
+  entry.status = 'watched';
+  entry.movie = entry.movie || summarizeMovie(movie);
+  delete entry.interest;
+  entry.viewings = [...getViewings(entry), viewing];
+  const latestRated = getViewings(entry).find(item => item.rating != null);
+  if (latestRated) {
+    entry.userRating = latestRated.rating;
+  }
+  entry.updatedAt = Date.now();
+  next[id] = entry;
+  await savePreferences(next);
+  pruneSuppressedMovies();
+  refreshUI();
+}
+
+async function deleteViewing(movieId, viewingId) {
+  await loadPreferences();
+  const id = String(movieId);
+  const pref = currentPrefs[id];
+  if (!pref) return;
+  const viewings = getViewings(pref);
+  const removed = viewings.find(viewing => viewing.id === viewingId);
+  if (!removed) return;
+  const remaining = viewings.filter(viewing => viewing !== removed);
+  const entry = { ...pref, viewings: remaining, updatedAt: Date.now() };
+  const ratedBefore = viewings.find(viewing => viewing.rating != null);
+  if (ratedBefore === removed && clampUserRating(Number(pref.userRating)) === removed.rating) {
+    const latestRated = remaining.find(viewing => viewing.rating != null);
+    if (latestRated) {
+      entry.userRating = latestRated.rating;
+    } else {
+      delete entry.userRating;
+    }
+  }
+  const next = { ...currentPrefs, [id]: entry };
+  await savePreferences(next);
+  renderWatchedList();
+}
+
+function closeViewingForm() {
+  const doc = getDocument();
+  const modal = doc?.getElementById('movieViewingModal');
+  if (modal) modal.remove();
+}
+
+function openViewingForm(movie, date) {
+  const doc = getDocument();
+  if (!doc) return Promise.resolve(null);
+  closeViewingForm();
+  return new Promise(resolve => {
+    const modal = doc.createElement('div');
+    modal.id = 'movieViewingModal';
+    modal.className = 'modal movie-viewing-modal';
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+
+    const form = doc.createElement('form');
+    form.className = 'modal-content movie-viewing-form';
+    const heading = doc.createElement('h3');
+    heading.textContent = `Log viewing: ${movie.title || 'Untitled'} on ${date}`;
+    form.appendChild(heading);
+
+    const field = (labelText, element) => {
+      const label = doc.createElement('label');
+      label.textContent = labelText;
+      label.appendChild(element);
+      form.appendChild(label);
+      return element;
+    };
+    const location = doc.createElement('input');
+    location.type = 'text';
+    location.name = 'location';
+    location.placeholder = 'Cinema, Netflix, friend\'s place...';
+    field('Where / platform', location);
+    const companions = doc.createElement('input');
+    companions.type = 'text';
+    companions.name = 'companions';
+    companions.placeholder = 'Comma-separated names';
+    field('With', companions);
+    const rating = doc.createElement('input');
+    rating.type = 'number';
+    rating.name = 'rating';
+    rating.min = '0';
+    rating.max = '10';
+    rating.step = '0.5';
+    field('Rating (0-10)', rating);
+    const review = doc.createElement('textarea');
+    review.name = 'review';
+    review.rows = 3;
+    field('Review', review);
+
+    const row = doc.createElement('div');
+    row.className = 'button-row';
+    const cancel = doc.createElement('button');
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    const save = doc.createElement('button');
+    save.type = 'submit';
+    save.textContent = 'Save viewing';
+    row.append(cancel, save);
+    form.appendChild(row);
+    modal.appendChild(form);
+
+    const finish = value => {
+      closeViewingForm();
+      resolve(value);
+    };
+    cancel.addEventListener('click', () => finish(null));
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      finish({
+        date,
+        location: location.value,
+        companions: companions.value,
+        rating: rating.value,
+        review: review.value
+      });
+    });
+    doc.body.appendChild(modal);
+  });
+}
+
+async function promptForViewing(movie) {
+  const date = (await pickDate(getTodayIsoDate())) || '';
+  if (!VIEWING_DATE_PATTERN.test(date)) return;
+  const details = await openViewingForm(movie, date);
+  if (!details) return;
+  await logViewing(movie, details);
+}
+
+function createViewingDiaryElement(pref) {
+  const viewings = getViewings(pref);
+  const wrap = document.createElement('div');
+  wrap.className = 'movie-viewings';
+  const summary = document.createElement('p');
+  summary.className = 'movie-viewing-summary';
+  summary.textContent = viewings.length
+    ? `Viewed ${viewings.length} time${viewings.length === 1 ? '' : 's'} · Last watched ${viewings[0].date}`
+    : 'No viewings logged yet';
+  wrap.appendChild(summary);
+  if (!viewings.length) return wrap;
+
+  const list = document.createElement('ul');
+  list.className = 'movie-viewing-list';
+  viewings.forEach(viewing => {
+    const item = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = describeViewing(viewing);
+    item.appendChild(text);
+    if (viewing.review) {
+      const review = document.createElement('q');
+      review.className = 'movie-viewing-review';
+      review.textContent = viewing.review;
+      item.appendChild(review);
+    }
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'movie-viewing-delete';
+    remove.textContent = 'Delete';
+    remove.setAttribute('aria-label', `Delete viewing on ${viewing.date}`);
+    remove.addEventListener('click', () => deleteViewing(pref.movie.id, viewing.id));
+    item.appendChild(remove);
+    list.appendChild(item);
+  });
+  wrap.appendChild(list);
+  return wrap;
+}
+
+function renderViewingTimeline(listEl, entries) {
+  const viewings = [];
+  entries.forEach(pref => {
+    getViewings(pref).forEach(viewing => viewings.push({ viewing, movie: pref.movie }));
+  });
+  if (!viewings.length) {
+    listEl.innerHTML = '<em>No viewings logged yet. Use "Log viewing" on a watched movie.</em>';
+    return;
+  }
+  viewings.sort((a, b) => b.viewing.date.localeCompare(a.viewing.date));
+
+  const timeline = document.createElement('div');
+  timeline.className = 'movie-viewing-timeline';
+  let currentMonth = null;
+  let monthList = null;
+  viewings.forEach(({ viewing, movie }) => {
+    const month = viewing.date.slice(0, 7);
+    if (month !== currentMonth) {
+      currentMonth = month;
+      const section = document.createElement('section');
+      section.className = 'movie-viewing-month';
+      const heading = document.createElement('h4');
+      heading.textContent = formatViewingMonth(viewing.date);
+      monthList = document.createElement('ul');
+      section.append(heading, monthList);
+      timeline.appendChild(section);
+    }
+    const item = document.createElement('li');
+    const year = String(movie.release_date || '').split('-')[0];
+    const title = document.createElement('a');
+    title.className = 'movie-detail-link';
+    title.href = `#movie/${encodeURIComponent(String(movie.id))}`;
+    title.textContent = `${movie.title || 'Untitled'}${year ? ` (${year})` : ''}`;
+    const text = document.createElement('span');
+    text.textContent = ` · ${describeViewing(viewing)}`;
+    item.append(title, text);
+    monthList.appendChild(item);
+  });
+  listEl.innerHTML = '';
+  listEl.appendChild(timeline);
+}
+
+function readFileAsText(file) {
+  if (typeof file?.text === 'function') return file.text();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result || ''));
+    reader.onerror = () => reject(reader.error || new Error('Failed to read file'));
+    reader.readAsText(file);
+  });
+}
+
+async function searchTmdbMovies(title, year) {
+  const params = { query: title };
+  if (year) params.year = year;
+  if (getTmdbProxyEndpoint() && isProxyEndpointSupported('search_movie')) {
+    return callTmdbProxy('search_movie', params);
+  }
+  const apiKey = resolveApiKey();
+  if (!apiKey) {
+    throw new Error('TMDB credentials unavailable');
+  }
+  const url = new URL('https://api.themoviedb.org/3/search/movie');
+  url.searchParams.set('api_key', apiKey);
+  url.searchParams.set('query', title);
+  if (year) url.searchParams.set('year', String(year));
+  const res = await fetch(url.toString());
+  if (!res.ok) {
+    throw new Error(`Movie search failed (${res.status})`);
+  }
+  return res.json();
+}
+
+function mergeImportRows(rows) {
+  const entries = new Map();
+  rows.forEach(row => {
+    const key = `${normalizeTitleForMatching(row.title)}|${row.year ?? ''}`;
+    if (!entries.has(key)) {
+      entries.set(key, {
+        key,
+        title: row.title,
+        year: row.year,
+        status: row.status,
+        rating: null,
+        viewings: [],
+        sources: new Set()
+      });
+    }
+    const entry = entries.get(key);
+    entry.sources.add(row.source);
+    if (row.status === 'watched') entry.status = 'watched';
+    if (row.rating != null) {
+      const rating = clampUserRating(row.rating);
+      if (rating != null) entry.rating = rating;
+    }
+    if (row.watchedDate && !entry.viewings.some(viewing => viewing.date === row.watchedDate)) {
+      entry.viewings.push({
+        date: row.watchedDate,
+        rating: row.rating != null ? clampUserRating(row.rating) : null,
+        review: row.review || ''
+      });
+    }
+  });
+  return Array.from(entries.values());
+}
+
+function matchImportEntry(entry, results) {
+  const title = normalizeTitleForMatching(entry.title);
+  const candidates = (Array.isArray(results) ? results : [])
+    .filter(movie => movie && movie.id != null)
+    .slice(0, IMPORT_CANDIDATE_LIMIT);
+  const sameTitle = candidates.filter(
+    movie => normalizeTitleForMatching(movie.title || movie.original_title || '') === title
   );
-  const blendCache = new Map();
-  const getBlend = pref => {
-    const key = String(pref?.movie?.id ?? `${pref?.movie?.title || ''}|${pref?.updatedAt || ''}`);
-    if (blendCache.has(key)) {
-      return blendCache.get(key);
-    }
-    const blend = computeWeightedCriticBlend(pref?.movie);
-    blendCache.set(key, blend);
-    return blend;
+  const exact = entry.year
+    ? sameTitle.filter(movie => getMovieYearForMatching(movie) === entry.year)
+    : sameTitle;
+  const nearYear = entry.year
+    ? sameTitle.filter(movie => {
+        const year = getMovieYearForMatching(movie);
+        return year != null && Math.abs(year - entry.year) <= 1;
+      })
+    : [];
+  const confident = exact.length === 1 ? exact[0] : !exact.length && nearYear.length === 1 ? nearYear[0] : null;
+  return {
+    ...entry,
+    candidates,
+    selectedId: confident ? String(confident.id) : '',
+    matchState: confident ? 'matched' : candidates.length ? 'ambiguous' : 'unmatched'
   };
-  const allEntries = interestedEntries.sort((a, b) => {
-    const aBlend = getBlend(a);
-    const bBlend = getBlend(b);
-    const aHasBlend = Number.isFinite(aBlend.value);
-    const bHasBlend = Number.isFinite(bBlend.value);
-    if (aHasBlend && bHasBlend && bBlend.value !== aBlend.value) {
-      return bBlend.value - aBlend.value;
-    }
-    if (aHasBlend !== bHasBlend) {
-      return aHasBlend ? -1 : 1;
+}
+
+async function matchImportEntries(entries, onProgress) {
+  const matched = new Array(entries.length);
+  let next = 0;
+  let done = 0;
+  const worker = async () => {
+    while (next < entries.length) {
+      const index = next;
+      next += 1;
+      const entry = entries[index];
+      try {
+        const data = await searchTmdbMovies(entry.title, entry.year);
+        let results = Array.isArray(data?.results) ? data.results : [];
+        if (!results.length && entry.year) {
+          const retry = await searchTmdbMovies(entry.title);
+          results = Array.isArray(retry?.results) ? retry.results : [];
+        }
+        matched[index] = matchImportEntry(entry, results);
+      } catch (err) {
+        console.warn('Failed to match imported movie', entry.title, err);
+        matched[index] = matchImportEntry(entry, []);
+      }
+      done += 1;
+      if (typeof onProgress === 'function') onProgress(done, entries.length);
     }
-    if (bBlend.signalCount !== aBlend.signalCount) {
-      return bBlend.signalCount - aBlend.signalCount;
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(IMPORT_MATCH_CONCURRENCY, entries.length) }, () => worker())
+  );
+  return matched;
+}
+
+function setImportStatus(message) {
+  if (domRefs.importStatus) {
+    domRefs.importStatus.textContent = message;
+  }
+}
+
+async function handleImportFiles(files) {
+  const list = Array.from(files || []);
+  if (!list.length) return;
+  const rows = [];
+  const backups = [];
+  const skipped = [];
+  for (const file of list) {
+    try {
+      const parsed = parseImportFile(await readFileAsText(file), file.name);
+      if (!parsed.format) {
+        skipped.push(file.name);
+        continue;
+      }
+      if (parsed.format === 'movieBackup') {
+        backups.push(parsed.backup);
+        continue;
+      }
+      rows.push(...parsed.rows);
+    } catch (err) {
+      console.warn('Failed to read import file', file?.name, err);
+      skipped.push(file?.name || 'file');
     }
-    if (bBlend.weightUsed !== aBlend.weightUsed) {
-      return bBlend.weightUsed - aBlend.weightUsed;
+  }
+  let restoredMessage = '';
+  if (backups.length) {
+    const restored = await restoreMovieBackups(backups);
+    restoredMessage = `Restored ${restored} movie${restored === 1 ? '' : 's'} from backup.`;
+  }
+  if (!rows.length) {
+    importEntries = [];
+    renderImportReview();
+    if (restoredMessage) {
+      setImportStatus(restoredMessage);
+      return;
     }
-    return (b.interest ?? 0) - (a.interest ?? 0) || (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
+    setImportStatus(
+      skipped.length
+        ? `Could not recognize ${skipped.join(', ')} as a Letterboxd or IMDb export.`
+        : 'No movies found in the selected files.'
+    );
+    return;
+  }
+
+  const entries = mergeImportRows(rows);
+  setImportStatus(`Matching ${entries.length} movies with TMDB...`);
+  importEntries = await matchImportEntries(entries, (done, total) => {
+    setImportStatus(`Matching movies with TMDB (${done}/${total})...`);
+  });
+  const counts = { matched: 0, ambiguous: 0, unmatched: 0 };
+  importEntries.forEach(entry => {
+    counts[entry.matchState] += 1;
   });
+  const parts = [`${counts.matched} matched`];
+  if (counts.ambiguous) parts.push(`${counts.ambiguous} need review`);
+  if (counts.unmatched) parts.push(`${counts.unmatched} not found`);
+  if (skipped.length) parts.push(`skipped ${skipped.join(', ')}`);
+  setImportStatus(`${restoredMessage ? `${restoredMessage} ` : ''}${parts.join(', ')}.`);
+  renderImportReview();
+}
 
-  const genres = [];
-  allEntries.forEach(pref => {
-    const names = getGenreNames(pref.movie);
-    if (names.length) {
-      genres.push(...names);
+async function restoreMovieBackups(backups) {
+  await loadPreferences();
+  const next = { ...currentPrefs };
+  let restored = 0;
+  backups.forEach(backup => {
+    Object.entries(backup?.movies || {}).forEach(([id, raw]) => {
+      const entry = {
+        status: raw.status,
+        updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : Date.now()
+      };
+      if (raw.status === 'interested') {
+        const interest = Number(raw.interest);
+        entry.interest = Number.isFinite(interest) ? Math.max(1, Math.min(5, interest)) : DEFAULT_INTEREST;
+      }
+      if (raw.status === 'watched') {
+        const rating = clampUserRating(Number(raw.userRating ?? NaN));
+        if (rating != null) entry.userRating = rating;
+        const viewings = getViewings(raw);
+        if (viewings.length) entry.viewings = viewings;
+      }
+      if (raw.status === 'notInterested' && getDismissReason(raw.reason)) {
+        entry.reason = raw.reason;
+      }
+      if (raw.movie) {
+        entry.movie = summarizeMovie(raw.movie);
+      }
+      next[id] = entry;
+      restored += 1;
+    });
+  });
+  await savePreferences(next);
+  pruneSuppressedMovies();
+  refreshUI();
+  return restored;
+}
+
+const MOVIE_EXPORT_FORMATS = {
+  letterboxd: {
+    suffix: 'letterboxd',
+    extension: 'csv',
+    type: 'text/csv',
+    build: prefs => buildLetterboxdCsv(prefs)
+  },
+  csv: { suffix: '', extension: 'csv', type: 'text/csv', build: prefs => buildPlainCsv(prefs) },
+  json: {
+    suffix: 'backup',
+    extension: 'json',
+    type: 'application/json',
+    build: prefs => `${JSON.stringify(buildMovieBackup(prefs, { summarizeMovie }), null, 2)}\n`
+  }
+};
+
+function downloadTextFile(fileName, text, type) {
+  const doc = getDocument();
+  if (!doc || typeof Blob === 'undefined' || typeof URL?.createObjectURL !== 'function') {
+    throw new Error('Downloads are not supported in this browser');
+  }
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = doc.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.style.display = 'none';
+  doc.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL?.(url), 0);
+}
+
+async function exportMoviePreferences(formatKey) {
+  const format = MOVIE_EXPORT_FORMATS[formatKey] || MOVIE_EXPORT_FORMATS.json;
+  await loadPreferences();
+  const name = ['movies', format.suffix, getTodayIsoDate()].filter(Boolean).join('-');
+  downloadTextFile(`${name}.${format.extension}`, format.build(currentPrefs), format.type);
+  setImportStatus(`Exported ${name}.${format.extension}.`);
+}
+
+function describeImportCandidate(movie) {
+  const year = getMovieYearForMatching(movie);
+  return `${movie.title || movie.original_title || 'Untitled'}${year ? ` (${year})` : ''}`;
+}
+
+function renderImportReview() {
+  const container = domRefs.importReview;
+  if (!container) return;
+  container.innerHTML = '';
+  if (!importEntries.length) return;
+
+  const ordered = importEntries
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => {
+      const rank = { ambiguous: 0, unmatched: 1, matched: 2 };
+      return rank[a.entry.matchState] - rank[b.entry.matchState] || a.index - b.index;
+    });
+
+  const list = document.createElement('ul');
+  list.className = 'movie-import-list';
+  ordered.forEach(({ entry, index }) => {
+    const li = document.createElement('li');
+    li.className = `movie-import-row movie-import-row--${entry.matchState}`;
+    const label = document.createElement('span');
+    const details = [entry.status === 'watched' ? 'Watched' : 'Watchlist'];
+    if (entry.rating != null) details.push(`Rating ${entry.rating}`);
+    if (entry.viewings.length) details.push(`${entry.viewings.length} diary entr${entry.viewings.length === 1 ? 'y' : 'ies'}`);
+    label.textContent = `${entry.title}${entry.year ? ` (${entry.year})` : ''} · ${details.join(' · ')}`;
+    li.appendChild(label);
+
+    if (!entry.candidates.length) {
+      const missing = document.createElement('em');
+      missing.textContent = ' No TMDB match found';
+      li.appendChild(missing);
+    } else {
+      const select = document.createElement('select');
+      select.className = 'movie-import-match';
+      select.setAttribute('aria-label', `Match for ${entry.title}`);
+      const skip = document.createElement('option');
+      skip.value = '';
+      skip.textContent = entry.matchState === 'ambiguous' ? 'Choose a match...' : 'Skip';
+      select.appendChild(skip);
+      entry.candidates.forEach(movie => {
+        const option = document.createElement('option');
+        option.value = String(movie.id);
+        option.textContent = describeImportCandidate(movie);
+        select.appendChild(option);
+      });
+      select.value = entry.selectedId;
+      select.addEventListener('change', () => {
+        importEntries[index] = { ...importEntries[index], selectedId: select.value };
+      });
+      li.appendChild(select);
     }
+    list.appendChild(li);
   });
+  container.appendChild(list);
 
-  let removed = false;
-  Array.from(activeInterestedGenres).forEach(name => {
-    if (!genres.includes(name)) {
-      activeInterestedGenres.delete(name);
-      removed = true;
+  const controls = document.createElement('div');
+  controls.className = 'button-row';
+  controls.append(
+    makeActionButton('Import selected', () => applyImport(), { pendingLabel: 'Importing...' }),
+    makeActionButton('Cancel', () => {
+      importEntries = [];
+      setImportStatus('');
+      renderImportReview();
+    })
+  );
+  container.appendChild(controls);
+}
+
+async function applyImport() {
+  const selected = importEntries.filter(entry => entry.selectedId);
+  if (!selected.length) {
+    setImportStatus('Choose at least one match to import.');
+    return;
+  }
+  await loadPreferences();
+  const next = { ...currentPrefs };
+  const now = Date.now();
+  let imported = 0;
+  selected.forEach(entry => {
+    const movie = entry.candidates.find(candidate => String(candidate.id) === entry.selectedId);
+    if (!movie) return;
+    const id = String(movie.id);
+    const existing = next[id] ? { ...next[id] } : {};
+    if (entry.status === 'watched') {
+      existing.status = 'watched';
+      existing.movie = existing.movie || summarizeMovie(movie);
+      delete existing.interest;
+      if (entry.rating != null) existing.userRating = entry.rating;
+      const viewings = getViewings(existing);
+      entry.viewings.forEach(viewing => {
+        if (viewings.some(item => item.date === viewing.date)) return;
+        const sanitized = sanitizeViewing({
+          ...viewing,
+          id: createViewingId(),
+          location: 'Imported',
+          loggedAt: now
+        });
+        if (sanitized) viewings.push(sanitized);
+      });
+      if (viewings.length) existing.viewings = viewings;
+    } else if (existing.status !== 'watched') {
+      existing.status = 'interested';
+      existing.movie = existing.movie || summarizeMovie(movie);
+      existing.interest = existing.interest ?? DEFAULT_INTEREST;
+    } else {
+      return;
     }
+    existing.updatedAt = now;
+    next[id] = existing;
+    imported += 1;
   });
+  await savePreferences(next);
+  importEntries = [];
+  renderImportReview();
+  setImportStatus(`Imported ${imported} movie${imported === 1 ? '' : 's'}.`);
+  pruneSuppressedMovies();
+  refreshUI();
+}
 
-  if (removed && !genres.length) {
-    activeInterestedGenres.clear();
+function renderWatchedList() {
+  if (!getDocument()) return;
+  const listEl = domRefs.watchedList;
+  if (!listEl) return;
+
+  const entries = Object.values(currentPrefs).filter(
+    pref => pref.status === 'watched' && pref.movie
+  );
+
+  let sorted = entries.slice();
+
+  const byUpdatedAt = (a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
+  const getEffectiveRating = pref => {
+    if (pref.userRating != null) {
+      const rating = clampUserRating(Number(pref.userRating));
+      if (rating != null) return rating;
+    }
+    return getVoteAverageValue(pref.movie);
+  };
+
+  const byRatingDesc = (a, b) => {
+    const aRating = getEffectiveRating(a);
+    const bRating = getEffectiveRating(b);
+    if (aRating == null && bRating == null) return byUpdatedAt(a, b);
+    if (aRating == null) return 1;
+    if (bRating == null) return -1;
+    if (bRating !== aRating) return bRating - aRating;
+    const aVotes = getVoteCountValue(a.movie);
+    const bVotes = getVoteCountValue(b.movie);
+    if (aVotes == null && bVotes == null) return byUpdatedAt(a, b);
+    if (aVotes == null) return 1;
+    if (bVotes == null) return -1;
+    if (bVotes !== aVotes) return bVotes - aVotes;
+    return byUpdatedAt(a, b);
+  };
+  const byRatingAsc = (a, b) => {
+    const aRating = getEffectiveRating(a);
+    const bRating = getEffectiveRating(b);
+    if (aRating == null && bRating == null) return byUpdatedAt(a, b);
+    if (aRating == null) return 1;
+    if (bRating == null) return -1;
+    if (aRating !== bRating) return aRating - bRating;
+    const aVotes = getVoteCountValue(a.movie);
+    const bVotes = getVoteCountValue(b.movie);
+    if (aVotes == null && bVotes == null) return byUpdatedAt(a, b);
+    if (aVotes == null) return 1;
+    if (bVotes == null) return -1;
+    if (aVotes !== bVotes) return aVotes - bVotes;
+    return byUpdatedAt(a, b);
+  };
+
+  if (watchedSortMode === 'ratingDesc') {
+    sorted.sort(byRatingDesc);
+  } else if (watchedSortMode === 'ratingAsc') {
+    sorted.sort(byRatingAsc);
+  } else if (watchedSortMode === 'criticBlend') {
+    sorted = sortByCriticBlend(sorted.sort(byUpdatedAt), pref => pref.movie);
+  } else {
+    sorted.sort(byUpdatedAt);
   }
 
-  renderInterestedFilters(genres);
+  if (domRefs.watchedSort) {
+    domRefs.watchedSort.value = watchedSortMode;
+  }
 
-  if (!allEntries.length) {
-    listEl.innerHTML = '<em>No interested movies yet.</em>';
-    return;
+  if (domRefs.watchedView) {
+    domRefs.watchedView.value = watchedViewMode;
   }
 
-  const selectedGenres = Array.from(activeInterestedGenres);
-  const entries = selectedGenres.length
-    ? allEntries.filter(pref => {
-        const names = getGenreNames(pref.movie);
-        return names.some(name => activeInterestedGenres.has(name));
-      })
-    : allEntries;
+  if (!sorted.length) {
+    listEl.innerHTML = '<em>No watched movies yet.</em>';
+    return;
+  }
 
-  if (!entries.length) {
-    listEl.innerHTML = '<em>No interested movies for the selected genre.</em>';
+  if (watchedViewMode === 'diary') {
+    renderViewingTimeline(listEl, sorted);
     return;
   }
 
-  const ul = document.createElement('ul');
-  entries.forEach(pref => {
+  const rated = [];
+  const unrated = [];
+
+  const hasUserRating = pref => {
+    if (pref.userRating == null || pref.userRating === '') return false;
+    return clampUserRating(Number(pref.userRating)) != null;
+  };
+
+  sorted.forEach(pref => {
+    if (hasUserRating(pref)) {
+      rated.push(pref);
+    } else {
+      unrated.push(pref);
+    }
+  });
+
+  const createCard = pref => {
     const movie = pref.movie;
     const li = document.createElement('li');
     li.className = 'movie-card';
@@ -3519,36 +6929,19 @@ function renderInterestedList() {
     info.className = 'movie-info';
 
     const year = (movie.release_date || '').split('-')[0] || 'Unknown';
-    const titleEl = document.createElement('h3');
-    titleEl.textContent = `${movie.title || 'Untitled'} (${year})`;
-    info.appendChild(titleEl);
+    info.appendChild(createMovieTitleElement(movie, `${movie.title || 'Untitled'} (${year})`));
 
-    const interestRow = document.createElement('div');
-    interestRow.className = 'interest-row';
-    const label = document.createElement('span');
-    label.textContent = `Interest: ${pref.interest ?? DEFAULT_INTEREST}`;
+    const ratingEl = createRatingElement(movie);
+    if (ratingEl) {
+      info.appendChild(ratingEl);
+    }
 
-    const slider = document.createElement('input');
-    slider.type = 'range';
-    slider.min = '1';
-    slider.max = '5';
-    slider.value = String(pref.interest ?? DEFAULT_INTEREST);
-    slider.addEventListener('input', () => {
-      label.textContent = `Interest: ${slider.value}`;
-    });
-    slider.addEventListener('change', async () => {
-      const updated = { ...currentPrefs };
-      const entry = updated[String(movie.id)];
-      if (entry) {
-        entry.interest = Number(slider.value);
-        entry.updatedAt = Date.now();
-        await savePreferences(updated);
-        renderInterestedList();
-      }
-    });
+    const personalRatingEl = createUserRatingElement(pref);
+    if (personalRatingEl) {
+      info.appendChild(personalRatingEl);
+    }
 
-    interestRow.append(label, slider);
-    info.appendChild(interestRow);
+    info.appendChild(createViewingDiaryElement(pref));
 
     if (movie.overview) {
       const overview = document.createElement('p');
@@ -3563,6 +6956,9 @@ function renderInterestedList() {
 
     const metaList = document.createElement('ul');
     metaList.className = 'movie-meta';
+    appendMeta(metaList, 'Average Score', movie.vote_average ?? 'N/A');
+    appendMeta(metaList, 'Votes', movie.vote_count ?? 'N/A');
+    appendMeta(metaList, 'Release Date', movie.release_date || 'Unknown');
     appendGenresMeta(metaList, movie);
     appendPeopleMeta(metaList, 'Director', movie.directors);
     appendPeopleMeta(metaList, 'Cast', movie.topCast);
@@ -3574,210 +6970,906 @@ function renderInterestedList() {
     const controls = document.createElement('div');
     controls.className = 'button-row';
     controls.append(
-      makeActionButton('Mark Watched', () => setStatus(movie, 'watched')),
-      makeActionButton('Remove', () => clearStatus(movie.id))
+      makeActionButton('Log viewing', () => promptForViewing(movie), { pendingLabel: 'Logging...' }),
+      makeActionButton('Remove', () => clearStatus(movie.id)),
+      createMovieListPicker(movie)
     );
     info.appendChild(controls);
 
     li.appendChild(info);
-    ul.appendChild(li);
-  });
+    return li;
+  };
+
+  const createColumn = (title, prefs, emptyMessage) => {
+    const column = document.createElement('section');
+    column.className = 'watched-column';
+
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    column.appendChild(heading);
+
+    if (!prefs.length) {
+      const empty = document.createElement('p');
+      empty.className = 'watched-empty';
+      empty.innerHTML = `<em>${emptyMessage}</em>`;
+      column.appendChild(empty);
+      return column;
+    }
+
+    const columnList = document.createElement('ul');
+    prefs.forEach(pref => {
+      columnList.appendChild(createCard(pref));
+    });
+    column.appendChild(columnList);
+    return column;
+  };
+
+  const container = document.createElement('div');
+  container.className = 'watched-columns';
+  container.appendChild(createColumn('Rated', rated, 'No rated movies yet.'));
+  container.appendChild(createColumn('Unrated', unrated, 'No unrated movies yet.'));
 
   listEl.innerHTML = '';
-  listEl.appendChild(ul);
-  if (isElementVisibleForAutoFetch(domRefs.interestedSection)) {
-    enqueueAutoCriticScores(entries.map(pref => pref.movie).filter(Boolean));
+  listEl.appendChild(container);
+  if (isElementVisibleForAutoFetch(domRefs.watchedSection)) {
+    enqueueAutoCriticScores(sorted.map(pref => pref.movie).filter(Boolean));
   }
 }
 
-function renderWatchedList() {
-  if (!getDocument()) return;
-  const listEl = domRefs.watchedList;
-  if (!listEl) return;
+function generateMovieListId() {
+  return `ml-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
 
-  const entries = Object.values(currentPrefs).filter(
-    pref => pref.status === 'watched' && pref.movie
-  );
+function sanitizeMovieListItem(raw) {
+  if (!raw || typeof raw !== 'object' || !raw.movie || raw.movie.id == null) return null;
+  return {
+    movie: raw.movie,
+    note: typeof raw.note === 'string' ? raw.note : '',
+    addedAt: Number.isFinite(raw.addedAt) ? raw.addedAt : Date.now()
+  };
+}
 
-  const sorted = entries.slice();
+function sanitizeMovieList(raw) {
+  if (!raw || typeof raw !== 'object' || raw.type !== MOVIE_LIST_TYPE) return null;
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name) return null;
+  const seen = new Set();
+  const items = (Array.isArray(raw.items) ? raw.items : [])
+    .map(sanitizeMovieListItem)
+    .filter(item => {
+      if (!item) return false;
+      const key = String(item.movie.id);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  return {
+    id: typeof raw.id === 'string' && raw.id ? raw.id : generateMovieListId(),
+    type: MOVIE_LIST_TYPE,
+    name,
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    createdAt: Number.isFinite(raw.createdAt) ? raw.createdAt : Date.now(),
+    updatedAt: Number.isFinite(raw.updatedAt) ? raw.updatedAt : Date.now(),
+    items
+  };
+}
 
-  const byUpdatedAt = (a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0);
-  const getEffectiveRating = pref => {
-    if (pref.userRating != null) {
-      const rating = clampUserRating(Number(pref.userRating));
-      if (rating != null) return rating;
-    }
-    return getVoteAverageValue(pref.movie);
+async function loadMovieLists() {
+  const authed = await awaitAuthUser().catch(() => null);
+  const user = getCurrentUser() || authed;
+  const key = user?.uid || 'anonymous';
+  if (movieListsLoadedFor === key) return movieLists;
+  let stored = [];
+  try {
+    stored = await loadLists();
+  } catch (err) {
+    console.warn('Failed to load movie lists', err);
+    movieLists = [];
+    otherStoredLists = [];
+    movieListsLoadFailed = true;
+    return movieLists;
+  }
+  movieListsLoadFailed = false;
+  const lists = Array.isArray(stored) ? stored : [];
+  otherStoredLists = lists.filter(list => list?.type !== MOVIE_LIST_TYPE);
+  movieLists = lists.map(sanitizeMovieList).filter(Boolean);
+  movieListsLoadedFor = key;
+  if (!movieLists.some(list => list.id === activeMovieListId)) {
+    activeMovieListId = movieLists[0]?.id || null;
+  }
+  return movieLists;
+}
+
+async function ensureMovieListsLoaded() {
+  await loadMovieLists();
+  return movieListsLoadedFor != null;
+}
+
+async function persistMovieLists() {
+  if (movieListsLoadedFor == null) {
+    console.warn('Skipping movie list save because the stored lists have not loaded');
+    return false;
+  }
+  try {
+    await saveLists([...otherStoredLists, ...movieLists]);
+    return true;
+  } catch (err) {
+    console.error('Failed to save movie lists', err);
+    return false;
+  }
+}
+
+function getMovieList(listId) {
+  return movieLists.find(list => list.id === listId) || null;
+}
+
+function promptForListName(message, initial = '') {
+  const promptFn =
+    (typeof window !== 'undefined' && typeof window.prompt === 'function'
+      ? window.prompt.bind(window)
+      : null) ||
+    (typeof globalThis !== 'undefined' && typeof globalThis.prompt === 'function'
+      ? globalThis.prompt.bind(globalThis)
+      : null);
+  if (!promptFn) return null;
+  const response = promptFn(message, initial);
+  if (response == null) return null;
+  const trimmed = String(response).trim().slice(0, MOVIE_LIST_NAME_MAX_LENGTH);
+  return trimmed || null;
+}
+
+async function createMovieList(name) {
+  const trimmed = String(name || '').trim().slice(0, MOVIE_LIST_NAME_MAX_LENGTH);
+  if (!trimmed) return null;
+  if (!(await ensureMovieListsLoaded())) {
+    renderMovieLists();
+    return null;
+  }
+  const existing = movieLists.find(list => list.name.toLowerCase() === trimmed.toLowerCase());
+  if (existing) return existing;
+  const now = Date.now();
+  const list = {
+    id: generateMovieListId(),
+    type: MOVIE_LIST_TYPE,
+    name: trimmed,
+    notes: '',
+    createdAt: now,
+    updatedAt: now,
+    items: []
   };
+  movieLists = [...movieLists, list];
+  activeMovieListId = list.id;
+  await persistMovieLists();
+  renderMovieLists();
+  return list;
+}
 
-  const byRatingDesc = (a, b) => {
-    const aRating = getEffectiveRating(a);
-    const bRating = getEffectiveRating(b);
-    if (aRating == null && bRating == null) return byUpdatedAt(a, b);
-    if (aRating == null) return 1;
-    if (bRating == null) return -1;
-    if (bRating !== aRating) return bRating - aRating;
-    const aVotes = getVoteCountValue(a.movie);
-    const bVotes = getVoteCountValue(b.movie);
-    if (aVotes == null && bVotes == null) return byUpdatedAt(a, b);
-    if (aVotes == null) return 1;
-    if (bVotes == null) return -1;
-    if (bVotes !== aVotes) return bVotes - aVotes;
-    return byUpdatedAt(a, b);
+async function updateMovieList(listId, update) {
+  const list = getMovieList(listId);
+  if (!list) return;
+  update(list);
+  list.updatedAt = Date.now();
+  await persistMovieLists();
+  renderMovieLists();
+}
+
+async function deleteMovieList(listId) {
+  if (!getMovieList(listId)) return;
+  movieLists = movieLists.filter(list => list.id !== listId);
+  if (activeMovieListId === listId) {
+    activeMovieListId = movieLists[0]?.id || null;
+  }
+  activeMovieListGenres.clear();
+  await persistMovieLists();
+  renderMovieLists();
+}
+
+function addMovieToList(listId, movie) {
+  if (movie?.id == null) return Promise.resolve();
+  return updateMovieList(listId, list => {
+    const key = String(movie.id);
+    if (list.items.some(item => String(item.movie.id) === key)) return;
+    list.items.push({ movie: summarizeMovie(movie), note: '', addedAt: Date.now() });
+  });
+}
+
+function removeMovieFromList(listId, movieId) {
+  return updateMovieList(listId, list => {
+    list.items = list.items.filter(item => String(item.movie.id) !== String(movieId));
+  });
+}
+
+function moveMovieListItem(listId, movieId, offset) {
+  return updateMovieList(listId, list => {
+    const index = list.items.findIndex(item => String(item.movie.id) === String(movieId));
+    const target = index + offset;
+    if (index < 0 || target < 0 || target >= list.items.length) return;
+    const [item] = list.items.splice(index, 1);
+    list.items.splice(target, 0, item);
+  });
+}
+
+function populateMovieListPicker(select, movie) {
+  select.innerHTML = '';
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Add to list...';
+  select.appendChild(placeholder);
+  const key = String(movie?.id);
+  const appendOption = (parent, value, name, included) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = included ? `${name} ✓` : name;
+    option.disabled = included;
+    parent.appendChild(option);
   };
-  const byRatingAsc = (a, b) => {
-    const aRating = getEffectiveRating(a);
-    const bRating = getEffectiveRating(b);
-    if (aRating == null && bRating == null) return byUpdatedAt(a, b);
-    if (aRating == null) return 1;
-    if (bRating == null) return -1;
-    if (aRating !== bRating) return aRating - bRating;
-    const aVotes = getVoteCountValue(a.movie);
-    const bVotes = getVoteCountValue(b.movie);
-    if (aVotes == null && bVotes == null) return byUpdatedAt(a, b);
-    if (aVotes == null) return 1;
-    if (bVotes == null) return -1;
-    if (aVotes !== bVotes) return aVotes - bVotes;
-    return byUpdatedAt(a, b);
+  movieLists.forEach(list => {
+    const included = list.items.some(item => String(item.movie.id) === key);
+    appendOption(select, list.id, list.name, included);
+  });
+  const shared = getSharedLists();
+  if (shared.length) {
+    const group = document.createElement('optgroup');
+    group.label = 'Shared lists';
+    shared.forEach(list => {
+      appendOption(group, `${MOVIE_LIST_SHARED_PREFIX}${list.id}`, list.name, Boolean(list.items?.[key]));
+    });
+    select.appendChild(group);
+  }
+  const createOption = document.createElement('option');
+  createOption.value = MOVIE_LIST_NEW_OPTION;
+  createOption.textContent = 'New list...';
+  select.appendChild(createOption);
+}
+
+function createMovieListPicker(movie) {
+  const select = document.createElement('select');
+  select.className = 'movie-list-picker';
+  select.setAttribute('aria-label', 'Add to list');
+  populateMovieListPicker(select, movie);
+  select.addEventListener('focus', () => populateMovieListPicker(select, movie));
+
+  select.addEventListener('change', async () => {
+    const value = select.value;
+    select.value = '';
+    if (!value) return;
+    if (value.startsWith(MOVIE_LIST_SHARED_PREFIX)) {
+      const interest = currentPrefs[String(movie?.id)]?.interest ?? DEFAULT_INTEREST;
+      try {
+        await addMovieToSharedList(
+          value.slice(MOVIE_LIST_SHARED_PREFIX.length),
+          summarizeMovie(movie),
+          interest
+        );
+      } catch (err) {
+        console.error('Failed to add movie to shared list', err);
+      }
+      return;
+    }
+    let listId = value;
+    if (value === MOVIE_LIST_NEW_OPTION) {
+      const name = promptForListName('Name your new list:');
+      if (!name) return;
+      const list = await createMovieList(name);
+      if (!list) return;
+      listId = list.id;
+    }
+    await addMovieToList(listId, movie);
+    refreshUI();
+  });
+  return select;
+}
+
+function sortMovieListItems(items) {
+  const sorted = items.slice();
+  if (movieListSortMode === 'recent') {
+    sorted.sort((a, b) => b.addedAt - a.addedAt);
+  } else if (movieListSortMode === 'title') {
+    sorted.sort((a, b) => String(a.movie.title || '').localeCompare(String(b.movie.title || '')));
+  } else if (movieListSortMode === 'rating') {
+    sorted.sort(
+      (a, b) => (getVoteAverageValue(b.movie) ?? -1) - (getVoteAverageValue(a.movie) ?? -1)
+    );
+  } else if (movieListSortMode === 'critics') {
+    const blends = new Map(items.map(item => [item, computeWeightedCriticBlend(item.movie)]));
+    sorted.sort((a, b) => {
+      const aValue = blends.get(a).value;
+      const bValue = blends.get(b).value;
+      const aHas = Number.isFinite(aValue);
+      const bHas = Number.isFinite(bValue);
+      if (aHas && bHas && aValue !== bValue) return bValue - aValue;
+      if (aHas !== bHas) return aHas ? -1 : 1;
+      return 0;
+    });
+  }
+  return sorted;
+}
+
+function renderMovieListFilters(genres) {
+  const container = domRefs.movieListFilters;
+  if (!container) return;
+  container.innerHTML = '';
+  if (!genres.length) {
+    container.style.display = 'none';
+    return;
+  }
+  container.style.display = '';
+  const buttonsWrap = document.createElement('div');
+  buttonsWrap.className = 'genre-filter-buttons';
+  const createButton = (label, value) => {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'genre-filter-btn';
+    const isActive = value ? activeMovieListGenres.has(value) : !activeMovieListGenres.size;
+    if (isActive) btn.classList.add('active');
+    btn.textContent = label;
+    btn.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+    btn.addEventListener('click', () => {
+      if (!value) {
+        activeMovieListGenres.clear();
+      } else if (activeMovieListGenres.has(value)) {
+        activeMovieListGenres.delete(value);
+      } else {
+        activeMovieListGenres.add(value);
+      }
+      renderMovieLists();
+    });
+    return btn;
   };
+  buttonsWrap.appendChild(createButton('All', null));
+  [...new Set(genres)]
+    .sort((a, b) => a.localeCompare(b))
+    .forEach(name => buttonsWrap.appendChild(createButton(name, name)));
+  container.appendChild(buttonsWrap);
+}
 
-  if (watchedSortMode === 'ratingDesc') {
-    sorted.sort(byRatingDesc);
-  } else if (watchedSortMode === 'ratingAsc') {
-    sorted.sort(byRatingAsc);
-  } else {
-    sorted.sort(byUpdatedAt);
+function createMovieListItemCard(list, item, { canReorder, isFirst, isLast }) {
+  const movie = item.movie;
+  const li = document.createElement('li');
+  li.className = 'movie-card';
+  li.dataset.movieId = String(movie.id);
+
+  appendMovieCardPoster(li, movie);
+
+  const info = document.createElement('div');
+  info.className = 'movie-info';
+  const year = (movie.release_date || '').split('-')[0] || 'Unknown';
+  info.appendChild(createMovieTitleElement(movie, `${movie.title || 'Untitled'} (${year})`));
+
+  const metaList = document.createElement('ul');
+  metaList.className = 'movie-meta';
+  appendGenresMeta(metaList, movie);
+  appendMeta(metaList, 'Average Score', movie.vote_average ?? 'N/A');
+  appendPeopleMeta(metaList, 'Director', movie.directors);
+  appendCriticScoresMeta(metaList, movie);
+  const status = currentPrefs[String(movie.id)]?.status;
+  if (status === 'watched') appendMeta(metaList, 'Status', 'Watched');
+  else if (status === 'interested') appendMeta(metaList, 'Status', 'Saved');
+  if (metaList.childNodes.length) {
+    info.appendChild(metaList);
   }
 
-  if (domRefs.watchedSort) {
-    domRefs.watchedSort.value = watchedSortMode;
+  const note = document.createElement('input');
+  note.type = 'text';
+  note.className = 'movie-list-note';
+  note.placeholder = 'Add a note';
+  note.maxLength = MOVIE_LIST_NOTE_MAX_LENGTH;
+  note.value = item.note;
+  note.addEventListener('change', () => {
+    const value = note.value.trim();
+    updateMovieList(list.id, target => {
+      const entry = target.items.find(entryItem => String(entryItem.movie.id) === String(movie.id));
+      if (entry) entry.note = value;
+    });
+  });
+  info.appendChild(note);
+
+  const controls = document.createElement('div');
+  controls.className = 'button-row';
+  if (canReorder) {
+    const upBtn = makeActionButton('Move up', () => moveMovieListItem(list.id, movie.id, -1));
+    upBtn.disabled = isFirst;
+    const downBtn = makeActionButton('Move down', () => moveMovieListItem(list.id, movie.id, 1));
+    downBtn.disabled = isLast;
+    controls.append(upBtn, downBtn);
+  }
+  controls.appendChild(
+    makeActionButton('Remove from list', () => removeMovieFromList(list.id, movie.id))
+  );
+  info.appendChild(controls);
+
+  li.appendChild(info);
+  return li;
+}
+
+function renderMovieLists() {
+  if (!getDocument()) return;
+  const itemsEl = domRefs.movieListItems;
+  if (!itemsEl) return;
+
+  const select = domRefs.movieListSelect;
+  if (select) {
+    select.innerHTML = '';
+    movieLists.forEach(list => {
+      const option = document.createElement('option');
+      option.value = list.id;
+      option.textContent = `${list.name} (${list.items.length})`;
+      select.appendChild(option);
+    });
+    select.disabled = !movieLists.length;
+    if (activeMovieListId) select.value = activeMovieListId;
+  }
+  if (domRefs.movieListSort) {
+    domRefs.movieListSort.value = movieListSortMode;
   }
 
-  if (!sorted.length) {
-    listEl.innerHTML = '<em>No watched movies yet.</em>';
+  const list = getMovieList(activeMovieListId);
+  if (domRefs.movieListRename) domRefs.movieListRename.disabled = !list;
+  if (domRefs.movieListDelete) domRefs.movieListDelete.disabled = !list;
+  if (domRefs.movieListNotes) {
+    domRefs.movieListNotes.disabled = !list;
+    domRefs.movieListNotes.value = list?.notes || '';
+  }
+
+  if (!list) {
+    renderMovieListFilters([]);
+    itemsEl.innerHTML = movieListsLoadFailed
+      ? '<em>Your movie lists could not be loaded. Try again later.</em>'
+      : '<em>Create a list to start collecting movies.</em>';
     return;
   }
 
-  const rated = [];
-  const unrated = [];
+  const genres = list.items.flatMap(item => getGenreNames(item.movie));
+  Array.from(activeMovieListGenres).forEach(name => {
+    if (!genres.includes(name)) activeMovieListGenres.delete(name);
+  });
+  renderMovieListFilters(genres);
 
-  const hasUserRating = pref => {
-    if (pref.userRating == null || pref.userRating === '') return false;
-    return clampUserRating(Number(pref.userRating)) != null;
-  };
+  if (!list.items.length) {
+    itemsEl.innerHTML = '<em>No movies in this list yet.</em>';
+    return;
+  }
 
-  sorted.forEach(pref => {
-    if (hasUserRating(pref)) {
-      rated.push(pref);
-    } else {
-      unrated.push(pref);
-    }
+  const filtered = activeMovieListGenres.size
+    ? list.items.filter(item =>
+        getGenreNames(item.movie).some(name => activeMovieListGenres.has(name))
+      )
+    : list.items;
+  if (!filtered.length) {
+    itemsEl.innerHTML = '<em>No movies in this list for the selected genre.</em>';
+    return;
+  }
+
+  const canReorder = movieListSortMode === 'custom' && !activeMovieListGenres.size;
+  const sorted = sortMovieListItems(filtered);
+  const ul = document.createElement('ul');
+  sorted.forEach((item, index) => {
+    ul.appendChild(
+      createMovieListItemCard(list, item, {
+        canReorder,
+        isFirst: index === 0,
+        isLast: index === sorted.length - 1
+      })
+    );
   });
+  itemsEl.innerHTML = '';
+  itemsEl.appendChild(ul);
+}
 
-  const createCard = pref => {
-    const movie = pref.movie;
-    const li = document.createElement('li');
-    li.className = 'movie-card';
+function attachMovieListControls() {
+  const { movieListCreateForm, movieListNameInput, movieListSelect, movieListSort } = domRefs;
+  const bind = (element, event, key, handler) => {
+    if (!element) return;
+    if (element[key]) element.removeEventListener(event, element[key]);
+    element[key] = handler;
+    element.addEventListener(event, handler);
+  };
 
-    appendMovieCardPoster(li, movie);
+  bind(movieListCreateForm, 'submit', '_movieListCreateHandler', async event => {
+    event.preventDefault();
+    const name = movieListNameInput?.value || '';
+    const list = await createMovieList(name);
+    if (list && movieListNameInput) movieListNameInput.value = '';
+  });
+  bind(movieListSelect, 'change', '_movieListSelectHandler', () => {
+    activeMovieListId = movieListSelect.value || null;
+    activeMovieListGenres.clear();
+    renderMovieLists();
+  });
+  bind(movieListSort, 'change', '_movieListSortHandler', () => {
+    movieListSortMode = MOVIE_LIST_SORT_MODES.includes(movieListSort.value)
+      ? movieListSort.value
+      : 'custom';
+    renderMovieLists();
+  });
+  bind(domRefs.movieListNotes, 'change', '_movieListNotesHandler', () => {
+    const value = domRefs.movieListNotes.value.slice(0, MOVIE_LIST_NOTE_MAX_LENGTH);
+    updateMovieList(activeMovieListId, list => {
+      list.notes = value;
+    });
+  });
+  bind(domRefs.movieListRename, 'click', '_movieListRenameHandler', () => {
+    const list = getMovieList(activeMovieListId);
+    if (!list) return;
+    const name = promptForListName('Rename this list:', list.name);
+    if (!name) return;
+    updateMovieList(list.id, target => {
+      target.name = name;
+    });
+  });
+  bind(domRefs.movieListDelete, 'click', '_movieListDeleteHandler', () => {
+    const list = getMovieList(activeMovieListId);
+    if (!list) return;
+    const confirmFn = typeof window !== 'undefined' && typeof window.confirm === 'function'
+      ? window.confirm.bind(window)
+      : null;
+    if (confirmFn && !confirmFn(`Delete the list "${list.name}"?`)) return;
+    deleteMovieList(list.id);
+  });
+}
 
-    const info = document.createElement('div');
-    info.className = 'movie-info';
+function getMovieNightHousehold() {
+  const lists = getSharedLists();
+  return lists.find(list => list.id === movieNightListId) || lists[0] || null;
+}
 
-    const year = (movie.release_date || '').split('-')[0] || 'Unknown';
-    const titleEl = document.createElement('h3');
-    titleEl.textContent = `${movie.title || 'Untitled'} (${year})`;
-    info.appendChild(titleEl);
+function getMovieNightMovie(list, id) {
+  return (
+    currentPrefs[id]?.movie ||
+    list.items?.[id]?.movie ||
+    currentMovies.find(movie => String(movie?.id) === id) ||
+    null
+  );
+}
 
-    const ratingEl = createRatingElement(movie);
-    if (ratingEl) {
-      info.appendChild(ratingEl);
+async function startMovieNight(listId) {
+  const user = getCurrentUser();
+  const list = getSharedLists().find(entry => entry.id === listId);
+  if (!list || !user) return;
+  const memberUids = list.memberUids.filter(uid => movieNightSelectedUids.has(uid));
+  if (memberUids.length < 2) {
+    movieNightMessage = 'Pick at least two members for movie night.';
+    renderMovieNight();
+    return;
+  }
+  const missing = memberUids.filter(uid => uid !== user.uid && !list.movieNight?.[uid]);
+  if (missing.length) {
+    const names = missing.map(uid => getSharedListMemberName(list, uid)).join(', ');
+    movieNightMessage = `Waiting for ${names} to share their saved list.`;
+    renderMovieNight();
+    return;
+  }
+  const ownSnapshot = buildMovieNightSnapshot(currentPrefs);
+  if (memberUids.includes(user.uid)) {
+    try {
+      await publishMovieNightPicks(list.id, ownSnapshot);
+    } catch (err) {
+      console.warn('Failed to share movie night picks', err);
     }
+  }
+  const snapshots = memberUids.map(uid => (uid === user.uid ? ownSnapshot : list.movieNight[uid]));
+  const candidates = rankMovieNightCandidates(snapshots, {
+    getCriticBlend: computeWeightedCriticBlend,
+    getMovie: id => getMovieNightMovie(list, id)
+  });
+  movieNightSession = candidates.length ? createMovieNightSession(candidates, memberUids) : null;
+  movieNightMessage = candidates.length
+    ? ''
+    : 'No saved movie is shared by everyone who has not already seen or skipped it.';
+  renderMovieNight();
+}
 
-    const personalRatingEl = createUserRatingElement(pref);
-    if (personalRatingEl) {
-      info.appendChild(personalRatingEl);
-    }
+function createMovieNightCandidateItem(candidate, { showEliminate }) {
+  const movie = candidate.movie;
+  const li = document.createElement('li');
+  li.className = 'movie-night-candidate';
+  li.dataset.movieId = candidate.id;
+  const year = String(movie.release_date || '').split('-')[0];
+  const title = createMovieTitleElement(movie, `${movie.title || 'Untitled'}${year ? ` (${year})` : ''}`);
+  li.appendChild(title);
+  const details = [`Interest ${candidate.interests.join(' + ')} (avg ${candidate.averageInterest.toFixed(1)})`];
+  if (Number.isFinite(candidate.criticBlend)) {
+    details.push(`Critic blend ${Math.round(candidate.criticBlend)}`);
+  }
+  const meta = document.createElement('p');
+  meta.className = 'movie-night-meta';
+  meta.textContent = details.join(' · ');
+  li.appendChild(meta);
+  if (showEliminate) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'movie-action';
+    btn.textContent = 'Eliminate';
+    btn.addEventListener('click', () => {
+      movieNightSession = eliminateMovieNightCandidate(movieNightSession, candidate.id);
+      renderMovieNight();
+    });
+    li.appendChild(btn);
+  }
+  return li;
+}
 
-    if (movie.overview) {
-      const overview = document.createElement('p');
-      overview.textContent = movie.overview;
-      info.appendChild(overview);
-    }
+function renderMovieNightSession(container) {
+  const winner = getMovieNightWinner(movieNightSession);
+  const heading = document.createElement('h4');
+  if (winner) {
+    heading.textContent = "Tonight's pick";
+    container.appendChild(heading);
+    const list = document.createElement('ul');
+    list.className = 'movie-night-candidates';
+    list.appendChild(createMovieNightCandidateItem(winner, { showEliminate: false }));
+    container.appendChild(list);
+  } else {
+    heading.textContent = `Round ${movieNightSession.round}: ${movieNightSession.candidates.length} left`;
+    container.appendChild(heading);
+    const list = document.createElement('ol');
+    list.className = 'movie-night-candidates';
+    movieNightSession.candidates.forEach(candidate => {
+      list.appendChild(createMovieNightCandidateItem(candidate, { showEliminate: true }));
+    });
+    container.appendChild(list);
+  }
 
-    const rtLink = createRottenTomatoesLink(movie.title || '');
-    if (rtLink) {
-      info.appendChild(rtLink);
-    }
+  const controls = document.createElement('div');
+  controls.className = 'button-row';
+  if (!winner) {
+    const next = document.createElement('button');
+    next.type = 'button';
+    next.className = 'movie-action';
+    next.textContent = 'Next round (keep top half)';
+    next.addEventListener('click', () => {
+      movieNightSession = advanceMovieNightRound(movieNightSession);
+      renderMovieNight();
+    });
+    controls.appendChild(next);
+  }
+  const reset = document.createElement('button');
+  reset.type = 'button';
+  reset.className = 'movie-action';
+  reset.textContent = 'Start over';
+  reset.addEventListener('click', () => {
+    movieNightSession = null;
+    renderMovieNight();
+  });
+  controls.appendChild(reset);
+  container.appendChild(controls);
+}
 
-    const metaList = document.createElement('ul');
-    metaList.className = 'movie-meta';
-    appendMeta(metaList, 'Average Score', movie.vote_average ?? 'N/A');
-    appendMeta(metaList, 'Votes', movie.vote_count ?? 'N/A');
-    appendMeta(metaList, 'Release Date', movie.release_date || 'Unknown');
-    appendGenresMeta(metaList, movie);
-    appendPeopleMeta(metaList, 'Director', movie.directors);
-    appendPeopleMeta(metaList, 'Cast', movie.topCast);
-    appendCriticScoresMeta(metaList, movie);
-    if (metaList.childNodes.length) {
-      info.appendChild(metaList);
-    }
+function renderMovieNight() {
+  if (!getDocument()) return;
+  const container = domRefs.movieNightContent;
+  if (!container) return;
+  container.innerHTML = '';
 
-    const controls = document.createElement('div');
-    controls.className = 'button-row';
-    controls.append(makeActionButton('Remove', () => clearStatus(movie.id)));
-    info.appendChild(controls);
+  const user = getCurrentUser();
+  const list = getMovieNightHousehold();
+  if (!user || !list) {
+    container.innerHTML =
+      '<em>Sign in and create a shared list with your household to plan a movie night.</em>';
+    return;
+  }
+  if (movieNightSession) {
+    renderMovieNightSession(container);
+    return;
+  }
 
-    li.appendChild(info);
-    return li;
-  };
+  const lists = getSharedLists();
+  if (lists.length > 1) {
+    const select = document.createElement('select');
+    select.className = 'movie-night-household';
+    select.setAttribute('aria-label', 'Household');
+    lists.forEach(entry => {
+      const option = document.createElement('option');
+      option.value = entry.id;
+      option.textContent = entry.name;
+      select.appendChild(option);
+    });
+    select.value = list.id;
+    select.addEventListener('change', () => {
+      movieNightListId = select.value;
+      movieNightSelectedUids.clear();
+      renderMovieNight();
+    });
+    container.appendChild(select);
+  }
+
+  const members = document.createElement('ul');
+  members.className = 'movie-night-members';
+  const preselect = !movieNightSelectedUids.size;
+  list.memberUids.forEach(uid => {
+    const isSelf = uid === user.uid;
+    const shared = list.movieNight?.[uid];
+    const available = isSelf || Boolean(shared);
+    if (!available) movieNightSelectedUids.delete(uid);
+    else if (preselect) movieNightSelectedUids.add(uid);
+    const li = document.createElement('li');
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = uid;
+    checkbox.disabled = !available;
+    checkbox.checked = available && movieNightSelectedUids.has(uid);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) movieNightSelectedUids.add(uid);
+      else movieNightSelectedUids.delete(uid);
+    });
+    let text = isSelf ? `${getSharedListMemberName(list, uid)} (you)` : getSharedListMemberName(list, uid);
+    if (!available) {
+      text += ' – has not shared their saved list yet';
+    } else if (!isSelf && Number.isFinite(shared.sharedAt)) {
+      text += ` – shared ${new Date(shared.sharedAt).toLocaleDateString()}`;
+    }
+    label.append(checkbox, ` ${text}`);
+    li.appendChild(label);
+    members.appendChild(li);
+  });
+  container.appendChild(members);
 
-  const createColumn = (title, prefs, emptyMessage) => {
-    const column = document.createElement('section');
-    column.className = 'watched-column';
+  if (movieNightMessage) {
+    const message = document.createElement('p');
+    message.className = 'movie-night-message';
+    message.textContent = movieNightMessage;
+    container.appendChild(message);
+  }
 
-    const heading = document.createElement('h4');
-    heading.textContent = title;
-    column.appendChild(heading);
+  const controls = document.createElement('div');
+  controls.className = 'button-row';
+  controls.append(
+    makeActionButton('Share my saved list', () =>
+      publishMovieNightPicks(list.id, buildMovieNightSnapshot(currentPrefs))
+    ),
+    makeActionButton('Start movie night', () => startMovieNight(list.id), {
+      pendingLabel: 'Merging...'
+    })
+  );
+  container.appendChild(controls);
+}
 
-    if (!prefs.length) {
-      const empty = document.createElement('p');
-      empty.className = 'watched-empty';
-      empty.innerHTML = `<em>${emptyMessage}</em>`;
-      column.appendChild(empty);
-      return column;
-    }
+function getTasteSignalWeight(pref, kind) {
+  if (!pref || !pref.movie) return 0;
+  if (pref.status === 'watched') {
+    const rating = clampUserRating(pref.userRating);
+    return rating == null ? 0.3 : (rating - 5) / 5;
+  }
+  if (pref.status === 'interested') {
+    const interest = Number(pref.interest);
+    return Number.isFinite(interest) ? Math.max(1, Math.min(5, interest)) / 10 : 0.3;
+  }
+  if (pref.status === 'notInterested') {
+    const reason = getDismissReason(pref.reason);
+    return reason ? reason.signals[kind] ?? 0 : DEFAULT_DISMISS_SIGNAL;
+  }
+  return 0;
+}
 
-    const columnList = document.createElement('ul');
-    prefs.forEach(pref => {
-      columnList.appendChild(createCard(pref));
+function getTasteFeatures(movie) {
+  const features = [];
+  getMovieGenreIdSet(movie).forEach(id => {
+    features.push({ key: `genre:${id}`, kind: 'genre', weight: TASTE_FEATURE_WEIGHTS.genre });
+  });
+  getNameList(movie?.directors).forEach(name => {
+    features.push({
+      key: `director:${name.toLowerCase()}`,
+      kind: 'director',
+      weight: TASTE_FEATURE_WEIGHTS.director
     });
-    column.appendChild(columnList);
-    return column;
-  };
-
-  const container = document.createElement('div');
-  container.className = 'watched-columns';
-  container.appendChild(createColumn('Rated', rated, 'No rated movies yet.'));
-  container.appendChild(createColumn('Unrated', unrated, 'No unrated movies yet.'));
+  });
+  getNameList(movie?.topCast).forEach(name => {
+    features.push({ key: `cast:${name.toLowerCase()}`, kind: 'cast', weight: TASTE_FEATURE_WEIGHTS.cast });
+  });
+  return features;
+}
+
+function buildTasteProfile(prefs) {
+  const features = new Map();
+  let signals = 0;
+  Object.values(prefs || {}).forEach(pref => {
+    if (!pref?.movie) return;
+    const movieFeatures = getTasteFeatures(pref.movie)
+      .map(feature => ({ ...feature, signal: getTasteSignalWeight(pref, feature.kind) }))
+      .filter(feature => feature.signal);
+    if (!movieFeatures.length) return;
+    signals += 1;
+    const title = String(pref.movie.title || '').trim();
+    movieFeatures.forEach(({ key, signal }) => {
+      const entry = features.get(key) || { total: 0, count: 0, sources: [] };
+      entry.total += signal;
+      entry.count += 1;
+      if (signal > 0 && title) {
+        entry.sources.push({ id: String(pref.movie.id ?? ''), title, signal });
+      }
+      features.set(key, entry);
+    });
+  });
+  return { features, signals };
+}
 
-  listEl.innerHTML = '';
-  listEl.appendChild(container);
-  if (isElementVisibleForAutoFetch(domRefs.watchedSection)) {
-    enqueueAutoCriticScores(sorted.map(pref => pref.movie).filter(Boolean));
-  }
+function scoreMovieForTaste(movie, profile) {
+  if (!profile || !profile.signals) return null;
+  const movieId = movie?.id != null ? String(movie.id) : '';
+  let score = 0;
+  let weightSum = 0;
+  const contributions = new Map();
+  getTasteFeatures(movie).forEach(({ key, weight }) => {
+    weightSum += weight;
+    const entry = profile.features.get(key);
+    if (!entry) return;
+    const affinity = entry.total / (entry.count + 1);
+    score += affinity * weight;
+    if (affinity <= 0) return;
+    entry.sources.forEach(source => {
+      if (source.id === movieId) return;
+      contributions.set(source.title, (contributions.get(source.title) || 0) + source.signal * weight);
+    });
+  });
+  if (!weightSum) return null;
+  let reason = null;
+  let reasonScore = TASTE_MIN_REASON_SCORE;
+  contributions.forEach((value, title) => {
+    if (value >= reasonScore) {
+      reason = title;
+      reasonScore = value;
+    }
+  });
+  return { score: score / weightSum, reason };
+}
+
+function getFollowBoost(movie) {
+  const count = getFollowedPeopleInMovie(movie).length;
+  return Math.min(PERSON_FOLLOW_BOOST_MAX, count * PERSON_FOLLOW_BOOST);
+}
+
+function applyTasteRanking(movies) {
+  tasteReasonsById.clear();
+  if (!Array.isArray(movies) || movies.length < 1) return movies || [];
+  const profile = buildTasteProfile(currentPrefs);
+  const hasFollows = Object.values(peoplePrefs).some(person => person.mode === 'follow');
+  if (!profile.signals && !hasFollows) return movies;
+  const total = movies.length;
+  return movies
+    .map((movie, index) => {
+      const taste = scoreMovieForTaste(movie, profile);
+      if (taste?.reason && movie?.id != null) {
+        tasteReasonsById.set(String(movie.id), taste.reason);
+      }
+      const base = Number.isFinite(movie?.__priority) ? movie.__priority : 1 - index / total;
+      const tasteScore = taste ? taste.score * TASTE_RANK_WEIGHT : 0;
+      return { movie, index, rank: base + tasteScore + getFollowBoost(movie) };
+    })
+    .sort((a, b) => b.rank - a.rank || a.index - b.index)
+    .map(entry => entry.movie);
 }
 
 function refreshUI() {
   renderFeed();
   renderInterestedList();
   renderWatchedList();
+  renderMovieLists();
+  renderHiddenList();
+  renderPeopleList();
+  renderDivergenceList();
+}
+
+function meetsRankProfileThreshold(movie, threshold) {
+  if (!meetsQualityThreshold(movie, threshold.minAverage, threshold.minVotes)) return false;
+  if (threshold.maxVotes != null && (getVoteCountValue(movie) ?? 0) > threshold.maxVotes) {
+    return false;
+  }
+  if (threshold.minAgeYears != null || threshold.maxAgeYears != null) {
+    const year = getMovieReleaseYear(movie);
+    if (year == null) return false;
+    const age = new Date().getFullYear() - year;
+    if (threshold.minAgeYears != null && age < threshold.minAgeYears) return false;
+    if (threshold.maxAgeYears != null && age > threshold.maxAgeYears) return false;
+  }
+  return true;
 }
 
-function selectPriorityCandidates(movies) {
+function selectPriorityCandidates(movies, profile = getActiveRankProfile()) {
   if (!Array.isArray(movies) || !movies.length) return [];
 
   const thresholds = [
+    ...(Array.isArray(profile?.thresholds) ? profile.thresholds : []),
     { minAverage: MIN_VOTE_AVERAGE, minVotes: MIN_VOTE_COUNT },
     {
       minAverage: Math.max(6.5, MIN_VOTE_AVERAGE - 0.5),
@@ -3787,8 +7879,8 @@ function selectPriorityCandidates(movies) {
   ];
 
   let bestFallback = [];
-  for (const { minAverage, minVotes } of thresholds) {
-    const filtered = movies.filter(movie => meetsQualityThreshold(movie, minAverage, minVotes));
+  for (const threshold of thresholds) {
+    const filtered = movies.filter(movie => meetsRankProfileThreshold(movie, threshold));
     if (filtered.length >= MIN_PRIORITY_RESULTS) {
       return filtered;
     }
@@ -3806,15 +7898,37 @@ function selectPriorityCandidates(movies) {
   });
 }
 
-function applyPriorityOrdering(movies) {
-  if (!Array.isArray(movies) || !movies.length) return movies || [];
+const RANK_COMPONENT_KEYS = Object.freeze(['score', 'votes', 'popularity', 'recency', 'age']);
 
-  const candidates = selectPriorityCandidates(movies);
-  if (!candidates.length) return [];
+function getRankComponents(movie, weights, now) {
+  const yearMs = 365 * 24 * 60 * 60 * 1000;
+  const components = {
+    score: Math.max(0, Math.min(10, getVoteAverageValue(movie) ?? 0)) / 10,
+    votes: Math.log10(Math.max(1, getVoteCountValue(movie) || 0) + 1),
+    popularity: Math.log10(Math.max(1, Number(movie?.popularity) || 0) + 1),
+    recency: 0.25,
+    age: 0
+  };
+  const release = movie?.release_date ? new Date(movie.release_date).getTime() : NaN;
+  if (!Number.isNaN(release)) {
+    const diff = now - release;
+    const recencyWindowMs = yearMs * (Number(weights.recencyWindowYears) || 1);
+    if (diff <= 0) {
+      components.recency = 1;
+    } else if (diff >= recencyWindowMs) {
+      components.recency = 0;
+    } else {
+      components.recency = 1 - diff / recencyWindowMs;
+    }
+    components.age = Math.max(0, Math.min(1, diff / (yearMs * (Number(weights.ageWindowYears) || 50))));
+  }
+  return components;
+}
 
+function applyBalancedPriority(candidates) {
   const maxVotes = Math.max(...candidates.map(m => Math.max(0, getVoteCountValue(m) || 0)), 1);
   const now = Date.now();
-  const yearMs = 365 * 24 * 60 * 60 * 1000;
+  const recencyWindowMs = 365 * 24 * 60 * 60 * 1000;
 
   return candidates
     .map(movie => {
@@ -3833,20 +7947,55 @@ function applyPriorityOrdering(movies) {
           const diff = now - release;
           if (diff <= 0) {
             recency = 1;
-          } else if (diff >= yearMs) {
+          } else if (diff >= recencyWindowMs) {
             recency = 0;
           } else {
-            recency = 1 - diff / yearMs;
+            recency = 1 - diff / recencyWindowMs;
           }
         }
       }
 
-      const priority = (adjustedAverage * 0.3) + (Math.sqrt(Math.max(0, voteVolume)) * 0.5) + (recency * 0.2);
+      const priority =
+        (adjustedAverage * 0.3) +
+        (Math.sqrt(Math.max(0, voteVolume)) * 0.5) +
+        (recency * 0.2);
       return { ...movie, __priority: priority };
     })
     .sort((a, b) => (b.__priority ?? 0) - (a.__priority ?? 0));
 }
 
+function applyPriorityOrdering(movies) {
+  if (!Array.isArray(movies) || !movies.length) return movies || [];
+
+  const profile = getActiveRankProfile();
+  const candidates = selectPriorityCandidates(movies, profile);
+  if (!candidates.length) return [];
+  if (profile === rankingProfiles[DEFAULT_RANK_PROFILE]) {
+    return applyBalancedPriority(candidates);
+  }
+
+  const weights = profile?.weights || FALLBACK_RANK_WEIGHTS;
+  const weightOf = key => (Number.isFinite(Number(weights[key])) ? Number(weights[key]) : 0);
+  const now = Date.now();
+  const components = candidates.map(movie => getRankComponents(movie, weights, now));
+  const scale =
+    RANK_COMPONENT_KEYS.reduce(
+      (sum, key) =>
+        sum + Math.abs(weightOf(key)) * components.reduce((max, entry) => Math.max(max, entry[key]), 1),
+      0
+    ) || 1;
+
+  return candidates
+    .map((movie, index) => {
+      const ranking = RANK_COMPONENT_KEYS.reduce(
+        (sum, key) => sum + components[index][key] * weightOf(key),
+        0
+      );
+      return { ...movie, __priority: ranking / scale };
+    })
+    .sort((a, b) => (b.__priority ?? 0) - (a.__priority ?? 0));
+}
+
 function scoreMovieForMerge(movie) {
   if (!movie || typeof movie !== 'object') return 0;
   let score = 0;
@@ -4339,7 +8488,9 @@ async function tryFetchCachedMovies({ suppressedIds, excludeIds }) {
     if (combinedExclude.size) {
       params.set('excludeIds', Array.from(combinedExclude).join(','));
     }
-    params.set('limit', String(Math.max(MIN_PRIORITY_RESULTS, CACHE_QUERY_LIMIT_ALL)));
+    params.set('limit', String(Math.max(MIN_PRIORITY_RESULTS, CATALOG_PAGE_SIZE)));
+    applyCatalogQueryParams(params);
+    lastCatalogQuerySignature = buildCatalogQuerySignature();
 
     const baseUrl = buildMoviesApiUrl('/api/movies');
     const query = params.toString();
@@ -4355,7 +8506,10 @@ async function tryFetchCachedMovies({ suppressedIds, excludeIds }) {
         : null;
     if (metadata) {
       lastCatalogMetadata = metadata;
+      updateRankingProfiles(metadata.rankingProfiles);
     }
+    catalogNextCursor =
+      typeof data?.nextCursor === 'string' && data.nextCursor ? data.nextCursor : null;
     mergeRestoredMoviesFromCatalogResults(data?.results);
     const prioritized = collectMoviesFromCache(data?.results, suppressedIds);
     return {
@@ -4370,6 +8524,35 @@ async function tryFetchCachedMovies({ suppressedIds, excludeIds }) {
   }
 }
 
+async function fetchCatalogPagesAfterCursor({ skipIds, limit }) {
+  const collected = [];
+  let pagesFetched = 0;
+  while (catalogNextCursor && collected.length < limit && pagesFetched < MAX_CATALOG_CURSOR_PAGES) {
+    const params = new URLSearchParams();
+    params.set('cursor', catalogNextCursor);
+    params.set('limit', String(limit));
+    params.set('cacheOnly', '1');
+    applyCatalogQueryParams(params);
+    const res = await fetch(`${buildMoviesApiUrl('/api/movies')}?${params.toString()}`);
+    if (!res.ok) {
+      if (res.status === 400) {
+        catalogNextCursor = null;
+      }
+      throw new Error(`Catalog request failed (${res.status})`);
+    }
+    const data = await res.json();
+    pagesFetched += 1;
+    catalogNextCursor =
+      typeof data?.nextCursor === 'string' && data.nextCursor ? data.nextCursor : null;
+    mergeRestoredMoviesFromCatalogResults(data?.results);
+    collectMoviesFromCache(data?.results, skipIds).forEach(movie => {
+      skipIds.add(String(movie.id));
+      collected.push(movie);
+    });
+  }
+  return collected;
+}
+
 async function fetchMoviesFromTmdb({
   usingProxy,
   apiKey,
@@ -4575,31 +8758,48 @@ async function findNewMovies() {
         : null;
     if (metadata) {
       lastCatalogMetadata = metadata;
-    }
-
-    if (metadata?.freshError === 'credentials missing') {
-      updateFeedStatus(
-        'New movie check is unavailable because TMDB credentials are not configured on the server.',
-        { tone: 'warning' }
-      );
-      return;
+      updateRankingProfiles(metadata.rankingProfiles);
     }
 
     const prefetchedCredits = normalizeCreditsMap(data?.credits);
-    const freshMovies = collectMoviesFromCache(data?.results, new Set());
-    if (!freshMovies.length) {
-      updateFeedStatus('No new movies were found right now.', { tone: 'warning' });
-      return;
-    }
-
-    const existingIds = new Set(
+    const skipIds = new Set(
       (Array.isArray(currentMovies) ? currentMovies : [])
         .map(movie => (movie && movie.id != null ? String(movie.id) : ''))
         .filter(Boolean)
     );
-    const newMovies = freshMovies.filter(movie => !existingIds.has(String(movie.id)));
+    Object.entries(currentPrefs).forEach(([id, pref]) => {
+      if (pref && SUPPRESSED_STATUSES.has(pref.status)) {
+        skipIds.add(id);
+      }
+    });
+    const newMovies = collectMoviesFromCache(data?.results, new Set()).filter(movie => {
+      const key = String(movie.id);
+      if (skipIds.has(key)) return false;
+      skipIds.add(key);
+      return true;
+    });
+
+    if (newMovies.length < NEW_MOVIE_FETCH_LIMIT && catalogNextCursor) {
+      try {
+        const catalogMovies = await fetchCatalogPagesAfterCursor({
+          skipIds,
+          limit: NEW_MOVIE_FETCH_LIMIT - newMovies.length
+        });
+        newMovies.push(...catalogMovies);
+      } catch (err) {
+        console.warn('Failed to page through the movie catalog', err);
+      }
+    }
+
     if (!newMovies.length) {
-      updateFeedStatus('No unseen new movies were found right now.', { tone: 'warning' });
+      if (metadata?.freshError === 'credentials missing') {
+        updateFeedStatus(
+          'New movie check is unavailable because TMDB credentials are not configured on the server.',
+          { tone: 'warning' }
+        );
+      } else {
+        updateFeedStatus('No unseen new movies were found right now.', { tone: 'warning' });
+      }
       return;
     }
 
@@ -4625,6 +8825,7 @@ async function findNewMovies() {
 
     populateFeedGenreOptions();
     updateFeedFilterInputsFromState();
+    updateKeywordSuggestions();
     refreshUI();
 
     const visibleMatches = applyFeedFilters(getFeedMovies(currentMovies)).length;
@@ -4652,7 +8853,7 @@ async function findNewMovies() {
   }
 }
 
-async function loadMovies() {
+async function loadMovies({ keepList = false } = {}) {
   const listEl = domRefs.list;
   if (!listEl) return;
 
@@ -4662,7 +8863,9 @@ async function loadMovies() {
     { tone: 'info', showSpinner: true, location: 'bottom' }
   );
 
-  listEl.innerHTML = '<em>Loading...</em>';
+  if (!keepList) {
+    listEl.innerHTML = '<em>Loading...</em>';
+  }
 
   const usingProxy = Boolean(getTmdbProxyEndpoint());
   const apiKey = resolveApiKey();
@@ -4714,6 +8917,7 @@ async function loadMovies() {
 
     populateFeedGenreOptions();
     updateFeedFilterInputsFromState();
+    updateKeywordSuggestions();
     refreshUI();
 
     const visibleMatches = applyFeedFilters(getFeedMovies(currentMovies)).length;
@@ -4763,28 +8967,113 @@ export async function initMoviesPanel() {
   domRefs.interestedSection = doc.getElementById('savedMoviesSection');
   domRefs.watchedSection = doc.getElementById('watchedMoviesSection');
   domRefs.watchedSort = doc.getElementById('watchedMoviesSort');
+  domRefs.watchedView = doc.getElementById('watchedMoviesView');
+  domRefs.importFile = doc.getElementById('movieImportFile');
+  domRefs.importStatus = doc.getElementById('movieImportStatus');
+  domRefs.importReview = doc.getElementById('movieImportReview');
+  domRefs.exportFormat = doc.getElementById('movieExportFormat');
+  domRefs.exportButton = doc.getElementById('movieExportButton');
   domRefs.feedControls = doc.getElementById('movieFeedControls');
   domRefs.findNewButton = doc.getElementById('movieFindNewButton');
   domRefs.feedStatus = doc.getElementById('movieStatus');
   domRefs.feedStatusBottom = doc.getElementById('movieStatusBottom');
   domRefs.feedMinRating = doc.getElementById('movieFilterMinRating');
   domRefs.feedMinVotes = doc.getElementById('movieFilterMinVotes');
+  domRefs.feedMinRottenTomatoes = doc.getElementById('movieFilterMinRottenTomatoes');
+  domRefs.feedMinMetacritic = doc.getElementById('movieFilterMinMetacritic');
+  domRefs.feedMinImdb = doc.getElementById('movieFilterMinImdb');
+  domRefs.feedSort = doc.getElementById('movieFilterSort');
   domRefs.feedStartYear = doc.getElementById('movieFilterStartYear');
   domRefs.feedEndYear = doc.getElementById('movieFilterEndYear');
   domRefs.feedGenre = doc.getElementById('movieFilterGenre');
+  domRefs.feedRankProfile = doc.getElementById('movieFilterRankProfile');
+  domRefs.feedRegion = doc.getElementById('movieFilterRegion');
+  domRefs.feedServices = doc.getElementById('movieFilterServices');
+  domRefs.feedMyServicesOnly = doc.getElementById('movieFilterMyServicesOnly');
+  domRefs.feedKeywordInput = doc.getElementById('movieFilterKeywordInput');
+  domRefs.feedKeywordOptions = doc.getElementById('movieFilterKeywordOptions');
+  domRefs.feedKeywordInclude = doc.getElementById('movieFilterKeywordInclude');
+  domRefs.feedKeywordExclude = doc.getElementById('movieFilterKeywordExclude');
+  domRefs.feedKeywords = doc.getElementById('movieFilterKeywords');
+  domRefs.feedMood = doc.getElementById('movieFilterMood');
   domRefs.unclassifiedCount = doc.getElementById('movieUnclassifiedCount');
+  domRefs.movieListsSection = doc.getElementById('movieListsSection');
+  domRefs.movieListCreateForm = doc.getElementById('movieListCreateForm');
+  domRefs.movieListNameInput = doc.getElementById('movieListNameInput');
+  domRefs.movieListSelect = doc.getElementById('movieListSelect');
+  domRefs.movieListSort = doc.getElementById('movieListSort');
+  domRefs.movieListRename = doc.getElementById('movieListRename');
+  domRefs.movieListDelete = doc.getElementById('movieListDelete');
+  domRefs.movieListNotes = doc.getElementById('movieListNotes');
+  domRefs.movieListFilters = doc.getElementById('movieListFilters');
+  domRefs.movieListItems = doc.getElementById('movieListItems');
+  domRefs.sharedListsSection = doc.getElementById('sharedListsSection');
+  domRefs.movieNightSection = doc.getElementById('movieNightSection');
+  domRefs.movieNightContent = doc.getElementById('movieNightContent');
+  domRefs.hiddenSection = doc.getElementById('hiddenMoviesSection');
+  domRefs.hiddenSearch = doc.getElementById('hiddenMoviesSearch');
+  domRefs.hiddenReason = doc.getElementById('hiddenMoviesReason');
+  domRefs.hiddenList = doc.getElementById('hiddenMoviesList');
+  domRefs.peopleSection = doc.getElementById('moviePeopleSection');
+  domRefs.peopleList = doc.getElementById('moviePeopleList');
+  domRefs.criticWeightInputs = {
+    rottenTomatoes: doc.getElementById('movieCriticWeightRottenTomatoes'),
+    metacritic: doc.getElementById('movieCriticWeightMetacritic'),
+    imdb: doc.getElementById('movieCriticWeightImdb')
+  };
+  domRefs.criticWeightsReset = doc.getElementById('movieCriticWeightsReset');
+  domRefs.divergenceSection = doc.getElementById('movieDivergenceSection');
+  domRefs.divergenceMode = doc.getElementById('movieDivergenceMode');
+  domRefs.divergenceList = doc.getElementById('movieDivergenceList');
 
   updateMovieStats();
 
   currentPrefs = await loadPreferences();
+  await loadMovieLists();
+  attachMovieListControls();
+  initSharedListsPanel(doc.getElementById('sharedListsContent'));
+  if (!handlers.unsubscribeSharedLists) {
+    handlers.unsubscribeSharedLists = onSharedListsChange(() => renderMovieNight());
+  }
+  startSharedListSync(getCurrentUser());
 
   feedFilterState = loadFeedFilterStateFromStorage();
+  populateRankProfileOptions();
+  populateMoodOptions();
   updateFeedFilterInputsFromState();
+  updateKeywordSuggestions();
 
   attachFeedFilterInput(domRefs.feedMinRating, 'minRating');
   attachFeedFilterInput(domRefs.feedMinVotes, 'minVotes');
+  attachFeedFilterInput(domRefs.feedMinRottenTomatoes, 'minRottenTomatoes');
+  attachFeedFilterInput(domRefs.feedMinMetacritic, 'minMetacritic');
+  attachFeedFilterInput(domRefs.feedMinImdb, 'minImdb');
+  attachFeedFilterSelect(domRefs.feedSort, 'sort');
   attachFeedFilterInput(domRefs.feedStartYear, 'startYear');
   attachFeedFilterInput(domRefs.feedEndYear, 'endYear');
+  attachFeedFilterSelect(domRefs.feedRankProfile, 'rankProfile');
+  attachFeedFilterSelect(domRefs.feedRegion, 'region');
+  attachKeywordFilterControls();
+
+  if (domRefs.feedMyServicesOnly) {
+    if (domRefs.feedMyServicesOnly._feedFilterToggleHandler) {
+      domRefs.feedMyServicesOnly.removeEventListener(
+        'change',
+        domRefs.feedMyServicesOnly._feedFilterToggleHandler
+      );
+    }
+    const handler = event => {
+      setFeedFilter('myServicesOnly', event.target.checked ? 'true' : '', {
+        sanitize: true,
+        persist: true
+      });
+    };
+    domRefs.feedMyServicesOnly._feedFilterToggleHandler = handler;
+    domRefs.feedMyServicesOnly.addEventListener('change', handler);
+  }
+  if (domRefs.feedServices) {
+    loadWatchProviderOptions();
+  }
 
   if (domRefs.findNewButton) {
     if (!handlers.handleFindNewClick) {
@@ -4865,6 +9154,35 @@ export async function initMoviesPanel() {
             target === 'watchedMoviesSection' ? '' : 'none';
           if (target === 'watchedMoviesSection') renderWatchedList();
         }
+        if (domRefs.movieListsSection) {
+          domRefs.movieListsSection.style.display =
+            target === 'movieListsSection' ? '' : 'none';
+          if (target === 'movieListsSection') renderMovieLists();
+        }
+        if (domRefs.sharedListsSection) {
+          domRefs.sharedListsSection.style.display =
+            target === 'sharedListsSection' ? '' : 'none';
+        }
+        if (domRefs.movieNightSection) {
+          domRefs.movieNightSection.style.display =
+            target === 'movieNightSection' ? '' : 'none';
+          if (target === 'movieNightSection') renderMovieNight();
+        }
+        if (domRefs.hiddenSection) {
+          domRefs.hiddenSection.style.display =
+            target === 'hiddenMoviesSection' ? '' : 'none';
+          if (target === 'hiddenMoviesSection') renderHiddenList();
+        }
+        if (domRefs.peopleSection) {
+          domRefs.peopleSection.style.display =
+            target === 'moviePeopleSection' ? '' : 'none';
+          if (target === 'moviePeopleSection') renderPeopleList();
+        }
+        if (domRefs.divergenceSection) {
+          domRefs.divergenceSection.style.display =
+            target === 'movieDivergenceSection' ? '' : 'none';
+          if (target === 'movieDivergenceSection') renderDivergenceList();
+        }
       };
       btn._movieTabHandler = handler;
       btn.addEventListener('click', handler);
@@ -4888,7 +9206,122 @@ export async function initMoviesPanel() {
     domRefs.watchedSort.value = watchedSortMode;
   }
 
+  if (domRefs.importFile) {
+    if (domRefs.importFile._movieImportHandler) {
+      domRefs.importFile.removeEventListener('change', domRefs.importFile._movieImportHandler);
+    }
+    const handler = async () => {
+      const files = domRefs.importFile?.files;
+      try {
+        await handleImportFiles(files);
+      } catch (err) {
+        console.error('Movie import failed', err);
+        setImportStatus(`Import failed (${summarizeError(err)}).`);
+      }
+      if (domRefs.importFile) domRefs.importFile.value = '';
+    };
+    domRefs.importFile._movieImportHandler = handler;
+    domRefs.importFile.addEventListener('change', handler);
+  }
+
+  if (domRefs.divergenceMode) {
+    if (domRefs.divergenceMode._movieDivergenceHandler) {
+      domRefs.divergenceMode.removeEventListener('change', domRefs.divergenceMode._movieDivergenceHandler);
+    }
+    const handler = () => renderDivergenceList();
+    domRefs.divergenceMode._movieDivergenceHandler = handler;
+    domRefs.divergenceMode.addEventListener('change', handler);
+  }
+
+  updateCriticWeightInputs();
+  Object.entries(domRefs.criticWeightInputs).forEach(([source, input]) => {
+    if (!input) return;
+    if (input._criticWeightHandler) {
+      input.removeEventListener('change', input._criticWeightHandler);
+    }
+    const handler = () => {
+      const percent = Number.parseFloat(input.value);
+      if (!Number.isFinite(percent)) {
+        updateCriticWeightInputs();
+        return;
+      }
+      setCriticWeights({ ...criticBlendWeights, [source]: percent / 100 });
+    };
+    input._criticWeightHandler = handler;
+    input.addEventListener('change', handler);
+  });
+  if (domRefs.criticWeightsReset) {
+    if (domRefs.criticWeightsReset._criticWeightHandler) {
+      domRefs.criticWeightsReset.removeEventListener('click', domRefs.criticWeightsReset._criticWeightHandler);
+    }
+    const handler = () => setCriticWeights(DEFAULT_CRITIC_BLEND_WEIGHTS);
+    domRefs.criticWeightsReset._criticWeightHandler = handler;
+    domRefs.criticWeightsReset.addEventListener('click', handler);
+  }
+
+  [domRefs.hiddenSearch, domRefs.hiddenReason].forEach(control => {
+    if (!control) return;
+    if (control._movieHiddenHandler) {
+      control.removeEventListener('input', control._movieHiddenHandler);
+      control.removeEventListener('change', control._movieHiddenHandler);
+    }
+    const handler = () => renderHiddenList();
+    control._movieHiddenHandler = handler;
+    control.addEventListener('input', handler);
+    control.addEventListener('change', handler);
+  });
+
+  if (domRefs.exportButton) {
+    if (domRefs.exportButton._movieExportHandler) {
+      domRefs.exportButton.removeEventListener('click', domRefs.exportButton._movieExportHandler);
+    }
+    const handler = async () => {
+      try {
+        await exportMoviePreferences(domRefs.exportFormat?.value || 'json');
+      } catch (err) {
+        console.error('Movie export failed', err);
+        setImportStatus(`Export failed (${summarizeError(err)}).`);
+      }
+    };
+    domRefs.exportButton._movieExportHandler = handler;
+    domRefs.exportButton.addEventListener('click', handler);
+  }
+
+  if (domRefs.watchedView) {
+    if (domRefs.watchedView._moviesViewHandler) {
+      domRefs.watchedView.removeEventListener('change', domRefs.watchedView._moviesViewHandler);
+    }
+    const handler = () => {
+      watchedViewMode = domRefs.watchedView?.value === 'diary' ? 'diary' : 'list';
+      renderWatchedList();
+    };
+    domRefs.watchedView._moviesViewHandler = handler;
+    domRefs.watchedView.addEventListener('change', handler);
+    domRefs.watchedView.value = watchedViewMode;
+  }
+
+  if (!handlers.handleUndoKeydown) {
+    handlers.handleUndoKeydown = event => {
+      if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey) return;
+      if (String(event.key).toLowerCase() !== 'z') return;
+      if (!movieUndoStack.length || isEditableTarget(event.target)) return;
+      event.preventDefault();
+      runUndo();
+    };
+  }
+  doc.removeEventListener('keydown', handlers.handleUndoKeydown);
+  doc.addEventListener('keydown', handlers.handleUndoKeydown);
+
+  if (typeof window !== 'undefined') {
+    if (!handlers.handleHashChange) {
+      handlers.handleHashChange = () => syncMovieDetailWithHash();
+    }
+    window.removeEventListener('hashchange', handlers.handleHashChange);
+    window.addEventListener('hashchange', handlers.handleHashChange);
+  }
+
   await loadMovies();
+  syncMovieDetailWithHash();
 }
 
 export async function refreshMoviesPanelForAuthChange(user = null) {
@@ -4910,6 +9343,11 @@ export async function refreshMoviesPanelForAuthChange(user = null) {
   lastFetchedMovieStatsSignature = null;
   lastRenderedFilterSignature = '';
   lastRenderedMovieIds = [];
+  movieListsLoadedFor = null;
+  movieNightSession = null;
+  movieNightListId = null;
+  movieNightMessage = '';
+  movieNightSelectedUids.clear();
 
   updateFeedStatus(
     user
@@ -4919,10 +9357,12 @@ export async function refreshMoviesPanelForAuthChange(user = null) {
   );
 
   currentPrefs = await loadPreferences();
+  updateCriticWeightInputs();
+  await loadMovieLists();
+  startSharedListSync(user);
   await loadMovies();
 }
 
 if (typeof window !== 'undefined') {
-  window.initMoviesPanel = initMoviesPanel;
   window.refreshMoviesPanelForAuthChange = refreshMoviesPanelForAuthChange;
 }
@@ -0,0 +1,488 @@
+import { getCurrentUser, db } from './auth.js';
+
+const SHARED_LIST_COLLECTION = 'sharedMovieLists';
+const DEFAULT_INTEREST = 3;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+let sharedLists = [];
+let pendingInvites = [];
+let syncedUid = null;
+let unsubscribers = [];
+let container = null;
+const changeListeners = new Set();
+
+function getDocument() {
+  return typeof document !== 'undefined' ? document : null;
+}
+
+function getFieldValue() {
+  return typeof firebase !== 'undefined' ? firebase.firestore?.FieldValue || null : null;
+}
+
+function normalizeEmail(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+function requireUser() {
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('Sign in to use shared lists');
+  }
+  return user;
+}
+
+function describeMember(list, uid) {
+  const member = list.members?.[uid];
+  return member?.displayName || member?.email || 'Someone';
+}
+
+function fromSnapshot(snapshot) {
+  const lists = [];
+  snapshot.forEach(doc => {
+    const data = doc.data() || {};
+    lists.push({
+      id: doc.id,
+      name: typeof data.name === 'string' ? data.name : 'Untitled list',
+      ownerUid: data.ownerUid || null,
+      memberUids: Array.isArray(data.memberUids) ? data.memberUids : [],
+      members: data.members && typeof data.members === 'object' ? data.members : {},
+      invitedEmails: Array.isArray(data.invitedEmails) ? data.invitedEmails : [],
+      items: data.items && typeof data.items === 'object' ? data.items : {},
+      movieNight: data.movieNight && typeof data.movieNight === 'object' ? data.movieNight : {},
+      updatedAt: Number.isFinite(data.updatedAt) ? data.updatedAt : 0
+    });
+  });
+  return lists.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function notifyChange() {
+  changeListeners.forEach(listener => {
+    try {
+      listener(sharedLists);
+    } catch (err) {
+      console.error('Shared list listener failed', err);
+    }
+  });
+  renderSharedLists();
+}
+
+export function onSharedListsChange(listener) {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+}
+
+export function getSharedLists() {
+  return sharedLists;
+}
+
+export function stopSharedListSync() {
+  unsubscribers.forEach(unsubscribe => unsubscribe());
+  unsubscribers = [];
+  syncedUid = null;
+  sharedLists = [];
+  pendingInvites = [];
+}
+
+export function startSharedListSync(user) {
+  const uid = user?.uid || null;
+  if (uid && uid === syncedUid) return;
+  stopSharedListSync();
+  if (!uid) {
+    notifyChange();
+    return;
+  }
+  syncedUid = uid;
+  const onError = err => {
+    if (err && err.code === 'permission-denied') {
+      console.warn('Firestore permission denied when syncing shared lists.');
+    } else {
+      console.error('Shared list sync failed', err);
+    }
+  };
+  try {
+    const collection = db.collection(SHARED_LIST_COLLECTION);
+    unsubscribers.push(
+      collection.where('memberUids', 'array-contains', uid).onSnapshot(snapshot => {
+        sharedLists = fromSnapshot(snapshot);
+        notifyChange();
+      }, onError)
+    );
+    const email = normalizeEmail(user.email);
+    if (email) {
+      unsubscribers.push(
+        collection.where('invitedEmails', 'array-contains', email).onSnapshot(snapshot => {
+          pendingInvites = fromSnapshot(snapshot).filter(list => !list.memberUids.includes(uid));
+          notifyChange();
+        }, onError)
+      );
+    }
+  } catch (err) {
+    onError(err);
+  }
+}
+
+function listRef(listId) {
+  return db.collection(SHARED_LIST_COLLECTION).doc(listId);
+}
+
+export async function createSharedList(name) {
+  const user = requireUser();
+  const trimmed = String(name || '').trim().slice(0, 80);
+  if (!trimmed) return null;
+  const now = Date.now();
+  const ref = await db.collection(SHARED_LIST_COLLECTION).add({
+    name: trimmed,
+    ownerUid: user.uid,
+    memberUids: [user.uid],
+    members: {
+      [user.uid]: { email: normalizeEmail(user.email), displayName: user.displayName || '' }
+    },
+    invitedEmails: [],
+    items: {},
+    createdAt: now,
+    updatedAt: now
+  });
+  return ref?.id || null;
+}
+
+export async function inviteToSharedList(listId, email) {
+  requireUser();
+  const normalized = normalizeEmail(email);
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw new Error('Enter a valid email address');
+  }
+  const list = sharedLists.find(entry => entry.id === listId);
+  if (list && Object.values(list.members).some(member => member?.email === normalized)) {
+    return;
+  }
+  const fieldValue = getFieldValue();
+  const invitedEmails = fieldValue
+    ? fieldValue.arrayUnion(normalized)
+    : [...new Set([...(list?.invitedEmails || []), normalized])];
+  await listRef(listId).update({ invitedEmails, updatedAt: Date.now() });
+}
+
+export async function acceptSharedListInvite(listId) {
+  const user = requireUser();
+  const invite = pendingInvites.find(list => list.id === listId);
+  const email = normalizeEmail(user.email);
+  const fieldValue = getFieldValue();
+  await listRef(listId).update({
+    memberUids: fieldValue
+      ? fieldValue.arrayUnion(user.uid)
+      : [...new Set([...(invite?.memberUids || []), user.uid])],
+    invitedEmails: fieldValue
+      ? fieldValue.arrayRemove(email)
+      : (invite?.invitedEmails || []).filter(entry => entry !== email),
+    [`members.${user.uid}`]: { email, displayName: user.displayName || '' },
+    updatedAt: Date.now()
+  });
+}
+
+export async function declineSharedListInvite(listId) {
+  const user = requireUser();
+  const invite = pendingInvites.find(list => list.id === listId);
+  const email = normalizeEmail(user.email);
+  const fieldValue = getFieldValue();
+  await listRef(listId).update({
+    invitedEmails: fieldValue
+      ? fieldValue.arrayRemove(email)
+      : (invite?.invitedEmails || []).filter(entry => entry !== email),
+    updatedAt: Date.now()
+  });
+}
+
+export async function leaveSharedList(listId) {
+  const user = requireUser();
+  const list = sharedLists.find(entry => entry.id === listId);
+  const fieldValue = getFieldValue();
+  await listRef(listId).update({
+    memberUids: fieldValue
+      ? fieldValue.arrayRemove(user.uid)
+      : (list?.memberUids || []).filter(uid => uid !== user.uid),
+    [`members.${user.uid}`]: fieldValue ? fieldValue.delete() : null,
+    updatedAt: Date.now()
+  });
+}
+
+export async function addMovieToSharedList(listId, movie, interest = DEFAULT_INTEREST) {
+  const user = requireUser();
+  if (movie?.id == null) return;
+  const key = String(movie.id);
+  const list = sharedLists.find(entry => entry.id === listId);
+  if (list?.items?.[key]) {
+    await voteOnSharedListMovie(listId, key, interest);
+    return;
+  }
+  await listRef(listId).update({
+    [`items.${key}`]: {
+      movie,
+      addedBy: user.uid,
+      addedAt: Date.now(),
+      votes: { [user.uid]: interest }
+    },
+    updatedAt: Date.now()
+  });
+}
+
+export async function removeMovieFromSharedList(listId, movieId) {
+  requireUser();
+  const fieldValue = getFieldValue();
+  const list = sharedLists.find(entry => entry.id === listId);
+  const key = String(movieId);
+  if (fieldValue) {
+    await listRef(listId).update({ [`items.${key}`]: fieldValue.delete(), updatedAt: Date.now() });
+    return;
+  }
+  const items = { ...(list?.items || {}) };
+  delete items[key];
+  await listRef(listId).update({ items, updatedAt: Date.now() });
+}
+
+export async function voteOnSharedListMovie(listId, movieId, interest) {
+  const user = requireUser();
+  const value = Math.min(5, Math.max(1, Math.round(Number(interest) || DEFAULT_INTEREST)));
+  await listRef(listId).update({
+    [`items.${String(movieId)}.votes.${user.uid}`]: value,
+    updatedAt: Date.now()
+  });
+}
+
+export async function publishMovieNightPicks(listId, snapshot) {
+  const user = requireUser();
+  await listRef(listId).update({
+    [`movieNight.${user.uid}`]: {
+      interested: snapshot?.interested || {},
+      sharedAt: Date.now()
+    },
+    updatedAt: Date.now()
+  });
+}
+
+export function getSharedListMemberName(list, uid) {
+  return describeMember(list, uid);
+}
+
+export function summarizeSharedListItem(list, item) {
+  const votes = Object.entries(item?.votes || {})
+    .filter(([, value]) => Number.isFinite(value))
+    .map(([uid, value]) => ({ uid, name: describeMember(list, uid), interest: value }));
+  const total = votes.reduce((sum, vote) => sum + vote.interest, 0);
+  return {
+    votes,
+    averageInterest: votes.length ? total / votes.length : null
+  };
+}
+
+function makeButton(label, handler) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'movie-action';
+  btn.textContent = label;
+  btn.addEventListener('click', async () => {
+    if (btn.disabled) return;
+    btn.disabled = true;
+    try {
+      await handler();
+    } catch (err) {
+      console.error(`Shared list action "${label}" failed`, err);
+      if (typeof window !== 'undefined' && typeof window.alert === 'function') {
+        window.alert(err?.message || 'Something went wrong.');
+      }
+    } finally {
+      btn.disabled = false;
+    }
+  });
+  return btn;
+}
+
+function createInlineForm(placeholder, buttonLabel, onSubmit, type = 'text') {
+  const form = document.createElement('form');
+  form.className = 'shared-list-form';
+  const input = document.createElement('input');
+  input.type = type;
+  input.placeholder = placeholder;
+  input.setAttribute('aria-label', placeholder);
+  const submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = buttonLabel;
+  form.append(input, submit);
+  form.addEventListener('submit', async event => {
+    event.preventDefault();
+    const value = input.value.trim();
+    if (!value) return;
+    try {
+      await onSubmit(value);
+      input.value = '';
+    } catch (err) {
+      console.error(`Shared list "${buttonLabel}" failed`, err);
+      if (typeof window !== 'undefined' && typeof window.alert === 'function') {
+        window.alert(err?.message || 'Something went wrong.');
+      }
+    }
+  });
+  return form;
+}
+
+function createVoteSelect(list, key, current) {
+  const select = document.createElement('select');
+  select.className = 'shared-list-vote';
+  select.setAttribute('aria-label', 'Your interest');
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Your vote...';
+  select.appendChild(placeholder);
+  for (let value = 5; value >= 1; value -= 1) {
+    const option = document.createElement('option');
+    option.value = String(value);
+    option.textContent = `Interest ${value}`;
+    select.appendChild(option);
+  }
+  select.value = current != null ? String(current) : '';
+  select.addEventListener('change', () => {
+    if (!select.value) return;
+    voteOnSharedListMovie(list.id, key, Number(select.value)).catch(err => {
+      console.error('Failed to save shared list vote', err);
+    });
+  });
+  return select;
+}
+
+function createItemElement(list, key, item, uid) {
+  const movie = item.movie || {};
+  const { votes, averageInterest } = summarizeSharedListItem(list, item);
+  const li = document.createElement('li');
+  li.className = 'shared-list-item';
+  li.dataset.movieId = key;
+
+  const title = document.createElement('a');
+  title.className = 'movie-detail-link';
+  title.href = `#movie/${encodeURIComponent(key)}`;
+  const year = String(movie.release_date || '').split('-')[0];
+  title.textContent = `${movie.title || 'Untitled'}${year ? ` (${year})` : ''}`;
+  li.appendChild(title);
+
+  const summary = document.createElement('p');
+  summary.className = 'shared-list-summary';
+  const parts = [];
+  if (averageInterest != null) {
+    parts.push(
+      `Household interest ${averageInterest.toFixed(1)} (${votes.length} vote${votes.length === 1 ? '' : 's'})`
+    );
+  }
+  parts.push(`Added by ${describeMember(list, item.addedBy)}`);
+  summary.textContent = parts.join(' · ');
+  li.appendChild(summary);
+
+  if (votes.length) {
+    const votesEl = document.createElement('p');
+    votesEl.className = 'shared-list-votes';
+    votesEl.textContent = votes.map(vote => `${vote.name}: ${vote.interest}`).join(', ');
+    li.appendChild(votesEl);
+  }
+
+  const controls = document.createElement('div');
+  controls.className = 'button-row';
+  controls.appendChild(createVoteSelect(list, key, item.votes?.[uid]));
+  if (list.ownerUid === uid || item.addedBy === uid) {
+    controls.appendChild(makeButton('Remove', () => removeMovieFromSharedList(list.id, key)));
+  }
+  li.appendChild(controls);
+  return li;
+}
+
+function createListElement(list, uid) {
+  const section = document.createElement('section');
+  section.className = 'shared-list';
+  section.dataset.listId = list.id;
+
+  const header = document.createElement('div');
+  header.className = 'shared-list-header';
+  const heading = document.createElement('h4');
+  heading.textContent = list.name;
+  header.append(heading, makeButton('Leave', () => leaveSharedList(list.id)));
+  section.appendChild(header);
+
+  const members = document.createElement('p');
+  members.className = 'shared-list-members';
+  const names = list.memberUids.map(memberUid => describeMember(list, memberUid));
+  members.textContent = `Members: ${names.join(', ')}`;
+  if (list.invitedEmails.length) {
+    members.textContent += ` · Invited: ${list.invitedEmails.join(', ')}`;
+  }
+  section.appendChild(members);
+  if (list.ownerUid === uid) {
+    section.appendChild(
+      createInlineForm('Invite by email', 'Invite', email => inviteToSharedList(list.id, email), 'email')
+    );
+  }
+
+  const entries = Object.entries(list.items).filter(([, item]) => item && item.movie);
+  if (!entries.length) {
+    const empty = document.createElement('p');
+    empty.innerHTML = '<em>No movies yet. Add some from the movie stream.</em>';
+    section.appendChild(empty);
+    return section;
+  }
+  const withSummary = entries.map(([key, item]) => ({
+    key,
+    item,
+    summary: summarizeSharedListItem(list, item)
+  }));
+  withSummary.sort(
+    (a, b) =>
+      (b.summary.averageInterest ?? 0) - (a.summary.averageInterest ?? 0) ||
+      b.summary.votes.length - a.summary.votes.length ||
+      (b.item.addedAt ?? 0) - (a.item.addedAt ?? 0)
+  );
+  const ul = document.createElement('ul');
+  ul.className = 'shared-list-items';
+  withSummary.forEach(({ key, item }) => ul.appendChild(createItemElement(list, key, item, uid)));
+  section.appendChild(ul);
+  return section;
+}
+
+export function renderSharedLists() {
+  if (!getDocument() || !container) return;
+  container.innerHTML = '';
+  const user = getCurrentUser();
+  if (!user) {
+    container.innerHTML = '<em>Sign in to share watchlists with your household.</em>';
+    return;
+  }
+
+  if (pendingInvites.length) {
+    const invites = document.createElement('ul');
+    invites.className = 'shared-list-invites';
+    pendingInvites.forEach(list => {
+      const li = document.createElement('li');
+      const owner = describeMember(list, list.ownerUid);
+      const text = document.createElement('span');
+      text.textContent = `${owner} invited you to "${list.name}"`;
+      li.append(
+        text,
+        makeButton('Accept', () => acceptSharedListInvite(list.id)),
+        makeButton('Decline', () => declineSharedListInvite(list.id))
+      );
+      invites.appendChild(li);
+    });
+    container.appendChild(invites);
+  }
+
+  container.appendChild(
+    createInlineForm('New shared list name', 'Create shared list', name => createSharedList(name))
+  );
+
+  if (!sharedLists.length) {
+    const empty = document.createElement('p');
+    empty.innerHTML = '<em>No shared lists yet.</em>';
+    container.appendChild(empty);
+    return;
+  }
+  sharedLists.forEach(list => container.appendChild(createListElement(list, user.uid)));
+}
+
+export function initSharedListsPanel(element) {
+  container = element || null;
+  renderSharedLists();
+}
@@ -0,0 +1,533 @@
+import { getCurrentUser, awaitAuthUser, db } from './auth.js';
+import { API_BASE_URL } from './config.js';
+
+const SHOW_PREFS_KEY = 'tvPreferences';
+const PREF_COLLECTION = 'tvPreferences';
+const DEFAULT_INTEREST = 3;
+const SHOW_FETCH_LIMIT = 60;
+const SUPPRESSED_STATUSES = new Set(['watched', 'notInterested', 'interested']);
+
+let currentPrefs = {};
+let currentShows = [];
+let prefsLoadedFor = null;
+let loadingPrefsPromise = null;
+let showSearchQuery = '';
+let searchTimer = null;
+const seasonsByShowId = new Map();
+const expandedSeasonLists = new Set();
+
+const domRefs = {
+  list: null,
+  status: null,
+  search: null,
+  tabs: null,
+  streamSection: null,
+  savedSection: null,
+  watchedSection: null,
+  savedList: null,
+  watchedList: null
+};
+
+function getDocument() {
+  return typeof document !== 'undefined' ? document : null;
+}
+
+function buildShowsApiUrl(path) {
+  const trimmedPath = path.startsWith('/') ? path : `/${path}`;
+  const base = API_BASE_URL && API_BASE_URL !== 'null'
+    ? API_BASE_URL.replace(/\/$/, '')
+    : '';
+  return base ? `${base}${trimmedPath}` : trimmedPath;
+}
+
+function buildPosterUrl(path) {
+  if (typeof path !== 'string' || !path.trim()) return '';
+  const params = new URLSearchParams({ path: path.trim(), size: 'w200' });
+  return `${buildShowsApiUrl('/api/movie-image')}?${params.toString()}`;
+}
+
+function loadLocalPrefs() {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    const raw = localStorage.getItem(SHOW_PREFS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (_) {
+    return {};
+  }
+}
+
+function saveLocalPrefs(prefs) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(SHOW_PREFS_KEY, JSON.stringify(prefs));
+  } catch (_) {
+    /* ignore */
+  }
+}
+
+async function loadPreferences() {
+  if (!loadingPrefsPromise) {
+    loadingPrefsPromise = (async () => {
+      const authed = await awaitAuthUser().catch(() => null);
+      const user = getCurrentUser() || authed;
+      const key = user?.uid || 'anonymous';
+      if (prefsLoadedFor === key) return currentPrefs;
+      let prefs = null;
+      if (user) {
+        try {
+          const snap = await db.collection(PREF_COLLECTION).doc(user.uid).get();
+          const stored = snap.exists ? snap.data()?.prefs : null;
+          prefs = stored && typeof stored === 'object' ? stored : {};
+        } catch (err) {
+          if (err && err.code === 'permission-denied') {
+            console.warn('Firestore permission denied when loading show preferences; falling back to local cache.');
+          } else {
+            console.error('Failed to load show preferences', err);
+          }
+        }
+      }
+      prefsLoadedFor = key;
+      currentPrefs = prefs || loadLocalPrefs();
+      return currentPrefs;
+    })().finally(() => {
+      loadingPrefsPromise = null;
+    });
+  }
+  return loadingPrefsPromise;
+}
+
+async function savePreferences(prefs) {
+  currentPrefs = prefs;
+  const authed = await awaitAuthUser().catch(() => null);
+  const user = getCurrentUser() || authed;
+  if (!user) {
+    saveLocalPrefs(prefs);
+    return;
+  }
+  try {
+    await db.collection(PREF_COLLECTION).doc(user.uid).set({ prefs }, { merge: true });
+  } catch (err) {
+    if (err && err.code === 'permission-denied') {
+      console.warn('Firestore permission denied when saving show preferences; caching locally.');
+      saveLocalPrefs(prefs);
+      return;
+    }
+    console.error('Failed to save show preferences', err);
+  }
+}
+
+function summarizeShow(show) {
+  return {
+    id: show.id,
+    name: show.name || '',
+    score: Number.isFinite(Number(show.score)) ? Number(show.score) : null,
+    voteCount: Number.isFinite(Number(show.voteCount)) ? Number(show.voteCount) : null,
+    firstAirDate: show.firstAirDate || null,
+    poster_path: show.poster_path || null,
+    genre_ids: Array.isArray(show.genre_ids) ? show.genre_ids.slice() : [],
+    seasonCount: Number.isFinite(Number(show.seasonCount)) ? Number(show.seasonCount) : null,
+    overview: show.overview || ''
+  };
+}
+
+function getWatchedSeasonNumbers(pref) {
+  const seasons = pref?.seasons && typeof pref.seasons === 'object' ? pref.seasons : {};
+  return Object.keys(seasons)
+    .map(Number)
+    .filter(value => Number.isInteger(value) && value > 0)
+    .sort((a, b) => a - b);
+}
+
+function getSeasonCount(show) {
+  const known = seasonsByShowId.get(String(show?.id));
+  if (known && known.length) return known.length;
+  const count = Number(show?.seasonCount);
+  return Number.isFinite(count) && count > 0 ? count : null;
+}
+
+function formatSeasonProgress(pref) {
+  const watched = getWatchedSeasonNumbers(pref).length;
+  const total = getSeasonCount(pref?.show);
+  if (!watched && !total) return '';
+  return total ? `${watched} of ${total} seasons watched` : `${watched} seasons watched`;
+}
+
+function updateStatus(message) {
+  if (domRefs.status) domRefs.status.textContent = message || '';
+}
+
+function makeActionButton(label, handler) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className = 'movie-action';
+  btn.textContent = label;
+  btn.addEventListener('click', async () => {
+    if (btn.disabled) return;
+    btn.disabled = true;
+    try {
+      await handler();
+    } catch (err) {
+      console.error('Show action failed', err);
+    } finally {
+      if (btn.isConnected) btn.disabled = false;
+    }
+  });
+  return btn;
+}
+
+function appendMeta(list, label, value) {
+  if (value == null || value === '') return;
+  const li = document.createElement('li');
+  li.textContent = `${label}: ${value}`;
+  list.appendChild(li);
+}
+
+function createShowCardShell(show) {
+  const li = document.createElement('li');
+  li.className = 'movie-card show-card';
+  li.dataset.showId = String(show.id);
+
+  const posterUrl = buildPosterUrl(show.poster_path);
+  if (posterUrl) {
+    const img = document.createElement('img');
+    img.src = posterUrl;
+    img.alt = `${show.name || 'Show'} poster`;
+    li.appendChild(img);
+  }
+
+  const info = document.createElement('div');
+  info.className = 'movie-info';
+  const year = String(show.firstAirDate || '').split('-')[0] || 'Unknown';
+  const titleEl = document.createElement('h3');
+  titleEl.textContent = `${show.name || 'Untitled'} (${year})`;
+  info.appendChild(titleEl);
+
+  const metaList = document.createElement('ul');
+  metaList.className = 'movie-meta';
+  appendMeta(metaList, 'Average Score', show.score ?? 'N/A');
+  appendMeta(metaList, 'Votes', show.voteCount ?? 'N/A');
+  appendMeta(metaList, 'Seasons', getSeasonCount(show));
+  info.appendChild(metaList);
+
+  if (show.overview) {
+    const overview = document.createElement('p');
+    overview.textContent = show.overview;
+    info.appendChild(overview);
+  }
+
+  li.appendChild(info);
+  return { li, info };
+}
+
+async function setShowStatus(show, status) {
+  if (!show || show.id == null) return;
+  await loadPreferences();
+  const id = String(show.id);
+  const next = { ...currentPrefs };
+  const entry = next[id] ? { ...next[id] } : {};
+  entry.status = status;
+  entry.updatedAt = Date.now();
+  if (status === 'interested') {
+    entry.interest = entry.interest ?? DEFAULT_INTEREST;
+    entry.show = summarizeShow(show);
+  } else if (status === 'watched') {
+    entry.show = summarizeShow(show);
+    delete entry.interest;
+  } else if (status === 'notInterested') {
+    delete entry.show;
+    delete entry.interest;
+    delete entry.seasons;
+  }
+  next[id] = entry;
+  await savePreferences(next);
+  renderAll();
+}
+
+async function clearShowStatus(showId) {
+  const next = { ...currentPrefs };
+  delete next[String(showId)];
+  await savePreferences(next);
+  renderAll();
+}
+
+async function toggleSeasonWatched(showId, seasonNumber, watched) {
+  const id = String(showId);
+  const entry = currentPrefs[id] ? { ...currentPrefs[id] } : null;
+  if (!entry || !entry.show) return;
+  const seasons = { ...(entry.seasons || {}) };
+  if (watched) {
+    seasons[String(seasonNumber)] = Date.now();
+  } else {
+    delete seasons[String(seasonNumber)];
+  }
+  entry.seasons = seasons;
+  entry.updatedAt = Date.now();
+  const total = getSeasonCount(entry.show);
+  if (total && getWatchedSeasonNumbers(entry).length >= total) {
+    entry.status = 'watched';
+    delete entry.interest;
+  }
+  await savePreferences({ ...currentPrefs, [id]: entry });
+  renderAll();
+}
+
+async function loadSeasons(show) {
+  const id = String(show.id);
+  if (seasonsByShowId.has(id)) return seasonsByShowId.get(id);
+  let seasons = [];
+  try {
+    const res = await fetch(buildShowsApiUrl(`/api/shows/${encodeURIComponent(id)}/seasons`));
+    if (res.ok) {
+      const data = await res.json();
+      seasons = Array.isArray(data?.seasons) ? data.seasons : [];
+    }
+  } catch (err) {
+    console.warn('Failed to load seasons for show', id, err);
+  }
+  if (!seasons.length) {
+    const count = Number(show.seasonCount);
+    if (Number.isFinite(count) && count > 0) {
+      seasons = Array.from({ length: count }, (_, index) => ({
+        seasonNumber: index + 1,
+        name: `Season ${index + 1}`
+      }));
+    }
+  }
+  seasonsByShowId.set(id, seasons);
+  return seasons;
+}
+
+function renderSeasonChecklist(container, pref) {
+  const show = pref.show;
+  const seasons = seasonsByShowId.get(String(show.id)) || [];
+  container.innerHTML = '';
+  if (!seasons.length) {
+    container.textContent = 'No season information available.';
+    return;
+  }
+  const watched = new Set(getWatchedSeasonNumbers(pref));
+  seasons.forEach(season => {
+    const label = document.createElement('label');
+    label.className = 'show-season';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = watched.has(season.seasonNumber);
+    checkbox.dataset.seasonNumber = String(season.seasonNumber);
+    checkbox.addEventListener('change', () => {
+      toggleSeasonWatched(show.id, season.seasonNumber, checkbox.checked);
+    });
+    const episodes = season.episodeCount ? ` (${season.episodeCount} ep)` : '';
+    label.append(checkbox, document.createTextNode(` ${season.name}${episodes}`));
+    container.appendChild(label);
+  });
+}
+
+function appendSeasonTracker(info, pref) {
+  const progressText = formatSeasonProgress(pref);
+  const progress = document.createElement('p');
+  progress.className = 'show-season-progress';
+  progress.textContent = progressText;
+  info.appendChild(progress);
+
+  const id = String(pref.show.id);
+  const checklist = document.createElement('div');
+  checklist.className = 'show-season-list';
+  checklist.hidden = !expandedSeasonLists.has(id);
+  if (!checklist.hidden) {
+    renderSeasonChecklist(checklist, pref);
+  }
+
+  const toggle = makeActionButton('Seasons', async () => {
+    if (!checklist.hidden) {
+      checklist.hidden = true;
+      expandedSeasonLists.delete(id);
+      return;
+    }
+    await loadSeasons(pref.show);
+    renderSeasonChecklist(checklist, pref);
+    checklist.hidden = false;
+    expandedSeasonLists.add(id);
+  });
+  info.append(toggle, checklist);
+}
+
+function getVisibleShows() {
+  return currentShows.filter(show => {
+    const status = currentPrefs[String(show.id)]?.status;
+    return !SUPPRESSED_STATUSES.has(status);
+  });
+}
+
+function renderStream() {
+  const listEl = domRefs.list;
+  if (!listEl || !getDocument()) return;
+  const shows = getVisibleShows();
+  listEl.innerHTML = '';
+  if (!shows.length) {
+    listEl.innerHTML = '<em>No shows to show right now.</em>';
+    return;
+  }
+  const ul = document.createElement('ul');
+  shows.forEach(show => {
+    const { li, info } = createShowCardShell(show);
+    const btnRow = document.createElement('div');
+    btnRow.className = 'button-row';
+    btnRow.append(
+      makeActionButton('Watched Already', () => setShowStatus(show, 'watched')),
+      makeActionButton('Not Interested', () => setShowStatus(show, 'notInterested')),
+      makeActionButton('Interested', () => setShowStatus(show, 'interested'))
+    );
+    info.insertBefore(btnRow, info.children[1] || null);
+    ul.appendChild(li);
+  });
+  listEl.appendChild(ul);
+}
+
+function renderSavedList() {
+  const listEl = domRefs.savedList;
+  if (!listEl || !getDocument()) return;
+  const entries = Object.values(currentPrefs)
+    .filter(pref => pref.status === 'interested' && pref.show)
+    .sort((a, b) => (b.interest ?? 0) - (a.interest ?? 0) || (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+  listEl.innerHTML = '';
+  if (!entries.length) {
+    listEl.innerHTML = '<em>No saved shows yet.</em>';
+    return;
+  }
+  const ul = document.createElement('ul');
+  entries.forEach(pref => {
+    const { li, info } = createShowCardShell(pref.show);
+    appendSeasonTracker(info, pref);
+    const controls = document.createElement('div');
+    controls.className = 'button-row';
+    controls.append(
+      makeActionButton('Mark Watched', () => setShowStatus(pref.show, 'watched')),
+      makeActionButton('Remove', () => clearShowStatus(pref.show.id))
+    );
+    info.appendChild(controls);
+    ul.appendChild(li);
+  });
+  listEl.appendChild(ul);
+}
+
+function renderWatchedList() {
+  const listEl = domRefs.watchedList;
+  if (!listEl || !getDocument()) return;
+  const entries = Object.values(currentPrefs)
+    .filter(pref => pref.status === 'watched' && pref.show)
+    .sort((a, b) => (b.updatedAt ?? 0) - (a.updatedAt ?? 0));
+  listEl.innerHTML = '';
+  if (!entries.length) {
+    listEl.innerHTML = '<em>No watched shows yet.</em>';
+    return;
+  }
+  const ul = document.createElement('ul');
+  entries.forEach(pref => {
+    const { li, info } = createShowCardShell(pref.show);
+    appendSeasonTracker(info, pref);
+    const controls = document.createElement('div');
+    controls.className = 'button-row';
+    controls.append(makeActionButton('Remove', () => clearShowStatus(pref.show.id)));
+    info.appendChild(controls);
+    ul.appendChild(li);
+  });
+  listEl.appendChild(ul);
+}
+
+function renderAll() {
+  renderStream();
+  renderSavedList();
+  renderWatchedList();
+}
+
+async function loadShows() {
+  updateStatus('Loading shows...');
+  const params = new URLSearchParams({ limit: String(SHOW_FETCH_LIMIT) });
+  if (showSearchQuery) params.set('q', showSearchQuery);
+  try {
+    const res = await fetch(`${buildShowsApiUrl('/api/shows')}?${params.toString()}`);
+    if (!res.ok) throw new Error(`Show request failed: ${res.status}`);
+    const data = await res.json();
+    currentShows = Array.isArray(data?.results) ? data.results : [];
+    const total = Number(data?.metadata?.totalMatches);
+    updateStatus(
+      currentShows.length
+        ? `Showing ${getVisibleShows().length} of ${Number.isFinite(total) ? total : currentShows.length} shows.`
+        : 'No shows matched.'
+    );
+  } catch (err) {
+    console.error('Failed to load shows', err);
+    currentShows = [];
+    updateStatus('Unable to load shows right now.');
+  }
+  renderAll();
+}
+
+function showSection(target) {
+  if (domRefs.streamSection) {
+    domRefs.streamSection.style.display = target === 'showStreamSection' ? '' : 'none';
+  }
+  if (domRefs.savedSection) {
+    domRefs.savedSection.style.display = target === 'savedShowsSection' ? '' : 'none';
+  }
+  if (domRefs.watchedSection) {
+    domRefs.watchedSection.style.display = target === 'watchedShowsSection' ? '' : 'none';
+  }
+}
+
+export async function initSeriesPanel() {
+  const doc = getDocument();
+  if (!doc) return;
+  domRefs.list = doc.getElementById('showList');
+  if (!domRefs.list) return;
+  domRefs.status = doc.getElementById('showStatus');
+  domRefs.search = doc.getElementById('showSearch');
+  domRefs.tabs = doc.getElementById('showTabs');
+  domRefs.streamSection = doc.getElementById('showStreamSection');
+  domRefs.savedSection = doc.getElementById('savedShowsSection');
+  domRefs.watchedSection = doc.getElementById('watchedShowsSection');
+  domRefs.savedList = doc.getElementById('savedShowsList');
+  domRefs.watchedList = doc.getElementById('watchedShowsList');
+
+  currentPrefs = await loadPreferences();
+
+  if (domRefs.tabs) {
+    const buttons = Array.from(domRefs.tabs.querySelectorAll('.movie-tab'));
+    buttons.forEach(btn => {
+      if (btn._showTabHandler) btn.removeEventListener('click', btn._showTabHandler);
+      const handler = () => {
+        buttons.forEach(b => b.classList.toggle('active', b === btn));
+        showSection(btn.dataset.target);
+      };
+      btn._showTabHandler = handler;
+      btn.addEventListener('click', handler);
+    });
+  }
+
+  if (domRefs.search) {
+    if (domRefs.search._showSearchHandler) {
+      domRefs.search.removeEventListener('input', domRefs.search._showSearchHandler);
+    }
+    const handler = () => {
+      if (searchTimer) clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        searchTimer = null;
+        showSearchQuery = domRefs.search.value.trim();
+        loadShows();
+      }, 250);
+    };
+    domRefs.search._showSearchHandler = handler;
+    domRefs.search.addEventListener('input', handler);
+  }
+
+  await loadShows();
+}
+
+export async function refreshSeriesPanelForAuthChange(user = null) {
+  const nextKey = user?.uid || 'anonymous';
+  if (prefsLoadedFor === nextKey) return;
+  prefsLoadedFor = null;
+  loadingPrefsPromise = null;
+  currentPrefs = await loadPreferences();
+  renderAll();
+}
@@ -1,14 +1,19 @@
 import { loadTabOrder } from './settings.js';
 
-export const PANELS = ['moviesPanel'];
+export const PANELS = ['moviesPanel', 'seriesPanel'];
 
 export const PANEL_NAMES = {
-  moviesPanel: 'Movies'
+  moviesPanel: 'Movies',
+  seriesPanel: 'Series'
 };
 
 let tabsInitialized = false;
 
-export async function initTabs(user, db) {
+function resolvePanelInitializer(panelInitializers, target) {
+  return typeof panelInitializers?.[target] === 'function' ? panelInitializers[target] : null;
+}
+
+export async function initTabs(user, db, panelInitializers = {}) {
   // Only attach listeners once
   if (tabsInitialized) return;
   tabsInitialized = true;
@@ -56,8 +61,9 @@ export async function initTabs(user, db) {
       history.pushState(null, '', `#${target}`);
 
       // 4) init dynamic content
-      if (target === 'moviesPanel') {
-        await window.initMoviesPanel();
+      const initPanel = resolvePanelInitializer(panelInitializers, target);
+      if (initPanel) {
+        await initPanel();
       }
     });
   });
@@ -84,8 +90,9 @@ export async function initTabs(user, db) {
   // on load, fire any needed init. If DOMContentLoaded already fired,
   // run immediately instead of waiting for the event.
   const runInitial = () => {
-    if (initial === 'moviesPanel') {
-      window.initMoviesPanel();
+    const initPanel = resolvePanelInitializer(panelInitializers, initial);
+    if (initPanel) {
+      initPanel();
     }
   };
 
@@ -0,0 +1,140 @@
+import { describe, it, beforeAll, afterAll, beforeEach } from 'vitest';
+import { readFileSync } from 'node:fs';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails
+} from '@firebase/rules-unit-testing';
+import { doc, setDoc, updateDoc, arrayUnion, arrayRemove, deleteField } from 'firebase/firestore';
+
+const emulatorHost = process.env.FIRESTORE_EMULATOR_HOST;
+
+describe.skipIf(!emulatorHost)('shared movie list rules', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    const [host, port] = emulatorHost.split(':');
+    testEnv = await initializeTestEnvironment({
+      projectId: 'demo-movie-stream',
+      firestore: {
+        host,
+        port: Number(port),
+        rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8')
+      }
+    });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await testEnv.withSecurityRulesDisabled(async context => {
+      await setDoc(doc(context.firestore(), 'sharedMovieLists/list-1'), {
+        name: 'Household',
+        ownerUid: 'owner',
+        memberUids: ['owner', 'partner'],
+        members: {
+          owner: { email: 'owner@example.com', displayName: 'Owner' },
+          partner: { email: 'partner@example.com', displayName: 'Partner' }
+        },
+        invitedEmails: ['guest@example.com', 'friend@example.com'],
+        items: {
+          42: { movie: { id: 42 }, addedBy: 'owner', votes: { owner: 4 } }
+        },
+        movieNight: {},
+        updatedAt: 1
+      });
+    });
+  });
+
+  const guestList = () =>
+    doc(
+      testEnv.authenticatedContext('guest', { email: 'guest@example.com' }).firestore(),
+      'sharedMovieLists/list-1'
+    );
+
+  const memberList = uid =>
+    doc(testEnv.authenticatedContext(uid, { email: `${uid}@example.com` }).firestore(), 'sharedMovieLists/list-1');
+
+  it('keeps membership and invites with the owner', async () => {
+    await assertFails(updateDoc(memberList('partner'), { memberUids: ['partner'], updatedAt: 2 }));
+    await assertFails(
+      updateDoc(memberList('partner'), { invitedEmails: arrayUnion('stranger@example.com'), updatedAt: 2 })
+    );
+    await assertFails(updateDoc(memberList('partner'), { name: 'Renamed', updatedAt: 2 }));
+    await assertSucceeds(
+      updateDoc(memberList('owner'), { invitedEmails: arrayUnion('stranger@example.com'), updatedAt: 2 })
+    );
+    await assertSucceeds(
+      updateDoc(memberList('partner'), {
+        memberUids: arrayRemove('partner'),
+        'members.partner': deleteField(),
+        updatedAt: 3
+      })
+    );
+  });
+
+  it('lets members change only their own votes, picks and movie night entry', async () => {
+    await assertSucceeds(updateDoc(memberList('partner'), { 'items.42.votes.partner': 5, updatedAt: 2 }));
+    await assertFails(updateDoc(memberList('partner'), { 'items.42.votes.owner': 1, updatedAt: 2 }));
+    await assertFails(updateDoc(memberList('partner'), { 'items.42': deleteField(), updatedAt: 2 }));
+    await assertSucceeds(
+      updateDoc(memberList('partner'), {
+        'items.7': { movie: { id: 7 }, addedBy: 'partner', addedAt: 2, votes: { partner: 3 } },
+        updatedAt: 2
+      })
+    );
+    await assertSucceeds(updateDoc(memberList('partner'), { 'items.7': deleteField(), updatedAt: 3 }));
+    await assertSucceeds(
+      updateDoc(memberList('partner'), { 'movieNight.partner': { interested: { 42: 5 }, sharedAt: 3 }, updatedAt: 3 })
+    );
+    await assertFails(
+      updateDoc(memberList('partner'), { 'movieNight.owner': { interested: {}, sharedAt: 3 }, updatedAt: 3 })
+    );
+  });
+
+  it('lets an invitee accept by adding only their own member entry', async () => {
+    await assertSucceeds(
+      updateDoc(guestList(), {
+        memberUids: arrayUnion('guest'),
+        invitedEmails: arrayRemove('guest@example.com'),
+        'members.guest': { email: 'guest@example.com', displayName: 'Guest' },
+        updatedAt: 2
+      })
+    );
+  });
+
+  it('rejects invitees that change other member entries', async () => {
+    await assertFails(
+      updateDoc(guestList(), {
+        memberUids: arrayUnion('guest'),
+        invitedEmails: arrayRemove('guest@example.com'),
+        'members.guest': { email: 'guest@example.com', displayName: 'Guest' },
+        'members.partner': { email: 'guest@example.com', displayName: 'Not Partner' },
+        updatedAt: 2
+      })
+    );
+  });
+
+  it('requires invitees to drop exactly their own invite', async () => {
+    await assertFails(
+      updateDoc(guestList(), {
+        memberUids: arrayUnion('guest'),
+        invitedEmails: [],
+        'members.guest': { email: 'guest@example.com', displayName: 'Guest' },
+        updatedAt: 2
+      })
+    );
+    await assertFails(
+      updateDoc(guestList(), {
+        invitedEmails: ['guest@example.com', 'friend@example.com', 'stranger@example.com'],
+        updatedAt: 2
+      })
+    );
+    await assertSucceeds(
+      updateDoc(guestList(), { invitedEmails: arrayRemove('guest@example.com'), updatedAt: 2 })
+    );
+  });
+});
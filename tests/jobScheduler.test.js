@@ -0,0 +1,264 @@
+import { describe, it, expect } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  createPriorityQueue,
+  normalizeWindows,
+  isWithinWindows,
+  createJobScheduler
+} = require('../backend/job-scheduler.js');
+
+function createFakeDb() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: name => ({
+      doc: job => ({
+        collection: sub => ({
+          doc: id => ({
+            set: async data => {
+              docs.set(`${name}/${job}/${sub}/${id}`, data);
+            }
+          })
+        })
+      })
+    })
+  };
+}
+
+describe('job scheduler', () => {
+  it('pops the highest priority first and keeps insertion order within a priority', () => {
+    const queue = createPriorityQueue({ maxSize: 3 });
+    queue.push('feed-a', { title: 'A' }, 1);
+    queue.push('feed-b', { title: 'B' }, 1);
+    queue.push('saved-c', { title: 'C' }, 2);
+    expect(queue.push('extra', { title: 'D' }, 5)).toBe(false);
+    expect(queue.push('feed-b', { title: 'B' }, 3)).toBe(false);
+    expect([queue.pop(), queue.pop(), queue.pop()].map(entry => entry.item.title)).toEqual([
+      'B',
+      'C',
+      'A'
+    ]);
+    expect(queue.pop()).toBeNull();
+  });
+
+  it('drains bumped and re-added keys in priority order without stale entries', () => {
+    const queue = createPriorityQueue();
+    for (let index = 0; index < 200; index += 1) {
+      queue.push(`item-${index}`, { index }, index % 4);
+    }
+    queue.push('item-7', { index: 7, bumped: true }, 10);
+    queue.push('item-7', { index: 7 }, 1);
+    queue.push('item-8', { index: 8 }, 10);
+    expect(queue.pop()).toMatchObject({ key: 'item-7', priority: 10, item: { index: 7 } });
+    queue.push('item-7', { index: 7 }, 0);
+    expect(queue.size).toBe(200);
+
+    const drained = [];
+    let entry;
+    while ((entry = queue.pop())) drained.push(entry);
+    expect(drained).toHaveLength(200);
+    expect(new Set(drained.map(item => item.key)).size).toBe(200);
+    expect(drained[0].key).toBe('item-8');
+    const rest = drained.slice(1);
+    rest.slice(1).forEach((item, index) => {
+      const previous = rest[index];
+      expect(
+        previous.priority > item.priority ||
+          (previous.priority === item.priority && previous.sequence < item.sequence)
+      ).toBe(true);
+    });
+    expect(drained.at(-1).key).toBe('item-7');
+    expect(queue.size).toBe(0);
+  });
+
+  it('parses time-of-day windows in UTC, including ones that wrap midnight', () => {
+    const windows = normalizeWindows('22:00-02:00, 09:30-10:00, bogus, 25:00-26:00');
+    expect(windows).toEqual([
+      { start: 22 * 60, end: 2 * 60 },
+      { start: 9 * 60 + 30, end: 10 * 60 }
+    ]);
+    expect(isWithinWindows(windows, new Date('2024-01-01T23:15:00Z'))).toBe(true);
+    expect(isWithinWindows(windows, new Date('2024-01-01T01:59:00Z'))).toBe(true);
+    expect(isWithinWindows(windows, new Date('2024-01-01T09:45:00Z'))).toBe(true);
+    expect(isWithinWindows(windows, new Date('2024-01-01T12:00:00Z'))).toBe(false);
+    expect(isWithinWindows([], new Date('2024-01-01T12:00:00Z'))).toBe(true);
+  });
+
+  it('records run counts and persists history', async () => {
+    const db = createFakeDb();
+    const scheduler = createJobScheduler({ getDb: () => db });
+    const seen = [];
+    scheduler.registerJob('prefetch', {
+      run: async job => {
+        let entry = job.queue.pop();
+        while (entry) {
+          seen.push(entry.key);
+          job.count(entry.item.hit ? 'hits' : 'misses');
+          entry = job.queue.pop();
+        }
+        job.count('rateLimited');
+        return { haltedReason: 'rate_limited', summary: { seen: seen.length } };
+      }
+    });
+    scheduler.enqueue('prefetch', 'feed', { hit: false }, 1);
+    scheduler.enqueue('prefetch', 'saved', { hit: true }, 2);
+
+    expect(scheduler.startJob('prefetch', { delayMs: 0 })).toBe(true);
+    expect(scheduler.startJob('prefetch')).toBe(false);
+    const run = await scheduler.waitForJob('prefetch');
+
+    expect(seen).toEqual(['saved', 'feed']);
+    expect(run).toMatchObject({
+      job: 'prefetch',
+      trigger: 'manual',
+      status: 'completed',
+      haltedReason: 'rate_limited',
+      options: { delayMs: 0 },
+      counts: { hits: 1, misses: 1, rateLimited: 1 },
+      result: { summary: { seen: 2 } }
+    });
+    expect(db.docs.get(`jobRuns/prefetch/runs/${run.runId}`)).toEqual(run);
+    expect(scheduler.getJobStatus('prefetch')).toMatchObject({
+      queued: 0,
+      runtime: { running: false },
+      lastRun: run
+    });
+  });
+
+  it('starts jobs when their window opens and stops them when it closes', async () => {
+    let current = new Date('2024-01-01T02:30:00Z');
+    const scheduler = createJobScheduler({ getDb: () => null, now: () => current });
+    let release;
+    scheduler.registerJob('nightly', {
+      windows: ['02:00-04:00'],
+      autoStart: true,
+      run: job =>
+        new Promise(resolve => {
+          release = () => resolve({ haltedReason: job.shouldStop() ? 'stop_requested' : null });
+        })
+    });
+
+    scheduler.checkWindows();
+    expect(scheduler.getJobStatus('nightly').runtime).toMatchObject({
+      running: true,
+      trigger: 'window'
+    });
+
+    current = new Date('2024-01-01T04:05:00Z');
+    scheduler.checkWindows();
+    expect(scheduler.getJobStatus('nightly').runtime.stopRequested).toBe(true);
+    release();
+    await scheduler.waitForJob('nightly');
+
+    const history = await scheduler.getJobHistory('nightly');
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({ trigger: 'window', haltedReason: 'stop_requested' });
+    expect(scheduler.getJobStatus('nightly').withinWindow).toBe(false);
+  });
+
+  it('waits for the next eligible time and does not rerun a finished pass in the same window', async () => {
+    let current = new Date('2024-01-01T02:00:00Z');
+    const scheduler = createJobScheduler({ getDb: () => null, now: () => current });
+    const outcomes = [
+      { haltedReason: 'rate_limited', nextEligibleAt: '2024-01-01T02:30:00Z' },
+      { haltedReason: 'max_fetches_reached', nextEligibleAt: new Date('2024-01-01T03:00:00Z').getTime() },
+      { haltedReason: 'completed_pass' },
+      { haltedReason: 'completed_pass' }
+    ];
+    const triggers = [];
+    scheduler.registerJob('nightly', {
+      windows: ['02:00-04:00'],
+      autoStart: true,
+      run: async job => {
+        triggers.push(job.trigger);
+        return outcomes.shift();
+      }
+    });
+    const tick = async at => {
+      current = new Date(at);
+      scheduler.checkWindows();
+      await scheduler.waitForJob('nightly');
+    };
+
+    await tick('2024-01-01T02:00:00Z');
+    expect(scheduler.getJobStatus('nightly')).toMatchObject({
+      nextEligibleAt: '2024-01-01T02:30:00.000Z',
+      lastRun: { haltedReason: 'rate_limited', nextEligibleAt: '2024-01-01T02:30:00.000Z' }
+    });
+    await tick('2024-01-01T02:10:00Z');
+    expect(triggers).toHaveLength(1);
+
+    await tick('2024-01-01T02:30:00Z');
+    expect(triggers).toHaveLength(2);
+    await tick('2024-01-01T02:45:00Z');
+    expect(triggers).toHaveLength(2);
+
+    await tick('2024-01-01T03:00:00Z');
+    expect(triggers).toHaveLength(3);
+    expect(scheduler.getJobStatus('nightly')).toMatchObject({ nextEligibleAt: null, finishedInWindow: true });
+    await tick('2024-01-01T03:30:00Z');
+    expect(triggers).toHaveLength(3);
+
+    await tick('2024-01-01T05:00:00Z');
+    expect(scheduler.getJobStatus('nightly').finishedInWindow).toBe(false);
+    await tick('2024-01-02T02:00:00Z');
+    expect(triggers).toEqual(['window', 'window', 'window', 'window']);
+
+    expect(scheduler.startJob('nightly')).toBe(true);
+    await scheduler.waitForJob('nightly');
+    expect(triggers.at(-1)).toBe('manual');
+  });
+
+  it('starts queue-driven jobs on enqueue while idle, eligible and inside their windows', async () => {
+    let current = new Date('2024-01-01T01:00:00Z');
+    const scheduler = createJobScheduler({ getDb: () => null, now: () => current });
+    const drained = [];
+    const outcomes = [{ haltedReason: 'rate_limited', nextEligibleAt: '2024-01-01T02:30:00Z' }];
+    scheduler.registerJob('prefetch', {
+      windows: ['02:00-04:00'],
+      startOnEnqueue: true,
+      run: async job => {
+        await Promise.resolve();
+        let entry;
+        while ((entry = job.queue.pop())) drained.push([job.trigger, entry.key]);
+        return outcomes.shift();
+      }
+    });
+
+    scheduler.enqueue('prefetch', 'early', {});
+    expect(scheduler.getJobStatus('prefetch')).toMatchObject({ queued: 1, runtime: { running: false } });
+
+    current = new Date('2024-01-01T02:00:00Z');
+    scheduler.enqueue('prefetch', 'first', {});
+    expect(scheduler.getJobStatus('prefetch').runtime).toMatchObject({ running: true, trigger: 'queue' });
+    scheduler.enqueue('prefetch', 'while-running', {});
+    await scheduler.waitForJob('prefetch');
+    expect(drained).toEqual([
+      ['queue', 'early'],
+      ['queue', 'first'],
+      ['queue', 'while-running']
+    ]);
+
+    current = new Date('2024-01-01T02:10:00Z');
+    scheduler.enqueue('prefetch', 'backing-off', {});
+    expect(scheduler.getJobStatus('prefetch').runtime.running).toBe(false);
+
+    current = new Date('2024-01-01T02:40:00Z');
+    scheduler.enqueue('prefetch', 'eligible', {});
+    await scheduler.waitForJob('prefetch');
+    expect(drained.slice(3)).toEqual([
+      ['queue', 'backing-off'],
+      ['queue', 'eligible']
+    ]);
+    expect(scheduler.getJobStatus('prefetch').finishedInWindow).toBe(false);
+
+    const always = createJobScheduler({ getDb: () => null, now: () => current });
+    let ran = 0;
+    always.registerJob('prefetch', { startOnEnqueue: true, run: async () => { ran += 1; } });
+    always.enqueue('prefetch', 'any', {});
+    await always.waitForJob('prefetch');
+    expect(ran).toBe(1);
+  });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const movieCatalog = require('../backend/movie-catalog.js');
+
+describe('movie catalog search', () => {
+  beforeAll(async () => {
+    await movieCatalog.ensureCatalog();
+  });
+
+  afterAll(() => {
+    movieCatalog.stop();
+  });
+
+  it('ranks exact title matches first', () => {
+    const { results, matchQuality } = movieCatalog.searchCatalogWithStats('the godfather');
+    expect(results[0].title).toBe('The Godfather');
+    expect(results.map(movie => movie.title)).toContain('The Godfather Part II');
+    expect(matchQuality.best).toBe('exact');
+  });
+
+  it('tolerates typos in query tokens', () => {
+    const { results, matchQuality } = movieCatalog.searchCatalogWithStats('godfater');
+    expect(results.map(movie => movie.title)).toEqual(
+      expect.arrayContaining(['The Godfather', 'The Godfather Part II'])
+    );
+    expect(matchQuality.fuzzy).toBe(2);
+    expect(matchQuality.best).toBe('fuzzy');
+  });
+
+  it('folds accents and punctuation', () => {
+    const accented = movieCatalog.searchCatalogWithStats('schíndlers');
+    expect(accented.results[0].title).toBe("Schindler's List");
+
+    const punctuated = movieCatalog.searchCatalogWithStats('good the bad');
+    expect(punctuated.results[0].title).toBe('The Good, the Bad and the Ugly');
+  });
+
+  it('matches split and joined words', () => {
+    const joined = movieCatalog.searchCatalogWithStats('darkknight');
+    expect(joined.results[0].title).toBe('The Dark Knight');
+
+    const prefix = movieCatalog.searchCatalogWithStats('pulp fic');
+    expect(prefix.results[0].title).toBe('Pulp Fiction');
+    expect(prefix.matchQuality.best).toBe('prefix');
+  });
+
+  it('returns no matches for unrelated queries', () => {
+    const { results, totalMatches, matchQuality } = movieCatalog.searchCatalogWithStats('zzzzqx');
+    expect(results).toEqual([]);
+    expect(totalMatches).toBe(0);
+    expect(matchQuality.best).toBeNull();
+  });
+
+  it('applies vote, year and sort filters', () => {
+    const { results, filters } = movieCatalog.searchCatalogWithStats('', {
+      limit: 50,
+      minVotes: 1500000,
+      startYear: 2005,
+      endYear: 1970,
+      sort: 'oldest'
+    });
+    const years = results.map(movie => Number(movie.releaseDate.slice(0, 4)));
+    expect(years.length).toBeGreaterThan(0);
+    expect(years).toEqual([...years].sort((a, b) => a - b));
+    years.forEach(year => {
+      expect(year).toBeGreaterThanOrEqual(1970);
+      expect(year).toBeLessThanOrEqual(2005);
+    });
+    results.forEach(movie => expect(movie.voteCount).toBeGreaterThanOrEqual(1500000));
+    expect(filters).toMatchObject({ startYear: 1970, endYear: 2005, sort: 'oldest' });
+  });
+
+  it('ignores genre filters when the catalog has no genre data', () => {
+    const all = movieCatalog.searchCatalogWithStats('', { limit: 50 });
+    const filtered = movieCatalog.searchCatalogWithStats('', { limit: 50, withGenres: '18|80' });
+    expect(filtered.totalMatches).toBe(all.totalMatches);
+    expect(filtered.filters.withGenres).toEqual([18, 80]);
+  });
+
+  it('normalizes keyword filters and ignores them without keyword data', () => {
+    const all = movieCatalog.searchCatalogWithStats('', { limit: 50 });
+    const filtered = movieCatalog.searchCatalogWithStats('', {
+      limit: 50,
+      withKeywords: 'Heist| time travel ,heist',
+      withoutKeywords: ['Based On Novel']
+    });
+    expect(filtered.totalMatches).toBe(all.totalMatches);
+    expect(filtered.filters.withKeywords).toEqual(['heist', 'time travel']);
+    expect(filtered.filters.withoutKeywords).toEqual(['based on novel']);
+  });
+
+  it('pages through results with an opaque cursor', () => {
+    const all = movieCatalog.searchCatalogWithStats('', { limit: 50, sort: 'rating' });
+    const seen = [];
+    let cursor;
+    do {
+      const page = movieCatalog.searchCatalogWithStats('', { limit: 3, sort: 'rating', cursor });
+      seen.push(...page.results.map(movie => movie.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    expect(seen).toEqual(all.results.map(movie => movie.id));
+    expect(all.nextCursor).toBeNull();
+  });
+
+  it('rejects cursors issued for a different query', () => {
+    const { nextCursor } = movieCatalog.searchCatalogWithStats('the', { limit: 1 });
+    expect(nextCursor).toEqual(expect.any(String));
+    expect(() => movieCatalog.searchCatalogWithStats('lord', { cursor: nextCursor })).toThrow(
+      'invalid_cursor'
+    );
+  });
+
+  it('ranks results with the requested ranking profile', () => {
+    const balanced = movieCatalog.searchCatalogWithStats('', { limit: 50 });
+    const classics = movieCatalog.searchCatalogWithStats('', { limit: 50, rank: 'classics' });
+    const unknown = movieCatalog.searchCatalogWithStats('', { limit: 50, rank: 'nope' });
+    expect(classics.filters.rank).toBe('classics');
+    expect(unknown.filters.rank).toBe(movieCatalog.DEFAULT_RANKING_PROFILE);
+    expect(classics.results[0].title).toBe('The Godfather');
+    expect(balanced.results[0].title).toBe('The Shawshank Redemption');
+    expect(movieCatalog.getRankingProfiles().map(profile => profile.name)).toEqual(
+      expect.arrayContaining(['balanced', 'hiddenGems', 'classics', 'whatsNew'])
+    );
+    expect(movieCatalog.getRankingProfiles().find(profile => profile.name === 'hiddenGems')).toMatchObject({
+      label: 'Hidden gems',
+      weights: { score: 7, votes: -0.6 }
+    });
+  });
+
+  it('requires shared genres or credits for similar movies', () => {
+    expect(movieCatalog.findSimilarMovies('missing-id')).toBeNull();
+    const known = movieCatalog.findSimilarMovies('tt0068646', { limit: 5 });
+    expect(known.source.title).toBe('The Godfather');
+    expect(known.results).toEqual([]);
+  });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getDivergenceSignals,
+  measureDivergence,
+  rankDivergentMovies
+} from '../js/movieDivergence.js';
+
+const blends = { 1: 40, 2: 85, 3: 70 };
+const getCriticBlend = movie => ({ value: blends[movie.id] ?? null });
+
+describe('audience vs critic divergence', () => {
+  it('puts audience, critic and personal scores on one scale', () => {
+    expect(getDivergenceSignals({ vote_average: 8.2 }, { criticBlend: 41, userRating: 9.5 })).toEqual({
+      audience: 82,
+      critics: 41,
+      you: 95
+    });
+    expect(getDivergenceSignals({ vote_average: 0 }, {})).toEqual({
+      audience: null,
+      critics: null,
+      you: null
+    });
+  });
+
+  it('measures the widest gap between known signals', () => {
+    expect(measureDivergence({ audience: 82, critics: 41, you: 95 })).toEqual({
+      high: 'you',
+      low: 'critics',
+      spread: 54
+    });
+    expect(measureDivergence({ audience: 82, critics: null, you: null })).toBeNull();
+  });
+
+  it('ranks sharply divergent titles and can require a personal rating', () => {
+    const entries = [
+      { id: '1', movie: { id: 1, title: 'Crowd Favourite', vote_average: 8.4 } },
+      { id: '2', movie: { id: 2, title: 'Agreed Classic', vote_average: 8.6 }, userRating: 9 },
+      { id: '3', movie: { id: 3, title: 'Not For Me', vote_average: 7.2 }, userRating: 3 }
+    ];
+    const all = rankDivergentMovies(entries, { getCriticBlend });
+    expect(all.map(entry => [entry.movie.title, Math.round(entry.spread)])).toEqual([
+      ['Crowd Favourite', 44],
+      ['Not For Me', 42]
+    ]);
+    expect(all[1]).toMatchObject({ high: 'audience', low: 'you' });
+
+    const mine = rankDivergentMovies(entries, { getCriticBlend, requireUserRating: true });
+    expect(mine.map(entry => entry.movie.title)).toEqual(['Not For Me']);
+  });
+});
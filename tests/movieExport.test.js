@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildLetterboxdCsv,
+  buildPlainCsv,
+  buildMovieBackup,
+  parseMovieBackup
+} from '../js/movieExport.js';
+import { parseCsv, parseImportFile } from '../js/movieImport.js';
+
+const prefs = {
+  949: {
+    status: 'watched',
+    userRating: 9,
+    updatedAt: Date.UTC(2024, 0, 5),
+    movie: { id: 949, title: 'Heat', release_date: '1995-12-15' },
+    viewings: [
+      { id: 'v2', date: '2024-01-04', rating: 9, review: 'Even better, honestly' },
+      { id: 'v1', date: '2019-06-01', rating: 7.5, review: '' }
+    ]
+  },
+  593: {
+    status: 'watched',
+    userRating: 6,
+    updatedAt: Date.UTC(2024, 1, 1),
+    movie: { id: 593, title: 'Solaris, Remastered', release_date: '1972-03-20' }
+  },
+  329865: {
+    status: 'interested',
+    interest: 4,
+    updatedAt: Date.UTC(2024, 2, 1),
+    movie: { id: 329865, title: 'Arrival', release_date: '2016-11-10' }
+  },
+  12: { status: 'notInterested', updatedAt: Date.UTC(2024, 3, 1) }
+};
+
+describe('movie exports', () => {
+  it('writes Letterboxd CSV rows per diary entry with 5-star ratings', () => {
+    const rows = parseCsv(buildLetterboxdCsv(prefs));
+    expect(rows).toEqual([
+      ['tmdbID', 'Title', 'Year', 'Rating', 'WatchedDate', 'Rewatch', 'Review'],
+      ['949', 'Heat', '1995', '4', '2019-06-01', '', ''],
+      ['949', 'Heat', '1995', '4.5', '2024-01-04', 'Yes', 'Even better, honestly'],
+      ['593', 'Solaris, Remastered', '1972', '3', '', '', '']
+    ]);
+  });
+
+  it('writes a plain CSV of watched and saved movies', () => {
+    const rows = parseCsv(buildPlainCsv(prefs));
+    expect(rows[0]).toEqual([
+      'tmdb_id', 'title', 'year', 'status', 'interest', 'user_rating', 'times_viewed', 'last_watched', 'updated_at'
+    ]);
+    expect(rows.slice(1)).toEqual([
+      ['329865', 'Arrival', '2016', 'interested', '4', '', '', '', '2024-03-01T00:00:00.000Z'],
+      ['949', 'Heat', '1995', 'watched', '', '9', '2', '2024-01-04', '2024-01-05T00:00:00.000Z'],
+      ['593', 'Solaris, Remastered', '1972', 'watched', '', '6', '', '', '2024-02-01T00:00:00.000Z']
+    ]);
+  });
+
+  it('round-trips a versioned JSON backup through the importer', () => {
+    const backup = buildMovieBackup(prefs, { exportedAt: Date.UTC(2024, 4, 1) });
+    expect(backup).toMatchObject({
+      format: 'movie-stream-backup',
+      version: 1,
+      exportedAt: '2024-05-01T00:00:00.000Z'
+    });
+    expect(Object.keys(backup.movies)).toHaveLength(4);
+
+    const parsed = parseImportFile(JSON.stringify(backup), 'movies-backup.json');
+    expect(parsed.format).toBe('movieBackup');
+    expect(parsed.backup.movies).toEqual(backup.movies);
+
+    expect(parseMovieBackup('{"format":"other"}')).toBeNull();
+    expect(() => parseMovieBackup(JSON.stringify({ ...backup, version: 99 }))).toThrow('newer');
+  });
+});
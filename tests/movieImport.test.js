@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseCsv, detectImportFormat, parseImportFile, rescaleRating } from '../js/movieImport.js';
+
+describe('movie history import parsing', () => {
+  it('parses quoted CSV fields with commas, quotes and CRLF line endings', () => {
+    const rows = parseCsv('﻿Name,Year\r\n"Crouching Tiger, Hidden Dragon",2000\r\n"The ""Best"" Film",1999\r\n');
+    expect(rows).toEqual([
+      ['Name', 'Year'],
+      ['Crouching Tiger, Hidden Dragon', '2000'],
+      ['The "Best" Film', '1999']
+    ]);
+  });
+
+  it('detects Letterboxd and IMDb export formats', () => {
+    const letterboxd = ['Date', 'Name', 'Year', 'Letterboxd URI'];
+    expect(detectImportFormat([...letterboxd, 'Rating', 'Rewatch', 'Tags', 'Watched Date'])).toBe('letterboxdDiary');
+    expect(detectImportFormat([...letterboxd, 'Rating'])).toBe('letterboxdRatings');
+    expect(detectImportFormat(letterboxd, 'watchlist.csv')).toBe('letterboxdWatchlist');
+    expect(detectImportFormat(letterboxd, 'letterboxd-export/Watchlist.csv')).toBe('letterboxdWatchlist');
+    expect(detectImportFormat(letterboxd, 'watched.csv')).toBe('letterboxdWatched');
+    expect(detectImportFormat(letterboxd)).toBe('letterboxdWatched');
+    expect(detectImportFormat(['Const', 'Your Rating', 'Date Rated', 'Title'])).toBe('imdbRatings');
+    expect(detectImportFormat(['foo', 'bar'])).toBeNull();
+  });
+
+  it('rescales ratings to the 0-10 scale and keeps diary dates', () => {
+    expect(rescaleRating('3.5', 5)).toBe(7);
+    expect(rescaleRating('', 5)).toBeNull();
+
+    const diary = parseImportFile(
+      'Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date\n' +
+        '2024-01-03,Heat,1995,https://boxd.it/1,4.5,Yes,,2024-01-02\n'
+    );
+    expect(diary.rows).toEqual([
+      expect.objectContaining({
+        title: 'Heat',
+        year: 1995,
+        status: 'watched',
+        rating: 9,
+        watchedDate: '2024-01-02',
+        rewatch: true
+      })
+    ]);
+
+    const watched = parseImportFile(
+      'Date,Name,Year,Letterboxd URI\n' + '2024-02-10,Heat,1995,https://boxd.it/1\n',
+      'watched.csv'
+    );
+    expect(watched.format).toBe('letterboxdWatched');
+    expect(watched.rows).toEqual([
+      expect.objectContaining({ title: 'Heat', year: 1995, status: 'watched', rating: null })
+    ]);
+
+    const imdb = parseImportFile(
+      'Const,Your Rating,Date Rated,Title,URL,Title Type,IMDb Rating,Runtime (mins),Year\n' +
+        'tt0113277,8,2023-05-01,Heat,https://imdb.com,Movie,8.3,170,1995\n' +
+        'tt0903747,10,2023-05-02,Breaking Bad,https://imdb.com,TV Series,9.5,49,2008\n'
+    );
+    expect(imdb.format).toBe('imdbRatings');
+    expect(imdb.rows).toEqual([
+      expect.objectContaining({ title: 'Heat', year: 1995, rating: 8, imdbId: 'tt0113277' })
+    ]);
+  });
+});
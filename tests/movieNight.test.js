@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildMovieNightSnapshot,
+  rankMovieNightCandidates,
+  createMovieNightSession,
+  eliminateMovieNightCandidate,
+  advanceMovieNightRound,
+  getMovieNightWinner
+} from '../js/movieNight.js';
+
+const movie = (id, title, extra = {}) => ({ id, title, ...extra });
+
+describe('movie night picker', () => {
+  const alexPrefs = {
+    1: { status: 'interested', interest: 5, movie: movie(1, 'Both Love') },
+    2: { status: 'interested', interest: 2, movie: movie(2, 'Lukewarm') },
+    3: { status: 'interested', interest: 4, movie: movie(3, 'Seen By Sam') },
+    4: { status: 'interested', interest: 4, movie: movie(4, 'Only Alex') },
+    5: { status: 'notInterested', movie: movie(5, 'Skipped') },
+    6: { status: 'interested', interest: 3, movie: movie(6, 'Critic Darling') }
+  };
+  const alex = buildMovieNightSnapshot(alexPrefs);
+  const sam = buildMovieNightSnapshot({
+    1: { status: 'interested', interest: 4, movie: movie(1, 'Both Love') },
+    2: { status: 'interested', interest: 3, movie: movie(2, 'Lukewarm') },
+    3: { status: 'watched', movie: movie(3, 'Seen By Sam') },
+    6: { status: 'interested', interest: 3, movie: movie(6, 'Critic Darling') }
+  });
+
+  const getMovie = id => alexPrefs[id]?.movie || null;
+
+  it('shares only capped ids and interest levels', () => {
+    expect(alex).toEqual({ interested: { 1: 5, 2: 2, 3: 4, 4: 4, 6: 3 } });
+    expect(buildMovieNightSnapshot(alexPrefs, { limit: 2 })).toEqual({ interested: { 1: 5, 3: 4 } });
+  });
+
+  it('intersects saved lists and ranks by interest and critic blend', () => {
+    const getCriticBlend = entry => ({ value: entry.id === 6 ? 98 : entry.id === 1 ? 80 : null });
+    const ranked = rankMovieNightCandidates([alex, sam], { getCriticBlend, getMovie });
+    expect(ranked.map(candidate => candidate.movie.title)).toEqual([
+      'Both Love',
+      'Critic Darling',
+      'Lukewarm'
+    ]);
+    expect(ranked[0]).toMatchObject({ interests: [5, 4], averageInterest: 4.5, criticBlend: 80 });
+    expect(rankMovieNightCandidates([alex])).toEqual([]);
+    expect(rankMovieNightCandidates([alex, sam])).toEqual([]);
+    expect(rankMovieNightCandidates([alex, sam, null], { getMovie })).toEqual([]);
+  });
+
+  it('runs elimination rounds until one title is left', () => {
+    const ranked = rankMovieNightCandidates([alex, sam], { getMovie });
+    let session = createMovieNightSession(ranked, ['alex', 'sam']);
+    session = eliminateMovieNightCandidate(session, '1');
+    expect(session.candidates.map(candidate => candidate.id)).not.toContain('1');
+    expect(getMovieNightWinner(session)).toBeNull();
+    session = advanceMovieNightRound(session);
+    expect(session.round).toBe(2);
+    expect(session.eliminated.map(entry => [entry.id, entry.round])).toEqual([
+      ['1', 1],
+      ['2', 1]
+    ]);
+    expect(getMovieNightWinner(session).movie.title).toBe('Critic Darling');
+    expect(advanceMovieNightRound(session)).toBe(session);
+  });
+});
@@ -0,0 +1,151 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const { buildCacheId } = require('../shared/cache.js');
+
+function createFakeDb() {
+  const docs = new Map();
+  return {
+    docs,
+    collection: name => ({
+      doc: id => ({
+        get: async () => {
+          const data = docs.get(`${name}/${id}`);
+          return { exists: data !== undefined, data: () => data };
+        },
+        set: async data => {
+          docs.set(`${name}/${id}`, data);
+        }
+      })
+    })
+  };
+}
+
+const db = createFakeDb();
+require.cache[require.resolve('../shared/firestore.js')] = {
+  exports: {
+    getFirestore: () => db,
+    getFirestoreStatus: () => ({ available: true, initFailed: false, mode: 'test' }),
+    serverTimestamp: () => Date.now(),
+    firestoreAdmin: null
+  }
+};
+
+const scoreDocId = lookup =>
+  buildCacheId(['omdb-scores', 'omdb', `type:${lookup.type}`, `imdb:${lookup.imdbId}`, 'year:']);
+
+describe('POST /api/movie-ratings/batch', () => {
+  const realFetch = globalThis.fetch;
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    db.docs.set(`movieCriticScores/${scoreDocId({ imdbId: 'tt0111161', type: 'movie' })}`, {
+      payload: { ratings: { rottenTomatoes: 91, metacritic: 82, imdb: 9.3 }, imdbId: 'tt0111161' }
+    });
+    const app = require('../backend/server.js');
+    server = await new Promise(resolve => {
+      const instance = app.listen(0, '127.0.0.1', () => resolve(instance));
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    vi.unstubAllGlobals();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const postBatch = async body => {
+    const response = await realFetch(`${baseUrl}/api/movie-ratings/batch`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  it('rejects missing and oversized batches', async () => {
+    expect(await postBatch({})).toMatchObject({ status: 400, body: { error: 'missing_items' } });
+    expect(await postBatch({ items: [] })).toMatchObject({ status: 400, body: { error: 'missing_items' } });
+
+    const items = Array.from({ length: 51 }, (_, index) => ({ imdbId: `tt${1000000 + index}` }));
+    expect(await postBatch({ items })).toMatchObject({ status: 400, body: { error: 'too_many_items' } });
+
+    const atLimit = await postBatch({ items: items.slice(0, 50) });
+    expect(atLimit.status).toBe(200);
+    expect(atLimit.body.counts).toMatchObject({ miss: 50 });
+  });
+
+  it('classifies stored, missing, in-flight and invalid lookups', async () => {
+    let releaseOmdb;
+    const omdbRequested = new Promise(resolve => {
+      vi.stubGlobal('fetch', (url, options) => {
+        if (!String(url).startsWith('https://www.omdbapi.com')) return realFetch(url, options);
+        resolve();
+        return new Promise(done => {
+          releaseOmdb = () =>
+            done(new Response(JSON.stringify({ Response: 'False', Error: 'Movie not found!' })));
+        });
+      });
+    });
+    const single = realFetch(
+      `${baseUrl}/api/movie-ratings?imdbId=tt0068646&type=movie&apiKey=test-key`
+    );
+    await omdbRequested;
+
+    const { status, body } = await postBatch({
+      items: [
+        { key: 'stored', imdbId: 'tt0111161', type: 'movie' },
+        { key: 'missing', imdbId: 'tt0071562', type: 'movie', priority: 'saved' },
+        { key: 'inFlight', imdbId: 'tt0068646', type: 'movie' },
+        { key: 'empty', title: '  ' }
+      ]
+    });
+    releaseOmdb();
+    await single;
+
+    expect(status).toBe(200);
+    expect(body.results).toEqual([
+      {
+        key: 'stored',
+        status: 'hit',
+        payload: expect.objectContaining({
+          imdbId: 'tt0111161',
+          ratings: { rottenTomatoes: 91, metacritic: 82, imdb: 9.3 }
+        })
+      },
+      { key: 'missing', status: 'miss' },
+      { key: 'inFlight', status: 'pending' },
+      { key: 'empty', status: 'invalid' }
+    ]);
+    expect(body.counts).toEqual({ hit: 1, miss: 1, pending: 1, invalid: 1 });
+  });
+
+  it('answers single lookups of found titles without critic scores with null ratings', async () => {
+    vi.stubGlobal('fetch', async (url, options) => {
+      if (!String(url).startsWith('https://www.omdbapi.com')) return realFetch(url, options);
+      return new Response(
+        JSON.stringify({
+          Response: 'True',
+          Title: 'Obscure Short',
+          Year: '1999',
+          imdbID: 'tt0099999',
+          imdbRating: 'N/A',
+          Metascore: 'N/A',
+          Ratings: []
+        })
+      );
+    });
+
+    const response = await realFetch(
+      `${baseUrl}/api/movie-ratings?imdbId=tt0099999&type=movie&apiKey=test-key`
+    );
+    expect(response.status).toBe(200);
+    expect(await response.json()).toMatchObject({
+      source: 'omdb',
+      title: 'Obscure Short',
+      ratings: { rottenTomatoes: null, metacritic: null, imdb: null }
+    });
+  });
+});
@@ -3,14 +3,30 @@ import { JSDOM } from 'jsdom';
 
 const firestoreDocMock = {
   set: vi.fn().mockResolvedValue(),
-  get: vi.fn().mockResolvedValue({ exists: false })
+  get: vi.fn().mockResolvedValue({ exists: false }),
+  update: vi.fn().mockResolvedValue()
 };
 
-const collectionMock = vi.fn(() => ({ doc: () => firestoreDocMock }));
+const sharedListSubscriptions = [];
+
+function createCollectionMock() {
+  return {
+    doc: () => firestoreDocMock,
+    where: (field, op, value) => ({
+      onSnapshot: next => {
+        sharedListSubscriptions.push({ field, op, value, next });
+        return () => {};
+      }
+    })
+  };
+}
+
+const collectionMock = vi.fn(createCollectionMock);
 
 const authModuleMock = {
   getCurrentUser: vi.fn(() => null),
   awaitAuthUser: vi.fn(() => Promise.resolve(null)),
+  auth: { onAuthStateChanged: vi.fn() },
   db: { collection: collectionMock }
 };
 
@@ -30,15 +46,40 @@ function buildDom() {
       <div id="movieFeedControls" class="movie-controls">
         <input id="movieFilterMinRating" type="number" />
         <input id="movieFilterMinVotes" type="number" />
+        <input id="movieFilterMinRottenTomatoes" type="number" />
+        <input id="movieFilterMinMetacritic" type="number" />
+        <input id="movieFilterMinImdb" type="number" />
+        <select id="movieFilterSort">
+          <option value="">Ranking</option>
+          <option value="criticBlend">Critic blend</option>
+        </select>
         <input id="movieFilterStartYear" type="number" />
         <input id="movieFilterEndYear" type="number" />
+        <select id="movieFilterRankProfile"></select>
         <div id="movieFilterGenre" class="genre-filter"></div>
+        <input id="movieFilterKeywordInput" type="text" list="movieFilterKeywordOptions" />
+        <datalist id="movieFilterKeywordOptions"></datalist>
+        <button id="movieFilterKeywordInclude" type="button">Include</button>
+        <button id="movieFilterKeywordExclude" type="button">Exclude</button>
+        <select id="movieFilterMood"></select>
+        <div id="movieFilterKeywords"></div>
+        <input id="movieCriticWeightRottenTomatoes" type="number" />
+        <input id="movieCriticWeightMetacritic" type="number" />
+        <input id="movieCriticWeightImdb" type="number" />
+        <button id="movieCriticWeightsReset" type="button">Reset</button>
         <button id="movieFindNewButton" type="button">Find New Movies</button>
       </div>
       <div id="movieStatus" class="movie-status"></div>
       <div id="movieList"></div>
       <div id="movieStatusBottom" class="movie-status movie-status--bottom"></div>
     </div>
+    <div id="movieDivergenceSection" style="display:none">
+      <select id="movieDivergenceMode">
+        <option value="all">All</option>
+        <option value="mine">Mine</option>
+      </select>
+      <div id="movieDivergenceList"></div>
+    </div>
     <div id="savedMoviesSection" style="display:none">
       <div id="savedMoviesFilters" class="genre-filter"></div>
       <div id="savedMoviesList"></div>
@@ -50,10 +91,47 @@ function buildDom() {
           <option value="recent">Recently Updated</option>
           <option value="ratingDesc">Rating: High to Low</option>
           <option value="ratingAsc">Rating: Low to High</option>
+          <option value="criticBlend">Critic Blend</option>
+        </select>
+        <select id="watchedMoviesView">
+          <option value="list">List</option>
+          <option value="diary">Diary by Month</option>
         </select>
       </div>
+      <input id="movieImportFile" type="file" multiple />
+      <select id="movieExportFormat">
+        <option value="json">JSON backup</option>
+        <option value="letterboxd">Letterboxd CSV (watched)</option>
+        <option value="csv">CSV</option>
+      </select>
+      <button id="movieExportButton" type="button">Export</button>
+      <div id="movieImportStatus"></div>
+      <div id="movieImportReview"></div>
       <div id="watchedMoviesList"></div>
     </div>
+    <div id="movieListsSection" style="display:none">
+      <form id="movieListCreateForm"><input id="movieListNameInput" type="text" /></form>
+      <select id="movieListSelect"></select>
+      <select id="movieListSort">
+        <option value="custom">Custom Order</option>
+        <option value="title">Title</option>
+      </select>
+      <textarea id="movieListNotes"></textarea>
+      <div id="movieListFilters" class="genre-filter"></div>
+      <div id="movieListItems"></div>
+    </div>
+    <div id="hiddenMoviesSection" style="display:none">
+      <input id="hiddenMoviesSearch" type="search" />
+      <select id="hiddenMoviesReason">
+        <option value="">All reasons</option>
+        <option value="notMyGenre">Not my genre</option>
+        <option value="none">No reason given</option>
+      </select>
+      <div id="hiddenMoviesList"></div>
+    </div>
+    <div id="moviePeopleSection" style="display:none">
+      <div id="moviePeopleList"></div>
+    </div>
     <div id="moviesApiKeyContainer"><input id="moviesApiKey" type="password" /></div>
   `);
 }
@@ -110,13 +188,16 @@ describe('initMoviesPanel', () => {
     authModuleMock.awaitAuthUser.mockResolvedValue(null);
     firestoreDocMock.get.mockResolvedValue({ exists: false });
     firestoreDocMock.set.mockClear();
-    collectionMock.mockReturnValue({ doc: () => firestoreDocMock });
+    firestoreDocMock.update.mockClear();
+    sharedListSubscriptions.length = 0;
+    collectionMock.mockImplementation(createCollectionMock);
     ({ initMoviesPanel, refreshMoviesPanelForAuthChange } = await import('../js/movies.js'));
     global.localStorage = mockLocalStorage();
   });
 
   afterEach(() => {
     vi.restoreAllMocks();
+    vi.unstubAllEnvs();
     delete global.fetch;
     delete global.window;
     delete global.document;
@@ -185,7 +266,14 @@ describe('initMoviesPanel', () => {
     expect(metaText).toContain('Cast: Lead Star, Supporting Actor');
 
     const buttons = Array.from(card.querySelectorAll('button')).map(b => b.textContent);
-    expect(buttons).toEqual(['Watched Already', 'Not Interested', 'Interested', 'Fetch scores']);
+    expect(buttons).toEqual([
+      'Watched Already',
+      'Not Interested',
+      'Interested',
+      'More like this',
+      'Watch trailer',
+      'Fetch scores'
+    ]);
 
     const img = card.querySelector('img');
     expect(img?.src).toContain('/api/movie-image?');
@@ -197,6 +285,393 @@ describe('initMoviesPanel', () => {
     expect(global.fetch).toHaveBeenCalledTimes(1);
   });
 
+  it('undoes status changes from the toast and Ctrl+Z, restoring feed position', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    window.prompt = vi.fn(() => '7');
+    const results = Array.from({ length: 12 }, (_, index) => ({
+      id: index + 1,
+      title: `Undo Movie ${index + 1}`,
+      release_date: '2024-01-01',
+      vote_average: 7.5,
+      vote_count: 120,
+      genre_ids: [28]
+    }));
+    const credits = Object.fromEntries(
+      results.map(movie => [movie.id, { cast: [{ name: 'Cast' }], crew: [{ job: 'Director', name: 'Dir' }] }])
+    );
+    configureFetchResponses([{ ok: true, json: () => Promise.resolve({ results, genres: { 28: 'Action' }, credits }) }]);
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({ 99: { status: 'watched', userRating: 6, updatedAt: 1, movie: { id: 99, title: 'Rated Before' } } })
+    );
+
+    await initMoviesPanel();
+    const feedIds = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card')).map(li => li.dataset.movieId);
+    const original = feedIds();
+    const target = document.querySelectorAll('#movieList li.movie-card')[2];
+    const targetId = target.dataset.movieId;
+    Array.from(target.querySelectorAll('button'))
+      .find(b => b.textContent === 'Not Interested')
+      .click();
+    Array.from(target.querySelectorAll('.movie-dismiss-reasons button'))
+      .find(b => b.textContent === 'Just hide it')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(feedIds()).not.toContain(targetId);
+    const toast = document.getElementById('movieUndoToast');
+    expect(toast.textContent).toContain(`Marked not interested "Undo Movie ${targetId}"`);
+    Array.from(toast.querySelectorAll('button'))
+      .find(b => b.textContent === 'Undo')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(feedIds()).toEqual(original);
+    expect(JSON.parse(localStorage.getItem('moviePreferences'))[targetId]).toBeUndefined();
+    expect(document.getElementById('movieUndoToast').textContent).toBe(
+      `Undid: Marked not interested "Undo Movie ${targetId}"`
+    );
+
+    const first = document.querySelector('#movieList li.movie-card');
+    Array.from(first.querySelectorAll('button'))
+      .find(b => b.textContent === 'Watched Already')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem('moviePreferences'))[original[0]]).toMatchObject({
+      status: 'watched',
+      userRating: 7
+    });
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem('moviePreferences'))[original[0]]).toBeUndefined();
+    expect(feedIds()).toEqual(original);
+
+    const ratingInput = document.querySelector('#watchedMoviesList .movie-personal-rating input');
+    ratingInput.value = '';
+    ratingInput.dispatchEvent(new window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem('moviePreferences'))[99].userRating).toBeUndefined();
+    expect(document.getElementById('movieUndoToast').textContent).toContain('Cleared rating for "Rated Before"');
+
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(JSON.parse(localStorage.getItem('moviePreferences'))[99]).toEqual({
+      status: 'watched',
+      userRating: 6,
+      updatedAt: 1,
+      movie: { id: 99, title: 'Rated Before' }
+    });
+  });
+
+  it('drops the undo history when another account loads its preferences', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    const results = Array.from({ length: 12 }, (_, index) => ({
+      id: index + 1,
+      title: `Switch Movie ${index + 1}`,
+      release_date: '2024-01-01',
+      vote_average: 7.5,
+      vote_count: 120,
+      genre_ids: [28]
+    }));
+    configureFetchResponses([{ ok: true, json: () => Promise.resolve({ results, genres: { 28: 'Action' }, credits: {} }) }]);
+
+    await initMoviesPanel();
+    const target = document.querySelector('#movieList li.movie-card');
+    const targetId = target.dataset.movieId;
+    Array.from(target.querySelectorAll('button'))
+      .find(b => b.textContent === 'Not Interested')
+      .click();
+    Array.from(target.querySelectorAll('.movie-dismiss-reasons button'))
+      .find(b => b.textContent === 'Just hide it')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(document.getElementById('movieUndoToast')).not.toBeNull();
+
+    firestoreDocMock.get.mockResolvedValueOnce({ exists: true, data: () => ({ prefs: {} }) });
+    authModuleMock.getCurrentUser.mockReturnValue({ uid: 'other-user' });
+    authModuleMock.awaitAuthUser.mockResolvedValue({ uid: 'other-user' });
+    await refreshMoviesPanelForAuthChange({ uid: 'other-user' });
+
+    expect(document.getElementById('movieUndoToast')).toBeNull();
+    firestoreDocMock.set.mockClear();
+    document.body.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(firestoreDocMock.set).not.toHaveBeenCalled();
+    expect(document.getElementById('movieUndoToast')).toBeNull();
+    expect(JSON.parse(localStorage.getItem('moviePreferences'))[targetId]).toMatchObject({ status: 'notInterested' });
+  });
+
+  it('records dismissal reasons, lists hidden movies and restores them in bulk', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    const results = Array.from({ length: 12 }, (_, index) => ({
+      id: index + 1,
+      title: `Hidden Movie ${index + 1}`,
+      release_date: '2024-01-01',
+      vote_average: 7.5,
+      vote_count: 120,
+      genre_ids: [index < 6 ? 27 : 35]
+    }));
+    const credits = Object.fromEntries(
+      results.map(movie => [movie.id, { cast: [{ name: `Star ${movie.id}` }], crew: [{ job: 'Director', name: `Dir ${movie.id}` }] }])
+    );
+    configureFetchResponses([
+      { ok: true, json: () => Promise.resolve({ results, genres: { 27: 'Horror', 35: 'Comedy' }, credits }) }
+    ]);
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({ 500: { status: 'notInterested', updatedAt: 1 } })
+    );
+
+    await initMoviesPanel();
+    const feedIds = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card')).map(li => li.dataset.movieId);
+    const dismiss = async (id, reasonLabel) => {
+      const card = document.querySelector(`#movieList li.movie-card[data-movie-id="${id}"]`);
+      Array.from(card.querySelectorAll('button'))
+        .find(b => b.textContent === 'Not Interested')
+        .click();
+      const reasons = Array.from(card.querySelectorAll('.movie-dismiss-reasons button')).map(b => b.textContent);
+      expect(reasons).toEqual(['Seen it elsewhere', 'Not my genre', 'Too violent', 'Just hide it', 'Cancel']);
+      Array.from(card.querySelectorAll('.movie-dismiss-reasons button'))
+        .find(b => b.textContent === reasonLabel)
+        .click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    await dismiss('1', 'Not my genre');
+    await dismiss('2', 'Seen it elsewhere');
+    const stored = JSON.parse(localStorage.getItem('moviePreferences'));
+    expect(stored[1]).toMatchObject({ status: 'notInterested', reason: 'notMyGenre', movie: { id: 1, title: 'Hidden Movie 1' } });
+    expect(stored[2]).toMatchObject({ status: 'notInterested', reason: 'seenElsewhere' });
+    const horrorPositions = feedIds()
+      .map((id, index) => (Number(id) <= 6 ? index : null))
+      .filter(index => index != null);
+    expect(Math.min(...horrorPositions)).toBeGreaterThanOrEqual(6);
+
+    const hiddenLabels = () =>
+      Array.from(document.querySelectorAll('#hiddenMoviesList .movie-hidden-item label')).map(label =>
+        label.textContent.trim()
+      );
+    expect(hiddenLabels()).toEqual(['Hidden Movie 2 (2024)', 'Hidden Movie 1 (2024)', 'Movie #500']);
+    expect(document.querySelector('.movie-hidden-item[data-movie-id="1"]').textContent).toContain('Not my genre');
+
+    const search = document.getElementById('hiddenMoviesSearch');
+    search.value = 'dir 1';
+    search.dispatchEvent(new window.Event('input'));
+    expect(hiddenLabels()).toEqual(['Hidden Movie 1 (2024)']);
+    search.value = '';
+    search.dispatchEvent(new window.Event('input'));
+    const reason = document.getElementById('hiddenMoviesReason');
+    reason.value = 'none';
+    reason.dispatchEvent(new window.Event('change'));
+    expect(hiddenLabels()).toEqual(['Movie #500']);
+    reason.value = '';
+    reason.dispatchEvent(new window.Event('change'));
+
+    ['1', '2'].forEach(id => {
+      const checkbox = document.querySelector(`.movie-hidden-item[data-movie-id="${id}"] input[type="checkbox"]`);
+      checkbox.checked = true;
+      checkbox.dispatchEvent(new window.Event('change'));
+    });
+    const restore = Array.from(document.querySelectorAll('#hiddenMoviesList button')).find(b =>
+      b.textContent.startsWith('Restore selected')
+    );
+    expect(restore.textContent).toBe('Restore selected (2)');
+    restore.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(hiddenLabels()).toEqual(['Movie #500']);
+    const after = JSON.parse(localStorage.getItem('moviePreferences'));
+    expect(Object.keys(after)).toEqual(['500']);
+    expect(feedIds()).toEqual(expect.arrayContaining(['1', '2']));
+  });
+
+  it('follows and blocks people from a person page with filmography status markers', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    const results = Array.from({ length: 12 }, (_, index) => ({
+      id: index + 1,
+      title: `People Movie ${index + 1}`,
+      release_date: '2024-01-01',
+      vote_average: 7.5,
+      vote_count: 120,
+      genre_ids: [18]
+    }));
+    const credits = Object.fromEntries(
+      results.map(movie => [
+        movie.id,
+        { cast: [{ name: `Star ${movie.id}` }], crew: [{ job: 'Director', name: `Dir ${movie.id}` }] }
+      ])
+    );
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({
+        500: { status: 'watched', userRating: 8, updatedAt: 1, movie: { id: 500, title: 'Earlier Work' } }
+      })
+    );
+    global.fetch = vi.fn().mockImplementation(url => {
+      const value = String(url);
+      let payload = { results, genres: { 18: 'Drama' }, credits };
+      if (value.includes('/3/search/person')) {
+        const query = new URL(value).searchParams.get('query');
+        payload = { results: [{ id: query === 'Dir 9' ? 77 : 88, name: query }] };
+      } else if (value.includes('/3/person/88')) {
+        payload = { id: 88, name: 'Star 4', movie_credits: { cast: [], crew: [] } };
+      } else if (value.includes('/3/person/77')) {
+        expect(new URL(value).searchParams.get('append_to_response')).toBe('movie_credits');
+        payload = {
+          id: 77,
+          name: 'Dir 9',
+          known_for_department: 'Directing',
+          biography: 'Makes films.',
+          movie_credits: {
+            cast: [{ id: 600, title: 'Cameo', release_date: '2010-05-01', character: 'Themselves' }],
+            crew: [
+              { id: 9, title: 'People Movie 9', release_date: '2024-01-01', job: 'Director' },
+              { id: 500, title: 'Earlier Work', release_date: '2001-02-02', job: 'Director' },
+              { id: 501, title: 'Produced Only', release_date: '2005-01-01', job: 'Producer' }
+            ]
+          }
+        };
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
+    const flush = async () => {
+      for (let i = 0; i < 4; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+
+    await initMoviesPanel();
+    const feedIds = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card')).map(li => li.dataset.movieId);
+    expect(feedIds()[0]).not.toBe('9');
+
+    const card = document.querySelector('#movieList li.movie-card[data-movie-id="9"]');
+    const directorLink = Array.from(card.querySelectorAll('.movie-person-link')).find(
+      link => link.textContent === 'Dir 9'
+    );
+    expect(directorLink.parentElement.textContent).toBe('Director: Dir 9');
+    directorLink.click();
+    await flush();
+
+    const modal = document.getElementById('moviePersonModal');
+    expect(modal.querySelector('h3').textContent).toBe('Dir 9');
+    const films = Array.from(modal.querySelectorAll('.movie-person-filmography li')).map(li => li.textContent);
+    expect(films).toEqual([
+      'People Movie 9 (2024) – Director',
+      'Cameo (2010) – as Themselves',
+      'Earlier Work (2001) – DirectorWatched · Rated 8'
+    ]);
+
+    Array.from(modal.querySelectorAll('button'))
+      .find(b => b.textContent === 'Follow')
+      .click();
+    await flush();
+    expect(Array.from(modal.querySelectorAll('button')).map(b => b.textContent)).toContain('Unfollow');
+    expect(JSON.parse(localStorage.getItem('moviePeoplePreferences'))).toEqual([
+      expect.objectContaining({ name: 'Dir 9', id: 77, mode: 'follow' })
+    ]);
+    expect(feedIds()[0]).toBe('9');
+    expect(document.querySelector('#movieList li.movie-card').textContent).toContain('You follow Dir 9');
+
+    document.querySelector('#moviePersonModal .movie-detail-close').click();
+    const blockedCard = document.querySelector('#movieList li.movie-card[data-movie-id="4"]');
+    Array.from(blockedCard.querySelectorAll('.movie-person-link'))
+      .find(link => link.textContent === 'Star 4')
+      .click();
+    await flush();
+    Array.from(document.querySelectorAll('#moviePersonModal button'))
+      .find(b => b.textContent === 'Block')
+      .click();
+    await flush();
+    expect(feedIds()).not.toContain('4');
+
+    const groups = Array.from(document.querySelectorAll('#moviePeopleList h4')).map(h => h.textContent);
+    expect(groups).toEqual(['Following (1)', 'Blocked (1)']);
+    Array.from(document.querySelectorAll('.movie-people-list--block button'))
+      .find(b => b.textContent === 'Unblock')
+      .click();
+    await flush();
+    expect(feedIds()).toContain('4');
+  });
+
+  it('hides movies until their credits are known while people are blocked and matches blocks by TMDB id', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    localStorage.setItem(
+      'moviePeoplePreferences',
+      JSON.stringify([{ name: 'Jon Doe', id: 77, mode: 'block', updatedAt: 1 }])
+    );
+    const results = Array.from({ length: 25 }, (_, index) => ({
+      id: index + 1,
+      title: `Credits Movie ${index + 1}`,
+      release_date: '2024-01-01',
+      vote_average: 7.5,
+      vote_count: 120,
+      genre_ids: [18]
+    }));
+    const creditsFor = id => {
+      if (id === 23) return { cast: [{ id: 77, name: 'Jonathan Doe' }], crew: [] };
+      if (id === 2) return { cast: [{ id: 5, name: 'Jon Doe' }], crew: [] };
+      return { cast: [{ id: 1000 + id, name: `Star ${id}` }], crew: [] };
+    };
+    const releaseCredits = [];
+    global.fetch = vi.fn().mockImplementation(url => {
+      const value = String(url);
+      const match = value.match(/\/3\/movie\/(\d+)\/credits/);
+      if (match) {
+        const id = Number(match[1]);
+        const response = { ok: true, json: () => Promise.resolve(creditsFor(id)) };
+        if (id <= 20) return Promise.resolve(response);
+        return new Promise(resolve => releaseCredits.push(() => resolve(response)));
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ results, genres: { 18: 'Drama' } })
+      });
+    });
+    const flush = async () => {
+      for (let i = 0; i < 6; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+
+    await initMoviesPanel();
+    await flush();
+    const feedIds = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card')).map(li => li.dataset.movieId);
+    expect(feedIds()).toContain('2');
+    ['21', '22', '23', '24', '25'].forEach(id => expect(feedIds()).not.toContain(id));
+    expect(releaseCredits).toHaveLength(4);
+
+    while (releaseCredits.length) {
+      releaseCredits.shift()();
+      await flush();
+    }
+    expect(feedIds()).toEqual(expect.arrayContaining(['21', '22', '24', '25']));
+    expect(feedIds()).not.toContain('23');
+  });
+
   it('fetches critic scores on demand', async () => {
     const dom = buildDom();
     attachWindow(dom);
@@ -271,209 +746,1542 @@ describe('initMoviesPanel', () => {
     attachWindow(dom);
     window.tmdbApiKey = 'TEST_KEY';
 
-    const cachedResponse = {
-      results: Array.from({ length: 12 }, (_, index) => ({
-        id: index + 1,
-        title: index === 0 ? 'Sample Movie' : `Sample Movie ${index + 1}`,
-        release_date: '2024-01-01',
-        vote_average: 7.5,
-        vote_count: 120,
-        overview: '',
-        genre_ids: [28]
-      })),
-      genres: { 28: 'Action' },
+    const cachedResponse = {
+      results: Array.from({ length: 12 }, (_, index) => ({
+        id: index + 1,
+        title: index === 0 ? 'Sample Movie' : `Sample Movie ${index + 1}`,
+        release_date: '2024-01-01',
+        vote_average: 7.5,
+        vote_count: 120,
+        overview: '',
+        genre_ids: [28]
+      })),
+      genres: { 28: 'Action' },
+      credits: {}
+    };
+
+    configureFetchResponses([
+      { ok: true, json: () => Promise.resolve(cachedResponse) },
+      { ok: true, json: () => Promise.resolve(cachedResponse) }
+    ]);
+
+    await initMoviesPanel();
+
+    firestoreDocMock.get.mockResolvedValueOnce({
+      exists: true,
+      data: () => ({
+        prefs: {
+          '1': {
+            status: 'watched',
+            updatedAt: Date.now(),
+            movie: {
+              id: 1,
+              title: 'Sample Movie',
+              release_date: '2024-01-01',
+              vote_average: 7.5,
+              vote_count: 120,
+              genre_ids: [28]
+            }
+          }
+        }
+      })
+    });
+    authModuleMock.getCurrentUser.mockReturnValue({ uid: 'signed-in-user' });
+    authModuleMock.awaitAuthUser.mockResolvedValue({ uid: 'signed-in-user' });
+
+    await refreshMoviesPanelForAuthChange({ uid: 'signed-in-user' });
+
+    const streamText = document.getElementById('movieList')?.textContent || '';
+    const watchedText = document.getElementById('watchedMoviesList')?.textContent || '';
+    expect(streamText).not.toContain('Sample Movie (2024)');
+    expect(watchedText).toContain('Sample Movie (2024)');
+  });
+
+  it('shows an empty-state message when the catalog has no movies', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+
+    configureFetchResponses([{ ok: true, json: () => Promise.resolve({ results: [] }) }]);
+
+    await initMoviesPanel();
+
+    const listText = document.getElementById('movieList')?.textContent || '';
+    expect(listText).toContain('No saved movies found.');
+    const statusText = document.getElementById('movieStatus')?.textContent || '';
+    expect(statusText).toContain('No saved movies found.');
+    expect(global.fetch.mock.calls.length).toBe(1);
+  });
+
+  it('loads catalog movies even when no TMDB API key is configured', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+
+    configureFetchResponses([
+      {
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            results: [
+              {
+                id: 77,
+                title: 'Catalog Movie',
+                release_date: '2024-03-01',
+                vote_average: 7.4,
+                vote_count: 88,
+                genre_ids: [28]
+              }
+            ],
+            genres: { 28: 'Action' },
+            credits: {}
+          })
+      }
+    ]);
+
+    await initMoviesPanel();
+
+    const listText = document.getElementById('movieList')?.textContent || '';
+    expect(listText).toContain('Catalog Movie');
+    const statusText = document.getElementById('movieStatus')?.textContent || '';
+    expect(statusText).toContain('Loaded 1 movie from the catalog.');
+  });
+
+  it('reports failure details when catalog request fails', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    configureFetchResponses([{ ok: false, json: () => Promise.resolve({}) }]);
+
+    await initMoviesPanel();
+
+    const statusText = document.getElementById('movieStatus')?.textContent || '';
+    expect(statusText).toContain('Could not load movies from the catalog');
+  });
+
+  it('filters out movies below rating or vote thresholds', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+
+    const page = {
+      results: [
+        {
+          id: 42,
+          title: 'Top Tier',
+          release_date: '2024-02-01',
+          vote_average: 8.5,
+          vote_count: 500,
+          overview: 'Critically acclaimed.',
+          genre_ids: []
+        },
+        {
+          id: 43,
+          title: 'Too Few Votes',
+          release_date: '2024-02-02',
+          vote_average: 8.5,
+          vote_count: 20,
+          overview: 'Not enough data.',
+          genre_ids: []
+        },
+        {
+          id: 44,
+          title: 'Too Low Rating',
+          release_date: '2024-02-03',
+          vote_average: 6.5,
+          vote_count: 600,
+          overview: 'Audience lukewarm.',
+          genre_ids: []
+        }
+      ]
+    };
+    configureFetchResponses([
+      {
+        ok: true,
+        json: () => Promise.resolve({ results: page.results, genres: {}, credits: {} })
+      }
+    ]);
+
+    await initMoviesPanel();
+
+    const movieTitles = Array.from(document.querySelectorAll('#movieList li h3')).map(h => h.textContent);
+    expect(movieTitles).toHaveLength(1);
+    expect(movieTitles[0]).toContain('Top Tier');
+    expect(document.querySelector('#movieList').textContent).not.toContain('Too Few Votes');
+    expect(document.querySelector('#movieList').textContent).not.toContain('Too Low Rating');
+  });
+
+  it('shows a no-match message for restrictive filters without background refill', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+
+    const initialPage = {
+      results: [
+        {
+          id: 100,
+          title: 'Solid Choice',
+          release_date: '2022-01-01',
+          vote_average: 7.4,
+          vote_count: 210,
+          overview: 'Popular but below new threshold.',
+          genre_ids: []
+        }
+      ],
+      total_pages: 1
+    };
+    configureFetchResponses([
+      {
+        ok: true,
+        json: () => Promise.resolve({ results: initialPage.results, genres: {}, credits: {} })
+      }
+    ]);
+
+    await initMoviesPanel();
+
+    const listEl = document.getElementById('movieList');
+    expect(listEl.textContent).toContain('Solid Choice');
+
+    const minRatingInput = document.getElementById('movieFilterMinRating');
+    minRatingInput.value = '9';
+    minRatingInput.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
+    minRatingInput.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+
+    expect(listEl.innerHTML).not.toContain('Loading more movies...');
+    expect(global.fetch.mock.calls.length).toBeGreaterThanOrEqual(1);
+    expect(listEl.innerHTML).toContain('No movies match the current filters.');
+    const statusText = document.getElementById('movieStatus')?.textContent || '';
+    expect(statusText).toContain('0 movies match your current filters.');
+  });
+
+  it('requests one filtered catalog page and pages on with the cursor', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem(
+      'movieFeedFilters',
+      JSON.stringify({ minVotes: '500', startYear: '2000', endYear: '2020', selectedGenres: '28' })
+    );
+
+    const makeMovies = (start, count) =>
+      Array.from({ length: count }, (_, index) => ({
+        id: start + index,
+        title: `Paged Film ${start + index}`,
+        release_date: '2010-01-01',
+        vote_average: 7.5,
+        vote_count: 1500,
+        genre_ids: [28]
+      }));
+    global.fetch = vi.fn().mockImplementation(url => {
+      const cursor = new URL(String(url), 'http://localhost').searchParams.get('cursor');
+      const payload = cursor
+        ? { results: makeMovies(2100, 10), nextCursor: null }
+        : { results: makeMovies(2000, 45), genres: { 28: 'Action', 35: 'Comedy' }, credits: {}, nextCursor: 'page-2' };
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
+    const catalogParams = () =>
+      global.fetch.mock.calls
+        .map(call => String(call[0]))
+        .filter(url => url.includes('/api/movies'))
+        .map(url => new URL(url, 'http://localhost').searchParams);
+    const cards = () => document.querySelectorAll('#movieList li.movie-card');
+
+    await initMoviesPanel();
+
+    const [first] = catalogParams();
+    expect(first.get('limit')).toBe('120');
+    expect(first.get('minVotes')).toBe('500');
+    expect(first.get('startYear')).toBe('2000');
+    expect(first.get('endYear')).toBe('2020');
+    expect(first.get('withGenres')).toBe('28');
+    expect(cards()).toHaveLength(40);
+
+    document.querySelector('#movieList .movie-feed-more-btn').click();
+    for (let i = 0; i < 4; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const paged = catalogParams().find(params => params.get('cursor') === 'page-2');
+    expect(paged.get('minVotes')).toBe('500');
+    expect(paged.get('withGenres')).toBe('28');
+    expect(paged.get('withoutGenres')).toBe('35');
+    expect(cards()).toHaveLength(55);
+    expect(document.querySelector('#movieList .movie-feed-more-btn')).toBeNull();
+  });
+
+  it('reorders the feed with the selected ranking profile and persists it', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+
+    const results = [
+      {
+        id: 501,
+        title: 'Blockbuster',
+        release_date: '2010-06-01',
+        vote_average: 8,
+        vote_count: 5000,
+        genre_ids: []
+      },
+      {
+        id: 502,
+        title: 'Quiet Gem',
+        release_date: '2011-06-01',
+        vote_average: 8.2,
+        vote_count: 300,
+        genre_ids: []
+      }
+    ];
+    configureFetchResponses([{ results, genres: {}, credits: {} }]);
+
+    await initMoviesPanel();
+
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieList li h3')).map(h => h.textContent);
+    expect(titles()[0]).toContain('Blockbuster');
+
+    const select = document.getElementById('movieFilterRankProfile');
+    expect(Array.from(select.options).map(option => option.value)).toEqual([
+      'balanced',
+      'hiddenGems',
+      'classics',
+      'whatsNew'
+    ]);
+    select.value = 'hiddenGems';
+    select.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const lastUrl = global.fetch.mock.calls[global.fetch.mock.calls.length - 1][0];
+    expect(lastUrl).toContain('rank=hiddenGems');
+    expect(titles()).toHaveLength(1);
+    expect(titles()[0]).toContain('Quiet Gem');
+    const stored = JSON.parse(localStorage.getItem('movieFeedFilters'));
+    expect(stored.rankProfile).toBe('hiddenGems');
+  });
+
+  it('builds ranking profile options and weights from the catalog metadata', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+
+    const results = [
+      { id: 511, title: 'Crowd Favorite', release_date: '2010-06-01', vote_average: 7, vote_count: 20000, genre_ids: [] },
+      { id: 512, title: 'Top Rated', release_date: '2011-06-01', vote_average: 8.9, vote_count: 400, genre_ids: [] }
+    ];
+    const rankingProfiles = [
+      {
+        name: 'balanced',
+        label: 'Balanced',
+        weights: { score: 1, votes: 2, popularity: 0, recency: 0, recencyWindowYears: 5, age: 0, ageWindowYears: 50 }
+      },
+      {
+        name: 'ratingFirst',
+        label: 'Rating first',
+        weights: { score: 10, votes: 0, popularity: 0, recency: 0, recencyWindowYears: 5, age: 0, ageWindowYears: 50 }
+      }
+    ];
+    configureFetchResponses([{ results, genres: {}, credits: {}, metadata: { rankingProfiles } }]);
+
+    await initMoviesPanel();
+
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieList li h3')).map(h => h.textContent);
+    const select = document.getElementById('movieFilterRankProfile');
+    expect(Array.from(select.options).map(option => [option.value, option.textContent])).toEqual([
+      ['balanced', 'Balanced'],
+      ['ratingFirst', 'Rating first']
+    ]);
+    expect(titles()[0]).toContain('Crowd Favorite');
+
+    select.value = 'ratingFirst';
+    select.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const lastUrl = global.fetch.mock.calls[global.fetch.mock.calls.length - 1][0];
+    expect(lastUrl).toContain('rank=ratingFirst');
+    expect(titles()[0]).toContain('Top Rated');
+  });
+
+  it('keeps a stored catalog profile until the profiles load and ranks balanced with the baseline formula', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem('movieFeedFilters', JSON.stringify({ rankProfile: 'ratingFirst' }));
+
+    const results = [
+      { id: 521, title: 'Crowd Favorite', release_date: '2010-06-01', vote_average: 7, vote_count: 20000, genre_ids: [] },
+      { id: 522, title: 'Top Rated', release_date: '2011-06-01', vote_average: 8.9, vote_count: 400, genre_ids: [] }
+    ];
+    const weights = { score: 10, votes: 0, popularity: 0, recency: 0, recencyWindowYears: 5, age: 0, ageWindowYears: 50 };
+    const rankingProfiles = [
+      { name: 'balanced', label: 'Balanced', weights },
+      { name: 'ratingFirst', label: 'Rating first', weights }
+    ];
+    configureFetchResponses([{ results, genres: {}, credits: {}, metadata: { rankingProfiles } }]);
+
+    await initMoviesPanel();
+
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieList li h3')).map(h => h.textContent);
+    expect(global.fetch.mock.calls[0][0]).toContain('rank=ratingFirst');
+    expect(document.getElementById('movieFilterRankProfile').value).toBe('ratingFirst');
+    expect(JSON.parse(localStorage.getItem('movieFeedFilters')).rankProfile).toBe('ratingFirst');
+    expect(titles()[0]).toContain('Top Rated');
+
+    const select = document.getElementById('movieFilterRankProfile');
+    select.value = 'balanced';
+    select.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(titles()[0]).toContain('Crowd Favorite');
+  });
+
+  it('falls back to balanced once the loaded profiles drop a stored profile', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem('movieFeedFilters', JSON.stringify({ rankProfile: 'retired' }));
+
+    const results = [
+      { id: 531, title: 'Only Movie', release_date: '2010-06-01', vote_average: 7.5, vote_count: 900, genre_ids: [] }
+    ];
+    const rankingProfiles = [{ name: 'balanced', label: 'Balanced', weights: {} }];
+    configureFetchResponses([{ results, genres: {}, credits: {}, metadata: { rankingProfiles } }]);
+
+    await initMoviesPanel();
+
+    expect(global.fetch.mock.calls[0][0]).toContain('rank=retired');
+    expect(document.getElementById('movieFilterRankProfile').value).toBe('balanced');
+    expect(JSON.parse(localStorage.getItem('movieFeedFilters')).rankProfile).toBe('balanced');
+  });
+
+  it('re-ranks the feed from rated history and explains recommendations', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({
+        900: {
+          status: 'watched',
+          userRating: 9,
+          updatedAt: 1,
+          movie: {
+            id: 900,
+            title: 'Rated Favorite',
+            genre_ids: [18],
+            directors: ['Jane Doe'],
+            topCast: ['Lead Actor']
+          }
+        }
+      })
+    );
+
+    const results = [
+      {
+        id: 601,
+        title: 'Popular Action',
+        release_date: '2015-01-01',
+        vote_average: 8,
+        vote_count: 4000,
+        genre_ids: [28]
+      },
+      {
+        id: 602,
+        title: 'Same Director Drama',
+        release_date: '2016-01-01',
+        vote_average: 7.6,
+        vote_count: 300,
+        genre_ids: [18],
+        directors: ['Jane Doe']
+      }
+    ];
+    configureFetchResponses([{ results, genres: { 18: 'Drama', 28: 'Action' }, credits: {} }]);
+
+    await initMoviesPanel();
+
+    const cards = Array.from(document.querySelectorAll('#movieList li.movie-card'));
+    expect(cards.map(card => card.dataset.movieId)).toEqual(['602', '601']);
+    const reason = cards[0].querySelector('.movie-recommendation-reason');
+    expect(reason?.textContent).toBe('Because you liked Rated Favorite');
+    expect(cards[1].querySelector('.movie-recommendation-reason')).toBeNull();
+  });
+
+  it('opens a more-like-this panel with similar catalog movies', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+
+    const results = [
+      {
+        id: 701,
+        title: 'Origin Film',
+        release_date: '2012-05-01',
+        vote_average: 7.8,
+        vote_count: 900,
+        genre_ids: [18],
+        directors: ['Jane Doe']
+      }
+    ];
+    configureFetchResponses([
+      { results, genres: { 18: 'Drama' }, credits: {} },
+      {
+        results: [
+          {
+            id: 702,
+            title: 'Related Film',
+            releaseDate: '2014-01-01',
+            score: 7.6,
+            voteCount: 400,
+            genre_ids: [18],
+            reasons: ['genres', 'director']
+          }
+        ]
+      }
+    ]);
+
+    await initMoviesPanel();
+
+    const card = document.querySelector('#movieList li.movie-card');
+    const button = Array.from(card.querySelectorAll('button')).find(
+      b => b.textContent === 'More like this'
+    );
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const similarUrl = global.fetch.mock.calls[1][0];
+    expect(similarUrl).toContain('/api/movies/701/similar?');
+    expect(similarUrl).toContain('directors=Jane+Doe');
+    const panel = card.querySelector('.movie-similar-panel');
+    expect(panel?.textContent).toContain('Related Film (2014)');
+    expect(panel?.textContent).toContain('Shared genres, director');
+
+    button.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(card.querySelector('.movie-similar-panel')).toBeNull();
+  });
+
+  it('opens a detail view for #movie/:id with full TMDB metadata', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+
+    configureFetchResponses([
+      {
+        results: [
+          { id: 801, title: 'Detail Film', release_date: '2010-07-16', vote_average: 8.4, vote_count: 3000 }
+        ],
+        genres: {},
+        credits: {}
+      },
+      {
+        id: 801,
+        title: 'Detail Film',
+        tagline: 'Your mind is the scene of the crime.',
+        overview: 'A thief enters dreams.',
+        release_date: '2010-07-16',
+        runtime: 148,
+        budget: 160000000,
+        revenue: 836800000,
+        production_countries: [{ name: 'United Kingdom' }, { name: 'United States of America' }],
+        belongs_to_collection: { name: 'Detail Collection' },
+        backdrop_path: '/backdrop.jpg',
+        genres: [{ id: 28, name: 'Action' }],
+        credits: {
+          cast: [
+            { name: 'Second Lead', character: 'Arthur', order: 1 },
+            { name: 'Lead Actor', character: 'Cobb', order: 0 }
+          ],
+          crew: [
+            { name: 'Famous Director', job: 'Director' },
+            { name: 'Famous Director', job: 'Screenplay' },
+            { name: 'Key Grip', job: 'Key Grip' }
+          ]
+        }
+      }
+    ]);
+
+    await initMoviesPanel();
+
+    const link = document.querySelector('#movieList .movie-detail-link');
+    expect(link.getAttribute('href')).toBe('#movie/801');
+
+    window.location.hash = '#movie/801';
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const detailUrl = global.fetch.mock.calls
+      .map(call => String(call[0]))
+      .find(url => url.includes('/3/movie/801?'));
+    expect(detailUrl).toContain('append_to_response=credits');
+
+    const modal = document.getElementById('movieDetailModal');
+    expect(modal.querySelector('h3').textContent).toBe('Detail Film (2010)');
+    const text = modal.textContent;
+    expect(text).toContain('Your mind is the scene of the crime.');
+    expect(text).toContain('Runtime: 2h 28m');
+    expect(text).toContain('Production Countries: United Kingdom, United States of America');
+    expect(text).toContain('Budget: $160,000,000');
+    expect(text).toContain('Collection: Detail Collection');
+    expect(text).toContain('Screenplay: Famous Director');
+    expect(text).not.toContain('Key Grip');
+    const cast = Array.from(modal.querySelectorAll('.movie-detail-cast li')).map(li => li.textContent);
+    expect(cast).toEqual(['Lead Actor as Cobb', 'Second Lead as Arthur']);
+    expect(modal.querySelector('.movie-detail-backdrop').getAttribute('src')).toContain('size=w780');
+
+    modal.querySelector('.movie-detail-close').click();
+    expect(document.getElementById('movieDetailModal')).toBeNull();
+  });
+
+  it('limits the feed to my streaming services once providers load', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    localStorage.setItem(
+      'movieFeedFilters',
+      JSON.stringify({ myServices: '8', myServicesOnly: 'true' })
+    );
+
+    const feed = {
+      results: [
+        { id: 901, title: 'On Netflix', release_date: '2015-01-01', vote_average: 7.9, vote_count: 2000 },
+        { id: 902, title: 'Rental Only', release_date: '2016-01-01', vote_average: 7.5, vote_count: 1500 }
+      ],
+      genres: {},
+      credits: {}
+    };
+    const providers = {
+      901: { results: { US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix' }] } } },
+      902: { results: { US: { rent: [{ provider_id: 2, provider_name: 'Apple TV' }] } } }
+    };
+    global.fetch = vi.fn().mockImplementation(url => {
+      const match = String(url).match(/\/3\/movie\/(\d+)\/watch\/providers/);
+      const payload = match ? providers[match[1]] : feed;
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
+
+    await initMoviesPanel();
+    for (let i = 0; i < 4; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const cards = Array.from(document.querySelectorAll('#movieList li.movie-card'));
+    expect(cards.map(card => card.querySelector('h3').textContent)).toEqual(['On Netflix (2015)']);
+    expect(cards[0].textContent).toContain('Streaming (US): Netflix');
+  });
+
+  it('checks streaming availability for the page in its final sorted order', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    localStorage.setItem(
+      'movieFeedFilters',
+      JSON.stringify({ myServices: '8', myServicesOnly: 'true', sort: 'criticBlend' })
+    );
+
+    const feed = {
+      results: Array.from({ length: 45 }, (_, index) => ({
+        id: 2000 + index,
+        title: `Sorted Film ${index}`,
+        release_date: '2015-01-01',
+        vote_average: 7.5,
+        vote_count: 1500,
+        ...(index >= 40 ? { criticScores: { rottenTomatoes: 90, metacritic: 85, imdb: 8 } } : {})
+      })),
+      genres: {},
+      credits: {}
+    };
+    const providerIds = [];
+    global.fetch = vi.fn().mockImplementation(url => {
+      const match = String(url).match(/\/3\/movie\/(\d+)\/watch\/providers/);
+      if (!match) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(feed) });
+      }
+      providerIds.push(match[1]);
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({ results: { US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix' }] } } })
+      });
+    });
+
+    await initMoviesPanel();
+    for (let i = 0; i < 20; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    expect(providerIds).toHaveLength(40);
+    expect(providerIds).toEqual(expect.arrayContaining(['2040', '2041', '2042', '2043', '2044']));
+    expect(providerIds).not.toContain('2035');
+    expect(providerIds).not.toContain('2039');
+  });
+
+  it('checks streaming availability one page at a time and retries failed lookups', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    localStorage.setItem(
+      'movieFeedFilters',
+      JSON.stringify({ myServices: '8', myServicesOnly: 'true' })
+    );
+
+    const feed = {
+      results: Array.from({ length: 70 }, (_, index) => ({
+        id: 1000 + index,
+        title: `Service Film ${index}`,
+        release_date: '2015-01-01',
+        vote_average: 7.5,
+        vote_count: 1500
+      })),
+      genres: {},
+      credits: {}
+    };
+    let failing = true;
+    const providerIds = [];
+    global.fetch = vi.fn().mockImplementation(url => {
+      const match = String(url).match(/\/3\/movie\/(\d+)\/watch\/providers/);
+      if (!match) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(feed) });
+      }
+      providerIds.push(match[1]);
+      if (match[1] === '1000' && failing) {
+        return Promise.resolve({ ok: false, status: 503, json: () => Promise.resolve({}) });
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({ results: { US: { flatrate: [{ provider_id: 8, provider_name: 'Netflix' }] } } })
+      });
+    });
+    const flush = async () => {
+      for (let i = 0; i < 20; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card h3')).map(h => h.textContent);
+
+    await initMoviesPanel();
+    await flush();
+
+    expect(new Set(providerIds).size).toBe(40);
+    expect(titles()).toHaveLength(39);
+    expect(titles()).not.toContain('Service Film 0 (2015)');
+
+    failing = false;
+    const realNow = Date.now;
+    Date.now = () => realNow() + 2 * 60 * 1000;
+    try {
+      document.querySelector('#movieList .movie-feed-more-btn').click();
+      await flush();
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(new Set(providerIds).size).toBe(70);
+    expect(providerIds.filter(id => id === '1000')).toHaveLength(2);
+    expect(titles()).toHaveLength(70);
+    expect(titles()[0]).toBe('Service Film 0 (2015)');
+    expect(document.querySelector('#movieList .movie-feed-more-btn')).toBeNull();
+  });
+
+  it('filters the feed by included and excluded keywords and mood presets', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+
+    const feed = {
+      results: [
+        { id: 951, title: 'Vault Job', release_date: '2015-01-01', vote_average: 7.9, vote_count: 2000, keywords: ['Heist'] },
+        { id: 952, title: 'Love Story', release_date: '2016-01-01', vote_average: 7.5, vote_count: 1500, keywords: ['romance'] },
+        { id: 953, title: 'Time Thieves', release_date: '2017-01-01', vote_average: 7.2, vote_count: 1200 }
+      ],
+      genres: {},
+      credits: {}
+    };
+    const keywords = {
+      953: { id: 953, keywords: [{ id: 10051, name: 'heist' }, { id: 4379, name: 'time travel' }] }
+    };
+    global.fetch = vi.fn().mockImplementation(url => {
+      const match = String(url).match(/\/3\/movie\/(\d+)\/keywords/);
+      const payload = match ? keywords[match[1]] : feed;
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
+    const flush = async () => {
+      for (let i = 0; i < 6; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card h3')).map(h => h.textContent);
+
+    await initMoviesPanel();
+    expect(titles()).toHaveLength(3);
+    const suggestions = Array.from(document.querySelectorAll('#movieFilterKeywordOptions option')).map(
+      option => option.value
+    );
+    expect(suggestions).toEqual(expect.arrayContaining(['heist', 'romance']));
+
+    const input = document.getElementById('movieFilterKeywordInput');
+    input.value = 'Heist';
+    document.getElementById('movieFilterKeywordInclude').click();
+    await flush();
+
+    const catalogUrl = global.fetch.mock.calls.map(call => String(call[0])).find(url => url.includes('withKeywords'));
+    expect(catalogUrl).toContain('withKeywords=heist');
+    expect(titles()).toEqual(['Vault Job (2015)', 'Time Thieves (2017)']);
+    expect(JSON.parse(localStorage.getItem('movieFeedFilters')).includeKeywords).toBe('heist');
+
+    input.value = 'time travel';
+    document.getElementById('movieFilterKeywordExclude').click();
+    await flush();
+    expect(titles()).toEqual(['Vault Job (2015)']);
+    const chips = Array.from(document.querySelectorAll('#movieFilterKeywords .movie-keyword-chip'));
+    expect(chips.map(chip => chip.dataset.keyword)).toEqual(['heist', 'time travel']);
+    expect(chips[1].classList.contains('movie-keyword-chip--exclude')).toBe(true);
+
+    chips[0].querySelector('button').click();
+    await flush();
+    expect(titles()).toEqual(['Vault Job (2015)', 'Love Story (2016)']);
+
+    const mood = document.getElementById('movieFilterMood');
+    mood.value = 'edgeOfSeat';
+    mood.dispatchEvent(new dom.window.Event('change'));
+    await flush();
+    expect(mood.value).toBe('');
+    expect(titles()).toEqual(['Vault Job (2015)']);
+    expect(JSON.parse(localStorage.getItem('movieFeedFilters')).includeKeywords).toContain('heist');
+  });
+
+  it('keeps titles with failed keyword lookups unknown and retries them later', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+    localStorage.setItem('movieFeedFilters', JSON.stringify({ includeKeywords: 'heist' }));
+
+    const feed = {
+      results: [{ id: 961, title: 'Late Heist', release_date: '2018-01-01', vote_average: 7.4, vote_count: 900 }],
+      genres: {},
+      credits: {}
+    };
+    let failing = true;
+    const keywordCalls = [];
+    global.fetch = vi.fn().mockImplementation(url => {
+      if (!/\/3\/movie\/961\/keywords/.test(String(url))) {
+        return Promise.resolve({ ok: true, json: () => Promise.resolve(feed) });
+      }
+      keywordCalls.push(url);
+      if (failing) {
+        return Promise.resolve({ ok: false, status: 500, json: () => Promise.resolve({}) });
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({ id: 961, keywords: [{ id: 10051, name: 'heist' }] })
+      });
+    });
+    const flush = async () => {
+      for (let i = 0; i < 6; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card h3')).map(h => h.textContent);
+
+    await initMoviesPanel();
+    await flush();
+    expect(keywordCalls).toHaveLength(1);
+    expect(titles()).toEqual([]);
+
+    failing = false;
+    const realNow = Date.now;
+    Date.now = () => realNow() + 2 * 60 * 1000;
+    try {
+      const input = document.getElementById('movieFilterKeywordInput');
+      input.value = 'caper';
+      document.getElementById('movieFilterKeywordInclude').click();
+      await flush();
+    } finally {
+      Date.now = realNow;
+    }
+
+    expect(keywordCalls).toHaveLength(2);
+    expect(titles()).toEqual(['Late Heist (2018)']);
+  });
+
+  it('looks up critic scores for the feed page rendered after sorting and retries only what is still shown', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    vi.stubEnv('VITEST', 'false');
+    vi.stubEnv('NODE_ENV', 'production');
+    localStorage.setItem('movieFeedFilters', JSON.stringify({ sort: 'criticBlend', minRottenTomatoes: '50' }));
+
+    const feed = {
+      results: Array.from({ length: 45 }, (_, index) => ({
+        id: 3000 + index,
+        title: `Blend Film ${index}`,
+        release_date: index < 20 ? '2015-01-01' : '2016-01-01',
+        vote_average: 7.5,
+        vote_count: 1500,
+        ...(index >= 40 ? { criticScores: { rottenTomatoes: 130 - index, metacritic: 80, imdb: 8 } } : {})
+      })),
+      genres: {},
+      credits: {}
+    };
+    const batches = [];
+    global.fetch = vi.fn().mockImplementation((url, options) => {
+      if (String(url).includes('/api/movie-ratings/batch')) {
+        const { items } = JSON.parse(options.body);
+        batches.push(items.map(item => item.title));
+        const results = items.map(item => ({ key: item.key, status: 'pending' }));
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ results }) });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(feed) });
+    });
+    const retries = [];
+    const realSetTimeout = global.setTimeout;
+    vi.spyOn(global, 'setTimeout').mockImplementation((callback, ms, ...args) => {
+      if (ms === 5000) {
+        retries.push(callback);
+        return 0;
+      }
+      return realSetTimeout(callback, ms, ...args);
+    });
+    const flush = async () => {
+      for (let i = 0; i < 4; i += 1) {
+        await new Promise(resolve => realSetTimeout(resolve, 0));
+      }
+    };
+    const rendered = () =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card h3')).map(h =>
+        h.textContent.replace(/ \(\d{4}\)$/, '')
+      );
+    const films = (from, to) => Array.from({ length: to - from }, (_, index) => `Blend Film ${from + index}`);
+
+    await initMoviesPanel();
+    await flush();
+
+    expect(rendered()).toEqual([...films(40, 45), ...films(0, 35)]);
+    expect(batches).toEqual([films(0, 35)]);
+
+    const startYear = document.getElementById('movieFilterStartYear');
+    startYear.value = '2016';
+    startYear.dispatchEvent(new dom.window.Event('change'));
+    await flush();
+    expect(rendered()).toEqual([...films(40, 45), ...films(20, 40)]);
+    expect(batches[1]).toEqual(films(35, 40));
+
+    retries.shift()();
+    await flush();
+    expect(batches[2]).toEqual(films(20, 35));
+  });
+
+  it('filters and sorts the stream by critic scores, looking up missing scores', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({
+        971: {
+          status: 'watched',
+          updatedAt: 2,
+          movie: { id: 971, title: 'Watched Panned', criticScores: { rottenTomatoes: 20, metacritic: 30, imdb: 5 } }
+        },
+        972: {
+          status: 'watched',
+          updatedAt: 1,
+          movie: { id: 972, title: 'Watched Acclaimed', criticScores: { rottenTomatoes: 98, metacritic: 90, imdb: 8.5 } }
+        }
+      })
+    );
+
+    const feed = {
+      results: [
+        { id: 961, title: 'Crowd Pleaser', release_date: '2015-01-01', vote_average: 8.5, vote_count: 9000, criticScores: { rottenTomatoes: 60, metacritic: 85, imdb: 7 } },
+        { id: 962, title: 'Critics Darling', release_date: '2016-01-01', vote_average: 7.5, vote_count: 3000, criticScores: { rottenTomatoes: 95, metacritic: 80, imdb: 8.1 } },
+        { id: 963, title: 'Unscored', release_date: '2017-01-01', vote_average: 7, vote_count: 1000 }
+      ],
+      genres: {},
+      credits: {}
+    };
+    global.fetch = vi.fn().mockImplementation((url, options) => {
+      if (String(url).includes('/api/movie-ratings/batch')) {
+        const { items } = JSON.parse(options.body);
+        const results = items.map(item =>
+          item.title === 'Unscored'
+            ? { key: item.key, status: 'hit', payload: { ratings: { rottenTomatoes: 90, metacritic: 70, imdb: 7.5 } } }
+            : { key: item.key, status: 'miss' }
+        );
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ results }) });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(feed) });
+    });
+    const flush = async () => {
+      for (let i = 0; i < 4; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+    const titles = selector =>
+      Array.from(document.querySelectorAll(`${selector} h3`)).map(h => h.textContent.replace(/ \((\d{4}|Unknown)\)$/, ''));
+
+    await initMoviesPanel();
+    expect(titles('#movieList li.movie-card')[0]).toBe('Crowd Pleaser');
+    expect(global.fetch.mock.calls.some(call => String(call[0]).includes('/api/movie-ratings'))).toBe(false);
+
+    vi.stubEnv('VITEST', 'false');
+    vi.stubEnv('NODE_ENV', 'production');
+    const sort = document.getElementById('movieFilterSort');
+    sort.value = 'criticBlend';
+    sort.dispatchEvent(new dom.window.Event('change'));
+    expect(titles('#movieList li.movie-card')).toEqual(['Critics Darling', 'Crowd Pleaser', 'Unscored']);
+    await flush();
+    expect(titles('#movieList li.movie-card')).toEqual(['Critics Darling', 'Unscored', 'Crowd Pleaser']);
+    const batchCall = global.fetch.mock.calls.find(call => String(call[0]).includes('/api/movie-ratings/batch'));
+    expect(batchCall[1].method).toBe('POST');
+    expect(JSON.parse(localStorage.getItem('movieFeedFilters')).sort).toBe('criticBlend');
+    expect(
+      global.fetch.mock.calls.filter(call => String(call[0]).includes('sort='))
+    ).toEqual([]);
+
+    const minRt = document.getElementById('movieFilterMinRottenTomatoes');
+    minRt.value = '85';
+    minRt.dispatchEvent(new dom.window.Event('change'));
+    expect(titles('#movieList li.movie-card')).toEqual(['Critics Darling', 'Unscored']);
+    const minMeta = document.getElementById('movieFilterMinMetacritic');
+    minMeta.value = '75';
+    minMeta.dispatchEvent(new dom.window.Event('change'));
+    expect(titles('#movieList li.movie-card')).toEqual(['Critics Darling']);
+
+    const watchedSort = document.getElementById('watchedMoviesSort');
+    watchedSort.value = 'criticBlend';
+    watchedSort.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    expect(titles('#watchedMoviesList .movie-card')).toEqual(['Watched Acclaimed', 'Watched Panned']);
+  });
+
+  it('looks up critic scores in batches and retries pending titles', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    vi.stubEnv('VITEST', 'false');
+    vi.stubEnv('NODE_ENV', 'production');
+
+    const feed = {
+      results: [
+        { id: 991, title: 'Stored Scores', release_date: '2015-01-01', vote_average: 7.5, vote_count: 900 },
+        { id: 992, title: 'Still Fetching', release_date: '2016-01-01', vote_average: 7.4, vote_count: 800 },
+        { id: 993, title: 'Needs Lookup', release_date: '2017-01-01', vote_average: 7.3, vote_count: 700 }
+      ],
+      genres: {},
+      credits: {}
+    };
+    const batchResponses = [
+      { 'Stored Scores': 'hit', 'Still Fetching': 'pending', 'Needs Lookup': 'miss' },
+      { 'Still Fetching': 'hit' }
+    ];
+    global.fetch = vi.fn().mockImplementation((url, options) => {
+      const value = String(url);
+      if (value.includes('/api/movie-ratings/batch')) {
+        const statuses = batchResponses.shift();
+        const results = JSON.parse(options.body).items.map(item =>
+          statuses[item.title] === 'hit'
+            ? { key: item.key, status: 'hit', payload: { ratings: { rottenTomatoes: 92, metacritic: 81, imdb: 7.9 } } }
+            : { key: item.key, status: statuses[item.title] }
+        );
+        return Promise.resolve({ ok: true, json: () => Promise.resolve({ results }) });
+      }
+      if (value.includes('/api/movie-ratings')) {
+        return Promise.resolve({
+          ok: true,
+          json: () => Promise.resolve({ ratings: { rottenTomatoes: 64, metacritic: 58, imdb: 6.8 } })
+        });
+      }
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(feed) });
+    });
+    const retries = [];
+    const realSetTimeout = global.setTimeout;
+    vi.spyOn(global, 'setTimeout').mockImplementation((callback, ms, ...args) => {
+      if (ms === 5000) {
+        retries.push(callback);
+        return 0;
+      }
+      return realSetTimeout(callback, ms, ...args);
+    });
+    const flush = async () => {
+      for (let i = 0; i < 6; i += 1) {
+        await new Promise(resolve => realSetTimeout(resolve, 0));
+      }
+    };
+    const ratingCalls = () =>
+      global.fetch.mock.calls.filter(call => String(call[0]).includes('/api/movie-ratings'));
+    const cardText = title =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card'))
+        .find(card => card.querySelector('h3').textContent.startsWith(title))
+        .textContent;
+
+    await initMoviesPanel();
+    await flush();
+
+    const [batchCall, ...singleCalls] = ratingCalls();
+    expect(batchCall[0]).toContain('/api/movie-ratings/batch');
+    expect(JSON.parse(batchCall[1].body).items.map(item => item.title)).toEqual([
+      'Stored Scores',
+      'Still Fetching',
+      'Needs Lookup'
+    ]);
+    expect(singleCalls.map(call => String(call[0]))).toEqual([expect.stringContaining('title=Needs+Lookup')]);
+    expect(cardText('Stored Scores')).toContain('Rotten Tomatoes: 92%');
+    expect(cardText('Needs Lookup')).toContain('Rotten Tomatoes: 64%');
+    expect(cardText('Still Fetching')).toContain('Not fetched yet');
+    expect(retries).toHaveLength(1);
+
+    retries.shift()();
+    await flush();
+
+    const retryCall = ratingCalls()[2];
+    expect(retryCall[0]).toContain('/api/movie-ratings/batch');
+    expect(JSON.parse(retryCall[1].body).items.map(item => item.title)).toEqual(['Still Fetching']);
+    expect(ratingCalls()).toHaveLength(3);
+    expect(cardText('Still Fetching')).toContain('Rotten Tomatoes: 92%');
+  });
+
+  it('ranks unscored titles last under critic filters without fetching when auto fetch is off', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem('movieFeedFilters', JSON.stringify({ minRottenTomatoes: '80' }));
+
+    const feed = {
+      results: [
+        { id: 981, title: 'Not Yet Scored', release_date: '2019-01-01', vote_average: 8.2, vote_count: 5000 },
+        { id: 982, title: 'Fresh Pick', release_date: '2018-01-01', vote_average: 7.2, vote_count: 800, criticScores: { rottenTomatoes: 92, metacritic: 80, imdb: 7.6 } },
+        { id: 983, title: 'Rotten Pick', release_date: '2017-01-01', vote_average: 7.8, vote_count: 3000, criticScores: { rottenTomatoes: 40, metacritic: 50, imdb: 6.1 } }
+      ],
+      genres: {},
+      credits: {}
+    };
+    global.fetch = vi.fn().mockImplementation(() =>
+      Promise.resolve({ ok: true, json: () => Promise.resolve(feed) })
+    );
+
+    await initMoviesPanel();
+    for (let i = 0; i < 4; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    const titles = Array.from(document.querySelectorAll('#movieList li.movie-card h3')).map(h => h.textContent);
+    expect(titles).toEqual(['Fresh Pick (2018)', 'Not Yet Scored (2019)']);
+    const ratingCalls = global.fetch.mock.calls.filter(call => String(call[0]).includes('/api/movie-ratings'));
+    expect(ratingCalls).toHaveLength(0);
+  });
+
+  it('plays TMDB trailers and falls back to YouTube search candidates', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    window.tmdbApiKey = 'TEST_KEY';
+
+    const feed = {
+      results: [
+        { id: 1001, title: 'Has Trailer', release_date: '2019-03-01', vote_average: 7.9, vote_count: 2000 },
+        { id: 1002, title: 'No Videos', release_date: '2001-06-01', vote_average: 7.5, vote_count: 1500 }
+      ],
+      genres: {},
       credits: {}
     };
-
-    configureFetchResponses([
-      { ok: true, json: () => Promise.resolve(cachedResponse) },
-      { ok: true, json: () => Promise.resolve(cachedResponse) }
-    ]);
+    const videos = {
+      1001: {
+        results: [
+          { site: 'YouTube', key: 'teaserKey', type: 'Teaser', name: 'Teaser' },
+          { site: 'Vimeo', key: 'vimeoKey', type: 'Trailer', name: 'Vimeo Trailer' },
+          { site: 'YouTube', key: 'trailerKey', type: 'Trailer', name: 'Official Trailer', official: true }
+        ]
+      },
+      1002: { results: [] }
+    };
+    const search = {
+      query: 'No Videos 2001 trailer',
+      videos: [
+        { id: 'ytOne', title: 'No Videos - Trailer' },
+        { id: 'ytTwo', title: 'No Videos (2001) HD Trailer' }
+      ]
+    };
+    global.fetch = vi.fn().mockImplementation(url => {
+      const value = String(url);
+      const match = value.match(/\/3\/movie\/(\d+)\/videos/);
+      let payload = feed;
+      if (match) payload = videos[match[1]];
+      else if (value.includes('/api/youtube/search')) payload = search;
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
 
     await initMoviesPanel();
 
-    firestoreDocMock.get.mockResolvedValueOnce({
-      exists: true,
-      data: () => ({
-        prefs: {
-          '1': {
-            status: 'watched',
-            updatedAt: Date.now(),
-            movie: {
-              id: 1,
-              title: 'Sample Movie',
-              release_date: '2024-01-01',
-              vote_average: 7.5,
-              vote_count: 120,
-              genre_ids: [28]
-            }
-          }
-        }
-      })
-    });
-    authModuleMock.getCurrentUser.mockReturnValue({ uid: 'signed-in-user' });
-    authModuleMock.awaitAuthUser.mockResolvedValue({ uid: 'signed-in-user' });
-
-    await refreshMoviesPanelForAuthChange({ uid: 'signed-in-user' });
+    const clickTrailer = async title => {
+      const card = Array.from(document.querySelectorAll('#movieList li.movie-card')).find(el =>
+        el.querySelector('h3').textContent.startsWith(title)
+      );
+      Array.from(card.querySelectorAll('button'))
+        .find(b => b.textContent === 'Watch trailer')
+        .click();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      return document.getElementById('movieTrailerModal');
+    };
 
-    const streamText = document.getElementById('movieList')?.textContent || '';
-    const watchedText = document.getElementById('watchedMoviesList')?.textContent || '';
-    expect(streamText).not.toContain('Sample Movie (2024)');
-    expect(watchedText).toContain('Sample Movie (2024)');
+    let modal = await clickTrailer('Has Trailer');
+    expect(modal.querySelector('iframe').getAttribute('src')).toContain('/embed/trailerKey');
+    expect(modal.querySelectorAll('.movie-trailer-option')).toHaveLength(2);
+    const urls = global.fetch.mock.calls.map(call => String(call[0]));
+    expect(urls.some(url => url.includes('/api/youtube/search'))).toBe(false);
+
+    modal = await clickTrailer('No Videos');
+    expect(document.querySelectorAll('#movieTrailerModal')).toHaveLength(1);
+    const searchUrl = global.fetch.mock.calls
+      .map(call => String(call[0]))
+      .find(url => url.includes('/api/youtube/search'));
+    expect(searchUrl).toContain('q=No+Videos+2001+trailer');
+    expect(modal.querySelector('iframe').getAttribute('src')).toContain('/embed/ytOne');
+
+    const options = modal.querySelectorAll('.movie-trailer-option');
+    options[1].click();
+    expect(modal.querySelector('iframe').getAttribute('src')).toContain('/embed/ytTwo');
+
+    modal.querySelector('.movie-detail-close').click();
+    expect(document.getElementById('movieTrailerModal')).toBeNull();
   });
 
-  it('shows an empty-state message when the catalog has no movies', async () => {
+  it('does not save movie lists when the stored lists failed to load', async () => {
     const dom = buildDom();
     attachWindow(dom);
+    localStorage.setItem('myLists', '{not json');
+    window.prompt = vi.fn(() => 'Weekend picks');
 
-    configureFetchResponses([{ ok: true, json: () => Promise.resolve({ results: [] }) }]);
+    configureFetchResponses([
+      {
+        results: [{ id: 1111, title: 'Lonely Pick', release_date: '1999-10-01', vote_average: 7.4, vote_count: 900 }],
+        genres: {},
+        credits: {}
+      }
+    ]);
 
     await initMoviesPanel();
+    expect(document.getElementById('movieListItems').textContent).toContain('could not be loaded');
 
-    const listText = document.getElementById('movieList')?.textContent || '';
-    expect(listText).toContain('No saved movies found.');
-    const statusText = document.getElementById('movieStatus')?.textContent || '';
-    expect(statusText).toContain('No saved movies found.');
-    expect(global.fetch.mock.calls.length).toBe(1);
+    const picker = document.querySelector('#movieList li.movie-card select.movie-list-picker');
+    picker.value = '__new__';
+    picker.dispatchEvent(new window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(localStorage.getItem('myLists')).toBe('{not json');
+    expect(document.getElementById('movieListSelect').options).toHaveLength(0);
   });
 
-  it('loads catalog movies even when no TMDB API key is configured', async () => {
+  it('adds movies to named custom lists with notes and ordering', async () => {
     const dom = buildDom();
     attachWindow(dom);
+    localStorage.setItem('myLists', JSON.stringify([{ name: 'Groceries', items: ['milk'] }]));
+    window.prompt = vi.fn(() => 'Halloween marathon');
 
     configureFetchResponses([
       {
-        ok: true,
-        json: () =>
-          Promise.resolve({
-            results: [
-              {
-                id: 77,
-                title: 'Catalog Movie',
-                release_date: '2024-03-01',
-                vote_average: 7.4,
-                vote_count: 88,
-                genre_ids: [28]
-              }
-            ],
-            genres: { 28: 'Action' },
-            credits: {}
-          })
+        results: [
+          { id: 1101, title: 'Zombie Night', release_date: '1990-10-01', vote_average: 7.4, vote_count: 900 },
+          { id: 1102, title: 'Apple Orchard', release_date: '2005-10-01', vote_average: 7.2, vote_count: 800 }
+        ],
+        genres: {},
+        credits: {}
       }
     ]);
 
     await initMoviesPanel();
 
-    const listText = document.getElementById('movieList')?.textContent || '';
-    expect(listText).toContain('Catalog Movie');
-    const statusText = document.getElementById('movieStatus')?.textContent || '';
-    expect(statusText).toContain('Loaded 1 movie from the catalog.');
+    const pickFor = title =>
+      Array.from(document.querySelectorAll('#movieList li.movie-card'))
+        .find(card => card.querySelector('h3').textContent.startsWith(title))
+        .querySelector('select.movie-list-picker');
+    const choose = async (select, value) => {
+      select.value = value;
+      select.dispatchEvent(new window.Event('change'));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    };
+
+    await choose(pickFor('Zombie Night'), '__new__');
+    const listId = JSON.parse(localStorage.getItem('myLists')).find(list => list.type === 'movies').id;
+    await choose(pickFor('Apple Orchard'), listId);
+
+    const titles = () =>
+      Array.from(document.querySelectorAll('#movieListItems li.movie-card h3')).map(h => h.textContent);
+    expect(titles()).toEqual(['Zombie Night (1990)', 'Apple Orchard (2005)']);
+    expect(document.getElementById('movieListSelect').textContent).toContain('Halloween marathon (2)');
+
+    const secondCard = document.querySelectorAll('#movieListItems li.movie-card')[1];
+    Array.from(secondCard.querySelectorAll('button'))
+      .find(b => b.textContent === 'Move up')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(titles()).toEqual(['Apple Orchard (2005)', 'Zombie Night (1990)']);
+
+    const note = document.querySelector('#movieListItems .movie-list-note');
+    note.value = 'Start with this one';
+    note.dispatchEvent(new window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    const sort = document.getElementById('movieListSort');
+    sort.value = 'title';
+    sort.dispatchEvent(new window.Event('change'));
+    expect(titles()).toEqual(['Apple Orchard (2005)', 'Zombie Night (1990)']);
+    const labels = Array.from(document.querySelectorAll('#movieListItems button')).map(b => b.textContent);
+    expect(labels).toContain('Remove from list');
+    expect(labels).not.toContain('Move up');
+
+    const stored = JSON.parse(localStorage.getItem('myLists'));
+    expect(stored[0]).toEqual({ name: 'Groceries', items: ['milk'] });
+    expect(stored[1]).toMatchObject({ type: 'movies', name: 'Halloween marathon' });
+    expect(stored[1].items.map(item => [item.movie.id, item.note])).toEqual([
+      [1102, 'Start with this one'],
+      [1101, '']
+    ]);
   });
 
-  it('reports failure details when catalog request fails', async () => {
+  it('logs dated viewings in a watch diary and shows them by month', async () => {
     const dom = buildDom();
     attachWindow(dom);
-    configureFetchResponses([{ ok: false, json: () => Promise.resolve({}) }]);
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({
+        950: {
+          status: 'watched',
+          updatedAt: 1,
+          viewings: [{ id: 'v-old', date: '2024-12-24', location: 'Cinema', rating: 7, loggedAt: 1 }],
+          movie: { id: 950, title: 'Rewatched', release_date: '1999-03-31' }
+        }
+      })
+    );
+    global.prompt = vi.fn(() => '2026-10-02');
+    configureFetchResponses([{ results: [], genres: {}, credits: {} }]);
 
     await initMoviesPanel();
 
-    const statusText = document.getElementById('movieStatus')?.textContent || '';
-    expect(statusText).toContain('Could not load movies from the catalog');
+    const card = () => document.querySelector('#watchedMoviesList li.movie-card');
+    expect(card().querySelector('.movie-viewing-summary').textContent).toBe(
+      'Viewed 1 time · Last watched 2024-12-24'
+    );
+
+    Array.from(card().querySelectorAll('button'))
+      .find(b => b.textContent === 'Log viewing')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(global.prompt).toHaveBeenCalledWith('Select date (YYYY-MM-DD):', expect.any(String));
+
+    const form = document.querySelector('#movieViewingModal form');
+    form.querySelector('[name="location"]').value = 'Netflix';
+    form.querySelector('[name="companions"]').value = 'Sam, Kim';
+    form.querySelector('[name="rating"]').value = '9';
+    form.querySelector('[name="review"]').value = 'Better the second time.';
+    form.dispatchEvent(new window.Event('submit', { cancelable: true }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('movieViewingModal')).toBeNull();
+    expect(card().querySelector('.movie-viewing-summary').textContent).toBe(
+      'Viewed 2 times · Last watched 2026-10-02'
+    );
+    const entries = Array.from(card().querySelectorAll('.movie-viewing-list li')).map(li => li.textContent);
+    expect(entries[0]).toContain('2026-10-02 · Netflix · with Sam, Kim · Rated 9');
+    expect(entries[0]).toContain('Better the second time.');
+    const stored = JSON.parse(localStorage.getItem('moviePreferences'))[950];
+    expect(stored.viewings).toHaveLength(2);
+    expect(stored.userRating).toBe(9);
+
+    const view = document.getElementById('watchedMoviesView');
+    view.value = 'diary';
+    view.dispatchEvent(new window.Event('change'));
+    const months = Array.from(document.querySelectorAll('.movie-viewing-month h4')).map(h => h.textContent);
+    expect(months).toEqual(['October 2026', 'December 2024']);
+    expect(document.querySelector('.movie-viewing-month li').textContent).toContain('Rewatched (1999)');
   });
 
-  it('filters out movies below rating or vote thresholds', async () => {
+  it('keeps viewing ids stable and recomputes the rating when a rated viewing is deleted', async () => {
     const dom = buildDom();
     attachWindow(dom);
-    window.tmdbApiKey = 'TEST_KEY';
-
-    const page = {
-      results: [
-        {
-          id: 42,
-          title: 'Top Tier',
-          release_date: '2024-02-01',
-          vote_average: 8.5,
-          vote_count: 500,
-          overview: 'Critically acclaimed.',
-          genre_ids: []
-        },
-        {
-          id: 43,
-          title: 'Too Few Votes',
-          release_date: '2024-02-02',
-          vote_average: 8.5,
-          vote_count: 20,
-          overview: 'Not enough data.',
-          genre_ids: []
-        },
-        {
-          id: 44,
-          title: 'Too Low Rating',
-          release_date: '2024-02-03',
-          vote_average: 6.5,
-          vote_count: 600,
-          overview: 'Audience lukewarm.',
-          genre_ids: []
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({
+        951: {
+          status: 'watched',
+          updatedAt: 1,
+          userRating: 9,
+          viewings: [
+            { date: '2024-01-05', rating: 6 },
+            { date: '2024-01-05', rating: 7 },
+            { id: 'v-latest', date: '2025-02-01', rating: 9, loggedAt: 3 }
+          ],
+          movie: { id: 951, title: 'Diary Entries', release_date: '2001-01-01' }
         }
-      ]
-    };
-    configureFetchResponses([
-      {
-        ok: true,
-        json: () => Promise.resolve({ results: page.results, genres: {}, credits: {} })
-      }
-    ]);
+      })
+    );
+    configureFetchResponses([{ results: [], genres: {}, credits: {} }]);
 
     await initMoviesPanel();
 
-    const movieTitles = Array.from(document.querySelectorAll('#movieList li h3')).map(h => h.textContent);
-    expect(movieTitles).toHaveLength(1);
-    expect(movieTitles[0]).toContain('Top Tier');
-    expect(document.querySelector('#movieList').textContent).not.toContain('Too Few Votes');
-    expect(document.querySelector('#movieList').textContent).not.toContain('Too Low Rating');
+    const card = () => document.querySelector('#watchedMoviesList li.movie-card');
+    const deleteButton = date =>
+      Array.from(card().querySelectorAll('.movie-viewing-delete')).find(
+        button => button.getAttribute('aria-label') === `Delete viewing on ${date}`
+      );
+    const stored = () => JSON.parse(localStorage.getItem('moviePreferences'))[951];
+
+    deleteButton('2025-02-01').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(stored().viewings.map(viewing => viewing.id)).toEqual(['v-2024-01-05-0', 'v-2024-01-05-1']);
+    expect(stored().userRating).toBe(6);
+
+    deleteButton('2024-01-05').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(stored().viewings.map(viewing => viewing.id)).toEqual(['v-2024-01-05-1']);
+    expect(stored().userRating).toBe(7);
+
+    deleteButton('2024-01-05').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(stored().viewings).toEqual([]);
+    expect(stored()).not.toHaveProperty('userRating');
   });
 
-  it('shows a no-match message for restrictive filters without background refill', async () => {
+  it('imports Letterboxd history after reviewing ambiguous TMDB matches', async () => {
     const dom = buildDom();
     attachWindow(dom);
     window.tmdbApiKey = 'TEST_KEY';
 
-    const initialPage = {
-      results: [
-        {
-          id: 100,
-          title: 'Solid Choice',
-          release_date: '2022-01-01',
-          vote_average: 7.4,
-          vote_count: 210,
-          overview: 'Popular but below new threshold.',
-          genre_ids: []
-        }
+    const searchResults = {
+      Heat: [
+        { id: 949, title: 'Heat', release_date: '1995-12-15' },
+        { id: 5000, title: 'Heat', release_date: '1986-03-14' }
       ],
-      total_pages: 1
+      Solaris: [
+        { id: 593, title: 'Solaris', release_date: '1972-03-20' },
+        { id: 2103, title: 'Solaris', release_date: '1972-09-01' }
+      ],
+      Arrival: [{ id: 329865, title: 'Arrival', release_date: '2016-11-10' }]
     };
-    configureFetchResponses([
-      {
-        ok: true,
-        json: () => Promise.resolve({ results: initialPage.results, genres: {}, credits: {} })
+    global.fetch = vi.fn().mockImplementation(url => {
+      const value = String(url);
+      let payload = { results: [], genres: {}, credits: {} };
+      if (value.includes('/3/search/movie')) {
+        const query = new URL(value).searchParams.get('query');
+        payload = { results: searchResults[query] || [] };
       }
-    ]);
+      return Promise.resolve({ ok: true, json: () => Promise.resolve(payload) });
+    });
 
+    global.FileReader = window.FileReader;
     await initMoviesPanel();
 
-    const listEl = document.getElementById('movieList');
-    expect(listEl.textContent).toContain('Solid Choice');
+    const diary = new window.File(
+      [
+        'Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date\n' +
+          '2024-01-03,Heat,1995,https://boxd.it/1,4.5,,,2024-01-02\n' +
+          '2024-02-10,Solaris,1972,https://boxd.it/2,3,,,2024-02-09\n'
+      ],
+      'diary.csv'
+    );
+    const watchlist = new window.File(
+      ['Date,Name,Year,Letterboxd URI\n2024-03-01,Arrival,2016,https://boxd.it/3\n'],
+      'watchlist.csv'
+    );
+    const input = document.getElementById('movieImportFile');
+    Object.defineProperty(input, 'files', { configurable: true, value: [diary, watchlist] });
+    input.dispatchEvent(new window.Event('change'));
+    for (let i = 0; i < 6; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
 
-    const minRatingInput = document.getElementById('movieFilterMinRating');
-    minRatingInput.value = '9';
-    minRatingInput.dispatchEvent(new dom.window.Event('input', { bubbles: true }));
-    minRatingInput.dispatchEvent(new dom.window.Event('change', { bubbles: true }));
+    expect(document.getElementById('movieImportStatus').textContent).toBe('2 matched, 1 need review.');
+    const rows = Array.from(document.querySelectorAll('.movie-import-row'));
+    expect(rows[0].textContent).toContain('Solaris (1972)');
+    const solarisSelect = rows[0].querySelector('select');
+    expect(solarisSelect.value).toBe('');
+    solarisSelect.value = '593';
+    solarisSelect.dispatchEvent(new window.Event('change'));
+
+    Array.from(document.querySelectorAll('#movieImportReview button'))
+      .find(b => b.textContent === 'Import selected')
+      .click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
 
-    expect(listEl.innerHTML).not.toContain('Loading more movies...');
-    expect(global.fetch.mock.calls.length).toBeGreaterThanOrEqual(1);
-    expect(listEl.innerHTML).toContain('No movies match the current filters.');
-    const statusText = document.getElementById('movieStatus')?.textContent || '';
-    expect(statusText).toContain('0 movies match your current filters.');
+    expect(document.getElementById('movieImportStatus').textContent).toBe('Imported 3 movies.');
+    const stored = JSON.parse(localStorage.getItem('moviePreferences'));
+    expect(stored[949]).toMatchObject({ status: 'watched', userRating: 9 });
+    expect(stored[949].viewings.map(viewing => viewing.date)).toEqual(['2024-01-02']);
+    expect(stored[593]).toMatchObject({ status: 'watched', userRating: 6 });
+    expect(stored[329865]).toMatchObject({ status: 'interested', interest: 3 });
+    expect(stored[5000]).toBeUndefined();
+    delete global.FileReader;
+  });
+
+  it('exports a JSON backup that restores the movie state', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    global.FileReader = window.FileReader;
+    global.Blob = window.Blob;
+    const saved = {
+      950: {
+        status: 'watched',
+        userRating: 8.5,
+        updatedAt: 10,
+        viewings: [{ id: 'v1', date: '2024-12-24', location: 'Cinema', companions: [], rating: 8.5, review: '', loggedAt: 5 }],
+        movie: { id: 950, title: 'Backed Up', release_date: '1999-03-31', topCast: ['Lead'] }
+      },
+      951: {
+        status: 'interested',
+        interest: 5,
+        updatedAt: 20,
+        movie: { id: 951, title: 'Saved For Later', release_date: '2020-01-01' }
+      },
+      952: { status: 'notInterested', updatedAt: 30 }
+    };
+    localStorage.setItem('moviePreferences', JSON.stringify(saved));
+    configureFetchResponses([{ results: [], genres: {}, credits: {} }]);
+    const blobs = [];
+    const originalCreate = URL.createObjectURL;
+    URL.createObjectURL = vi.fn(blob => {
+      blobs.push(blob);
+      return 'blob:movies';
+    });
+    const clicks = vi.spyOn(window.HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      clicks.downloads = [...(clicks.downloads || []), this.download];
+    });
+
+    await initMoviesPanel();
+    document.getElementById('movieExportFormat').value = 'json';
+    document.getElementById('movieExportButton').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(clicks.downloads[0]).toMatch(/^movies-backup-\d{4}-\d{2}-\d{2}\.json$/);
+    const text = await new Promise(resolve => {
+      const reader = new window.FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blobs[0]);
+    });
+    const backup = JSON.parse(text);
+    expect(backup).toMatchObject({ format: 'movie-stream-backup', version: 1 });
+    expect(backup.movies[950]).toMatchObject({ status: 'watched', userRating: 8.5, updatedAt: 10 });
+    expect(backup.movies[950].movie).toMatchObject({ id: 950, title: 'Backed Up', topCast: ['Lead'] });
+
+    localStorage.setItem('moviePreferences', JSON.stringify({ 951: { status: 'watched', updatedAt: 99, movie: saved[951].movie } }));
+    const input = document.getElementById('movieImportFile');
+    Object.defineProperty(input, 'files', {
+      configurable: true,
+      value: [new window.File([text], 'movies-backup.json')]
+    });
+    input.dispatchEvent(new window.Event('change'));
+    for (let i = 0; i < 4; i += 1) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    expect(document.getElementById('movieImportStatus').textContent).toBe('Restored 3 movies from backup.');
+    const stored = JSON.parse(localStorage.getItem('moviePreferences'));
+    expect(stored[950]).toMatchObject({ status: 'watched', userRating: 8.5, updatedAt: 10 });
+    expect(stored[950].viewings).toEqual([expect.objectContaining({ id: 'v1', date: '2024-12-24' })]);
+    expect(stored[951]).toMatchObject({ status: 'interested', interest: 5, updatedAt: 20 });
+    expect(stored[952]).toEqual({ status: 'notInterested', updatedAt: 30 });
+
+    clicks.mockRestore();
+    URL.createObjectURL = originalCreate;
+    delete global.FileReader;
+    delete global.Blob;
   });
 
   it('marks the selected movie tab clearly', async () => {
@@ -905,6 +2713,74 @@ describe('initMoviesPanel', () => {
     expect(savedTitles[1]).toContain('Mixed Reviews');
   });
 
+  it('persists custom critic weights and lists divergent titles', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    localStorage.setItem(
+      'moviePreferences',
+      JSON.stringify({
+        981: {
+          status: 'interested',
+          interest: 3,
+          movie: { id: 981, title: 'Tomato Hit', vote_average: 7, criticScores: { rottenTomatoes: 100, metacritic: 40, imdb: 5 } }
+        },
+        982: {
+          status: 'interested',
+          interest: 3,
+          movie: { id: 982, title: 'Meta Hit', vote_average: 7, criticScores: { rottenTomatoes: 50, metacritic: 90, imdb: 9 } }
+        },
+        983: {
+          status: 'watched',
+          userRating: 2,
+          movie: { id: 983, title: 'Not My Thing', vote_average: 8.5, criticScores: { rottenTomatoes: 92, metacritic: 88, imdb: 8.6 } }
+        }
+      })
+    );
+    const divergenceTab = document.createElement('button');
+    divergenceTab.className = 'movie-tab';
+    divergenceTab.dataset.target = 'movieDivergenceSection';
+    document.getElementById('movieTabs').appendChild(divergenceTab);
+    configureFetchResponses([{ results: [], genres: {}, credits: {} }]);
+
+    await initMoviesPanel();
+    const savedTitles = () =>
+      Array.from(document.querySelectorAll('#savedMoviesList h3')).map(el => el.textContent);
+    expect(savedTitles()[0]).toContain('Tomato Hit');
+
+    const rtWeight = document.getElementById('movieCriticWeightRottenTomatoes');
+    expect(rtWeight.value).toBe('50');
+    rtWeight.value = '0';
+    rtWeight.dispatchEvent(new dom.window.Event('change'));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(savedTitles()[0]).toContain('Meta Hit');
+    expect(JSON.parse(localStorage.getItem('movieCriticWeights'))).toEqual({
+      rottenTomatoes: 0,
+      metacritic: 0.3,
+      imdb: 0.2
+    });
+
+    expect(document.getElementById('movieDivergenceList').innerHTML).toBe('');
+    divergenceTab.click();
+    const items = Array.from(document.querySelectorAll('#movieDivergenceList .movie-divergence-item'));
+    expect(items.map(item => item.dataset.movieId)).toEqual(['983', '981']);
+    expect(items[0].querySelector('.movie-divergence-scores').textContent).toBe(
+      'TMDB audience 85 · Critics 87 · You 20'
+    );
+    expect(items[0].querySelector('.movie-divergence-gap').textContent).toBe(
+      'Critics 67 points above you'
+    );
+
+    const mode = document.getElementById('movieDivergenceMode');
+    mode.value = 'mine';
+    mode.dispatchEvent(new dom.window.Event('change'));
+    expect(document.querySelectorAll('#movieDivergenceList .movie-divergence-item')).toHaveLength(1);
+
+    document.getElementById('movieCriticWeightsReset').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(rtWeight.value).toBe('50');
+    expect(savedTitles()[0]).toContain('Tomato Hit');
+  });
+
   it('prefers catalog poster for saved movies when local snapshot poster is stale', async () => {
     const dom = buildDom();
     attachWindow(dom);
@@ -1325,6 +3201,91 @@ describe('initMoviesPanel', () => {
     expect(titlesAsc[1]).toContain('High Rated');
   });
 
+  it('shares saved picks and starts movie night from the synced household list', async () => {
+    const dom = buildDom();
+    attachWindow(dom);
+    document.body.insertAdjacentHTML(
+      'beforeend',
+      '<div id="movieNightSection"><div id="movieNightContent"></div></div>'
+    );
+    const user = { uid: 'alex', email: 'alex@example.com', displayName: 'Alex' };
+    authModuleMock.awaitAuthUser.mockResolvedValue(user);
+    authModuleMock.getCurrentUser.mockReturnValue(user);
+    firestoreDocMock.get.mockResolvedValue({
+      exists: true,
+      data: () => ({
+        prefs: {
+          1: { status: 'interested', interest: 5, movie: { id: 1, title: 'Both Want' } },
+          2: { status: 'interested', interest: 4, movie: { id: 2, title: 'Alex Only' } },
+          3: { status: 'interested', interest: 2, movie: { id: 3, title: 'Sam Later' } }
+        }
+      })
+    });
+    configureFetchResponses([{ results: [], genres: {}, credits: {} }]);
+
+    await initMoviesPanel();
+
+    const emitLists = movieNight =>
+      sharedListSubscriptions
+        .filter(sub => sub.field === 'memberUids')
+        .forEach(sub =>
+          sub.next({
+            forEach: cb =>
+              cb({
+                id: 'house',
+                data: () => ({
+                  name: 'House',
+                  ownerUid: 'alex',
+                  memberUids: ['alex', 'sam'],
+                  members: { alex: { displayName: 'Alex' }, sam: { displayName: 'Sam' } },
+                  invitedEmails: [],
+                  items: {},
+                  movieNight
+                })
+              })
+          })
+        );
+    const content = document.getElementById('movieNightContent');
+    const button = label =>
+      Array.from(content.querySelectorAll('button')).find(btn => btn.textContent === label);
+    const flush = async () => {
+      for (let i = 0; i < 3; i += 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    };
+
+    emitLists({});
+    expect(content.textContent).toContain('Sam – has not shared their saved list yet');
+    button('Share my saved list').click();
+    await flush();
+    expect(firestoreDocMock.update).toHaveBeenCalledWith(
+      expect.objectContaining({
+        'movieNight.alex': { interested: { 1: 5, 2: 4, 3: 2 }, sharedAt: expect.any(Number) }
+      })
+    );
+    button('Start movie night').click();
+    await flush();
+    expect(content.querySelector('.movie-night-message').textContent).toBe(
+      'Pick at least two members for movie night.'
+    );
+
+    emitLists({ sam: { interested: { 1: 4 }, sharedAt: 1 } });
+    const samBox = content.querySelector('.movie-night-members input[value="sam"]');
+    expect(samBox.disabled).toBe(false);
+    samBox.checked = true;
+    samBox.dispatchEvent(new window.Event('change'));
+    const start = button('Start movie night');
+    emitLists({ sam: { interested: { 1: 4, 3: 5 }, sharedAt: 2 } });
+    start.click();
+    await flush();
+
+    const candidates = Array.from(content.querySelectorAll('.movie-night-candidate')).map(
+      item => item.dataset.movieId
+    );
+    expect(candidates).toEqual(['1', '3']);
+    expect(content.textContent).toContain('Round 1: 2 left');
+  });
+
   it('saves preferences to Firestore for authenticated users', async () => {
     const dom = buildDom();
     attachWindow(dom);
@@ -1374,5 +3335,9 @@ describe('initMoviesPanel', () => {
     await new Promise(resolve => setTimeout(resolve, 0));
 
     expect(firestoreDocMock.set).toHaveBeenCalled();
+    expect(collectionMock).toHaveBeenCalledWith('sharedMovieLists');
+    expect(sharedListSubscriptions.map(sub => [sub.field, sub.op, sub.value])).toEqual([
+      ['memberUids', 'array-contains', userId]
+    ]);
   });
 });
@@ -0,0 +1,209 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const {
+  createRatingsProvider,
+  createRatingsRegistry,
+  createLocalRatingsProvider,
+  createTraktRatingsProvider
+} = require('../backend/ratings-providers.js');
+
+function createMemoryCache() {
+  const store = new Map();
+  return {
+    store,
+    readCache: async (collection, parts) => store.get(`${collection}/${parts.join('/')}`) || null,
+    writeCache: async (collection, parts, entry) => {
+      store.set(`${collection}/${parts.join('/')}`, entry);
+    }
+  };
+}
+
+describe('ratings providers', () => {
+  it('merges providers in order, filling gaps unless a provider overrides', async () => {
+    const registry = createRatingsRegistry([
+      createLocalRatingsProvider({
+        name: 'primary',
+        entries: [
+          {
+            imdbId: 'tt0111161',
+            title: 'The Shawshank Redemption',
+            year: '1994',
+            ratings: { rottenTomatoes: 91, metacritic: null, imdb: 9.3 }
+          }
+        ]
+      }),
+      createLocalRatingsProvider({
+        name: 'backup',
+        entries: [{ imdbId: 'tt0111161', ratings: { rottenTomatoes: 50, metacritic: 82 } }]
+      }),
+      createLocalRatingsProvider({
+        name: 'corrections',
+        merge: 'override',
+        entries: [{ title: 'The Shawshank Redemption', year: '1994', ratings: { imdb: 9.2 } }]
+      })
+    ]);
+
+    const { payload, outcomes } = await registry.lookupAll({
+      imdbId: 'tt0111161',
+      title: 'the shawshank redemption',
+      year: '1994'
+    });
+    expect(outcomes).toEqual({ primary: 'fetched', backup: 'fetched', corrections: 'fetched' });
+    expect(payload).toMatchObject({
+      source: 'primary',
+      ratings: { rottenTomatoes: 91, metacritic: 82, imdb: 9.2 },
+      sources: { rottenTomatoes: 'primary', metacritic: 'backup', imdb: 'corrections' },
+      imdbId: 'tt0111161',
+      title: 'The Shawshank Redemption',
+      year: '1994'
+    });
+
+    const missing = await registry.lookupAll({ title: 'Unknown Film' });
+    expect(missing.payload).toBeNull();
+    expect(missing.outcomes.primary).toBe('not_found');
+  });
+
+  it('serves repeat lookups from the provider cache collection', async () => {
+    const cache = createMemoryCache();
+    const fetchRatings = vi.fn(async () => ({ outcome: 'fetched', payload: { ratings: { stub: 7.4 } } }));
+    const provider = createRatingsProvider(
+      { name: 'stub', cacheCollection: 'stubRatingsCache', fetchRatings },
+      cache
+    );
+
+    const first = await provider.lookup({ imdbId: 'tt0068646', type: 'movie' });
+    const second = await provider.lookup({ imdbId: 'TT0068646', type: 'movie' });
+    expect(first).toMatchObject({ outcome: 'fetched', payload: { source: 'stub', ratings: { stub: 7.4 } } });
+    expect(second).toMatchObject({ outcome: 'cache_hit', payload: { ratings: { stub: 7.4 } } });
+    expect(fetchRatings).toHaveBeenCalledTimes(1);
+    expect(Array.from(cache.store.keys())).toEqual(['stubRatingsCache/stub/type:movie/imdb:tt0068646/year:']);
+
+    await provider.lookup({ imdbId: 'tt0068646', type: 'movie' }, { forceRefresh: true });
+    expect(fetchRatings).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuses lookups without a free request slot and backs off after a rate limit', async () => {
+    let clock = 1000;
+    const outcomes = ['fetched', 'rate_limited', 'fetched'];
+    const fetchRatings = vi.fn(async () => {
+      const outcome = outcomes.shift();
+      return outcome === 'fetched' ? { outcome, payload: { ratings: { stub: 6 } } } : { outcome };
+    });
+    const provider = createRatingsProvider(
+      { name: 'stub', fetchRatings, minIntervalMs: 500, rateLimitBackoffMs: 60000 },
+      { now: () => clock }
+    );
+
+    expect((await provider.lookup({ title: 'One' })).outcome).toBe('fetched');
+    const busy = await provider.lookup({ title: 'Two' });
+    expect(busy).toMatchObject({ outcome: 'rate_limited', message: 'stub has no free request slot right now' });
+    expect(fetchRatings).toHaveBeenCalledTimes(1);
+
+    clock += 500;
+    const limitedAt = clock;
+    const limited = await provider.lookup({ title: 'Two' });
+    expect(limited.outcome).toBe('rate_limited');
+
+    clock += 500;
+    const blocked = await provider.lookup({ title: 'Three' });
+    expect(blocked.outcome).toBe('rate_limited');
+    expect(fetchRatings).toHaveBeenCalledTimes(2);
+    expect(provider.describe().blockedUntil).toBe(new Date(limitedAt + 60000).toISOString());
+
+    clock = limitedAt + 60001;
+    expect((await provider.lookup({ title: 'Three' })).outcome).toBe('fetched');
+  });
+
+  it('caches not-found answers', async () => {
+    const cache = createMemoryCache();
+    const fetchRatings = vi.fn(async () => ({ outcome: 'not_found' }));
+    const provider = createRatingsProvider(
+      { name: 'stub', cacheCollection: 'stubRatingsCache', fetchRatings },
+      cache
+    );
+
+    expect((await provider.lookup({ imdbId: 'tt0000001' })).outcome).toBe('not_found');
+    expect((await provider.lookup({ imdbId: 'tt0000001' })).outcome).toBe('not_found');
+    expect(fetchRatings).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(cache.store.get('stubRatingsCache/stub/type:any/imdb:tt0000001/year:').body)).toEqual({
+      notFound: true
+    });
+  });
+
+  it('returns found titles without scores as hits and leaves them out of the not-found cache', async () => {
+    const cache = createMemoryCache();
+    const fetchRatings = vi.fn(async () => ({
+      outcome: 'fetched',
+      payload: { ratings: { rottenTomatoes: null, metacritic: null, imdb: null }, title: 'Obscure Short' }
+    }));
+    const registry = createRatingsRegistry([
+      createRatingsProvider({ name: 'stub', cacheCollection: 'stubRatingsCache', fetchRatings }, cache)
+    ]);
+
+    const first = await registry.lookupAll({ imdbId: 'tt0000009' });
+    expect(first.outcomes).toEqual({ stub: 'fetched' });
+    expect(first.payload).toMatchObject({
+      source: 'stub',
+      title: 'Obscure Short',
+      ratings: { rottenTomatoes: null, metacritic: null, imdb: null }
+    });
+
+    const second = await registry.lookupAll({ imdbId: 'tt0000009' });
+    expect(second.outcomes).toEqual({ stub: 'cache_hit' });
+    expect(second.payload).toMatchObject({ title: 'Obscure Short', ratings: { imdb: null } });
+    expect(fetchRatings).toHaveBeenCalledTimes(1);
+
+    const failing = createRatingsProvider(
+      { name: 'failing', cacheCollection: 'failingRatingsCache', fetchRatings: async () => ({}) },
+      cache
+    );
+    expect((await failing.lookup({ imdbId: 'tt0000010' })).outcome).toBe('not_found');
+    expect(cache.store.has('failingRatingsCache/failing/type:any/imdb:tt0000010/year:')).toBe(false);
+  });
+
+  it('only reads fill providers from cache once the primary provider has every critic score', async () => {
+    const cache = createMemoryCache();
+    const extraFetch = vi.fn(async () => ({ outcome: 'fetched', payload: { ratings: { extra: 8 } } }));
+    const extra = createRatingsProvider(
+      { name: 'extra', cacheCollection: 'extraRatingsCache', fetchRatings: extraFetch },
+      cache
+    );
+    const registry = createRatingsRegistry([
+      createLocalRatingsProvider({
+        name: 'primary',
+        entries: [
+          { imdbId: 'tt0000002', ratings: { rottenTomatoes: 80, metacritic: 70, imdb: 7.5 } },
+          { imdbId: 'tt0000003', ratings: { rottenTomatoes: 60 } }
+        ]
+      }),
+      extra
+    ]);
+
+    const complete = await registry.lookupAll({ imdbId: 'tt0000002' });
+    expect(complete.outcomes).toEqual({ primary: 'fetched', extra: 'skipped' });
+    expect(extraFetch).not.toHaveBeenCalled();
+
+    const partial = await registry.lookupAll({ imdbId: 'tt0000003' });
+    expect(partial.outcomes).toEqual({ primary: 'fetched', extra: 'fetched' });
+    expect(partial.payload.ratings).toMatchObject({ rottenTomatoes: 60, extra: 8 });
+
+    await extra.lookup({ imdbId: 'tt0000002' }, { forceRefresh: true });
+    const cached = await registry.lookupAll({ imdbId: 'tt0000002' });
+    expect(cached.outcomes.extra).toBe('cache_hit');
+    expect(cached.payload.ratings.extra).toBe(8);
+  });
+
+  it('skips providers that are unconfigured or cannot handle the lookup', async () => {
+    const fetchImpl = vi.fn();
+    const unconfigured = createTraktRatingsProvider({ clientId: '', fetchImpl });
+    const configured = createTraktRatingsProvider({ clientId: 'abc', fetchImpl });
+    expect((await unconfigured.lookup({ imdbId: 'tt1' })).outcome).toBe('disabled');
+    expect((await configured.lookup({ title: 'No Id' })).outcome).toBe('unsupported');
+    expect(fetchImpl).not.toHaveBeenCalled();
+    expect(() => createRatingsProvider({ name: 'bad', merge: 'average', fetchRatings: () => null })).toThrow(
+      'Unknown merge policy'
+    );
+  });
+});
@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+const subscriptions = [];
+const updateMock = vi.fn().mockResolvedValue();
+const addMock = vi.fn().mockResolvedValue({ id: 'list-new' });
+
+const authModuleMock = {
+  getCurrentUser: vi.fn(() => null),
+  db: {
+    collection: vi.fn(() => ({
+      where: (field, op, value) => ({
+        onSnapshot: next => {
+          subscriptions.push({ field, value, next });
+          return () => {};
+        }
+      }),
+      add: addMock,
+      doc: id => ({ id, update: updateMock })
+    }))
+  }
+};
+
+vi.mock('../js/auth.js', () => authModuleMock);
+
+const user = { uid: 'u1', email: 'Alex@Example.com', displayName: 'Alex' };
+
+function snapshotOf(docs) {
+  return {
+    forEach: cb => docs.forEach(({ id, ...data }) => cb({ id, data: () => data }))
+  };
+}
+
+function emit(field, docs) {
+  subscriptions.filter(sub => sub.field === field).forEach(sub => sub.next(snapshotOf(docs)));
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('shared household lists', () => {
+  let sharedLists;
+  let container;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    subscriptions.length = 0;
+    updateMock.mockClear();
+    addMock.mockClear();
+    authModuleMock.getCurrentUser.mockReturnValue(user);
+    const dom = new JSDOM('<div id="sharedListsContent"></div>');
+    global.window = dom.window;
+    global.document = dom.window.document;
+    sharedLists = await import('../js/sharedLists.js');
+    container = document.getElementById('sharedListsContent');
+    sharedLists.initSharedListsPanel(container);
+    sharedLists.startSharedListSync(user);
+  });
+
+  afterEach(() => {
+    sharedLists.stopSharedListSync();
+    delete global.window;
+    delete global.document;
+  });
+
+  it('listens for memberships and invites and aggregates household votes', async () => {
+    expect(subscriptions.map(sub => [sub.field, sub.value])).toEqual([
+      ['memberUids', 'u1'],
+      ['invitedEmails', 'alex@example.com']
+    ]);
+
+    emit('memberUids', [
+      {
+        id: 'list-1',
+        name: 'Household',
+        ownerUid: 'u1',
+        memberUids: ['u1', 'u2'],
+        members: { u1: { displayName: 'Alex' }, u2: { email: 'sam@example.com' } },
+        invitedEmails: [],
+        items: {
+          42: { movie: { id: 42, title: 'Shared Film', release_date: '2001-01-01' }, addedBy: 'u2', votes: { u1: 5, u2: 2 } },
+          43: { movie: { id: 43, title: 'Other Film' }, addedBy: 'u1', votes: { u1: 1 } }
+        }
+      }
+    ]);
+
+    const items = Array.from(container.querySelectorAll('.shared-list-item'));
+    expect(items.map(item => item.querySelector('a').textContent)).toEqual(['Shared Film (2001)', 'Other Film']);
+    expect(items[0].textContent).toContain('Household interest 3.5 (2 votes)');
+    expect(items[0].textContent).toContain('Added by sam@example.com');
+    expect(items[0].querySelector('.shared-list-votes').textContent).toBe('Alex: 5, sam@example.com: 2');
+    expect(container.querySelector('.shared-list-members').textContent).toBe(
+      'Members: Alex, sam@example.com'
+    );
+
+    const vote = items[0].querySelector('select.shared-list-vote');
+    expect(vote.value).toBe('5');
+    vote.value = '4';
+    vote.dispatchEvent(new window.Event('change'));
+    expect(updateMock).toHaveBeenCalledWith(
+      expect.objectContaining({ 'items.42.votes.u1': 4 })
+    );
+  });
+
+  it('only offers invites to the owner and removal of the member\'s own picks', () => {
+    emit('memberUids', [
+      {
+        id: 'list-3',
+        name: 'Roommates',
+        ownerUid: 'u2',
+        memberUids: ['u1', 'u2'],
+        members: { u1: { displayName: 'Alex' }, u2: { displayName: 'Sam' } },
+        invitedEmails: [],
+        items: {
+          42: { movie: { id: 42, title: 'Sam Pick' }, addedBy: 'u2', votes: { u2: 4 } },
+          43: { movie: { id: 43, title: 'Alex Pick' }, addedBy: 'u1', votes: { u1: 3 } }
+        }
+      }
+    ]);
+
+    const forms = Array.from(container.querySelectorAll('.shared-list .shared-list-form input'));
+    expect(forms.map(input => input.placeholder)).not.toContain('Invite by email');
+    const removable = Array.from(container.querySelectorAll('.shared-list-item'))
+      .filter(item => Array.from(item.querySelectorAll('button')).some(btn => btn.textContent === 'Remove'))
+      .map(item => item.dataset.movieId);
+    expect(removable).toEqual(['43']);
+  });
+
+  it('invites by email and lets invitees join', async () => {
+    await expect(sharedLists.inviteToSharedList('list-1', 'not-an-email')).rejects.toThrow(
+      'valid email'
+    );
+    await sharedLists.inviteToSharedList('list-1', ' Sam@Example.com ');
+    expect(updateMock).toHaveBeenLastCalledWith(
+      expect.objectContaining({ invitedEmails: ['sam@example.com'] })
+    );
+
+    emit('invitedEmails', [
+      {
+        id: 'list-2',
+        name: 'Date night',
+        ownerUid: 'u3',
+        memberUids: ['u3'],
+        members: { u3: { displayName: 'Jordan' } },
+        invitedEmails: ['alex@example.com', 'kim@example.com'],
+        items: {}
+      }
+    ]);
+    const invite = container.querySelector('.shared-list-invites li');
+    expect(invite.textContent).toContain('Jordan invited you to "Date night"');
+    Array.from(invite.querySelectorAll('button'))
+      .find(btn => btn.textContent === 'Accept')
+      .click();
+    await flush();
+    expect(updateMock).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        memberUids: ['u3', 'u1'],
+        invitedEmails: ['kim@example.com'],
+        'members.u1': { email: 'alex@example.com', displayName: 'Alex' }
+      })
+    );
+  });
+
+  it('adds movies with the member vote and creates owned lists', async () => {
+    await sharedLists.addMovieToSharedList('list-1', { id: 7, title: 'Added Film' }, 4);
+    expect(updateMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        'items.7': expect.objectContaining({
+          movie: { id: 7, title: 'Added Film' },
+          addedBy: 'u1',
+          votes: { u1: 4 }
+        })
+      })
+    );
+
+    await sharedLists.createSharedList('  Family picks ');
+    expect(addMock).toHaveBeenCalledWith(
+      expect.objectContaining({
+        name: 'Family picks',
+        ownerUid: 'u1',
+        memberUids: ['u1'],
+        invitedEmails: []
+      })
+    );
+  });
+});
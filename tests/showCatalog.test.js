@@ -0,0 +1,31 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+const showCatalog = require('../backend/show-catalog.js');
+
+describe('show catalog', () => {
+  beforeAll(async () => {
+    await showCatalog.ensureShowCatalog();
+  });
+
+  it('searches shows by title prefix', () => {
+    const { results, totalMatches } = showCatalog.searchShows('break');
+    expect(totalMatches).toBe(1);
+    expect(results[0]).toMatchObject({ id: '1396', name: 'Breaking Bad', seasonCount: 5 });
+  });
+
+  it('excludes ids and applies the score threshold', () => {
+    const all = showCatalog.searchShows('', { limit: 50 });
+    const filtered = showCatalog.searchShows('', { limit: 50, excludeIds: ['1396'], minScore: 8.6 });
+    expect(all.totalMatches).toBeGreaterThan(filtered.totalMatches);
+    expect(filtered.results.map(show => show.id)).not.toContain('1396');
+    filtered.results.forEach(show => expect(show.score).toBeGreaterThanOrEqual(8.6));
+  });
+
+  it('derives seasons from the catalog when TMDB is unavailable', async () => {
+    const seasons = await showCatalog.getShowSeasons('1398');
+    expect(seasons.seasons.map(season => season.seasonNumber)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(await showCatalog.getShowSeasons('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { JSDOM } from 'jsdom';
+
+const authModuleMock = {
+  getCurrentUser: vi.fn(() => null),
+  awaitAuthUser: vi.fn(() => Promise.resolve(null)),
+  db: { collection: vi.fn() }
+};
+
+vi.mock('../js/auth.js', () => authModuleMock);
+
+function buildDom() {
+  return new JSDOM(`
+    <div id="showTabs" class="movie-tabs">
+      <button class="movie-tab active" data-target="showStreamSection"></button>
+      <button class="movie-tab" data-target="savedShowsSection"></button>
+      <button class="movie-tab" data-target="watchedShowsSection"></button>
+    </div>
+    <div id="showStreamSection">
+      <input id="showSearch" type="search" />
+      <div id="showStatus"></div>
+      <div id="showList"></div>
+    </div>
+    <div id="savedShowsSection" style="display:none"><div id="savedShowsList"></div></div>
+    <div id="watchedShowsSection" style="display:none"><div id="watchedShowsList"></div></div>
+  `);
+}
+
+function mockLocalStorage() {
+  const store = new Map();
+  return {
+    getItem: key => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => { store.set(key, String(value)); },
+    removeItem: key => { store.delete(key); },
+    clear: () => store.clear()
+  };
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('initSeriesPanel', () => {
+  let initSeriesPanel;
+
+  beforeEach(async () => {
+    vi.resetModules();
+    const dom = buildDom();
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.localStorage = mockLocalStorage();
+    global.fetch = vi.fn(url => {
+      if (String(url).includes('/seasons')) {
+        return Promise.resolve({
+          ok: true,
+          json: () =>
+            Promise.resolve({
+              seasons: [
+                { seasonNumber: 1, name: 'Season 1', episodeCount: 8 },
+                { seasonNumber: 2, name: 'Season 2', episodeCount: 10 }
+              ]
+            })
+        });
+      }
+      return Promise.resolve({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            results: [
+              { id: '1', name: 'Show One', score: 8.5, voteCount: 900, firstAirDate: '2015-02-01', seasonCount: 2 },
+              { id: '2', name: 'Show Two', score: 7.9, voteCount: 400, firstAirDate: '2019-09-12' }
+            ],
+            metadata: { totalMatches: 2 }
+          })
+      });
+    });
+    ({ initSeriesPanel } = await import('../js/shows.js'));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete global.window;
+    delete global.document;
+    delete global.localStorage;
+    delete global.fetch;
+  });
+
+  it('moves a saved show to watched once every season is checked off', async () => {
+    await initSeriesPanel();
+    const cards = document.querySelectorAll('#showList .show-card');
+    expect(Array.from(cards).map(card => card.dataset.showId)).toEqual(['1', '2']);
+
+    const interested = Array.from(cards[0].querySelectorAll('button')).find(
+      btn => btn.textContent === 'Interested'
+    );
+    interested.click();
+    await flush();
+
+    expect(document.querySelectorAll('#showList .show-card')).toHaveLength(1);
+    const savedCard = document.querySelector('#savedShowsList .show-card');
+    expect(savedCard.querySelector('.show-season-progress').textContent).toBe(
+      '0 of 2 seasons watched'
+    );
+
+    Array.from(savedCard.querySelectorAll('button'))
+      .find(btn => btn.textContent === 'Seasons')
+      .click();
+    await flush();
+    await flush();
+
+    const firstSeason = document.querySelector('#savedShowsList input[data-season-number="1"]');
+    firstSeason.checked = true;
+    firstSeason.dispatchEvent(new window.Event('change'));
+    await flush();
+
+    const stored = JSON.parse(localStorage.getItem('tvPreferences'));
+    expect(Object.keys(stored['1'].seasons)).toEqual(['1']);
+    expect(stored['1'].status).toBe('interested');
+
+    const secondSeason = document.querySelector('#savedShowsList input[data-season-number="2"]');
+    secondSeason.checked = true;
+    secondSeason.dispatchEvent(new window.Event('change'));
+    await flush();
+
+    const updated = JSON.parse(localStorage.getItem('tvPreferences'));
+    expect(updated['1'].status).toBe('watched');
+    expect(document.querySelector('#savedShowsList .show-card')).toBeNull();
+    expect(
+      document.querySelector('#watchedShowsList .show-season-progress').textContent
+    ).toBe('2 of 2 seasons watched');
+  });
+});
@@ -34,28 +34,53 @@ describe('initTabs (streamlined)', () => {
     global.history = dom.window.history;
     global.localStorage = setupStorage(savedPanel);
 
-    global.window.initMoviesPanel = vi.fn();
-
+    const initializers = { moviesPanel: vi.fn() };
     const mod = await import('../js/tabs.js');
-    await mod.initTabs(null, {});
+    await mod.initTabs(null, {}, initializers);
     dom.window.dispatchEvent(new dom.window.Event('DOMContentLoaded'));
 
-    return dom;
+    return { dom, initializers };
   }
 
   it('activates the saved movies panel when available', async () => {
-    const dom = await initTabsWithDom('moviesPanel');
+    const { dom, initializers } = await initTabsWithDom('moviesPanel');
     const active = dom.window.document.querySelector('.tab-button.active');
     expect(active?.dataset.target).toBe('moviesPanel');
     expect(dom.window.document.getElementById('moviesPanel').style.display).toBe('flex');
-    expect(dom.window.initMoviesPanel).toHaveBeenCalled();
+    expect(initializers.moviesPanel).toHaveBeenCalled();
   });
 
   it('falls back to movies when the saved panel is missing', async () => {
-    const dom = await initTabsWithDom('unknownPanel');
+    const { dom, initializers } = await initTabsWithDom('unknownPanel');
     const active = dom.window.document.querySelector('.tab-button.active');
     expect(active?.dataset.target).toBe('moviesPanel');
     expect(dom.window.document.getElementById('moviesPanel').style.display).toBe('flex');
-    expect(dom.window.initMoviesPanel).toHaveBeenCalled();
+    expect(initializers.moviesPanel).toHaveBeenCalled();
+  });
+
+  it('routes panel init through the provided initializers', async () => {
+    const dom = new JSDOM(`
+      <button class="tab-button" data-target="moviesPanel"></button>
+      <button class="tab-button" data-target="seriesPanel"></button>
+      <div id="moviesPanel"></div>
+      <div id="seriesPanel"></div>
+    `, { url: 'http://localhost/' });
+
+    global.window = dom.window;
+    global.document = dom.window.document;
+    global.history = dom.window.history;
+    global.localStorage = setupStorage('moviesPanel');
+
+    const initializers = { moviesPanel: vi.fn(), seriesPanel: vi.fn() };
+    const mod = await import('../js/tabs.js');
+    await mod.initTabs(null, {}, initializers);
+    expect(initializers.moviesPanel).toHaveBeenCalledTimes(1);
+
+    const [moviesTab, seriesTab] = dom.window.document.querySelectorAll('.tab-button');
+    seriesTab.click();
+    moviesTab.click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(initializers.seriesPanel).toHaveBeenCalledTimes(1);
+    expect(initializers.moviesPanel).toHaveBeenCalledTimes(2);
   });
 });